@@ -8,36 +8,110 @@ export default {
       enabled: true,
       currentSeason: 2025,
       seasonType: 'regular', // Options: 'regular', 'playoff'
-      updateEndpoints: ['players', 'teams', 'stats'],
+      provider: 'rest-nba-api', // Data provider (see providers/providerRegistry.js)
+      // 'standings' fetches conference standings (regular season updates only)
+      // Add 'gameLogs' to fetch per-game box scores: one API call per qualifying player (~450 at 60 per minute,
+      // about 7.5 extra minutes per update), which the game log tables and trending players need
+      updateEndpoints: ['players', 'teams', 'stats', 'standings'],
       minGamesForStats: 5,
       // Base URL for the NBA API
       apiBaseUrl: 'http://rest.nbaapi.com/api',
+      // ESPN standings API (no key needed)
+      standingsApiUrl: 'https://site.api.espn.com/apis/v2/sports/basketball/nba/standings',
 
       // Whether to preserve existing data when API calls fail
       preserveDataOnFailure: true,
 
-      // Delay between API calls in milliseconds to prevent rate limiting
-      apiDelay: 1000,
+      // REST NBA API rate limit: requests per minute, and how many can go out back to back (see providers/httpClient.js)
+      rateLimit: { requestsPerMinute: 60, burst: 1 },
     },
     
     // EPL Configuration
     epl: {
       enabled: true,
       currentSeason: 2024, // 2024: 2024-2025 season
-      updateEndpoints: ['standings', 'players'],
-      minAppearances: 1
+      provider: 'api-football', // Data provider (see providers/providerRegistry.js)
+      // Remove 'fixtures' to skip the fixtures/results calendar, or 'fixtureDetails' to skip match events and lineups
+      updateEndpoints: ['standings', 'fixtures', 'fixtureDetails', 'players'],
+      maxFixtureDetailsPerUpdate: 100, // Finished matches whose events and lineups are fetched per update (20 per API call)
+      minAppearances: 1,
+      // API-Football rate limit (see providers/httpClient.js)
+      rateLimit: { requestsPerMinute: 40, burst: 1 },
+      // API calls a full update makes (standings, fixtures, up to 5 fixture detail calls and ~40 player pages),
+      // checked against the daily API-Football quota before an update starts
+      estimatedRequests: 50,
+      // An interrupted player update resumes from its last saved page if it is retried within this many hours;
+      // after that the players are fetched again from page 1. Kept clear of the 24 and 48 hour gaps between
+      // scheduled EPL updates (scheduler.jobs.epl) so the next scheduled run still resumes
+      checkpointMaxAgeHours: 60
     },
     
     // NFL Configuration
     nfl: {
-      enabled: false, // Set to false to skip NFL updates
-      currentSeason: 2024
+      // Included in updates and the scheduler; needs NFL_API_KEY (or EPL_API_KEY), see Backend Setup in the README.
+      // A full NFL update makes ~66 calls at 10 per minute, so set to false to leave NFL out
+      enabled: true,
+      currentSeason: 2024, // 2024: 2024-2025 season
+      provider: 'api-american-football', // Data provider (see providers/providerRegistry.js)
+      leagueId: 1, // NFL league ID in API-American-Football
+      // Base URL for API-American-Football (override with NFL_API_BASE_URL to use the local fixture server)
+      apiBaseUrl: 'https://v1.american-football.api-sports.io',
+      // API-American-Football rate limit; the free plan allows 10 requests per minute
+      // (NFL_API_DELAY_MS overrides it with a fixed delay between calls, 0 for none)
+      rateLimit: { requestsPerMinute: 10, burst: 1 },
+      // API calls a full update makes (teams, standings, and a roster and a stats call per team),
+      // checked against the daily API-American-Football quota before an update starts
+      estimatedRequests: 66
     },
     
+    // Analytics Configuration
+    analytics: {
+      zScoreThreshold: 2, // Absolute z-score at which a player is flagged as an outlier
+      minGames: 20, // NBA players need this many games to be included in league-wide analysis
+      minAppearances: 5 // EPL players need this many appearances to be included
+    },
+
+    // Player Comparison Configuration (GET /api/compare and the /compare page)
+    compare: {
+      maxPlayers: 4 // Most players that can be compared at once
+    },
+
+    // Leaderboard Configuration (GET /api/leaderboards/:league and the /leaders page)
+    leaderboards: {
+      defaultLimit: 25, // Players per page
+      maxLimit: 100,
+      minGames: { NBA: 10, EPL: 3 } // Default minimum games (NBA) or appearances (EPL) to be ranked
+    },
+
+    // Trending Configuration (homepage "trending players")
+    trending: {
+      defaultWindow: '14d',
+      windows: { '7d': 7, '14d': 14, '30d': 30 }, // Allowed ?window= values and their length in days
+      minGames: 2, // Players need this many games inside the window to be ranked
+      limit: 5 // Players returned per league
+    },
+
+    // Scheduled Update Configuration
+    // Schedules use cron syntax: minute hour day-of-month month day-of-week
+    scheduler: {
+      enabled: true, // Set to false (or ENABLE_SCHEDULER=false) to only update manually
+      timezone: 'America/Chicago',
+      lockTimeoutMinutes: 120, // A lock older than this is treated as abandoned (e.g., the server crashed mid-update)
+      jobs: {
+        nba: { schedule: '0 4 * * *', description: 'NBA nightly update after the last games finish' },
+        epl: { schedule: '0 23 * * 0,1,3', description: 'EPL update after weekend and midweek matchdays' },
+        nfl: { schedule: '0 6 * * 2', description: 'NFL weekly update after Monday Night Football' }
+      }
+    },
+
     // Update Settings
     updateSettings: {
       logLevel: 'info', // Options: 'debug', 'info', 'warn', 'error'
-      apiDelayMs: 1500, // Delay between API calls to avoid rate limiting
+      // Retries of provider requests that fail with a 429 or 5xx response: the wait doubles from baseDelayMs
+      // after each attempt (or follows the Retry-After header), and a longer wait than maxDelayMs gives up
+      retry: { maxRetries: 3, baseDelayMs: 1000, maxDelayMs: 60000 },
+      apiMode: 'live', // 'live', 'record' or 'replay' provider responses (see providers/apiRecorder.js); API_MODE overrides
+      apiRecordingsDir: 'fixtures/recordings', // Where recordings are kept, relative to the backend directory
       cleanupOrphanedRecords: false // Whether to remove records no longer in source API
     }
   };
\ No newline at end of file
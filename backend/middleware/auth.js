@@ -0,0 +1,61 @@
+/**
+ * Authentication Middleware
+ *
+ * Protects mutating API routes:
+ * - authenticate: reads the API key from "Authorization: Bearer <key>" or "x-api-key"
+ *   and attaches the matching user to req.user (requests without a key pass through)
+ * - requireRole(role): rejects requests without a user (401) or with a lower role (403)
+ *
+ * Usage: router.post('/update', requireRole('admin'), handler)
+ */
+import { findUserByApiKey, hasRole } from '../services/authService.js';
+
+/**
+ * Extracts the API key from a request
+ * @param {Object} req - Express request
+ * @returns {string|null} API key, or null if none was sent
+ */
+export function getApiKey(req) {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return req.get('x-api-key') || null;
+}
+
+/**
+ * Attaches the authenticated user (if any) to req.user
+ */
+export async function authenticate(req, res, next) {
+  try {
+    const apiKey = getApiKey(req);
+    if (apiKey) {
+      req.user = await findUserByApiKey(apiKey);
+    }
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({ message: 'Authentication failed' });
+  }
+}
+
+/**
+ * Creates middleware that only lets users with at least the given role through
+ * Authenticates the request itself, so it can be used without authenticate
+ * @param {string} role - Minimum role: 'viewer', 'editor' or 'admin'
+ * @returns {Function} Express middleware
+ */
+export function requireRole(role) {
+  return async (req, res, next) => {
+    if (req.user === undefined) {
+      await authenticate(req, res, () => {});
+      if (res.headersSent) return;
+    }
+
+    if (!req.user) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+    if (!hasRole(req.user.role, role)) {
+      return res.status(403).json({ message: `This action requires the ${role} role` });
+    }
+    next();
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * Audit Log Model
+ *
+ * Records every request to run a data update: who triggered it, with which options,
+ * and what the outcome was. Covers manual (API) updates and scheduled jobs, including
+ * rejected and dry-run requests, so quota usage can be traced back to its source.
+ */
+import mongoose from 'mongoose';
+
+const AuditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,        // 'update', or 'update-nba-team' for single NBA team updates
+    required: true
+  },
+  actor: {
+    type: String,        // Username for API requests, or 'scheduler:nba' etc. for scheduled jobs
+    required: true
+  },
+  role: String,          // Actor's role at the time (API requests only)
+  ip: String,
+  options: mongoose.Schema.Types.Mixed,  // Options as sent (invalid requests) or as resolved
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  outcome: {
+    type: String,
+    enum: ['started', 'completed', 'failed', 'rejected', 'invalid', 'dry-run'],
+    required: true
+  },
+  jobId: String,         // Update job ID, when a job was started
+  result: mongoose.Schema.Types.Mixed,   // Per-league success flags once the job finishes
+  error: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+export default AuditLog;
@@ -0,0 +1,128 @@
+/**
+ * Fixture Data Model
+ *
+ * Stores one document per match, scheduled or played:
+ * - Kick-off date, venue, matchday and status
+ * - Home and away teams (teamId matches the Team model, e.g. "epl_42")
+ * - Full-time and half-time score once the match has started
+ * - Once finished: the event timeline (goals, cards, substitutions, VAR decisions) and both lineups
+ *
+ * Fixtures are refreshed on every update, so scores and statuses of upcoming matches fill in over time.
+ * Events and lineups are fetched once per finished match (detailsUpdated records when)
+ */
+import mongoose from 'mongoose';
+
+const FixtureTeamSchema = new mongoose.Schema({
+  teamId: String,        // e.g., "epl_42"
+  name: String,
+  logo: String
+}, { _id: false });
+
+// A player as named in an event or lineup; playerId matches the Player model (e.g., "epl_276")
+const FixturePlayerSchema = new mongoose.Schema({
+  playerId: String,
+  name: String
+}, { _id: false });
+
+const FixtureEventSchema = new mongoose.Schema({
+  minute: Number,        // Match minute (e.g., 45)
+  extra: Number,         // Added time minute (e.g., 2 for 45+2)
+  side: {
+    type: String,
+    enum: ['home', 'away']
+  },
+  teamId: String,
+  type: {
+    type: String,        // API event type
+    enum: ['Goal', 'Card', 'subst', 'Var']
+  },
+  detail: String,        // e.g., "Normal Goal", "Own Goal", "Yellow Card", "Substitution 1", "Goal cancelled"
+  player: FixturePlayerSchema,  // Scorer, booked player, or player coming off for substitutions
+  assist: FixturePlayerSchema,  // Assisting player, or player coming on for substitutions
+  comments: String
+}, { _id: false });
+
+const LineupPlayerSchema = new mongoose.Schema({
+  playerId: String,
+  name: String,
+  number: Number,
+  position: String,      // G, D, M or F
+  grid: String           // "row:column" on the formation, row 1 being the goalkeeper (starters only)
+}, { _id: false });
+
+const LineupSchema = new mongoose.Schema({
+  teamId: String,
+  formation: String,     // e.g., "4-3-3"
+  coach: String,
+  startXI: [LineupPlayerSchema],
+  substitutes: [LineupPlayerSchema]
+}, { _id: false });
+
+const FixtureSchema = new mongoose.Schema({
+  fixtureId: {
+    type: String,
+    required: true,
+    unique: true         // Format: "{league}_{id}" (e.g., "epl_1208021")
+  },
+  league: {
+    type: String,
+    required: true,
+    enum: ['NBA', 'NFL', 'EPL']
+  },
+  season: {
+    type: Number,        // e.g., 2024 for the 2024-2025 season
+    required: true
+  },
+  matchday: Number,      // Round number (e.g., 12 for "Regular Season - 12")
+  round: String,         // Round as the API names it
+  date: {
+    type: Date,
+    required: true       // Kick-off time
+  },
+  venue: {
+    name: String,
+    city: String
+  },
+  referee: String,
+  status: {
+    short: String,       // API status code (e.g., "NS", "1H", "FT", "PST")
+    long: String,        // e.g., "Match Finished"
+    elapsed: Number,     // Minutes played, while live
+    state: {
+      type: String,      // Simplified status used for filtering
+      enum: ['scheduled', 'live', 'finished', 'postponed', 'cancelled']
+    }
+  },
+  homeTeam: FixtureTeamSchema,
+  awayTeam: FixtureTeamSchema,
+  score: {
+    home: Number,        // Full-time goals (current goals while live)
+    away: Number,
+    halftime: {
+      home: Number,
+      away: Number
+    }
+  },
+  winner: {
+    type: String,
+    enum: ['home', 'away', 'draw', null]
+  },
+  events: [FixtureEventSchema],  // In match order
+  lineups: {
+    home: LineupSchema,
+    away: LineupSchema
+  },
+  detailsUpdated: Date,  // When events and lineups were last fetched
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// League calendars in date order, and each team's matches in date order
+FixtureSchema.index({ league: 1, season: 1, date: 1 });
+FixtureSchema.index({ 'homeTeam.teamId': 1, date: 1 });
+FixtureSchema.index({ 'awayTeam.teamId': 1, date: 1 });
+
+const Fixture = mongoose.model('Fixture', FixtureSchema);
+export default Fixture;
@@ -0,0 +1,70 @@
+/**
+ * NBA Game Log Data Model
+ *
+ * Stores one document per player per game with the full box score line:
+ * - Complements NbaPlayerStats, which only holds season totals and advanced blocks
+ * - Enables recent-form views (last N games) and per-game trend lines
+ * - Regular season and playoff games are kept apart by seasonType
+ */
+import mongoose from 'mongoose';
+
+const NbaGameLogSchema = new mongoose.Schema({
+  playerId: {
+    type: String,        // e.g., "jamesle01" (without league prefix, same as NbaPlayerStats)
+    required: true
+  },
+  name: String,
+  season: {
+    type: Number,        // e.g., 2025
+    required: true
+  },
+  seasonType: {
+    type: String,
+    enum: ['regular', 'playoff'],
+    default: 'regular'
+  },
+  gameDate: {
+    type: Date,
+    required: true
+  },
+  team: String,          // Team abbreviation the player played for in this game
+  opponent: String,      // Opponent abbreviation
+  isHome: Boolean,
+  result: String,        // e.g., "W 112-104"
+  started: Boolean,
+  minutes: Number,       // Minutes played as a decimal (e.g., 34.5)
+
+  // Box score line
+  fieldGoals: Number,
+  fieldAttempts: Number,
+  fieldPercent: Number,
+  threeFg: Number,
+  threeAttempts: Number,
+  threePercent: Number,
+  ft: Number,
+  ftAttempts: Number,
+  ftPercent: Number,
+  offensiveRb: Number,
+  defensiveRb: Number,
+  totalRb: Number,
+  assists: Number,
+  steals: Number,
+  blocks: Number,
+  turnovers: Number,
+  personalFouls: Number,
+  points: Number,
+  plusMinus: Number,
+  gameScore: Number,
+
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One entry per player per game, and fast lookups of a player's season in date order
+NbaGameLogSchema.index({ playerId: 1, seasonType: 1, gameDate: 1 }, { unique: true });
+NbaGameLogSchema.index({ playerId: 1, season: 1, gameDate: -1 });
+
+const NbaGameLog = mongoose.model('NbaGameLog', NbaGameLogSchema);
+export default NbaGameLog;
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+
+/**
+ * NFL player statistics schema for individual seasons
+ * Each object in the seasons array represents one season's worth of stats
+ * Stat groups mirror the groups returned by the API-American-Football players/statistics endpoint
+ */
+const SeasonStatsSchema = new mongoose.Schema({
+  season: Number, // e.g. 2024 for the 2024-2025 season
+  team: String,
+  teamId: String,
+  position: String,
+  group: String, // Offense, Defense or Special Teams
+  number: String,
+
+  gamesPlayed: Number,
+
+  passing: {
+    attempts: Number,
+    completions: Number,
+    yards: Number,
+    touchdowns: Number,
+    interceptions: Number,
+    sacks: Number,
+    rating: Number
+  },
+
+  rushing: {
+    attempts: Number,
+    yards: Number,
+    touchdowns: Number,
+    fumbles: Number,
+    fumblesLost: Number
+  },
+
+  receiving: {
+    receptions: Number,
+    targets: Number,
+    yards: Number,
+    touchdowns: Number
+  },
+
+  defense: {
+    tackles: Number,
+    soloTackles: Number,
+    sacks: Number,
+    interceptions: Number,
+    passesDefended: Number,
+    forcedFumbles: Number
+  },
+
+  kicking: {
+    fieldGoalsMade: Number,
+    fieldGoalsAttempted: Number,
+    extraPointsMade: Number,
+    extraPointsAttempted: Number
+  },
+
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Main NFL player stats schema
+ * Stores player details and array of season stats
+ */
+const NflPlayerStatsSchema = new mongoose.Schema({
+  playerId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Player metadata stays at top level (does not change per season)
+  name: String,
+  age: Number,
+  height: String,
+  weight: String,
+  college: String,
+  experience: Number,
+  image: String,
+
+  // Array of season statistics
+  seasons: [SeasonStatsSchema],
+
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const NFLPlayerStats = mongoose.model('NflPlayerStats', NflPlayerStatsSchema);
+export default NFLPlayerStats;
@@ -55,6 +55,15 @@ const PlayerSchema = new mongoose.Schema({
     ref: 'EPLPlayerStats'
   },
 
+  /**
+   * Reference to the detailed NFL player stats collection
+   * Contains the raw ID without the "nfl_" prefix
+   */
+  nflStatsRef: {
+    type: String,
+    ref: 'NFLPlayerStats'
+  },
+
   // Stats structure same as before for NFL/EPL players
   // For NBA players, this will be populated with a reference to NbaPlayerStats
   stats: {
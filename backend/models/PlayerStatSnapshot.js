@@ -0,0 +1,51 @@
+/**
+ * Player Stat Snapshot Data Model
+ *
+ * Stores a compact copy of a player's season-to-date counting stats each time data is updated:
+ * - The league stat collections (NbaPlayerStats, EPLPlayerStats, NFLPlayerStats) overwrite
+ *   the season entry in place, so snapshots are the only record of how the numbers changed
+ * - Deltas between successive snapshots give a player's output over that interval,
+ *   which the trending service compares against the season-to-date baseline
+ */
+import mongoose from 'mongoose';
+
+const PlayerStatSnapshotSchema = new mongoose.Schema({
+  playerId: {
+    type: String,        // e.g., "nba_jamesle01" (with league prefix, same as Player)
+    required: true
+  },
+  league: {
+    type: String,
+    required: true,
+    enum: ['NBA', 'NFL', 'EPL']
+  },
+  name: String,
+  team: String,
+  season: {
+    type: Number,
+    required: true
+  },
+  seasonType: {
+    type: String,        // Only meaningful for NBA; EPL and NFL snapshots are always 'regular'
+    enum: ['regular', 'playoff'],
+    default: 'regular'
+  },
+  takenAt: {
+    type: Date,
+    default: Date.now
+  },
+  gamesPlayed: Number,   // Games (NBA, NFL) or appearances (EPL) at the time of the snapshot
+
+  // Season-to-date totals and rate stats keyed by stat name (e.g., { points: 1520, assists: 410, per: 24.1 })
+  stats: {
+    type: Map,
+    of: Number
+  }
+});
+
+// Trending reads a league-season in time order; player lookups read one player's history
+PlayerStatSnapshotSchema.index({ league: 1, season: 1, seasonType: 1, takenAt: 1 });
+PlayerStatSnapshotSchema.index({ playerId: 1, season: 1, takenAt: 1 });
+
+const PlayerStatSnapshot = mongoose.model('PlayerStatSnapshot', PlayerStatSnapshotSchema);
+export default PlayerStatSnapshot;
@@ -0,0 +1,60 @@
+/**
+ * Player Stint Data Model
+ *
+ * Stores one document per player per team per season, so traded and transferred players keep their history:
+ * - NBA season entries only keep the combined "2TM"/"3TM" line and the final team, and
+ *   EPL season entries only keep one club, so stints are the only record of the split
+ * - Games, minutes and headline stats cover the player's time with that team only
+ * - Players who spent the whole season with one team have a single stint for it
+ *
+ * Stints are upserted on every update and never removed, so a move is kept even if the
+ * provider later stops reporting the earlier team. Start and end dates are not stored;
+ * they are derived from NBA game logs or EPL match lineups when those exist (see stintService.js)
+ */
+import mongoose from 'mongoose';
+
+const PlayerStintSchema = new mongoose.Schema({
+  playerId: {
+    type: String,        // e.g., "nba_hardeja01" (with league prefix, same as Player)
+    required: true
+  },
+  league: {
+    type: String,
+    required: true,
+    enum: ['NBA', 'EPL']
+  },
+  name: String,
+  season: {
+    type: Number,
+    required: true
+  },
+  seasonType: {
+    type: String,        // Only meaningful for NBA; EPL stints are always 'regular'
+    enum: ['regular', 'playoff'],
+    default: 'regular'
+  },
+  team: {
+    type: String,        // NBA team abbreviation (e.g., "LAC") or EPL club name
+    required: true
+  },
+  teamId: String,        // e.g., "nba_1610612746" or "epl_42"
+  order: Number,         // NBA: 1 for the season's first team, 2 for the next... (EPL stints are ordered by date)
+  games: Number,         // Games (NBA) or appearances (EPL) for this team
+  gamesStarted: Number,
+  minutes: Number,       // Total minutes for this team
+
+  // Headline stats for this team keyed by stat name (e.g., { points: 812, assists: 210, per: 19.4 })
+  stats: {
+    type: Map,
+    of: Number
+  },
+
+  firstSeen: Date,       // Update that first reported this stint
+  lastSeen: Date         // Latest update that reported it
+});
+
+// One stint per player, season, season type and team; a player's career reads in season order
+PlayerStintSchema.index({ playerId: 1, season: 1, seasonType: 1, team: 1 }, { unique: true });
+
+const PlayerStint = mongoose.model('PlayerStint', PlayerStintSchema);
+export default PlayerStint;
@@ -27,14 +27,29 @@ const TeamSchema = new mongoose.Schema({
   },
   logo: String, // URL to team logo image
   city: String,
+  conference: String, // NBA: 'East' or 'West'
+  division: String, // NBA: e.g. 'Pacific'
   standings: {
-    rank: Number,
+    rank: Number, // NBA: position within the conference
     wins: Number,
     losses: Number,
     draws: Number,
     points: Number,
     gamesPlayed: Number,
-    winPercentage: Number
+    winPercentage: Number,
+    // EPL only
+    goalsFor: Number,
+    goalsAgainst: Number,
+    goalDifference: Number,
+    form: String, // Last five results, oldest first (e.g. "WWDLW")
+    description: String, // Qualification or relegation note for the position (e.g. "Promotion - Champions League (League phase: )")
+    // NBA only
+    gamesBehind: Number, // Behind the conference leader
+    streak: String, // e.g. "W3" or "L1"
+    homeRecord: { wins: Number, losses: Number },
+    awayRecord: { wins: Number, losses: Number },
+    conferenceRecord: { wins: Number, losses: Number },
+    lastTen: { wins: Number, losses: Number }
   },
   lastUpdated: { 
     type: Date, 
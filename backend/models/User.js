@@ -0,0 +1,59 @@
+/**
+ * User Model
+ *
+ * Stores accounts that can call protected (mutating) API routes:
+ * - Roles control what a user may do: viewers can only read, editors can run
+ *   targeted updates, admins can run full updates and manage users
+ * - Passwords and API keys are only stored as hashes (see authService)
+ */
+import mongoose from 'mongoose';
+
+/**
+ * Roles in increasing order of privilege
+ * A route that requires a role also accepts every role after it
+ */
+export const ROLES = ['viewer', 'editor', 'admin'];
+
+const ApiKeySchema = new mongoose.Schema({
+  hash: {
+    type: String,        // SHA-256 of the key; the key itself is only shown once at login
+    required: true
+  },
+  label: String,         // e.g., "login" or "script"
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: Date
+}, { _id: false });
+
+const UserSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  passwordHash: {
+    type: String,        // Format: "{salt}:{scrypt hash}", both hex
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'viewer'
+  },
+  apiKeys: [ApiKeySchema],
+  lastLogin: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Requests are authenticated by looking up the key hash
+UserSchema.index({ 'apiKeys.hash': 1 });
+
+const User = mongoose.model('User', UserSchema);
+export default User;
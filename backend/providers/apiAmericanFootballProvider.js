@@ -0,0 +1,111 @@
+/**
+ * API-American-Football Provider
+ *
+ * NFL data provider (see providerRegistry.js) backed by API-American-Football (api-sports.io),
+ * authenticated with NFL_API_KEY (or EPL_API_KEY, since api-sports.io keys work across sports)
+ *
+ * The base URL can be pointed at the local fixture server (scripts/nflFixtureServer.js) through the
+ * NFL_API_BASE_URL environment variable, and NFL_API_DELAY_MS replaces the rate limit (sportsConfig.nfl.rateLimit)
+ * with a fixed delay between calls. The daily quota the API reports is tracked (see httpClient.js)
+ *
+ * NFL record format (what another NFL provider has to return):
+ * - Teams: API-American-Football teams ({ id, name, city, logo }); conference placeholders have no city
+ * - Standings: API-American-Football standings rows ({ team: { id }, position, won, lost, ties })
+ * - Players: roster entries ({ id, name, age, position, group, number, ... }) for one team
+ * - Player season stats: entries ({ player: { id }, teams: [{ team: { id }, groups: [{ name, statistics }] }] }) for one team
+ */
+import sportsConfig from '../config/sportsConfig.js';
+import { createHttpClient } from './httpClient.js';
+
+/**
+ * Gets the rate limit for API-American-Football calls
+ * @returns {Object|null} { requestsPerMinute, burst }, or null when NFL_API_DELAY_MS is 0
+ */
+function getRateLimit() {
+  if (process.env.NFL_API_DELAY_MS === undefined) return sportsConfig.nfl.rateLimit;
+
+  const delayMs = parseInt(process.env.NFL_API_DELAY_MS, 10);
+  return delayMs > 0 ? { requestsPerMinute: 60000 / delayMs, burst: 1 } : null;
+}
+
+const client = createHttpClient('api-american-football', getRateLimit);
+
+/**
+ * Makes an API call to the API-American-Football service
+ * The base URL is read at call time so environment overrides loaded by dotenv are respected
+ * @param {string} endpoint - API endpoint to call
+ * @param {Object} params - Parameters to include in the request
+ * @returns {Promise<Object>} API response
+ */
+async function callApiAmericanFootball(endpoint, params = {}) {
+  const baseUrl = process.env.NFL_API_BASE_URL || sportsConfig.nfl.apiBaseUrl;
+
+  try {
+    console.log(`Calling API-American-Football ${endpoint} endpoint with params:`, params);
+
+    const response = await client.get(`${baseUrl}/${endpoint}`, {
+      // The same api-sports.io key works across sports, so fall back to the EPL key
+      headers: { 'x-apisports-key': process.env.NFL_API_KEY || process.env.EPL_API_KEY },
+      params: params
+    });
+
+    return response.data;
+  } catch (error) {
+    console.error(`API-American-Football call error (${endpoint}):`, error.message);
+    if (error.response) {
+      console.error(`Status code: ${error.response.status}`);
+      console.error('Response data:', error.response.data);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Gets the league's teams
+ * @param {number} season - Season year
+ * @returns {Promise<Array|null>} Teams, or null for an unexpected response
+ */
+export async function fetchTeams(season) {
+  const data = await callApiAmericanFootball('teams', { league: sportsConfig.nfl.leagueId, season });
+  return Array.isArray(data?.response) ? data.response : null;
+}
+
+/**
+ * Gets every team's standings row
+ * @param {number} season - Season year
+ * @returns {Promise<Array>} Standings rows (empty when the provider has none)
+ */
+export async function fetchStandings(season) {
+  const data = await callApiAmericanFootball('standings', { league: sportsConfig.nfl.leagueId, season });
+  return data?.response || [];
+}
+
+/**
+ * Gets one team's roster
+ * @param {number} season - Season year
+ * @param {Object} options - { team } provider team id
+ * @returns {Promise<Array>} Roster entries
+ */
+export async function fetchPlayers(season, { team } = {}) {
+  const data = await callApiAmericanFootball('players', { team, season });
+  return data?.response || [];
+}
+
+/**
+ * Gets one team's player season statistics
+ * @param {number} season - Season year
+ * @param {Object} options - { team } provider team id
+ * @returns {Promise<Array>} Player statistics entries
+ */
+export async function fetchPlayerSeasonStats(season, { team } = {}) {
+  const data = await callApiAmericanFootball('players/statistics', { team, season });
+  return data?.response || [];
+}
+
+export default {
+  name: 'api-american-football',
+  fetchTeams,
+  fetchStandings,
+  fetchPlayers,
+  fetchPlayerSeasonStats
+};
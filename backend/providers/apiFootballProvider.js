@@ -0,0 +1,142 @@
+/**
+ * API-Football Provider
+ *
+ * Premier League data provider (see providerRegistry.js) backed by API-Football (v3.football.api-sports.io),
+ * authenticated with the EPL_API_KEY environment variable
+ *
+ * EPL record format (what another EPL provider has to return):
+ * - Teams: API-Football team entries ({ team: { id, name, logo }, venue })
+ * - Standings: API-Football standings rows ({ rank, team, points, goalsDiff, form, description, all: { played, win, ... } })
+ * - Players and season stats: API-Football player entries ({ player: { id, name, age, ... }, statistics: [...] }),
+ *   one page at a time as { players, paging: { current, total } }
+ * - Fixtures: API-Football fixture entries ({ fixture, league, teams, goals, score }), with events and lineups
+ *   when looked up by id
+ *
+ * Calls are rate limited by sportsConfig.epl.rateLimit, and the daily quota API-Football reports is tracked
+ * (see httpClient.js)
+ */
+import sportsConfig from '../config/sportsConfig.js';
+import { createHttpClient } from './httpClient.js';
+
+// API-Football's Premier League ID
+const PREMIER_LEAGUE_ID = 39;
+
+const client = createHttpClient('api-football', () => sportsConfig.epl.rateLimit);
+
+/**
+ * Gets the errors an API-Football response reports
+ * API-Football answers bad keys, exhausted quotas and invalid parameters with a 200 response whose
+ * errors field is a non-empty array or object (and whose response is empty)
+ * @param {Object} data - Response body
+ * @returns {Array<string>} Error messages, empty if the call succeeded
+ */
+function getResponseErrors(data) {
+  const errors = data?.errors;
+  if (Array.isArray(errors)) {
+    return errors.map(error => typeof error === 'string' ? error : JSON.stringify(error));
+  }
+  if (errors && typeof errors === 'object') {
+    return Object.entries(errors).map(([field, message]) => `${field}: ${message}`);
+  }
+  return [];
+}
+
+/**
+ * Makes an API call to the API-Football service
+ * @param {string} endpoint - API endpoint to call
+ * @param {Object} params - Parameters to include in the request
+ * @returns {Promise<Object>} API response
+ * @throws {Error} If the call fails or the response reports errors
+ */
+async function callApiFootball(endpoint, params = {}) {
+  try {
+    console.log(`Calling API-Football ${endpoint} endpoint with params:`, params);
+
+    const response = await client.get(`https://v3.football.api-sports.io/${endpoint}`, {
+      headers: { 'x-apisports-key': process.env.EPL_API_KEY },
+      params: params
+    });
+
+    const errors = getResponseErrors(response.data);
+    if (errors.length > 0) {
+      throw new Error(`API-Football returned errors: ${errors.join('; ')}`);
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error(`API-Football call error (${endpoint}):`, error.message);
+    if (error.response) {
+      console.error(`Status code: ${error.response.status}`);
+      console.error('Response data:', error.response.data);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Gets the Premier League's teams for a season
+ * @param {number} season - Season year (2024 for 2024-25)
+ * @returns {Promise<Array|null>} Team entries, or null for an unexpected response
+ */
+export async function fetchTeams(season) {
+  const data = await callApiFootball('teams', { league: PREMIER_LEAGUE_ID, season });
+  return Array.isArray(data?.response) ? data.response : null;
+}
+
+/**
+ * Gets the league table
+ * @param {number} season - Season year
+ * @returns {Promise<Array|null>} Standings rows in table order, or null for an unexpected response
+ */
+export async function fetchStandings(season) {
+  const data = await callApiFootball('standings', { league: PREMIER_LEAGUE_ID, season });
+  return data?.response?.[0]?.league?.standings?.[0] || null;
+}
+
+/**
+ * Gets one page of the season's players with their season statistics
+ * API-Football returns statistics with every player, so this is also fetchPlayerSeasonStats
+ * @param {number} season - Season year
+ * @param {Object} options - { page } page number, starting at 1
+ * @returns {Promise<Object|null>} { players, paging: { current, total } }, or null for an unexpected response
+ */
+export async function fetchPlayers(season, { page = 1 } = {}) {
+  const data = await callApiFootball('players', { league: PREMIER_LEAGUE_ID, season, page });
+  if (!Array.isArray(data?.response)) return null;
+  return { players: data.response, paging: data.paging || { current: page, total: page } };
+}
+
+/**
+ * Gets one page of the season's player statistics (see fetchPlayers)
+ */
+export const fetchPlayerSeasonStats = fetchPlayers;
+
+/**
+ * Gets every fixture of the season (one call covers all 380 matches)
+ * @param {number} season - Season year
+ * @returns {Promise<Array|null>} Fixture entries, or null for an unexpected response
+ */
+export async function fetchFixtures(season) {
+  const data = await callApiFootball('fixtures', { league: PREMIER_LEAGUE_ID, season });
+  return Array.isArray(data?.response) ? data.response : null;
+}
+
+/**
+ * Gets fixtures by id, including their events and lineups
+ * @param {Array<string|number>} ids - API-Football fixture ids (at most 20 per call)
+ * @returns {Promise<Array>} Fixture entries with events and lineups
+ */
+export async function fetchFixturesById(ids) {
+  const data = await callApiFootball('fixtures', { ids: ids.join('-') });
+  return Array.isArray(data?.response) ? data.response : [];
+}
+
+export default {
+  name: 'api-football',
+  fetchTeams,
+  fetchStandings,
+  fetchPlayers,
+  fetchPlayerSeasonStats,
+  fetchFixtures,
+  fetchFixturesById
+};
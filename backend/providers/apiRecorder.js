@@ -0,0 +1,164 @@
+/**
+ * API Record/Replay
+ *
+ * Hooks into axios so every outbound request made by the data providers can be captured to disk
+ * and served back later, letting full updates run without network access or API quota:
+ * - live: requests go out as usual (default)
+ * - record: requests go out as usual, and each response (including error responses) is saved
+ * - replay: nothing goes out; responses are served from the saved recordings, and a request
+ *   without a recording fails with an ERR_NO_RECORDING error
+ *
+ * The mode is API_MODE or sportsConfig.updateSettings.apiMode, and recordings are stored in
+ * API_RECORDINGS_DIR or sportsConfig.updateSettings.apiRecordingsDir (relative to the backend directory).
+ * Both are read on every request, so environment overrides loaded by dotenv are respected
+ *
+ * Each recording is one JSON file named after the host, path and a hash of the query parameters:
+ *   fixtures/recordings/v3.football.api-sports.io/players_1f3a9c2e.json
+ * Request headers are never saved, so API keys stay out of the recordings
+ */
+import axios, { AxiosError } from 'axios';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sportsConfig from '../config/sportsConfig.js';
+
+const BACKEND_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const API_MODES = ['live', 'record', 'replay'];
+
+let installed = false;
+
+/**
+ * Gets the active record/replay mode
+ * @returns {string} 'live', 'record' or 'replay'
+ * @throws {Error} If the configured mode isn't one of API_MODES
+ */
+export function getApiMode() {
+  const mode = process.env.API_MODE || sportsConfig.updateSettings.apiMode || 'live';
+  if (!API_MODES.includes(mode)) {
+    throw new Error(`Unknown API mode "${mode}". Use one of: ${API_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Gets the directory recordings are saved to and replayed from
+ * @returns {string} Absolute directory path
+ */
+export function getRecordingsDir() {
+  return path.resolve(BACKEND_DIR, process.env.API_RECORDINGS_DIR || sportsConfig.updateSettings.apiRecordingsDir);
+}
+
+/**
+ * Builds the recording key for a request: its method and URL with the query parameters sorted,
+ * so the same request maps to the same recording whatever order its parameters were given in
+ * @param {Object} config - Axios request config
+ * @returns {Object} { key, url, file } where file is relative to the recordings directory
+ */
+export function getRecordingKey(config) {
+  const url = new URL(axios.getUri(config));
+  url.searchParams.sort();
+
+  const method = (config.method || 'get').toUpperCase();
+  const key = `${method} ${url.origin}${url.pathname}${url.search}`;
+
+  const endpoint = url.pathname.replace(/^\/+|\/+$/g, '').replace(/[^\w.-]+/g, '-') || 'index';
+  const name = url.search
+    ? `${endpoint}_${crypto.createHash('sha1').update(key).digest('hex').slice(0, 8)}`
+    : endpoint;
+
+  return { key, url: url.toString(), file: path.join(url.host.replace(/:/g, '_'), `${name}.json`) };
+}
+
+/**
+ * Saves a response as the recording for its request
+ * @param {Object} response - Axios response
+ */
+async function saveRecording(response) {
+  const { key, url, file } = getRecordingKey(response.config);
+  const filePath = path.join(getRecordingsDir(), file);
+
+  try {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify({
+      request: { key, method: (response.config.method || 'get').toUpperCase(), url },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: { ...response.headers },
+        data: response.data
+      },
+      recordedAt: new Date().toISOString()
+    }, null, 2));
+    console.log(`Recorded ${key} -> ${file}`);
+  } catch (error) {
+    // A failed recording shouldn't fail the update itself
+    console.error(`Error recording ${key}:`, error.message);
+  }
+}
+
+/**
+ * Axios adapter that answers a request from its recording instead of the network
+ * Recorded error statuses are rejected the same way axios rejects live ones
+ * @param {Object} config - Axios request config
+ * @returns {Promise<Object>} Axios response
+ */
+async function replayAdapter(config) {
+  const { key, file } = getRecordingKey(config);
+
+  let recording;
+  try {
+    recording = JSON.parse(await fs.readFile(path.join(getRecordingsDir(), file), 'utf8'));
+  } catch {
+    throw new AxiosError(`No recorded response for ${key} (expected ${file})`, 'ERR_NO_RECORDING', config);
+  }
+
+  console.log(`Replaying ${key} <- ${file}`);
+  const response = { ...recording.response, config, request: null };
+
+  if (config.validateStatus && !config.validateStatus(response.status)) {
+    throw new AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      config,
+      null,
+      response
+    );
+  }
+  return response;
+}
+
+/**
+ * Installs the record/replay interceptors on the shared axios instance (once)
+ * The providers call this when they're registered, so every update goes through it
+ */
+export function installApiRecorder() {
+  if (installed) return;
+  installed = true;
+
+  axios.interceptors.request.use(config => {
+    if (getApiMode() === 'replay') {
+      config.adapter = replayAdapter;
+    }
+    return config;
+  });
+
+  axios.interceptors.response.use(
+    async response => {
+      if (getApiMode() === 'record') await saveRecording(response);
+      return response;
+    },
+    async error => {
+      if (error.response && getApiMode() === 'record') await saveRecording(error.response);
+      throw error;
+    }
+  );
+}
+
+export default {
+  installApiRecorder,
+  getApiMode,
+  getRecordingsDir,
+  getRecordingKey,
+  API_MODES
+};
@@ -0,0 +1,211 @@
+/**
+ * Provider HTTP Client
+ *
+ * Shared HTTP client the data providers make their requests through, so every source gets the same
+ * handling of rate limits and failures:
+ * - Token-bucket rate limiting per client: up to rateLimit.burst requests can go out back to back,
+ *   then one more every 60000 / rateLimit.requestsPerMinute ms (sportsConfig.<league>.rateLimit)
+ * - Retries with exponential backoff on 429 and 5xx responses, waiting as long as the Retry-After
+ *   header asks when the API sends one (sportsConfig.updateSettings.retry)
+ * - Daily quota tracking from the x-ratelimit-requests-limit and x-ratelimit-requests-remaining headers
+ *   api-sports.io APIs (API-Football, API-American-Football) send with every response. The latest values
+ *   are saved in SystemInfo as apiQuota_<client name>, and once the day's quota is used up requests
+ *   fail with a QuotaExceededError instead of going out
+ *
+ * Clients are named after their provider (e.g., 'api-football'), which is how an update finds the quota
+ * of the providers it will use before it starts (see checkUpdateQuota in services/updateService.js)
+ *
+ * Requests go through the shared axios instance, so the record/replay interceptors (apiRecorder.js) still
+ * apply. Replay mode never reaches the network, so requests are served without waiting, retrying or
+ * tracking quota
+ */
+import axios from 'axios';
+import SystemInfo from '../models/SystemInfo.js';
+import sportsConfig from '../config/sportsConfig.js';
+import { getApiMode } from './apiRecorder.js';
+
+// Token buckets and the latest quota seen, by client name
+const buckets = new Map();
+const quotas = new Map();
+
+/**
+ * Thrown when a provider's daily quota is used up, or an update would need more requests than are left
+ */
+export class QuotaExceededError extends Error {
+  constructor(provider, quota, needed = 1) {
+    super(`Not enough ${provider} API quota left today (${quota.remaining} of ${quota.limit ?? 'unknown'} requests left, ${needed} needed)`);
+    this.name = 'QuotaExceededError';
+    this.provider = provider;
+    this.quota = quota;
+    this.needed = needed;
+  }
+}
+
+/**
+ * Gets the quota day a time falls in
+ * api-sports.io quotas reset at midnight UTC
+ * @param {Date} date - Time to check
+ * @returns {string} UTC date (YYYY-MM-DD)
+ */
+function getQuotaDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms - Time to wait
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Takes a token from a client's bucket, waiting until one is available
+ * The token is reserved before waiting (the count can go below zero), so requests made
+ * at the same time queue up one interval apart instead of all waking up together
+ * @param {string} name - Client name
+ * @param {Object|null} rateLimit - { requestsPerMinute, burst }; no limit without requestsPerMinute
+ */
+async function takeToken(name, rateLimit) {
+  if (!rateLimit?.requestsPerMinute) return;
+
+  const msPerToken = 60000 / rateLimit.requestsPerMinute;
+  const burst = Math.max(1, rateLimit.burst || 1);
+  const now = Date.now();
+
+  const bucket = buckets.get(name) || { tokens: burst, updatedAt: now };
+  bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) / msPerToken) - 1;
+  bucket.updatedAt = now;
+  buckets.set(name, bucket);
+
+  if (bucket.tokens < 0) {
+    await sleep(-bucket.tokens * msPerToken);
+  }
+}
+
+/**
+ * Works out how long to wait before retrying a failed request
+ * @param {Object} response - Axios response of the failed attempt
+ * @param {number} attempt - Attempts made so far, starting at 1
+ * @param {Object} retry - { baseDelayMs, maxDelayMs }
+ * @returns {number} Delay in ms: the Retry-After header (seconds or an HTTP date) when present,
+ *                   otherwise baseDelayMs doubled for every earlier attempt, up to maxDelayMs
+ */
+export function getRetryDelay(response, attempt, retry) {
+  const retryAfter = response?.headers?.['retry-after'];
+  if (retryAfter !== undefined && retryAfter !== null && retryAfter !== '') {
+    const seconds = Number(retryAfter);
+    const delayMs = Number.isFinite(seconds) ? seconds * 1000 : new Date(retryAfter).getTime() - Date.now();
+    if (!Number.isNaN(delayMs)) return Math.max(0, delayMs);
+  }
+  return Math.min(retry.maxDelayMs, retry.baseDelayMs * 2 ** (attempt - 1));
+}
+
+/**
+ * Saves the daily quota a response reports, if it reports one
+ * Failing to save is logged but never fails the request
+ * @param {string} name - Client name
+ * @param {Object} headers - Response headers
+ */
+async function recordQuota(name, headers) {
+  const remaining = parseInt(headers?.['x-ratelimit-requests-remaining'], 10);
+  if (Number.isNaN(remaining)) return;
+
+  const limit = parseInt(headers['x-ratelimit-requests-limit'], 10);
+  const quota = {
+    limit: Number.isNaN(limit) ? null : limit,
+    remaining,
+    day: getQuotaDay(),
+    updatedAt: new Date()
+  };
+  quotas.set(name, quota);
+
+  try {
+    await SystemInfo.findOneAndUpdate(
+      { key: `apiQuota_${name}` },
+      { value: quota, updatedAt: quota.updatedAt },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error(`Error saving ${name} API quota:`, error.message);
+  }
+}
+
+/**
+ * Gets the quota a provider has left today
+ * @param {string} name - Client (provider) name
+ * @returns {Promise<Object|null>} { limit, remaining, day, updatedAt }, or null if the provider has never reported one.
+ *                                 A quota last reported on an earlier day is returned as fully available again
+ */
+export async function getQuota(name) {
+  const info = await SystemInfo.findOne({ key: `apiQuota_${name}` });
+  const quota = info?.value;
+  if (!quota) return null;
+
+  const today = getQuotaDay();
+  if (quota.day !== today) {
+    // The quota has reset since; without a known limit there's nothing to go on
+    return quota.limit === null ? null : { ...quota, remaining: quota.limit, day: today };
+  }
+  return quota;
+}
+
+/**
+ * Creates a client for one provider
+ * @param {string} name - Client name, the provider name for sources with a quota (e.g., 'api-football')
+ * @param {Function} getRateLimit - Returns { requestsPerMinute, burst }, or null for no limit.
+ *                                  Called on every request so environment overrides loaded by dotenv are respected
+ * @returns {Object} { name, request(config), get(url, config) }, resolving to axios responses
+ */
+export function createHttpClient(name, getRateLimit = () => null) {
+  /**
+   * Makes a request, waiting for the rate limit and retrying 429 and 5xx responses
+   * @param {Object} config - Axios request config
+   * @returns {Promise<Object>} Axios response
+   * @throws {QuotaExceededError} If the day's quota is already used up
+   */
+  async function request(config) {
+    if (getApiMode() === 'replay') {
+      return axios.request(config);
+    }
+
+    const quota = quotas.get(name);
+    if (quota && quota.day === getQuotaDay() && quota.remaining <= 0) {
+      throw new QuotaExceededError(name, quota);
+    }
+
+    const retry = sportsConfig.updateSettings.retry;
+
+    for (let attempt = 1; ; attempt++) {
+      await takeToken(name, getRateLimit());
+
+      try {
+        const response = await axios.request(config);
+        await recordQuota(name, response.headers);
+        return response;
+      } catch (error) {
+        const response = error.response;
+        if (!response) throw error;
+        await recordQuota(name, response.headers);
+
+        const status = response.status;
+        if ((status !== 429 && status < 500) || attempt > retry.maxRetries) throw error;
+
+        const delayMs = getRetryDelay(response, attempt, retry);
+        if (delayMs > retry.maxDelayMs) {
+          console.error(`${name} asked to retry after ${Math.round(delayMs / 1000)}s, longer than the ${retry.maxDelayMs / 1000}s limit; giving up`);
+          throw error;
+        }
+
+        console.warn(`${name} request failed with status ${status}; retrying in ${delayMs}ms (retry ${attempt} of ${retry.maxRetries})`);
+        await sleep(delayMs);
+      }
+    }
+  }
+
+  return {
+    name,
+    request,
+    get: (url, config = {}) => request({ ...config, method: 'get', url })
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * Data Provider Registry
+ *
+ * The update services (nbaService, nbaStatsService, nbaStandingsService, eplService, nflService) read
+ * external data through a provider instead of calling an API themselves, so a league can switch to a
+ * new source, or to a local provider in tests, without touching the update code.
+ *
+ * Every provider implements this interface (each method returns a Promise):
+ * - fetchTeams(season) - The league's teams
+ * - fetchStandings(season) - One standings row per team
+ * - fetchPlayers(season, options) - Players, for one team or one page depending on the source
+ * - fetchPlayerSeasonStats(season, options) - Player season stat lines
+ * Providers can add league-specific methods on top (e.g., EPL fixtures, NBA game logs); the services
+ * check for those before using them.
+ *
+ * Records are returned in the league's record format, which is the format of the source each league
+ * started with (documented in its provider). A new source converts its responses to that format, and
+ * methods return null or an empty array when the source had nothing usable.
+ *
+ * The provider used for a league is sportsConfig.<league>.provider
+ *
+ * Provider requests go through a shared rate-limited HTTP client (see httpClient.js), and can be recorded
+ * to disk and replayed offline (see apiRecorder.js)
+ */
+import sportsConfig from '../config/sportsConfig.js';
+import restNbaApiProvider from './restNbaApiProvider.js';
+import apiFootballProvider from './apiFootballProvider.js';
+import apiAmericanFootballProvider from './apiAmericanFootballProvider.js';
+import { installApiRecorder } from './apiRecorder.js';
+
+// Methods every provider must implement
+export const PROVIDER_METHODS = ['fetchTeams', 'fetchStandings', 'fetchPlayers', 'fetchPlayerSeasonStats'];
+
+// Registered providers by league key (sportsConfig key) and provider name
+const providers = { nba: {}, epl: {}, nfl: {} };
+
+/**
+ * Registers a provider for a league, replacing any provider registered under the same name
+ * @param {string} league - League key ('nba', 'epl' or 'nfl')
+ * @param {string} name - Provider name, as used in sportsConfig (e.g., 'api-football')
+ * @param {Object} provider - Object implementing PROVIDER_METHODS
+ * @throws {Error} If the league is unknown or the provider is missing interface methods
+ */
+export function registerProvider(league, name, provider) {
+  if (!providers[league]) {
+    throw new Error(`Unknown league "${league}". Use one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  const missing = PROVIDER_METHODS.filter(method => typeof provider?.[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Provider "${name}" for ${league} is missing ${missing.join(', ')}`);
+  }
+
+  providers[league][name] = provider;
+}
+
+/**
+ * Gets the provider configured for a league
+ * Looked up on every call, so a provider registered or configured at runtime is used straight away
+ * @param {string} league - League key ('nba', 'epl' or 'nfl'; case-insensitive)
+ * @returns {Object} The provider
+ * @throws {Error} If the configured provider isn't registered
+ */
+export function getProvider(league) {
+  const key = league.toLowerCase();
+  const name = sportsConfig[key]?.provider;
+  const provider = providers[key]?.[name];
+
+  if (!provider) {
+    const available = Object.keys(providers[key] || {}).join(', ') || 'none';
+    throw new Error(`Unknown ${league.toUpperCase()} data provider "${name}". Registered providers: ${available}`);
+  }
+  return provider;
+}
+
+/**
+ * Lists the registered provider names per league
+ * @returns {Object} { nba: ['rest-nba-api'], epl: [...], nfl: [...] }
+ */
+export function listProviders() {
+  return Object.fromEntries(Object.entries(providers).map(([league, byName]) => [league, Object.keys(byName)]));
+}
+
+registerProvider('nba', 'rest-nba-api', restNbaApiProvider);
+registerProvider('epl', 'api-football', apiFootballProvider);
+registerProvider('nfl', 'api-american-football', apiAmericanFootballProvider);
+installApiRecorder();
+
+export default {
+  registerProvider,
+  getProvider,
+  listProviders,
+  PROVIDER_METHODS
+};
@@ -0,0 +1,133 @@
+/**
+ * REST NBA API Provider
+ *
+ * NBA data provider (see providerRegistry.js) backed by:
+ * - REST NBA API (sportsConfig.nba.apiBaseUrl) for player totals, advanced stats and game logs
+ * - ESPN's public standings API (sportsConfig.nba.standingsApiUrl) for standings
+ *
+ * NBA record format (what another NBA provider has to return):
+ * - Teams: { id, name, abbreviation }, abbreviations as used by Basketball Reference (e.g., "BRK", "PHO")
+ * - Player season stat rows: REST NBA API rows ({ id, playerId, playerName, season, team, position, age, games, ... }).
+ *   Traded players have one row per team plus a combined "2TM"/"3TM" row; row ids increase with each new team
+ * - Standings: ESPN standings entries ({ team: { abbreviation, logos }, stats: [{ name, type, value, summary }] })
+ * - Game log rows: one per game, { gameDate: "YYYY-MM-DD", team, opponent, location ("@" away), result,
+ *   gamesStarted (1 or 0), minutesPlayed ("MM:SS", empty when the player didn't play), and the box score under the
+ *   season totals' field names (fieldGoals, totalRb, assists, points, ...) plus plusMinus and gameScore
+ *   (see mapGameLogRecord in nbaStatsService.js)
+ *
+ * REST NBA API calls are rate limited by sportsConfig.nba.rateLimit; both sources retry 429 and 5xx responses
+ */
+import sportsConfig from '../config/sportsConfig.js';
+import { createHttpClient } from './httpClient.js';
+
+const restNbaApi = createHttpClient('rest-nba-api', () => sportsConfig.nba.rateLimit);
+const espn = createHttpClient('espn');
+
+// The REST NBA API has no teams endpoint, so the league's teams are listed here
+const NBA_TEAMS = [
+  { id: 1, name: 'Atlanta Hawks', abbreviation: 'ATL' },
+  { id: 2, name: 'Boston Celtics', abbreviation: 'BOS' },
+  { id: 3, name: 'Brooklyn Nets', abbreviation: 'BRK' },
+  { id: 4, name: 'Charlotte Hornets', abbreviation: 'CHO' },
+  { id: 5, name: 'Chicago Bulls', abbreviation: 'CHI' },
+  { id: 6, name: 'Cleveland Cavaliers', abbreviation: 'CLE' },
+  { id: 7, name: 'Dallas Mavericks', abbreviation: 'DAL' },
+  { id: 8, name: 'Denver Nuggets', abbreviation: 'DEN' },
+  { id: 9, name: 'Detroit Pistons', abbreviation: 'DET' },
+  { id: 10, name: 'Golden State Warriors', abbreviation: 'GSW' },
+  { id: 11, name: 'Houston Rockets', abbreviation: 'HOU' },
+  { id: 12, name: 'Indiana Pacers', abbreviation: 'IND' },
+  { id: 13, name: 'Los Angeles Clippers', abbreviation: 'LAC' },
+  { id: 14, name: 'Los Angeles Lakers', abbreviation: 'LAL' },
+  { id: 15, name: 'Memphis Grizzlies', abbreviation: 'MEM' },
+  { id: 16, name: 'Miami Heat', abbreviation: 'MIA' },
+  { id: 17, name: 'Milwaukee Bucks', abbreviation: 'MIL' },
+  { id: 18, name: 'Minnesota Timberwolves', abbreviation: 'MIN' },
+  { id: 19, name: 'New Orleans Pelicans', abbreviation: 'NOP' },
+  { id: 20, name: 'New York Knicks', abbreviation: 'NYK' },
+  { id: 21, name: 'Oklahoma City Thunder', abbreviation: 'OKC' },
+  { id: 22, name: 'Orlando Magic', abbreviation: 'ORL' },
+  { id: 23, name: 'Philadelphia 76ers', abbreviation: 'PHI' },
+  { id: 24, name: 'Phoenix Suns', abbreviation: 'PHO' },
+  { id: 25, name: 'Portland Trail Blazers', abbreviation: 'POR' },
+  { id: 26, name: 'Sacramento Kings', abbreviation: 'SAC' },
+  { id: 27, name: 'San Antonio Spurs', abbreviation: 'SAS' },
+  { id: 28, name: 'Toronto Raptors', abbreviation: 'TOR' },
+  { id: 29, name: 'Utah Jazz', abbreviation: 'UTA' },
+  { id: 30, name: 'Washington Wizards', abbreviation: 'WAS' }
+];
+
+/**
+ * Makes a GET request to the REST NBA API
+ * @param {string} path - Path below the API base URL (e.g., "PlayerDataTotals/season/2025")
+ * @param {Object} params - Query parameters
+ * @returns {Promise<*>} Response body
+ */
+async function callRestNbaApi(path, params = {}) {
+  const response = await restNbaApi.get(`${sportsConfig.nba.apiBaseUrl}/${path}`, { params });
+  return response.data;
+}
+
+/**
+ * Gets the league's teams
+ * @returns {Promise<Array>} Teams ({ id, name, abbreviation })
+ */
+export async function fetchTeams() {
+  return NBA_TEAMS.map(team => ({ ...team }));
+}
+
+/**
+ * Gets every team's standings entry from ESPN
+ * @param {number} season - Season year (ESPN uses the same years, 2025 being 2024-25)
+ * @returns {Promise<Array>} ESPN standings entries, both conferences together
+ */
+export async function fetchStandings(season) {
+  const response = await espn.get(sportsConfig.nba.standingsApiUrl, { params: { season } });
+
+  // Standings come grouped by conference
+  return (response.data?.children || []).flatMap(group => group.standings?.entries || []);
+}
+
+/**
+ * Gets one team's players with their season totals
+ * @param {number} season - Season year
+ * @param {Object} options - { team } team abbreviation (e.g., "BOS")
+ * @returns {Promise<Array|null>} Totals rows, or null for an unexpected response
+ */
+export async function fetchPlayers(season, { team } = {}) {
+  const data = await callRestNbaApi(`PlayerDataTotals/team/${team}`, { season, pageSize: 20 });
+  return Array.isArray(data) ? data : null;
+}
+
+/**
+ * Gets every player's season totals or advanced stats in one call
+ * @param {number} season - Season year
+ * @param {Object} options - { type: 'totals' or 'advanced', playoffs: true for playoff stats }
+ * @returns {Promise<Array|null>} Stat rows, or null for an unexpected response
+ */
+export async function fetchPlayerSeasonStats(season, { type = 'totals', playoffs = false } = {}) {
+  const dataset = type === 'advanced' ? 'PlayerDataAdvanced' : 'PlayerDataTotals';
+  const data = await callRestNbaApi(`${dataset}${playoffs ? 'Playoffs' : ''}/season/${season}`);
+  return Array.isArray(data) ? data : null;
+}
+
+/**
+ * Gets one player's game-by-game box scores for a season
+ * @param {string} playerId - Player ID without league prefix (e.g., "jamesle01")
+ * @param {number} season - Season year
+ * @param {Object} options - { playoffs: true for playoff games }
+ * @returns {Promise<Array|null>} Game log rows, or null for an unexpected response
+ */
+export async function fetchPlayerGameLog(playerId, season, { playoffs = false } = {}) {
+  const data = await callRestNbaApi(`PlayerDataGameLog${playoffs ? 'Playoffs' : ''}/player/${playerId}/season/${season}`);
+  return Array.isArray(data) ? data : null;
+}
+
+export default {
+  name: 'rest-nba-api',
+  fetchTeams,
+  fetchStandings,
+  fetchPlayers,
+  fetchPlayerSeasonStats,
+  fetchPlayerGameLog
+};
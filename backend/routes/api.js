@@ -8,9 +8,25 @@
  * The API is organized around resources:
  * - /teams/:league - Get all teams for a league
  * - /team/:teamId - Get a specific team and its roster
+ * - /team/:teamId/stats - Get team aggregates: scoring for/against, shooting, scoring share, minutes and ages
  * - /player/:playerId - Get detailed player information
- * - /top-players/:league - Get the top 5 players in a league
- * - /update - Trigger a data refresh from external sources
+ * - /player/:playerId/history - Get a player's stat snapshots across data updates
+ * - /player/:playerId/stints - Get a player's career as per-team stints, with splits for traded seasons
+ * - /top-players/:league - Get the top 5 trending players in a league
+ * - /analytics/zscores/:league - Get league-wide z-scores and outliers for key metrics
+ * - /analytics/heatmap/:league - Get a team x stat matrix, normalized per stat, for heat maps
+ * - /compare - Compare two or more players from the same league side by side
+ * - /leaderboards/:league - Rank players by any stored stat, with filters and per-game/per-minute modes
+ * - /fixtures/:league - Get a league's fixtures and results, optionally for one team or a date range
+ * - /fixtures/:fixtureId - Get one match with its event timeline and lineups
+ * - /auth/login, /auth/logout, /auth/me, /auth/users - Log in and manage users
+ * - /update - Start a data refresh from external sources as a background job (admin only, audited)
+ * - /update/:jobId - Get an update job's progress (/update/:jobId/events streams it; viewer or above)
+ * - /jobs - Get scheduled update jobs with next/last run times
+ * - /audit - Get the audit log of update requests (admin only)
+ * 
+ * NBA and EPL player, team, team stats, compare, heat map and leaderboard endpoints accept ?mode= to return
+ * totals, per-game, per-36 or per-100 possession (NBA) or per-90 (EPL) stats
  * 
  * Each route includes proper error handling and appropriate HTTP status codes
  */
@@ -20,8 +36,28 @@ import Team from '../models/Team.js';
 import Player from '../models/Player.js';
 import NbaPlayerStats from '../models/NBAPlayerStats.js';
 import EPLPlayerStats from '../models/EPLPlayerStats.js';
-import { updateSportsData, updateNbaDataOnly } from '../services/updateService.js';
+import NFLPlayerStats from '../models/NFLPlayerStats.js';
+import NbaGameLog from '../models/NBAGameLog.js';
+import { updateNbaDataOnly, getUpdateQuotaUsage, UPDATE_OPTIONS_SCHEMA, NBA_TEAM_UPDATE_SCHEMA } from '../services/updateService.js';
 import { updateNBATeam } from '../services/nbaService.js';
+import { computeZScores, computeTeamHeatmap, getLeaguePace, ZSCORE_METRICS, HEATMAP_COLUMNS, HEATMAP_DEFAULT_MODES } from '../services/analyticsService.js';
+import { computeTrending } from '../services/trendingService.js';
+import { comparePlayers, COMPARE_METRICS } from '../services/compareService.js';
+import { getTeamAggregates, TEAM_STATS_DEFAULT_MODES } from '../services/teamStatsService.js';
+import { getFixtures, getFixtureDetails, FIXTURE_LEAGUES } from '../services/fixtureService.js';
+import { getLeaderboard, resolveMetric, LEADERBOARD_METRICS, LEADERBOARD_MODES, DEFAULT_COLUMNS } from '../services/leaderboardService.js';
+import { STAT_MODES, isValidMode, getPlayingTime, normalizeSeasonStats, normalizeValue } from '../utils/statNormalization.js';
+import { calculateNormalizedStats, getDivisionAbbreviation } from '../utils/nbaStatsUtils.js';
+import { getPlayerHistory } from '../services/snapshotService.js';
+import { getPlayerStints } from '../services/stintService.js';
+import { getJobsStatus } from '../services/schedulerService.js';
+import { UpdateLockedError, getUpdateLock, acquireUpdateLock, releaseUpdateLock } from '../services/updateLockService.js';
+import { QuotaExceededError } from '../providers/httpClient.js';
+import { recordAudit, trackJobOutcome, getAuditLog } from '../services/auditService.js';
+import { validateAgainstSchema } from '../utils/schemaValidation.js';
+import { startUpdateJob, getJob, subscribeToJob, createEventsToken, isValidEventsToken } from '../services/updateJobService.js';
+import { login, revokeApiKey, createUser, toPublicUser, UserValidationError } from '../services/authService.js';
+import { requireRole, getApiKey } from '../middleware/auth.js';
 import sportsConfig from '../config/sportsConfig.js';
 import SystemInfo from '../models/SystemInfo.js';
 
@@ -69,10 +105,25 @@ function getTeamAbbreviation(teamName) {
   return abbrs[teamName] || teamName;
 }
 
+/**
+ * Reads the ?mode= stat normalization mode (see utils/statNormalization.js)
+ * @param {Object} req - Express request
+ * @param {string} league - 'NBA' or 'EPL'
+ * @param {string} defaultMode - Mode used when none is requested
+ * @returns {Object} { mode }, or { error } listing the league's modes when the mode isn't supported
+ */
+function parseStatMode(req, league, defaultMode) {
+  const mode = req.query.mode || defaultMode;
+  if (!isValidMode(league, mode)) {
+    return { error: `Mode must be one of: ${STAT_MODES[league].join(', ')}` };
+  }
+  return { mode };
+}
+
 /**
  * GET /api/available-seasons/:league
  * Returns a list of available seasons for a specific league based on stored stats data.
- * @param {string} req.params.league - League identifier (NBA, EPL)
+ * @param {string} req.params.league - League identifier (NBA, EPL, NFL)
  * @returns {Array} List of available season years, sorted descending.
  */
 router.get('/available-seasons/:league', async (req, res) => {
@@ -92,7 +143,11 @@ router.get('/available-seasons/:league', async (req, res) => {
       const results = await EPLPlayerStats.distinct('seasons.season');
       seasons = results.sort((a, b) => b - a); // Sort descending
     }
-    // Add NFL logic here if/when NFL seasons are implemented
+    else if (league === 'NFL') {
+      // Find distinct season years from the 'seasons' array within NFLPlayerStats
+      const results = await NFLPlayerStats.distinct('seasons.season');
+      seasons = results.sort((a, b) => b - a); // Sort descending
+    }
 
     res.json(seasons);
   } catch (error) {
@@ -106,7 +161,7 @@ router.get('/available-seasons/:league', async (req, res) => {
  * Fetches all teams for a specific league (NBA, EPL, NFL)
  * Teams are sorted differently based on the league:
  * - EPL: Sorted by standing rank (1st, 2nd, etc.)
- * - NBA: No specific sorting (frontend sorts alphabetically)
+ * - NBA: By conference, then position within the conference (teams carry conference, division and standings)
  * - NFL: The plan is to sort by win percentage
  * 
  * @param {string} req.params.league - League identifier (NBA, EPL, NFL)
@@ -130,8 +185,8 @@ router.get('/teams/:league', async (req, res) => {
           teams = await Team.find({ league }).sort({ 'standings.rank': 1 });
         }
       } else if (league === 'NBA') {
-        // NBA teams with no specific sorting (alphabetical sorting will be done on frontend)
-        teams = await Team.find({ league });
+        // NBA teams by conference, then conference position
+        teams = await Team.find({ league }).sort({ conference: 1, 'standings.rank': 1 });
       } else {
         // will sort NFL teams by win percentage if possible
         teams = await Team.find({ league }).sort({ 'standings.winPercentage': -1 });
@@ -152,7 +207,9 @@ router.get('/teams/:league', async (req, res) => {
  * 2. Fetches all players currently assigned to that team
  * 3. Returns both the team details and its players
  * @param {string} req.params.teamId - Team ID (e.g., "nba_14")
- * @returns {Object} Team details and player roster
+ * @param {number} req.query.season - Optional season; NBA and EPL player stats then come from that season
+ * @param {string} req.query.mode - Optional stat mode for season stats (default: 'perGame' for NBA, 'totals' for EPL)
+ * @returns {Object} Team details, player roster and the stat mode used
  */
 router.get('/team/:teamId', async (req, res) => {
   try {
@@ -162,6 +219,13 @@ router.get('/team/:teamId', async (req, res) => {
     const team = await Team.findOne({ teamId });
 
     if (!team) return res.status(404).json({ message: 'Team not found' });
+
+    let mode = null;
+    if (team.league === 'NBA' || team.league === 'EPL') {
+      const parsed = parseStatMode(req, team.league, team.league === 'NBA' ? 'perGame' : 'totals');
+      if (parsed.error) return res.status(400).json({ message: parsed.error });
+      mode = parsed.mode;
+    }
     
     // Basic players query
     let players = await Player.find({ teamId });
@@ -202,8 +266,10 @@ router.get('/team/:teamId', async (req, res) => {
         
         console.log(`Found ${playerIds.length} players for team ${teamName} in season ${season}`);
         
+
         // Now fetch these players from the Player collection
         players = await Player.find({ playerId: { $in: playerIds } });
+        const pace = mode === 'per100' ? await getLeaguePace(season) : undefined;
         
         // Process each player with their season-specific stats
         for (const player of players) {
@@ -214,16 +280,17 @@ router.get('/team/:teamId', async (req, res) => {
           
           const playerObj = player.toObject();
           
-          // Update player stats to use the selected season's data
+          // Update player stats to use the selected season's data, in the requested mode
+          const modeStats = calculateNormalizedStats(seasonData.totals, mode, getPlayingTime('NBA', seasonData, { pace }));
           playerObj.stats = {
             gamesPlayed: seasonData.totals.games || 0,
             gamesStarted: seasonData.totals.gamesStarted || 0,
             sportStats: {
-              points: seasonData.totals.games > 0 ? (seasonData.totals.points / seasonData.totals.games).toFixed(1) : "0",
-              rebounds: seasonData.totals.games > 0 ? (seasonData.totals.totalRb / seasonData.totals.games).toFixed(1) : "0",
-              assists: seasonData.totals.games > 0 ? (seasonData.totals.assists / seasonData.totals.games).toFixed(1) : "0",
-              blocks: seasonData.totals.games > 0 ? (seasonData.totals.blocks / seasonData.totals.games).toFixed(1) : "0",
-              steals: seasonData.totals.games > 0 ? (seasonData.totals.steals / seasonData.totals.games).toFixed(1) : "0"
+              points: seasonData.totals.games > 0 ? modeStats.points.toFixed(1) : "0",
+              rebounds: seasonData.totals.games > 0 ? modeStats.rebounds.toFixed(1) : "0",
+              assists: seasonData.totals.games > 0 ? modeStats.assists.toFixed(1) : "0",
+              blocks: seasonData.totals.games > 0 ? modeStats.blocks.toFixed(1) : "0",
+              steals: seasonData.totals.games > 0 ? modeStats.steals.toFixed(1) : "0"
             }
           };
           
@@ -301,15 +368,17 @@ router.get('/team/:teamId', async (req, res) => {
           if (seasonData) {
             hasSeasonData = true;
             
-            // Update player with this season's data
+            // Update player with this season's data, in the requested mode (rounded to 2 decimals)
+            const playingTime = getPlayingTime('EPL', seasonData);
+            const inMode = (value) => Math.round((normalizeValue(value || 0, mode, playingTime) || 0) * 100) / 100;
             playerObj.position = seasonData.position || playerObj.position;
             playerObj.stats = {
               gamesPlayed: seasonData.appearances || 0,
               sportStats: {
-                goals: seasonData.goals?.total || 0,
-                assists: seasonData.goals?.assists || 0,
-                yellowCards: seasonData.cards?.yellow || 0,
-                redCards: seasonData.cards?.red || 0
+                goals: inMode(seasonData.goals?.total),
+                assists: inMode(seasonData.goals?.assists),
+                yellowCards: inMode(seasonData.cards?.yellow),
+                redCards: inMode(seasonData.cards?.red)
               }
             };
           }
@@ -339,13 +408,55 @@ router.get('/team/:teamId', async (req, res) => {
       });
     }
     
-    res.json({ team, players: playersWithStats });
+    res.json({ team, players: playersWithStats, mode });
   } catch (error) {
     console.error('Error fetching team:', error);
     res.status(500).json({ message: error.message });
   }
 });
 
+/**
+ * GET /api/team/:teamId/stats
+ * Returns team-level aggregates built from the season stats of the team's players:
+ * points/goals for and against (against is a proxy, see services/teamStatsService.js),
+ * shooting splits, scoring share by player, minutes distribution and age profile
+ * @param {string} req.params.teamId - Team ID (e.g., "nba_14")
+ * @param {number} req.query.season - Optional season (default: the league's current season)
+ * @param {string} req.query.type - NBA only: 'regular' (default) or 'playoff'
+ * @param {string} req.query.mode - Stat mode for points/goals for and against (default: 'perGame' for NBA, 'totals' for EPL)
+ * @returns {Object} Team aggregates for the season
+ */
+router.get('/team/:teamId/stats', async (req, res) => {
+  try {
+    const team = await Team.findOne({ teamId: req.params.teamId });
+    if (!team) return res.status(404).json({ message: 'Team not found' });
+
+    if (team.league !== 'NBA' && team.league !== 'EPL') {
+      return res.status(400).json({ message: `Team stats are not available for ${team.league}` });
+    }
+
+    const defaultSeason = team.league === 'NBA' ? sportsConfig.nba.currentSeason : sportsConfig.epl.currentSeason;
+    const season = parseInt(req.query.season || defaultSeason, 10);
+    if (Number.isNaN(season)) {
+      return res.status(400).json({ message: 'Season must be a year' });
+    }
+
+    const { mode, error } = parseStatMode(req, team.league, TEAM_STATS_DEFAULT_MODES[team.league]);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json(await getTeamAggregates(team, {
+      season,
+      type: req.query.type?.toLowerCase() === 'playoff' ? 'playoff' : 'regular',
+      mode
+    }));
+  } catch (error) {
+    console.error('Error building team stats:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
  * GET /api/player/:playerId
  * Enhanced Player Details Endpoint
@@ -355,7 +466,10 @@ router.get('/team/:teamId', async (req, res) => {
  * - For NBA players, follows the reference to detailed NbaPlayerStats
  * - Calculates per-game statistics from the totals data
  * - Returns properly formatted statistics for the frontend
+ * - NBA/EPL: adds normalizedStats, the selected season with its counting stats in the requested mode
  * @param {string} req.params.playerId - Player's unique ID (e.g., "nba_jamesle01")
+ * @param {number} req.query.season - Optional season (default: most recent)
+ * @param {string} req.query.mode - Optional stat mode (default: 'perGame' for NBA, 'totals' for EPL)
  * @returns {Object} Player details including statistics
  */
 router.get('/player/:playerId', async (req, res) => {
@@ -363,6 +477,13 @@ router.get('/player/:playerId', async (req, res) => {
     const player = await Player.findOne({ playerId: req.params.playerId });
     if (!player) return res.status(404).json({ message: 'Player not found' });
 
+    let mode = null;
+    if (player.league === 'NBA' || player.league === 'EPL') {
+      const parsed = parseStatMode(req, player.league, player.league === 'NBA' ? 'perGame' : 'totals');
+      if (parsed.error) return res.status(400).json({ message: parsed.error });
+      mode = parsed.mode;
+    }
+
     // Get requested season from query parameter
     const requestedSeason = req.query.season ? parseInt(req.query.season) : null;
     console.log(`Player ${player.name} requested with season: ${requestedSeason || 'default'}`);
@@ -404,6 +525,11 @@ router.get('/player/:playerId', async (req, res) => {
           
           playerObj.team = currentSeason.team;
 
+          const pace = mode === 'per100' ? await getLeaguePace(currentSeason.season) : undefined;
+          const playingTime = getPlayingTime('NBA', currentSeason, { pace });
+          playerObj.mode = mode;
+          playerObj.normalizedStats = normalizeSeasonStats('NBA', currentSeason, mode, playingTime);
+
           // Add derived stats to maintain API compatibility
           playerObj.stats = {
             gamesPlayed: currentSeason.totals.games || 0,
@@ -413,12 +539,13 @@ router.get('/player/:playerId', async (req, res) => {
 
           // Only add stats if there are games played (avoid division by zero)
           if (currentSeason.totals && currentSeason.totals.games > 0) {
+            const modeStats = calculateNormalizedStats(currentSeason.totals, mode, playingTime);
             playerObj.stats.sportStats = {
-              points: (currentSeason.totals.points / currentSeason.totals.games).toFixed(1),
-              rebounds: (currentSeason.totals.totalRb / currentSeason.totals.games).toFixed(1),
-              assists: (currentSeason.totals.assists / currentSeason.totals.games).toFixed(1),
-              blocks: (currentSeason.totals.blocks / currentSeason.totals.games).toFixed(1),
-              steals: (currentSeason.totals.steals / currentSeason.totals.games).toFixed(1)
+              points: modeStats.points.toFixed(1),
+              rebounds: modeStats.rebounds.toFixed(1),
+              assists: modeStats.assists.toFixed(1),
+              blocks: modeStats.blocks.toFixed(1),
+              steals: modeStats.steals.toFixed(1)
             };
           }
         }
@@ -456,12 +583,40 @@ router.get('/player/:playerId', async (req, res) => {
             currentSeason,
             ...sortedSeasons.filter(s => s.season !== currentSeason.season)
           ];
+
+          playerObj.mode = mode;
+          playerObj.normalizedStats = normalizeSeasonStats('EPL', currentSeason, mode, getPlayingTime('EPL', currentSeason));
+        }
+      }
+    }
+    else if (player.league === 'NFL' && player.nflStatsRef) {
+      const nflStats = await NFLPlayerStats.findOne({ playerId: player.nflStatsRef });
+
+      if (nflStats) {
+        playerObj.photo = nflStats.image;
+        playerObj.college = nflStats.college;
+        playerObj.experience = nflStats.experience;
+
+        if (nflStats.seasons && nflStats.seasons.length > 0) {
+          // Sort seasons by descending order
+          const sortedSeasons = [...nflStats.seasons].sort((a, b) => b.season - a.season);
+
+          // Find requested season or use most recent
+          const currentSeason = requestedSeason ?
+            sortedSeasons.find(s => s.season === requestedSeason) || sortedSeasons[0] :
+            sortedSeasons[0];
+
+          // Make the selected season the first one in the array, same as EPL
+          playerObj.seasons = [
+            currentSeason,
+            ...sortedSeasons.filter(s => s.season !== currentSeason.season)
+          ];
         }
       }
     }
 
-    if (playerObj.stats && playerObj.stats.sportStats) {
-      // For non-NBA players, convert Map to object as before
+    if (playerObj.stats && playerObj.stats.sportStats instanceof Map) {
+      // For non-NBA players, convert Map to object as before (NBA season stats are already plain objects)
       playerObj.stats.sportStats = Object.fromEntries(player.stats.sportStats);
     }
     
@@ -472,6 +627,71 @@ router.get('/player/:playerId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/player/:playerId/history
+ * Returns how a player's season numbers evolved across data updates, oldest first
+ * Built from the stat snapshots recorded after every updateSportsData run
+ *
+ * @param {string} req.params.playerId - Player ID with league prefix (e.g., "nba_jamesle01")
+ * @param {number} req.query.season - Optional season year (defaults to the league's current season)
+ * @param {string} req.query.type - Optional NBA season type: regular or playoff
+ * @param {string} req.query.interval - Optional 'update' (every snapshot, default) or 'week' (one point per week)
+ * @returns {Object} { playerId, league, name, season, type, interval, count, points }
+ */
+router.get('/player/:playerId/history', async (req, res) => {
+  try {
+    const { playerId } = req.params;
+    const league = playerId.split('_')[0].toUpperCase();
+    if (!['NBA', 'EPL', 'NFL'].includes(league)) {
+      return res.status(400).json({ message: `Player ID must start with nba_, epl_ or nfl_: ${playerId}` });
+    }
+
+    const interval = req.query.interval || 'update';
+    if (!['update', 'week'].includes(interval)) {
+      return res.status(400).json({ message: `Invalid interval: ${interval}. Use 'update' or 'week'` });
+    }
+
+    const season = req.query.season
+      ? parseInt(req.query.season, 10)
+      : sportsConfig[league.toLowerCase()].currentSeason;
+    if (Number.isNaN(season)) {
+      return res.status(400).json({ message: `Invalid season: ${req.query.season}` });
+    }
+
+    const type = req.query.type === 'playoff' ? 'playoff' : 'regular';
+    const history = await getPlayerHistory(playerId, { season, type, interval });
+
+    res.json(history);
+  } catch (error) {
+    console.error(`Error fetching stat history for ${req.params.playerId}:`, error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * GET /api/player/:playerId/stints
+ * Returns a player's career team by team: one stint per team per season, so traded (NBA) or
+ * transferred (EPL) players show each team's games and stats instead of the combined line
+ *
+ * @param {string} req.params.playerId - Player ID with league prefix (e.g., "nba_hardeja01")
+ * @returns {Object} { playerId, league, name, seasons: [{ season, seasonType, traded, stints }] }
+ */
+router.get('/player/:playerId/stints', async (req, res) => {
+  try {
+    const { playerId } = req.params;
+    const league = playerId.split('_')[0].toUpperCase();
+    if (!['NBA', 'EPL'].includes(league)) {
+      return res.status(400).json({ message: `Stints are only tracked for NBA and EPL players: ${playerId}` });
+    }
+
+    const stints = await getPlayerStints(playerId);
+    res.json(stints);
+  } catch (error) {
+    console.error(`Error fetching stints for ${req.params.playerId}:`, error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
  * GET /api/nba-stats/player/:playerId
  * Fetches comprehensive NBA statistics for a specific player
@@ -497,6 +717,61 @@ router.get('/nba-stats/player/:playerId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/nba-stats/player/:playerId/games
+ * Fetches a player's per-game box scores, newest first
+ * Also returns averages over the returned games so the frontend can show recent form
+ * @param {string} req.params.playerId - Player's unique ID (without the "nba_" prefix)
+ * @param {number} req.query.season - Season year (default: from config)
+ * @param {number} req.query.last - Optional number of most recent games to return
+ * @param {string} req.query.type - Optional type ('regular' or 'playoff')
+ * @returns {Object} Game log entries and averages over those games
+ */
+router.get('/nba-stats/player/:playerId/games', async (req, res) => {
+  try {
+    const playerId = req.params.playerId;
+    const season = parseInt(req.query.season || sportsConfig.nba.currentSeason, 10);
+    const seasonType = req.query.type?.toLowerCase() === 'playoff' ? 'playoff' : 'regular';
+    const last = req.query.last ? parseInt(req.query.last, 10) : null;
+
+    if (last !== null && (Number.isNaN(last) || last <= 0)) {
+      return res.status(400).json({ message: 'last must be a positive number of games' });
+    }
+
+    let query = NbaGameLog.find({ playerId, season, seasonType }).sort({ gameDate: -1 });
+    if (last) query = query.limit(last);
+    const games = await query.lean();
+
+    // Averages over the returned games (recent form when "last" is set)
+    const averageFields = ['minutes', 'points', 'totalRb', 'assists', 'steals', 'blocks', 'turnovers', 'plusMinus'];
+    const averages = {};
+    for (const field of averageFields) {
+      const values = games.map(g => g[field]).filter(v => typeof v === 'number');
+      averages[field] = values.length > 0
+        ? parseFloat((values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(1))
+        : null;
+    }
+
+    // Shooting percentages are recomputed from makes/attempts rather than averaged
+    const sum = field => games.reduce((total, g) => total + (g[field] || 0), 0);
+    averages.fieldPercent = sum('fieldAttempts') > 0 ? sum('fieldGoals') / sum('fieldAttempts') : null;
+    averages.threePercent = sum('threeAttempts') > 0 ? sum('threeFg') / sum('threeAttempts') : null;
+    averages.ftPercent = sum('ftAttempts') > 0 ? sum('ft') / sum('ftAttempts') : null;
+
+    res.json({
+      playerId,
+      season,
+      type: seasonType,
+      count: games.length,
+      averages,
+      games
+    });
+  } catch (error) {
+    console.error('Error fetching player game log:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
 * GET /api/nba-stats/player/:playerId/season/:season
 * Fetches specific season NBA statistics for a player
@@ -595,6 +870,351 @@ router.get('/nba-stats/visualization/efficiency-usage', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/compare
+ * Head-to-head player comparison
+ *
+ * Returns per-game, shooting and advanced metrics aligned across the requested players,
+ * which player leads each metric, and league percentiles for a radar chart
+ *
+ * @param {string} req.query.players - Comma-separated player IDs from one league (e.g., "nba_jamesle01,nba_curryst01")
+ * @param {number} req.query.season - Season year (default: from config)
+ * @param {string} req.query.type - NBA only: 'regular' or 'playoff'
+ * @param {string} req.query.mode - Stat mode for the counting stats section (default: 'perGame')
+ * @returns {Object} { league, season, mode, players, sections, radar }, 400 for invalid players or 404 if a player has no stats
+ */
+router.get('/compare', async (req, res) => {
+  try {
+    const playerIds = [...new Set((req.query.players || '').split(',').map(id => id.trim()).filter(Boolean))];
+    const { maxPlayers } = sportsConfig.compare;
+
+    if (playerIds.length < 2 || playerIds.length > maxPlayers) {
+      return res.status(400).json({ message: `Provide between 2 and ${maxPlayers} player IDs to compare` });
+    }
+
+    const leagues = new Set(playerIds.map(id => id.split('_')[0].toUpperCase()));
+    if (leagues.size > 1) {
+      return res.status(400).json({ message: 'Players must all be from the same league' });
+    }
+
+    const [league] = leagues;
+    if (!COMPARE_METRICS[league]) {
+      return res.status(400).json({ message: `Player comparison is not available for ${league}` });
+    }
+
+    const defaultSeason = league === 'NBA' ? sportsConfig.nba.currentSeason : sportsConfig.epl.currentSeason;
+    const season = parseInt(req.query.season || defaultSeason, 10);
+    if (Number.isNaN(season)) {
+      return res.status(400).json({ message: 'Season must be a year' });
+    }
+
+    const { mode, error } = parseStatMode(req, league, 'perGame');
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const comparison = await comparePlayers(league, playerIds, {
+      season,
+      type: req.query.type?.toLowerCase() === 'playoff' ? 'playoff' : 'regular',
+      mode
+    });
+
+    if (comparison.missing.length > 0) {
+      return res.status(404).json({
+        message: `No stats found for: ${comparison.missing.join(', ')}`,
+        missing: comparison.missing
+      });
+    }
+
+    res.json(comparison);
+  } catch (error) {
+    console.error('Error comparing players:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * GET /api/leaderboards/:league/metrics
+ * Lists the stats a league's leaderboards can be ranked by, and the supported modes
+ * @param {string} req.params.league - League identifier (NBA, EPL)
+ * @returns {Object} { league, modes, defaultColumns, metrics: [{ key, label, group, normalizable, lowerIsBetter, format }] }
+ */
+router.get('/leaderboards/:league/metrics', (req, res) => {
+  const league = req.params.league.toUpperCase();
+  const metrics = LEADERBOARD_METRICS[league];
+  if (!metrics) {
+    return res.status(400).json({ message: `Leaderboards are not available for ${req.params.league}` });
+  }
+
+  res.json({
+    league,
+    modes: LEADERBOARD_MODES[league],
+    defaultColumns: DEFAULT_COLUMNS[league],
+    metrics: Object.entries(metrics).map(([key, metric]) => ({ key, ...metric }))
+  });
+});
+
+/**
+ * GET /api/leaderboards/:league
+ * Stat Leaderboard Endpoint
+ *
+ * Ranks every qualifying player by any numeric season stat (NBA totals/advanced, EPL season stats)
+ *
+ * @param {string} req.params.league - League identifier (NBA, EPL)
+ * @param {string} req.query.metric - Stat to rank by, e.g. 'totals.points' or just 'points' (default: first default column)
+ * @param {number} req.query.season - Season year (default: from config)
+ * @param {string} req.query.type - NBA only: 'regular' or 'playoff'
+ * @param {string} req.query.mode - 'totals', 'perGame', 'per36'/'per100' (NBA) or 'per90' (EPL) (default: 'totals')
+ * @param {string} req.query.position - Comma-separated positions to include (e.g., 'PG,SG' or 'Midfielder')
+ * @param {string} req.query.team - Team to include (abbreviation for NBA, name for EPL)
+ * @param {number} req.query.minGames - Minimum games (NBA) or appearances (EPL) (default: from config)
+ * @param {number} req.query.limit - Players per page (default/max: from config)
+ * @param {number} req.query.page - Page number (default: 1)
+ * @param {string} req.query.order - 'desc' or 'asc' (default: best first for the metric)
+ * @returns {Object} { metric, columns, total, page, pages, players }
+ */
+router.get('/leaderboards/:league', async (req, res) => {
+  try {
+    const league = req.params.league.toUpperCase();
+    if (!LEADERBOARD_METRICS[league]) {
+      return res.status(400).json({ message: `Leaderboards are not available for ${req.params.league}` });
+    }
+
+    const metric = resolveMetric(league, req.query.metric || DEFAULT_COLUMNS[league][0]);
+    if (!metric) {
+      return res.status(400).json({
+        message: `Unknown or ambiguous metric: ${req.query.metric}. See /api/leaderboards/${league}/metrics`
+      });
+    }
+
+    const { mode, error } = parseStatMode(req, league, 'totals');
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (req.query.order && !['asc', 'desc'].includes(req.query.order)) {
+      return res.status(400).json({ message: "Order must be 'asc' or 'desc'" });
+    }
+
+    const { defaultLimit, maxLimit, minGames } = sportsConfig.leaderboards;
+    const defaultSeason = league === 'NBA' ? sportsConfig.nba.currentSeason : sportsConfig.epl.currentSeason;
+    const season = parseInt(req.query.season || defaultSeason, 10);
+    const limit = parseInt(req.query.limit || defaultLimit, 10);
+    const page = parseInt(req.query.page || 1, 10);
+    const minimumGames = parseInt(req.query.minGames ?? minGames[league], 10);
+
+    if ([season, limit, page, minimumGames].some(Number.isNaN) || limit < 1 || limit > maxLimit || page < 1 || minimumGames < 0) {
+      return res.status(400).json({
+        message: `season, page and minGames must be numbers, and limit must be between 1 and ${maxLimit}`
+      });
+    }
+
+    res.json(await getLeaderboard(league, {
+      metric,
+      season,
+      type: req.query.type?.toLowerCase() === 'playoff' ? 'playoff' : 'regular',
+      mode,
+      positions: req.query.position ? req.query.position.split(',').map(p => p.trim()).filter(Boolean) : [],
+      team: req.query.team || null,
+      minGames: minimumGames,
+      order: req.query.order || null,
+      limit,
+      page
+    }));
+  } catch (error) {
+    console.error('Error building leaderboard:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * GET /api/analytics/zscores/:league
+ * Z-Score Outlier Analysis Endpoint
+ *
+ * Computes league-wide mean and standard deviation for key metrics in a season
+ * and returns each qualifying player's z-score per metric, flagging outliers
+ *
+ * @param {string} req.params.league - League identifier (NBA, EPL)
+ * @param {number} req.query.season - Season year (default: from config)
+ * @param {string} req.query.metric - Optional metric key, or comma-separated keys (default: all metrics)
+ * @param {string} req.query.type - NBA only: 'regular' or 'playoff'
+ * @param {number} req.query.threshold - Absolute z-score that counts as an outlier (default: from config)
+ * @param {number} req.query.minGames - Minimum games (NBA) or appearances (EPL) to qualify
+ * @param {string} req.query.playerId - Optional player ID (e.g., "nba_jamesle01") to return only that player
+ * @returns {Object} League statistics per metric and players sorted by their largest z-score,
+ *                   or 400 for an unknown league or metric, or a non-numeric or negative threshold or minGames
+ */
+router.get('/analytics/zscores/:league', async (req, res) => {
+  try {
+    const league = req.params.league.toUpperCase();
+    const metricDefs = ZSCORE_METRICS[league];
+
+    if (!metricDefs) {
+      return res.status(400).json({ message: `Z-score analysis is not available for ${req.params.league}` });
+    }
+
+    // Validate requested metrics against the league's metric list
+    const metrics = req.query.metric ? req.query.metric.split(',') : Object.keys(metricDefs);
+    const unknownMetrics = metrics.filter(m => !metricDefs[m]);
+    if (unknownMetrics.length > 0) {
+      return res.status(400).json({
+        message: `Unknown metric(s): ${unknownMetrics.join(', ')}`,
+        availableMetrics: Object.keys(metricDefs)
+      });
+    }
+
+    const defaultSeason = league === 'NBA' ? sportsConfig.nba.currentSeason : sportsConfig.epl.currentSeason;
+    const options = {
+      season: parseInt(req.query.season || defaultSeason, 10),
+      type: req.query.type?.toLowerCase() === 'playoff' ? 'playoff' : 'regular',
+      metrics
+    };
+    if (req.query.threshold) options.threshold = parseFloat(req.query.threshold);
+    if (req.query.minGames) options.minGames = parseInt(req.query.minGames, 10);
+
+    if ([options.season, options.threshold, options.minGames].some(Number.isNaN) || options.threshold < 0 || options.minGames < 0) {
+      return res.status(400).json({ message: 'season, threshold and minGames must be numbers, and threshold and minGames cannot be negative' });
+    }
+
+    const analysis = await computeZScores(league, options);
+
+    // Sort by the requested metric, or by each player's most extreme z-score
+    const sortScore = player => metrics.length === 1
+      ? (player.zScores[metrics[0]] ?? -Infinity)
+      : Math.max(...Object.values(player.zScores).map(z => (z === null ? -Infinity : Math.abs(z))));
+    analysis.players.sort((a, b) => sortScore(b) - sortScore(a));
+
+    if (req.query.playerId) {
+      analysis.players = analysis.players.filter(p => p.playerId === req.query.playerId);
+    }
+
+    res.json(analysis);
+  } catch (error) {
+    console.error('Error computing z-scores:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * GET /api/analytics/heatmap/:league
+ * Team Heat Map Endpoint
+ *
+ * Aggregates player season stats per team (NBA: per-game scoring, TS%, rebounds, assists...;
+ * EPL: goals, key passes, tackles, duels...) and normalizes each stat across teams to 0-1
+ *
+ * @param {string} req.params.league - League identifier (NBA, EPL)
+ * @param {number} req.query.season - Season year (default: from config)
+ * @param {string} req.query.type - NBA only: 'regular' or 'playoff'
+ * @param {string} req.query.mode - Stat mode for counting stats (default: 'perGame' for NBA, 'totals' for EPL)
+ * @returns {Object} { league, season, mode, columns, teams } with raw and normalized values per team
+ */
+router.get('/analytics/heatmap/:league', async (req, res) => {
+  try {
+    const league = req.params.league.toUpperCase();
+    if (!HEATMAP_COLUMNS[league]) {
+      return res.status(400).json({ message: `Heat maps are not available for ${req.params.league}` });
+    }
+
+    const defaultSeason = league === 'NBA' ? sportsConfig.nba.currentSeason : sportsConfig.epl.currentSeason;
+    const season = parseInt(req.query.season || defaultSeason, 10);
+    if (Number.isNaN(season)) {
+      return res.status(400).json({ message: 'Season must be a year' });
+    }
+
+    const { mode, error } = parseStatMode(req, league, HEATMAP_DEFAULT_MODES[league]);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json(await computeTeamHeatmap(league, {
+      season,
+      type: req.query.type?.toLowerCase() === 'playoff' ? 'playoff' : 'regular',
+      mode
+    }));
+  } catch (error) {
+    console.error('Error building team heat map:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Reads an optional date query parameter (YYYY-MM-DD or a full ISO timestamp)
+ * @param {string} value - Query value
+ * @param {boolean} endOfDay - For a date-only value, use the end of that day (UTC) instead of its start
+ * @returns {Object} { date } (undefined when not given), or { error } when the value isn't a date
+ */
+function parseDateParam(value, endOfDay = false) {
+  if (!value) return { date: undefined };
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly && endOfDay ? `${value}T23:59:59.999Z` : value);
+  if (Number.isNaN(date.getTime())) return { error: true };
+  return { date };
+}
+
+/**
+ * GET /api/fixtures/:fixtureId
+ * Returns one match with its goals, cards, substitutions and VAR decisions in order, and both
+ * starting XIs with formations. Registered before /fixtures/:league, which it would otherwise match
+ * @param {string} req.params.fixtureId - Fixture ID (e.g., "epl_1208021")
+ * @returns {Object} { fixture, timeline, lineups: { home, away } }
+ */
+router.get('/fixtures/:fixtureId(epl_\\d+)', async (req, res) => {
+  try {
+    const details = await getFixtureDetails(req.params.fixtureId);
+    if (!details) return res.status(404).json({ message: 'Fixture not found' });
+
+    res.json(details);
+  } catch (error) {
+    console.error('Error fetching fixture details:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * GET /api/fixtures/:league
+ * Returns a league's fixtures and results for a season, in kick-off order
+ * @param {string} req.params.league - League identifier (EPL)
+ * @param {number} req.query.season - Optional season (default: the league's current season)
+ * @param {string} req.query.team - Optional teamId (e.g., "epl_42") or team name to only return that team's matches
+ * @param {string} req.query.from - Optional earliest kick-off date (YYYY-MM-DD, inclusive)
+ * @param {string} req.query.to - Optional latest kick-off date (YYYY-MM-DD, inclusive)
+ * @returns {Object} { league, season, team, from, to, count, fixtures }
+ */
+router.get('/fixtures/:league', async (req, res) => {
+  try {
+    const league = req.params.league.toUpperCase() === 'PREMIER LEAGUE' ? 'EPL' : req.params.league.toUpperCase();
+    if (!FIXTURE_LEAGUES.includes(league)) {
+      return res.status(400).json({ message: `Fixtures are not available for ${req.params.league}` });
+    }
+
+    const season = parseInt(req.query.season || sportsConfig.epl.currentSeason, 10);
+    if (Number.isNaN(season)) {
+      return res.status(400).json({ message: 'Season must be a year' });
+    }
+
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to, true);
+    if (from.error || to.error) {
+      return res.status(400).json({ message: 'from and to must be dates (YYYY-MM-DD)' });
+    }
+
+    const fixtures = await getFixtures(league, { season, team: req.query.team, from: from.date, to: to.date });
+
+    res.json({
+      league,
+      season,
+      team: req.query.team || null,
+      from: from.date || null,
+      to: to.date || null,
+      count: fixtures.length,
+      fixtures
+    });
+  } catch (error) {
+    console.error('Error fetching fixtures:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
  * GET /api/search
  * Searches for players and teams matching a query string
@@ -633,210 +1253,294 @@ router.get('/search', async (req, res) => {
   }
 });
 
+/**
+ * Returns the season leaders for a league, used as the homepage fallback
+ * when there are not enough stat snapshots to measure recent form
+ * - NBA: points per game
+ * - EPL: total goals
+ * - NFL: total touchdowns
+ * @param {string} league - League code (NBA, EPL, NFL)
+ * @param {number|null} season - Season year, or null for the current data
+ * @returns {Promise<Array>} Up to 10 players as { id, name }
+ */
+async function getSeasonLeaders(league, season) {
+  let result = [];
+
+  // NBA top players with optimized aggregation
+  if (league === 'NBA') {
+    if (season) {
+      // Find top NBA players for a specific season
+      const topNbaPlayers = await NbaPlayerStats.aggregate([
+        // Match players who have stats for this season
+        { $match: { 'regularSeasons.season': season } }, // Like a WHERE clause in SQL
+        
+        // Unwind to work with individual seasons
+        { $unwind: '$regularSeasons' }, // Get separate documents for each player-season combination
+        
+        // Filter for the specific season
+        { $match: { 'regularSeasons.season': season } },
+        
+        // Calculate PPG on the server side
+        { $addFields: {
+          ppg: { 
+            $cond: [
+              { $gt: ['$regularSeasons.totals.games', 0] }, // IF games > 0
+              { $divide: ['$regularSeasons.totals.points', '$regularSeasons.totals.games'] }, // THEN points / games
+              0 // ELSE 0
+            ]
+          },
+          team: '$regularSeasons.team',
+          position: '$regularSeasons.position'
+        }},
+        
+        // Sort by PPG descending
+        { $sort: { ppg: -1 } },
+        
+        // Limit to top 10 (we'll further refine after team info is added)
+        { $limit: 10 },
+        
+        // Project only needed fields
+        { $project: {
+          _id: 0,
+          playerId: 1,
+          name: 1,
+          team: 1,
+          ppg: { $round: ['$ppg', 1] }
+        }}
+      ]);
+      
+      // Format results with team abbreviations
+      result = await Promise.all(topNbaPlayers.map(async (player) => {
+        const fullPlayer = await Player.findOne({ nbaStatsRef: player.playerId });
+        const teamId = fullPlayer?.teamId || '';
+        const team = await Team.findOne({ teamId });
+        const teamAbbr = getTeamAbbreviation(team?.displayName || player.team);
+        
+        return {
+          id: `nba_${player.playerId}`,
+          name: `${player.name} (${teamAbbr}) - ${player.ppg} ppg`
+        };
+      }));
+    } else {
+      // For current season, use the Player model with sportStats
+      const topNbaPlayers = await Player.aggregate([
+        // Match NBA players with games played
+        { $match: { 
+          league: 'NBA', 
+          'stats.gamesPlayed': { $gt: 0 } 
+        }},
+        
+        // Add calculated PPG field
+        { $addFields: {
+          ppg: { 
+            $cond: [
+              { $gt: ['$stats.gamesPlayed', 0] },
+              { $divide: [
+                { $ifNull: [{ $toDouble: { $getField: { field: 'points', input: '$stats.sportStats' }}}, 0] },
+                '$stats.gamesPlayed'
+              ]},
+              0
+            ]
+          }
+        }},
+        
+        // Sort by PPG descending
+        { $sort: { ppg: -1 } },
+        
+        // Limit to top 10
+        { $limit: 10 },
+        
+        // Project only needed fields
+        { $project: {
+          _id: 0,
+          playerId: 1,
+          name: 1,
+          teamId: 1,
+          ppg: 1
+        }}
+      ]);
+      
+      // Format results with team abbreviations
+      result = await Promise.all(topNbaPlayers.map(async (player) => {
+        const team = await Team.findOne({ teamId: player.teamId });
+        const teamAbbr = getTeamAbbreviation(team?.displayName || 'Unknown');
+        
+        return {
+          id: player.playerId,
+          name: `${player.name} (${teamAbbr}) - ${player.ppg.toFixed(1)} ppg`
+        };
+      }));
+    }
+  } 
+  // EPL top players with optimized aggregation
+  else if (league === 'EPL') {
+    if (season) {
+      // Find top EPL players for a specific season
+      const topEplPlayerStats = await EPLPlayerStats.aggregate([
+        // Match players who have stats for this season
+        { $match: { 'seasons.season': season } },
+        
+        // Unwind to work with individual seasons
+        { $unwind: '$seasons' },
+        
+        // Filter for the specific season
+        { $match: { 'seasons.season': season } },
+        
+        // Sort by goals descending
+        { $sort: { 'seasons.goals.total': -1 } },
+        
+        // Limit to top 10
+        { $limit: 10 },
+        
+        // Project only needed fields
+        { $project: {
+          _id: 0,
+          playerId: 1,
+          name: 1,
+          teamId: { $concat: ['epl_', { $toString: '$seasons.teamId' }] },
+          team: '$seasons.team',
+          goals: { $ifNull: ['$seasons.goals.total', 0] }
+        }}
+      ]);
+      
+      // Format results with team info
+      result = await Promise.all(topEplPlayerStats.map(async (player) => {
+        const fullPlayer = await Player.findOne({ playerId: `epl_${player.playerId}` });
+        const team = await Team.findOne({ teamId: fullPlayer?.teamId || player.teamId });
+        const teamAbbr = team?.name?.split(' ')[0] || player.team?.split(' ')[0] || 'Unknown';
+        
+        return {
+          id: `epl_${player.playerId}`,
+          name: `${player.name} (${teamAbbr}) - ${player.goals} goals`
+        };
+      }));
+    } else {
+      // For current season, use the Player model with sportStats
+      const topEplPlayers = await Player.aggregate([
+        // Match EPL players
+        { $match: { league: 'EPL' } },
+        
+        // Sort by goals descending
+        { $sort: { 'stats.sportStats.goals': -1 } },
+        
+        // Limit to top 10
+        { $limit: 10 },
+        
+        // Project only needed fields
+        { $project: {
+          _id: 0,
+          playerId: 1,
+          name: 1,
+          teamId: 1,
+          goals: { $ifNull: [{ $getField: { field: 'goals', input: '$stats.sportStats' }}, 0] }
+        }}
+      ]);
+      
+      // Format results with team info
+      result = await Promise.all(topEplPlayers.map(async (player) => {
+        const team = await Team.findOne({ teamId: player.teamId });
+        const teamAbbr = team?.name?.split(' ')[0] || 'Unknown';
+        
+        return {
+          id: player.playerId,
+          name: `${player.name} (${teamAbbr}) - ${player.goals} goals`
+        };
+      }));
+    }
+  } 
+  // NFL leaders by total touchdowns (passing + rushing + receiving)
+  else if (league === 'NFL') {
+    const nflSeason = season || sportsConfig.nfl.currentSeason;
+    const topNflPlayers = await NFLPlayerStats.aggregate([
+      { $match: { 'seasons.season': nflSeason } },
+      { $unwind: '$seasons' },
+      { $match: { 'seasons.season': nflSeason } },
+      { $addFields: {
+        touchdowns: { $add: [
+          { $ifNull: ['$seasons.passing.touchdowns', 0] },
+          { $ifNull: ['$seasons.rushing.touchdowns', 0] },
+          { $ifNull: ['$seasons.receiving.touchdowns', 0] }
+        ]}
+      }},
+      { $sort: { touchdowns: -1 } },
+      { $limit: 10 },
+      { $project: {
+        _id: 0,
+        playerId: 1,
+        name: 1,
+        team: '$seasons.team',
+        touchdowns: 1
+      }}
+    ]);
+
+    result = topNflPlayers.map(player => ({
+      id: `nfl_${player.playerId}`,
+      name: `${player.name} (${player.team}) - ${player.touchdowns} TD`
+    }));
+  }
+
+  return result;
+}
+
 /**
  * GET /api/top-players/:league
- * Returns the top 5 players from a league sorted by performance metrics
- * Using MongoDB aggregation for better performance
+ * Returns the top 5 trending players in a league: recent form compared with each
+ * player's season baseline, computed from successive stat snapshots (see trendingService)
+ * Falls back to the season leaders when there are not enough snapshots yet
+ *
+ * @param {string} req.params.league - League code (NBA, EPL, NFL)
+ * @param {number} req.query.season - Optional season year
+ * @param {string} req.query.window - Optional trend window: 7d, 14d or 30d (default from sportsConfig)
+ * @param {string} req.query.type - Optional NBA season type: regular or playoff
+ * @returns {Array} Players with { id, name, trending, reason } and, when trending,
+ *                  { score, gamesInWindow, window, components }
  */
 router.get('/top-players/:league', async (req, res) => {
   try {
     const league = req.params.league.toUpperCase();
     const season = req.query.season ? parseInt(req.query.season, 10) : null;
-    let result = [];
+    const window = req.query.window || sportsConfig.trending.defaultWindow;
+    const type = req.query.type === 'playoff' ? 'playoff' : 'regular';
 
-    // NBA top players with optimized aggregation
-    if (league === 'NBA') {
-      if (season) {
-        // Find top NBA players for a specific season
-        const topNbaPlayers = await NbaPlayerStats.aggregate([
-          // Match players who have stats for this season
-          { $match: { 'regularSeasons.season': season } }, // Like a WHERE clause in SQL
-          
-          // Unwind to work with individual seasons
-          { $unwind: '$regularSeasons' }, // Get separate documents for each player-season combination
-          
-          // Filter for the specific season
-          { $match: { 'regularSeasons.season': season } },
-          
-          // Calculate PPG on the server side
-          { $addFields: {
-            ppg: { 
-              $cond: [
-                { $gt: ['$regularSeasons.totals.games', 0] }, // IF games > 0
-                { $divide: ['$regularSeasons.totals.points', '$regularSeasons.totals.games'] }, // THEN points / games
-                0 // ELSE 0
-              ]
-            },
-            team: '$regularSeasons.team',
-            position: '$regularSeasons.position'
-          }},
-          
-          // Sort by PPG descending
-          { $sort: { ppg: -1 } },
-          
-          // Limit to top 10 (we'll further refine after team info is added)
-          { $limit: 10 },
-          
-          // Project only needed fields
-          { $project: {
-            _id: 0,
-            playerId: 1,
-            name: 1,
-            team: 1,
-            ppg: { $round: ['$ppg', 1] }
-          }}
-        ]);
-        
-        // Format results with team abbreviations
-        result = await Promise.all(topNbaPlayers.map(async (player) => {
-          const fullPlayer = await Player.findOne({ nbaStatsRef: player.playerId });
-          const teamId = fullPlayer?.teamId || '';
-          const team = await Team.findOne({ teamId });
-          const teamAbbr = getTeamAbbreviation(team?.displayName || player.team);
-          
-          return {
-            id: `nba_${player.playerId}`,
-            name: `${player.name} (${teamAbbr}) - ${player.ppg} ppg`
-          };
-        }));
-      } else {
-        // For current season, use the Player model with sportStats
-        const topNbaPlayers = await Player.aggregate([
-          // Match NBA players with games played
-          { $match: { 
-            league: 'NBA', 
-            'stats.gamesPlayed': { $gt: 0 } 
-          }},
-          
-          // Add calculated PPG field
-          { $addFields: {
-            ppg: { 
-              $cond: [
-                { $gt: ['$stats.gamesPlayed', 0] },
-                { $divide: [
-                  { $ifNull: [{ $toDouble: { $getField: { field: 'points', input: '$stats.sportStats' }}}, 0] },
-                  '$stats.gamesPlayed'
-                ]},
-                0
-              ]
-            }
-          }},
-          
-          // Sort by PPG descending
-          { $sort: { ppg: -1 } },
-          
-          // Limit to top 10
-          { $limit: 10 },
-          
-          // Project only needed fields
-          { $project: {
-            _id: 0,
-            playerId: 1,
-            name: 1,
-            teamId: 1,
-            ppg: 1
-          }}
-        ]);
-        
-        // Format results with team abbreviations
-        result = await Promise.all(topNbaPlayers.map(async (player) => {
-          const team = await Team.findOne({ teamId: player.teamId });
-          const teamAbbr = getTeamAbbreviation(team?.displayName || 'Unknown');
-          
-          return {
-            id: player.playerId,
-            name: `${player.name} (${teamAbbr}) - ${player.ppg.toFixed(1)} ppg`
-          };
-        }));
-      }
-    } 
-    // EPL top players with optimized aggregation
-    else if (league === 'EPL') {
-      if (season) {
-        // Find top EPL players for a specific season
-        const topEplPlayerStats = await EPLPlayerStats.aggregate([
-          // Match players who have stats for this season
-          { $match: { 'seasons.season': season } },
-          
-          // Unwind to work with individual seasons
-          { $unwind: '$seasons' },
-          
-          // Filter for the specific season
-          { $match: { 'seasons.season': season } },
-          
-          // Sort by goals descending
-          { $sort: { 'seasons.goals.total': -1 } },
-          
-          // Limit to top 10
-          { $limit: 10 },
-          
-          // Project only needed fields
-          { $project: {
-            _id: 0,
-            playerId: 1,
-            name: 1,
-            teamId: { $concat: ['epl_', { $toString: '$seasons.teamId' }] },
-            team: '$seasons.team',
-            goals: { $ifNull: ['$seasons.goals.total', 0] }
-          }}
-        ]);
-        
-        // Format results with team info
-        result = await Promise.all(topEplPlayerStats.map(async (player) => {
-          const fullPlayer = await Player.findOne({ playerId: `epl_${player.playerId}` });
-          const team = await Team.findOne({ teamId: fullPlayer?.teamId || player.teamId });
-          const teamAbbr = team?.name?.split(' ')[0] || player.team?.split(' ')[0] || 'Unknown';
-          
-          return {
-            id: `epl_${player.playerId}`,
-            name: `${player.name} (${teamAbbr}) - ${player.goals} goals`
-          };
-        }));
-      } else {
-        // For current season, use the Player model with sportStats
-        const topEplPlayers = await Player.aggregate([
-          // Match EPL players
-          { $match: { league: 'EPL' } },
-          
-          // Sort by goals descending
-          { $sort: { 'stats.sportStats.goals': -1 } },
-          
-          // Limit to top 10
-          { $limit: 10 },
-          
-          // Project only needed fields
-          { $project: {
-            _id: 0,
-            playerId: 1,
-            name: 1,
-            teamId: 1,
-            goals: { $ifNull: [{ $getField: { field: 'goals', input: '$stats.sportStats' }}, 0] }
-          }}
-        ]);
-        
-        // Format results with team info
-        result = await Promise.all(topEplPlayers.map(async (player) => {
-          const team = await Team.findOne({ teamId: player.teamId });
-          const teamAbbr = team?.name?.split(' ')[0] || 'Unknown';
-          
-          return {
-            id: player.playerId,
-            name: `${player.name} (${teamAbbr}) - ${player.goals} goals`
-          };
-        }));
-      }
-    } 
-    // NFL (simplified since it's using mock data)
-    else if (league === 'NFL') {
-      const topNflPlayers = await Player.find({ league: 'NFL' }).limit(5);
-      result = topNflPlayers.map(player => ({
-        id: player.playerId || `nfl_${Math.floor(Math.random() * 1000)}`,
-        name: player.name
+    if (!['NBA', 'EPL', 'NFL'].includes(league)) {
+      return res.status(400).json({ message: `Unsupported league: ${req.params.league}` });
+    }
+    if (!Object.hasOwn(sportsConfig.trending.windows, window)) {
+      return res.status(400).json({
+        message: `Invalid window: ${window}. Use one of ${Object.keys(sportsConfig.trending.windows).join(', ')}`
+      });
+    }
+
+    const trending = await computeTrending(league, {
+      season: season || sportsConfig[league.toLowerCase()].currentSeason,
+      type,
+      window
+    });
+
+    if (trending.players.length > 0) {
+      return res.json(trending.players.map(player => {
+        // EPL stores full club names, so shorten to the first word as elsewhere on the homepage
+        const team = league === 'EPL' ? player.team?.split(' ')[0] : player.team;
+        return {
+          id: player.playerId,
+          name: team ? `${player.name} (${team})` : player.name,
+          trending: true,
+          score: player.score,
+          gamesInWindow: player.gamesInWindow,
+          window,
+          components: player.components,
+          reason: player.reason
+        };
       }));
     }
 
-    // Return top 5 players
-    res.json(result.slice(0, 5));
+    // Not enough snapshot history yet - show season leaders instead
+    const leaders = await getSeasonLeaders(league, season);
+    res.json(leaders.slice(0, 5).map(player => ({
+      ...player,
+      trending: false,
+      reason: 'Season leader (not enough recent updates to measure form)'
+    })));
   } catch (error) {
     console.error('Error fetching top players:', error);
     res.status(500).json({ message: error.message });
@@ -870,77 +1574,363 @@ router.get('/last-update/:league?/:season?', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/login
+ * Verifies a username and password and issues an API key for protected routes
+ * Send the key as "Authorization: Bearer <apiKey>" on later requests
+ * @param {string} req.body.username - Username
+ * @param {string} req.body.password - Password
+ * @returns {Object} { apiKey, user: { username, role, ... } }, 400 if either is missing or not a string, or 401 for wrong credentials
+ */
+router.post('/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const session = await login(username, password);
+    if (!session) {
+      return res.status(401).json({ message: 'Invalid username or password' });
+    }
+
+    res.json({ apiKey: session.apiKey, user: toPublicUser(session.user) });
+  } catch (error) {
+    if (error instanceof UserValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Login error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revokes the API key used for this request
+ * @returns {Object} { success }
+ */
+router.post('/auth/logout', requireRole('viewer'), async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(getApiKey(req));
+    res.json({ success: revoked });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Returns the user the request's API key belongs to
+ * @returns {Object} { username, role, lastLogin, createdAt }, or 401 if not logged in
+ */
+router.get('/auth/me', requireRole('viewer'), (req, res) => {
+  res.json(toPublicUser(req.user));
+});
+
+/**
+ * POST /api/auth/users
+ * Creates a user account (admin only)
+ * @param {string} req.body.username - Username
+ * @param {string} req.body.password - Password (at least 8 characters)
+ * @param {string} req.body.role - 'viewer', 'editor' or 'admin' (default: 'viewer')
+ * @returns {Object} 201 with the new user, or 400 if the details are invalid
+ */
+router.post('/auth/users', requireRole('admin'), async (req, res) => {
+  try {
+    const user = await createUser(req.body || {});
+    res.status(201).json(toPublicUser(user));
+  } catch (error) {
+    if (error instanceof UserValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error creating user:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
  * POST /api/update
- * Manually triggers a data refresh from external APIs with configurable options
+ * Starts a data refresh from external APIs as a background job with configurable options
+ * Responds immediately with a job ID; progress is available from GET /api/update/:jobId
+ * and streamed by GET /api/update/:jobId/events
+ * 
+ * Options are validated against UPDATE_OPTIONS_SCHEMA; unknown or invalid options get a 400
+ * An update that would make more API requests than its providers have left today gets a 429
+ * (see getUpdateQuotaUsage in services/updateService.js)
+ * Every request (including rejected and dry-run ones) is written to the audit log
  * 
  * @param {Object} req.body - Update options
- * @param {boolean} req.body.nba - Whether to update NBA data (default: true)
- * @param {boolean} req.body.nfl - Whether to update NFL data (default: true)
- * @param {boolean} req.body.epl - Whether to update EPL data (default: true)
- * @param {string} req.body.nbaType - 'regular' or 'playoff' (default: 'regular')
- * @param {number} req.body.nbaSeason - Season year to update (default: from config)
- * @returns {Object} Update results and status
- */
-router.post('/update', async (req, res) => {
-    try {
-      // Extract options from request body with defaults
-      const options = {
-        nba: req.body.nba !== false, // Default to true unless explicitly set false
-        nfl: req.body.nfl !== false, //
-        epl: req.body.epl !== false, //
-        nbaType: req.body.nbaType || 'regular',
-        nbaSeason: parseInt(req.body.nbaSeason || sportsConfig.nba.currentSeason, 10)
-      };
-      
-      // Validate nbaType parameter
-      if (!['regular', 'playoff'].includes(options.nbaType)) {
-        options.nbaType = 'regular';
-      }
+ * @param {boolean} req.body.nba - Whether to update NBA data (default: sportsConfig.nba.enabled)
+ * @param {boolean} req.body.nfl - Whether to update NFL data (default: sportsConfig.nfl.enabled)
+ * @param {boolean} req.body.epl - Whether to update EPL data (default: sportsConfig.epl.enabled)
+ * @param {string} req.body.nbaType - 'regular' or 'playoff' (default: from config)
+ * @param {number} req.body.nbaSeason - NBA season year to update (default: from config)
+ * @param {number} req.body.eplSeason - EPL season year to update (default: from config)
+ * @param {number} req.body.nflSeason - NFL season year to update (default: from config)
+ * @param {boolean} req.body.dryRun - Validate and report the resolved options without updating (default: false)
+ * @returns {Object} 202 with { jobId, statusUrl, eventsUrl, eventsToken, eventsTokenExpiresAt, options } (eventsUrl carries
+ *                   the events token), 200 for a dry run (with the lock and quota usage),
+ *                   400 for invalid options, 409 if an update is already running, or 429 if the daily API quota is too low
+ * Requires the admin role
+ */
+router.post('/update', requireRole('admin'), async (req, res) => {
+  const audit = {
+    action: 'update',
+    actor: req.user.username,
+    role: req.user.role,
+    ip: req.ip
+  };
 
-      // Pass all options to updateSportsData function
-      const result = await updateSportsData(options);
+  try {
+    const { value, errors } = validateAgainstSchema(UPDATE_OPTIONS_SCHEMA, req.body || {});
+    if (errors.length > 0) {
+      await recordAudit({ ...audit, options: req.body, outcome: 'invalid', error: errors.join('; ') });
+      return res.status(400).json({ success: false, message: 'Invalid update options', errors });
+    }
+
+    const { dryRun, ...options } = value;
+    if (!options.nba && !options.nfl && !options.epl) {
+      await recordAudit({ ...audit, options, dryRun, outcome: 'invalid', error: 'No leagues selected' });
+      return res.status(400).json({ success: false, message: 'Select at least one league to update' });
+    }
 
-      res.json({
+    if (dryRun) {
+      // Report what would run, and whether it would currently be blocked by the lock or the API quota
+      const lock = await getUpdateLock();
+      const quota = await getUpdateQuotaUsage(options);
+      let message = 'Options are valid';
+      if (lock.locked) {
+        message = 'Options are valid, but an update is currently running';
+      } else if (quota.some(usage => usage.exceeded)) {
+        message = 'Options are valid, but the update would exceed the daily API quota';
+      }
+      await recordAudit({ ...audit, options, dryRun, outcome: 'dry-run' });
+      return res.json({
         success: true,
-        message: 'Sports data updated successfully',
-        options, // Return the options used
-        result
+        dryRun: true,
+        message,
+        options,
+        lock,
+        quota
       });
+    }
+
+    // Start the update in the background; the job holds the update lock so
+    // a manual update never overlaps a scheduled one
+    let job;
+    try {
+      job = await startUpdateJob(options, req.user.username);
     } catch (error) {
-      console.error('Update error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to update sports data',
-        error: error.message
-      });
+      if (error instanceof UpdateLockedError) {
+        await recordAudit({ ...audit, options, outcome: 'rejected', error: error.message });
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          lock: error.lock
+        });
+      }
+      if (error instanceof QuotaExceededError) {
+        await recordAudit({ ...audit, options, outcome: 'rejected', error: error.message });
+        return res.status(429).json({
+          success: false,
+          message: error.message,
+          quota: { provider: error.provider, needed: error.needed, ...error.quota }
+        });
+      }
+      throw error;
     }
+
+    const entry = await recordAudit({ ...audit, options, outcome: 'started', jobId: job.id });
+    trackJobOutcome(entry, job.id);
+
+    const events = createEventsToken(job.id);
+    res.status(202).json({
+      success: true,
+      message: 'Sports data update started',
+      jobId: job.id,
+      statusUrl: `/api/update/${job.id}`,
+      eventsUrl: `/api/update/${job.id}/events?token=${events.token}`,
+      eventsToken: events.token,
+      eventsTokenExpiresAt: events.expiresAt,
+      options // Return the options used
+    });
+  } catch (error) {
+    console.error('Update error:', error);
+    await recordAudit({ ...audit, options: req.body, outcome: 'failed', error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start sports data update',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/update/:jobId
+ * Returns the status of an update job: per-phase progress, the progress log,
+ * and the update result once finished
+ * Requires the viewer role or above
+ * @param {string} req.params.jobId - Job ID returned by POST /api/update
+ * @returns {Object} Job { id, status, phases, log, result, error, ... }
+ */
+router.get('/update/:jobId', requireRole('viewer'), (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job) return res.status(404).json({ message: 'Update job not found' });
+  res.json(job);
+});
+
+/**
+ * Lets a request for a job's event stream through with a valid events token in ?token=
+ * (EventSource can't send an Authorization header), and otherwise requires the viewer role
+ */
+function requireEventsAccess(req, res, next) {
+  if (isValidEventsToken(req.params.jobId, req.query.token)) return next();
+  return requireRole('viewer')(req, res, next);
+}
+
+/**
+ * GET /api/update/:jobId/events
+ * Server-Sent Events stream of an update job's progress
+ * - 'snapshot': the job as it is when the stream opens
+ * - 'progress': { entry, phase } for each progress event
+ * - 'done': the finished job, after which the stream closes
+ * Requires the events token POST /api/update returned for the job, or the viewer role or above
+ * @param {string} req.params.jobId - Job ID returned by POST /api/update
+ * @param {string} req.query.token - Optional events token (expires a few minutes after the job starts)
+ */
+router.get('/update/:jobId/events', requireEventsAccess, (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job) return res.status(404).json({ message: 'Update job not found' });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  send('snapshot', job);
+
+  // Job already finished before the client connected
+  if (job.status !== 'running') {
+    send('done', job);
+    return res.end();
+  }
+
+  // Comment lines keep proxies from closing an idle connection during long phases
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  const unsubscribe = subscribeToJob(job.id, ({ type, data }) => {
+    send(type, data);
+    if (type === 'done') {
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    }
+  });
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+/**
+ * GET /api/jobs
+ * Returns the scheduled update jobs with their cron schedules, next run time,
+ * last run outcome, and the current state of the update lock
+ * @returns {Object} { schedulerRunning, timezone, lock, jobs }
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    res.json(await getJobsStatus());
+  } catch (error) {
+    console.error('Error fetching job status:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * GET /api/audit
+ * Returns recent audit log entries: who requested updates, with which options, and the outcome
+ * @param {string} req.query.action - Only entries for this action (e.g., 'update')
+ * @param {string} req.query.actor - Only entries by this user (or scheduler job, e.g., 'scheduler:nba')
+ * @param {number} req.query.limit - Maximum entries to return (default: 50, max: 200)
+ * @returns {Array} Audit entries, newest first
+ * Requires the admin role
+ */
+router.get('/audit', requireRole('admin'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const entries = await getAuditLog({
+      action: req.query.action,
+      actor: req.query.actor ? req.query.actor.toLowerCase() : undefined,
+      limit
+    });
+    res.json(entries);
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ message: error.message });
+  }
 });
 
 /**
  * POST /api/update-nba-team/:abbr
  * Updates data for a specific NBA team by abbreviation
- * Useful for targeted updates without refreshing all data
- * @param {string} req.params.abbr - Team abbreviation (e.g., "LAL")
- * @returns {Object} Update result and status
+ * Useful for targeted updates without refreshing all data: only this team's record and roster are replaced
+ * Refreshing the team rewrites its roster, so it takes the update lock like POST /api/update
+ * and is recorded in the audit log (action 'update-nba-team')
+ * @param {string} req.params.abbr - Team abbreviation (e.g., "LAL"; "BKN", "CHA" and "PHX" work as well as "BRK", "CHO" and "PHO")
+ * @returns {Object} Update result and status, 400 for an unknown team, or 409 if an update is already running
+ * Requires the editor role (or admin)
  */
-router.post('/update-nba-team/:abbr', async (req, res) => {
-    try {
-      const teamAbbr = req.params.abbr.toUpperCase();
-      const result = await updateNBATeam(teamAbbr);
-      res.json({
-        success: result,
-        message: result ? 
-          `Successfully updated NBA team ${teamAbbr}` : 
-          `Failed to update NBA team ${teamAbbr}`
-      });
-    } catch (error) {
-      console.error(`Error updating NBA team ${req.params.abbr}:`, error);
-      res.status(500).json({
+router.post('/update-nba-team/:abbr', requireRole('editor'), async (req, res) => {
+  const audit = {
+    action: 'update-nba-team',
+    actor: req.user.username,
+    role: req.user.role,
+    ip: req.ip
+  };
+  let lock = null;
+
+  try {
+    // Alternative abbreviations (e.g., 'BKN', 'PHX') are accepted as the ones NBA_DIVISIONS uses
+    const team = getDivisionAbbreviation(req.params.abbr) || req.params.abbr.toUpperCase();
+    const { value: options, errors } = validateAgainstSchema(NBA_TEAM_UPDATE_SCHEMA, { team });
+    if (errors.length > 0) {
+      await recordAudit({ ...audit, options: { team: req.params.abbr }, outcome: 'invalid', error: errors.join('; ') });
+      return res.status(400).json({ success: false, message: 'Invalid NBA team', errors });
+    }
+
+    lock = await acquireUpdateLock(req.user.username);
+    if (!lock) {
+      const error = new UpdateLockedError(await getUpdateLock());
+      await recordAudit({ ...audit, options, outcome: 'rejected', error: error.message });
+      return res.status(409).json({
         success: false,
-        message: `Error updating NBA team: ${error.message}`
+        message: error.message,
+        lock: error.lock
       });
     }
+
+    const result = await updateNBATeam(options.team);
+    await recordAudit({ ...audit, options, outcome: result ? 'completed' : 'failed', result: { nba: result } });
+    res.json({
+      success: result,
+      message: result ?
+        `Successfully updated NBA team ${options.team}` :
+        `Failed to update NBA team ${options.team}`
+    });
+  } catch (error) {
+    console.error(`Error updating NBA team ${req.params.abbr}:`, error);
+    await recordAudit({ ...audit, options: { team: req.params.abbr }, outcome: 'failed', error: error.message });
+    res.status(500).json({
+      success: false,
+      message: `Error updating NBA team: ${error.message}`
+    });
+  } finally {
+    if (lock) {
+      await releaseUpdateLock(lock).catch(err => console.error('Error releasing update lock:', err));
+    }
+  }
 });
 
 export default router;
@@ -0,0 +1,48 @@
+/**
+ * Create User Script
+ * 
+ * Creates a user account from the command line, which is how the first admin is set up
+ * (after that, admins can create users with POST /api/auth/users)
+ * 
+ * Usage:
+ *   node scripts/createUser.js --username=alice --password=secret123 --role=admin
+ * 
+ * Roles: viewer (default), editor, admin
+ */
+import dotenv from 'dotenv';
+dotenv.config();
+
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import { createUser } from '../services/authService.js';
+
+// Parse --key=value command line arguments
+const args = Object.fromEntries(
+  process.argv.slice(2)
+    .filter(arg => arg.startsWith('--') && arg.includes('='))
+    .map(arg => {
+      const [key, ...value] = arg.slice(2).split('=');
+      return [key, value.join('=')];
+    })
+);
+
+async function run() {
+  try {
+    await connectDB();
+
+    const user = await createUser({
+      username: args.username,
+      password: args.password,
+      role: args.role || 'viewer'
+    });
+
+    console.log(`Created ${user.role} user "${user.username}"`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Failed to create user:', error.message);
+    process.exit(1);
+  }
+}
+
+run();
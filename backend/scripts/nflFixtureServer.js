@@ -0,0 +1,59 @@
+/**
+ * Local fixture server for the NFL data provider
+ *
+ * Replays recorded API-American-Football responses from fixtures/nfl so the NFL update
+ * can be run end to end without an API key, quota or network access
+ *
+ * Fixture files are looked up by endpoint and team:
+ *   GET /teams                        -> fixtures/nfl/teams.json
+ *   GET /standings                    -> fixtures/nfl/standings.json
+ *   GET /players?team=17              -> fixtures/nfl/players_team-17.json
+ *   GET /players/statistics?team=17   -> fixtures/nfl/players-statistics_team-17.json
+ * Requests without a matching file get an empty provider response
+ *
+ * Usage:
+ *   node scripts/nflFixtureServer.js
+ *   NFL_API_BASE_URL=http://localhost:5055 NFL_API_DELAY_MS=0 node scripts/updateData.js --nfl
+ *
+ * Tests import createNflFixtureApp and listen on a free port instead (see tests/nflService.test.js)
+ */
+import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'nfl');
+const PORT = process.env.NFL_FIXTURE_PORT || 5055;
+
+/**
+ * Creates the fixture server app
+ * @returns {Object} Express app replaying fixtures/nfl
+ */
+export function createNflFixtureApp() {
+  const app = express();
+
+  app.get('/*', async (req, res) => {
+    const endpoint = req.path.replace(/^\//, '').replace(/\//g, '-');
+    const fileName = req.query.team ? `${endpoint}_team-${req.query.team}.json` : `${endpoint}.json`;
+
+    try {
+      const contents = await fs.readFile(path.join(FIXTURES_DIR, fileName), 'utf8');
+      console.log(`200 ${req.originalUrl} -> ${fileName}`);
+      res.type('application/json').send(contents);
+    } catch {
+      // Mirror the provider's shape for an empty result rather than returning 404
+      console.log(`404 ${req.originalUrl} (no fixture ${fileName})`);
+      res.json({ get: endpoint, parameters: req.query, errors: [], results: 0, response: [] });
+    }
+  });
+
+  return app;
+}
+
+// Only listen when run as a script, not when imported by the tests
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  createNflFixtureApp().listen(PORT, () => {
+    console.log(`NFL fixture server replaying ${FIXTURES_DIR} on http://localhost:${PORT}`);
+  });
+}
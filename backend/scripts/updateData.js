@@ -5,8 +5,10 @@
  *   node scripts/updateData.js                  - Update all enabled sports
  *   node scripts/updateData.js --nba            - Update only NBA data
  *   node scripts/updateData.js --epl            - Update only EPL data
+ *   node scripts/updateData.js --nfl            - Update only NFL data
  *   node scripts/updateData.js --nba-season=2024 - Update NBA with specific season
  *   node scripts/updateData.js --epl-season=2023 - Update EPL with specific season
+ *   node scripts/updateData.js --nfl-season=2023 - Update NFL with specific season
  *   node scripts/updateData.js --nba-type=playoff - Update NBA playoff data
  * 
  * Example use: scripts/updateData.js --epl --epl-season=2024 (only EPL data for 2024 season)
@@ -29,6 +31,7 @@ const options = {
 // Parse season-specific options
 let nbaSeason = sportsConfig.nba.currentSeason;
 let eplSeason = sportsConfig.epl.currentSeason;
+let nflSeason = sportsConfig.nfl.currentSeason;
 let nbaType = sportsConfig.nba.seasonType;
 
 // Extract season and type parameters from command line
@@ -39,6 +42,9 @@ args.forEach(arg => {
   if (arg.startsWith('--epl-season=')) {
     eplSeason = parseInt(arg.split('=')[1], 10);
   }
+  if (arg.startsWith('--nfl-season=')) {
+    nflSeason = parseInt(arg.split('=')[1], 10);
+  }
   if (arg.startsWith('--nba-type=')) {
     nbaType = arg.split('=')[1];
   }
@@ -51,6 +57,7 @@ const updateOptions = {
   nfl: options.nfl && sportsConfig.nfl.enabled,
   nbaSeason,
   eplSeason,
+  nflSeason,
   nbaType,
 };
 
@@ -4,7 +4,7 @@
  * 1. Configures the Express web server and middleware
  * 2. Connects to the MongoDB database
  * 3. Sets up API routes for frontend access
- * 4. Implements data update triggers (manual and eventually scheduled)
+ * 4. Starts scheduled data updates (manual updates are handled by POST /api/update in routes/api.js)
  * 5. Handles server startup and port configuration
  * 
  * The server uses a modular architecture where routes, database connection, and data services are implemented as separate modules
@@ -15,7 +15,8 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import connectDB from './config/db.js';
 import apiRoutes from './routes/api.js';
-import { updateSportsData } from './services/updateService.js';
+import { startScheduler } from './services/schedulerService.js';
+import sportsConfig from './config/sportsConfig.js';
 
 // ✅ Load environment variables from .env file
 dotenv.config();
@@ -42,6 +43,12 @@ app.use(express.json());
 // ✅ Connect to MongoDB database
 connectDB();
 
+// ✅ Start scheduled background updates
+// Skipped on Vercel, where serverless functions don't stay alive between requests
+if (sportsConfig.scheduler.enabled && process.env.ENABLE_SCHEDULER !== 'false' && !process.env.VERCEL) {
+  startScheduler();
+}
+
 // ✅ Register API routes
 app.use('/api', apiRoutes);
 
@@ -50,24 +57,5 @@ app.get('/', (req, res) => {
   res.send('API is running...');
 });
 
-// ✅ Manual data update endpoint
-app.post('/api/update', async (req, res) => {
-  try {
-    const result = await updateSportsData();
-    res.json({
-      success: true,
-      message: 'Sports data updated successfully',
-      result
-    });
-  } catch (error) {
-    console.error('Update failed:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update sports data',
-      error: error.message
-    });
-  }
-});
-
 // ✅ Export Express app for Vercel (no app.listen)
 export default app;
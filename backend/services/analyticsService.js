@@ -0,0 +1,400 @@
+/**
+ * Analytics Service
+ *
+ * This service computes league-wide statistical analysis from the stored season stats:
+ * - Z-scores for key metrics, measuring how far each player sits from the league mean
+ * - Outlier flags for players whose z-score exceeds a configurable threshold
+ * - Team x stat heat maps, built from per-team sums of player season stats
+ * - League pace estimates, used for per-100 possession stats
+ *
+ * Z-scores are computed over the qualifying players for a single season, using
+ * NbaPlayerStats.regularSeasons/playoffs for NBA and EPLPlayerStats.seasons for EPL
+ */
+import NbaPlayerStats from '../models/NBAPlayerStats.js';
+import EPLPlayerStats from '../models/EPLPlayerStats.js';
+import sportsConfig from '../config/sportsConfig.js';
+import { estimatePace, estimatePossessions, normalizeValue, GAME_MINUTES } from '../utils/statNormalization.js';
+
+/**
+ * Divides a season total by games played, returning null when there are no games
+ * @param {number} total - Season total
+ * @param {number} games - Games played
+ * @returns {number|null} Per-game value
+ */
+function perGame(total, games) {
+  if (!games || total === undefined || total === null) return null;
+  return total / games;
+}
+
+/**
+ * Metrics available for z-score analysis, keyed by league
+ * Each metric has a display label and a function extracting the value from a season entry
+ */
+export const ZSCORE_METRICS = {
+  NBA: {
+    points: { label: 'Points Per Game', value: s => perGame(s.totals?.points, s.totals?.games) },
+    rebounds: { label: 'Rebounds Per Game', value: s => perGame(s.totals?.totalRb, s.totals?.games) },
+    assists: { label: 'Assists Per Game', value: s => perGame(s.totals?.assists, s.totals?.games) },
+    steals: { label: 'Steals Per Game', value: s => perGame(s.totals?.steals, s.totals?.games) },
+    blocks: { label: 'Blocks Per Game', value: s => perGame(s.totals?.blocks, s.totals?.games) },
+    tsPercent: { label: 'True Shooting %', value: s => s.advanced?.tsPercent },
+    per: { label: 'Player Efficiency Rating', value: s => s.advanced?.per },
+    usagePercent: { label: 'Usage %', value: s => s.advanced?.usagePercent },
+    winShares: { label: 'Win Shares', value: s => s.advanced?.winShares },
+    box: { label: 'Box Plus/Minus', value: s => s.advanced?.box },
+    vorp: { label: 'Value Over Replacement', value: s => s.advanced?.vorp }
+  },
+  EPL: {
+    goals: { label: 'Goals', value: s => s.goals?.total },
+    assists: { label: 'Assists', value: s => s.goals?.assists },
+    shotsOnTarget: { label: 'Shots On Target', value: s => s.shots?.on },
+    keyPasses: { label: 'Key Passes', value: s => s.passes?.key },
+    passAccuracy: { label: 'Pass Accuracy', value: s => s.passes?.accuracy },
+    tackles: { label: 'Tackles', value: s => s.tackles?.total },
+    interceptions: { label: 'Interceptions', value: s => s.tackles?.interceptions },
+    dribblesSuccessful: { label: 'Successful Dribbles', value: s => s.dribbles?.success },
+    duelsWon: { label: 'Duels Won', value: s => s.duels?.won },
+    rating: { label: 'Average Rating', value: s => s.rating }
+  }
+};
+
+/**
+ * Calculates the mean and population standard deviation of a list of numbers
+ * @param {Array<number>} values - Values to summarise
+ * @returns {Object} { mean, stdDev, count }
+ */
+export function calculateMeanAndStdDev(values) {
+  const count = values.length;
+  if (count === 0) return { mean: null, stdDev: null, count };
+
+  const mean = values.reduce((sum, v) => sum + v, 0) / count;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / count;
+
+  return { mean, stdDev: Math.sqrt(variance), count };
+}
+
+/**
+ * Loads the qualifying player-seasons for a league
+ * NBA players qualify by games played, EPL players by appearances
+ * @param {string} league - 'NBA' or 'EPL'
+ * @param {number} season - Season year
+ * @param {Object} options - { type, minGames }
+ * @returns {Promise<Array>} Array of { playerId, name, team, position, age, seasonData }
+ */
+export async function getQualifyingSeasons(league, season, { type, minGames }) {
+  if (league === 'NBA') {
+    const seasonsArray = type === 'playoff' ? 'playoffs' : 'regularSeasons';
+    const players = await NbaPlayerStats.find({ [`${seasonsArray}.season`]: season });
+
+    return players
+      .map(player => {
+        const seasonData = player[seasonsArray].find(s => s.season === season);
+        if (!seasonData || (seasonData.totals?.games || 0) < minGames) return null;
+        return {
+          playerId: `nba_${player.playerId}`,
+          name: player.name,
+          team: seasonData.team,
+          position: seasonData.position,
+          age: seasonData.age ?? null,
+          seasonData
+        };
+      })
+      .filter(Boolean);
+  }
+
+  const players = await EPLPlayerStats.find({ 'seasons.season': season });
+
+  return players
+    .map(player => {
+      const seasonData = player.seasons.find(s => s.season === season);
+      if (!seasonData || (seasonData.appearances || 0) < minGames) return null;
+      return {
+        playerId: `epl_${player.playerId}`,
+        name: player.name,
+        team: seasonData.team,
+        position: seasonData.position,
+        // EPL ages are stored once per player, so step back to the age in the requested season
+        age: typeof player.age === 'number' ? player.age - (sportsConfig.epl.currentSeason - season) : null,
+        seasonData
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Estimates the league's pace (possessions per 48 minutes) for an NBA season,
+ * used to turn minutes into possessions for per-100 possession stats
+ * @param {number} season - Season year
+ * @param {string} type - 'regular' or 'playoff'
+ * @returns {Promise<number>} Possessions per 48 minutes
+ */
+export async function getLeaguePace(season, type = 'regular') {
+  const players = await getQualifyingSeasons('NBA', season, { type, minGames: 1 });
+  // Multi-team rows repeat the per-team rows, so leave them out
+  return estimatePace(players.filter(p => !NBA_MULTI_TEAM.test(p.team || '')).map(p => p.seasonData));
+}
+
+/**
+ * Computes league-wide z-scores for every qualifying player in a season
+ *
+ * @param {string} league - 'NBA' or 'EPL'
+ * @param {Object} options - Analysis options
+ * @param {number} options.season - Season year
+ * @param {string} options.type - NBA only: 'regular' or 'playoff'
+ * @param {Array<string>} options.metrics - Metric keys to include (defaults to all for the league)
+ * @param {number} options.threshold - Absolute z-score above which a value is flagged as an outlier
+ * @param {number} options.minGames - Minimum games (NBA) or appearances (EPL) to qualify
+ * @returns {Promise<Object>} League statistics per metric and z-scores per player
+ */
+export async function computeZScores(league, {
+  season,
+  type = 'regular',
+  metrics = Object.keys(ZSCORE_METRICS[league]),
+  threshold = sportsConfig.analytics.zScoreThreshold,
+  minGames = league === 'NBA' ? sportsConfig.analytics.minGames : sportsConfig.analytics.minAppearances
+}) {
+  const metricDefs = ZSCORE_METRICS[league];
+  const qualifying = await getQualifyingSeasons(league, season, { type, minGames });
+
+  // Step 1: Extract each metric's value for every qualifying player
+  const players = qualifying.map(player => {
+    const values = {};
+    for (const metric of metrics) {
+      const value = metricDefs[metric].value(player.seasonData);
+      values[metric] = typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+    return { ...player, values };
+  });
+
+  // Step 2: League mean and standard deviation per metric
+  const leagueStats = {};
+  for (const metric of metrics) {
+    const values = players.map(p => p.values[metric]).filter(v => v !== null);
+    leagueStats[metric] = {
+      label: metricDefs[metric].label,
+      ...calculateMeanAndStdDev(values)
+    };
+  }
+
+  // Step 3: Z-score per player and metric, flagging outliers
+  const results = players.map(player => {
+    const zScores = {};
+    const outliers = [];
+
+    for (const metric of metrics) {
+      const { mean, stdDev } = leagueStats[metric];
+      const value = player.values[metric];
+
+      // A metric with no spread can't produce meaningful z-scores
+      if (value === null || !stdDev) {
+        zScores[metric] = null;
+        continue;
+      }
+
+      zScores[metric] = (value - mean) / stdDev;
+      if (Math.abs(zScores[metric]) >= threshold) {
+        outliers.push(metric);
+      }
+    }
+
+    return {
+      playerId: player.playerId,
+      name: player.name,
+      team: player.team,
+      position: player.position,
+      values: player.values,
+      zScores,
+      outliers
+    };
+  });
+
+  return {
+    league,
+    season,
+    type: league === 'NBA' ? type : undefined,
+    threshold,
+    minGames,
+    playerCount: results.length,
+    metrics: leagueStats,
+    players: results
+  };
+}
+
+/**
+ * Per-player season numbers summed into team totals for the heat map, keyed by league
+ */
+const TEAM_TOTALS = {
+  NBA: s => ({
+    games: s.totals?.games,
+    offensiveRb: s.totals?.offensiveRb,
+    points: s.totals?.points,
+    rebounds: s.totals?.totalRb,
+    assists: s.totals?.assists,
+    steals: s.totals?.steals,
+    blocks: s.totals?.blocks,
+    turnovers: s.totals?.turnovers,
+    threes: s.totals?.threeFg,
+    threeAttempts: s.totals?.threeAttempts,
+    fieldAttempts: s.totals?.fieldAttempts,
+    ft: s.totals?.ft,
+    ftAttempts: s.totals?.ftAttempts
+  }),
+  EPL: s => ({
+    games: s.appearances,
+    goals: s.goals?.total,
+    assists: s.goals?.assists,
+    shotsOnTarget: s.shots?.on,
+    keyPasses: s.passes?.key,
+    tackles: s.tackles?.total,
+    interceptions: s.tackles?.interceptions,
+    duelsWon: s.duels?.won,
+    duelsTotal: s.duels?.total,
+    dribblesSuccessful: s.dribbles?.success
+  })
+};
+
+/**
+ * Heat map columns, computed from a team's totals
+ * - total: a counting stat, normalized by the requested mode (totals, per game, per 100 possessions...)
+ * - value: a rate computed from the totals, the same in every mode
+ */
+export const HEATMAP_COLUMNS = {
+  NBA: {
+    points: { label: 'PTS', total: 'points' },
+    tsPercent: { label: 'TS%', percent: true, value: t => (t.fieldAttempts ? (t.points / (2 * (t.fieldAttempts + 0.44 * t.ftAttempts))) * 100 : null) },
+    rebounds: { label: 'REB', total: 'rebounds' },
+    assists: { label: 'AST', total: 'assists' },
+    steals: { label: 'STL', total: 'steals' },
+    blocks: { label: 'BLK', total: 'blocks' },
+    turnovers: { label: 'TOV', lowerIsBetter: true, total: 'turnovers' },
+    threes: { label: '3PM', total: 'threes' },
+    threePercent: { label: '3P%', percent: true, value: t => (t.threeAttempts ? (t.threes / t.threeAttempts) * 100 : null) },
+    ftPercent: { label: 'FT%', percent: true, value: t => (t.ftAttempts ? (t.ft / t.ftAttempts) * 100 : null) }
+  },
+  EPL: {
+    goals: { label: 'Goals', total: 'goals' },
+    assists: { label: 'Assists', total: 'assists' },
+    shotsOnTarget: { label: 'Shots On Target', total: 'shotsOnTarget' },
+    keyPasses: { label: 'Key Passes', total: 'keyPasses' },
+    tackles: { label: 'Tackles', total: 'tackles' },
+    interceptions: { label: 'Interceptions', total: 'interceptions' },
+    duelsWonPercent: { label: 'Duels Won %', percent: true, value: t => (t.duelsTotal ? (t.duelsWon / t.duelsTotal) * 100 : null) },
+    dribblesSuccessful: { label: 'Successful Dribbles', total: 'dribblesSuccessful' }
+  }
+};
+
+// Mode each league's heat map used before modes existed (NBA per game, EPL season totals)
+export const HEATMAP_DEFAULT_MODES = {
+  NBA: 'perGame',
+  EPL: 'totals'
+};
+
+// basketball-reference rows for players who played for several teams (e.g., "TOT", "2TM")
+const NBA_MULTI_TEAM = /^(TOT|\dTM)$/;
+
+/**
+ * Builds a team x stat matrix for a season, normalized per column
+ *
+ * Player season stats are summed per team (the team a player finished the season with).
+ * Counting stats are normalized by the team's playing time: games, game minutes
+ * (per36/per90) or estimated possessions (per100).
+ * Each column is min-max normalized across teams to 0-1, so the heat map colors compare
+ * teams within a stat regardless of the stat's scale
+ *
+ * @param {string} league - 'NBA' or 'EPL'
+ * @param {Object} options - { season, type, mode }
+ * @returns {Promise<Object>} { league, season, type, mode, columns, teams }
+ *   columns: [{ key, label, percent, lowerIsBetter, min, max }]
+ *   teams: [{ team, players, games, values, normalized }] sorted by team name
+ */
+export async function computeTeamHeatmap(league, { season, type = 'regular', mode = HEATMAP_DEFAULT_MODES[league] }) {
+  const columns = HEATMAP_COLUMNS[league];
+  const players = await getQualifyingSeasons(league, season, { type, minGames: 1 });
+
+  // Step 1: Sum player totals per team
+  const teams = new Map();
+  for (const player of players) {
+    if (!player.team || (league === 'NBA' && NBA_MULTI_TEAM.test(player.team))) continue;
+
+    if (!teams.has(player.team)) {
+      teams.set(player.team, { team: player.team, players: 0, games: 0, totals: {} });
+    }
+    const entry = teams.get(player.team);
+    entry.players++;
+
+    for (const [field, value] of Object.entries(TEAM_TOTALS[league](player.seasonData))) {
+      if (typeof value !== 'number') continue;
+      if (field === 'games') {
+        // A team's games played is the most any of its players appeared in
+        entry.games = Math.max(entry.games, value);
+      } else {
+        entry.totals[field] = (entry.totals[field] || 0) + value;
+      }
+    }
+  }
+
+  // Step 2: Column values per team
+  const rows = [...teams.values()].map(entry => {
+    const playingTime = {
+      games: entry.games,
+      minutes: entry.games * GAME_MINUTES[league],
+      possessions: league === 'NBA' ? estimatePossessions(entry.totals) : null
+    };
+    const values = {};
+    for (const [key, column] of Object.entries(columns)) {
+      const value = column.total
+        ? normalizeValue(entry.totals[column.total] ?? null, mode, playingTime)
+        : column.value(entry.totals);
+      values[key] = typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+    return { team: entry.team, players: entry.players, games: entry.games, values };
+  });
+
+  // Step 3: Min-max normalize each column
+  const columnStats = Object.entries(columns).map(([key, column]) => {
+    const present = rows.map(r => r.values[key]).filter(v => v !== null);
+    return {
+      key,
+      label: column.label,
+      percent: Boolean(column.percent),
+      lowerIsBetter: Boolean(column.lowerIsBetter),
+      min: present.length ? Math.min(...present) : null,
+      max: present.length ? Math.max(...present) : null
+    };
+  });
+
+  for (const row of rows) {
+    row.normalized = {};
+    for (const { key, min, max, lowerIsBetter } of columnStats) {
+      const value = row.values[key];
+      if (value === null) {
+        row.normalized[key] = null;
+        continue;
+      }
+      const scaled = max > min ? (value - min) / (max - min) : 0.5;
+      row.normalized[key] = lowerIsBetter ? 1 - scaled : scaled;
+    }
+  }
+
+  rows.sort((a, b) => a.team.localeCompare(b.team));
+
+  return {
+    league,
+    season,
+    type: league === 'NBA' ? type : undefined,
+    mode,
+    columns: columnStats,
+    teams: rows
+  };
+}
+
+export default {
+  computeZScores,
+  computeTeamHeatmap,
+  HEATMAP_COLUMNS,
+  HEATMAP_DEFAULT_MODES,
+  calculateMeanAndStdDev,
+  getLeaguePace,
+  getQualifyingSeasons,
+  ZSCORE_METRICS
+};
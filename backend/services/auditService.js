@@ -0,0 +1,90 @@
+/**
+ * Audit Service
+ *
+ * Records who triggered data updates, with which options, and what happened:
+ * - recordAudit writes an entry when an update is requested (including rejected,
+ *   invalid and dry-run requests)
+ * - trackJobOutcome fills in the entry's outcome once the background job finishes
+ *
+ * Audit failures are logged but never block or fail the update itself
+ */
+import AuditLog from '../models/AuditLog.js';
+import { waitForJob } from './updateJobService.js';
+
+/**
+ * Writes an audit entry
+ * @param {Object} entry - { action, actor, role, ip, options, dryRun, outcome, jobId, error }
+ * @returns {Promise<Object|null>} The audit document, or null if it could not be saved
+ */
+export async function recordAudit(entry) {
+  try {
+    return await AuditLog.create({
+      ...entry,
+      finishedAt: entry.outcome === 'started' ? undefined : new Date()
+    });
+  } catch (error) {
+    console.error('Error writing audit log entry:', error);
+    return null;
+  }
+}
+
+/**
+ * Updates an audit entry with the outcome of its update job once the job finishes
+ * Runs in the background; the returned promise never rejects
+ * @param {Object|null} audit - Audit document from recordAudit
+ * @param {string} jobId - Update job ID
+ * @returns {Promise<void>}
+ */
+export async function trackJobOutcome(audit, jobId) {
+  if (!audit) return;
+
+  try {
+    const job = await waitForJob(jobId);
+    if (!job) return;
+
+    await AuditLog.updateOne(
+      { _id: audit._id },
+      {
+        $set: {
+          outcome: job.status === 'completed' ? 'completed' : 'failed',
+          // Per-league success flags only; the options are already on the entry
+          result: job.result
+            ? {
+              nba: job.result.nba,
+              nfl: job.result.nfl,
+              epl: job.result.epl,
+              eplDataset: job.result.datasets?.epl?.status,
+              duration: job.result.duration
+            }
+            : null,
+          error: job.error,
+          finishedAt: job.finishedAt || new Date()
+        }
+      }
+    );
+  } catch (error) {
+    console.error(`Error recording outcome of update job ${jobId}:`, error);
+  }
+}
+
+/**
+ * Gets recent audit entries, newest first
+ * @param {Object} filters - { action, actor, limit }
+ * @returns {Promise<Array>} Audit entries
+ */
+export async function getAuditLog({ action, actor, limit = 50 } = {}) {
+  const query = {};
+  if (action) query.action = action;
+  if (actor) query.actor = actor;
+
+  return AuditLog.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+}
+
+export default {
+  recordAudit,
+  trackJobOutcome,
+  getAuditLog
+};
@@ -0,0 +1,199 @@
+/**
+ * Authentication Service
+ *
+ * Handles user accounts and API keys for the protected API routes:
+ * - Passwords are hashed with scrypt and a per-user random salt
+ * - Logging in issues a random API key; only its SHA-256 hash is stored, so a
+ *   leaked database does not leak usable keys
+ * - Requests authenticate with "Authorization: Bearer <key>" (or an x-api-key header)
+ *
+ * Uses Node's built-in crypto module, so no extra dependencies are needed
+ */
+import crypto from 'crypto';
+import User, { ROLES } from '../models/User.js';
+
+// Each user keeps at most this many active keys; the oldest is dropped on login
+const MAX_API_KEYS_PER_USER = 5;
+
+/**
+ * Thrown when user details are invalid (missing fields, short password, unknown role, taken username)
+ */
+export class UserValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UserValidationError';
+  }
+}
+
+/**
+ * Hashes a password with a new random salt
+ * @param {string} password - Plain-text password
+ * @returns {string} "{salt}:{hash}" in hex
+ */
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+/**
+ * Checks a password against a stored hash in constant time
+ * @param {string} password - Plain-text password
+ * @param {string} passwordHash - Stored "{salt}:{hash}"
+ * @returns {boolean} Whether the password matches
+ */
+export function verifyPassword(password, passwordHash) {
+  const [salt, hash] = (passwordHash || '').split(':');
+  if (!salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Hashes an API key for storage and lookup
+ * @param {string} apiKey - API key
+ * @returns {string} SHA-256 hex digest
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Checks whether a role satisfies a required role
+ * @param {string} role - User's role
+ * @param {string} requiredRole - Minimum role needed
+ * @returns {boolean} True if role is at least requiredRole
+ */
+export function hasRole(role, requiredRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole) && ROLES.includes(role);
+}
+
+/**
+ * Returns the fields of a user that are safe to send to clients
+ * @param {Object} user - User document
+ * @returns {Object} { username, role, lastLogin, createdAt }
+ */
+export function toPublicUser(user) {
+  return {
+    username: user.username,
+    role: user.role,
+    lastLogin: user.lastLogin,
+    createdAt: user.createdAt
+  };
+}
+
+/**
+ * Checks that a username and password were given as non-empty strings
+ * @param {*} username - Username from the request body
+ * @param {*} password - Password from the request body
+ * @throws {UserValidationError} If either is missing, empty or not a string
+ */
+function checkCredentials(username, password) {
+  if (typeof username !== 'string' || !username.trim() || typeof password !== 'string' || !password) {
+    throw new UserValidationError('Username and password are required');
+  }
+}
+
+/**
+ * Creates a user account
+ * @param {Object} details - { username, password, role }
+ * @returns {Promise<Object>} The new user document
+ * @throws {UserValidationError} If the username or password is missing, the role is unknown,
+ * the password is too short, or the username is taken
+ */
+export async function createUser({ username, password, role = 'viewer' }) {
+  checkCredentials(username, password);
+  if (password.length < 8) {
+    throw new UserValidationError('Password must be at least 8 characters');
+  }
+  if (!ROLES.includes(role)) {
+    throw new UserValidationError(`Invalid role: ${role}. Use one of ${ROLES.join(', ')}`);
+  }
+  if (await User.exists({ username: username.toLowerCase().trim() })) {
+    throw new UserValidationError(`User ${username} already exists`);
+  }
+
+  return User.create({ username, passwordHash: hashPassword(password), role });
+}
+
+/**
+ * Issues a new API key for a user
+ * @param {Object} user - User document
+ * @param {string} label - What the key is for (e.g., 'login')
+ * @returns {Promise<string>} The API key (only available now; it is stored hashed)
+ */
+export async function issueApiKey(user, label = 'login') {
+  const apiKey = crypto.randomBytes(32).toString('hex');
+
+  user.apiKeys.push({ hash: hashApiKey(apiKey), label });
+  // Drop the oldest keys beyond the limit
+  while (user.apiKeys.length > MAX_API_KEYS_PER_USER) {
+    user.apiKeys.shift();
+  }
+  await user.save();
+
+  return apiKey;
+}
+
+/**
+ * Verifies a username and password and issues an API key
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Promise<Object|null>} { user, apiKey }, or null if the credentials are wrong
+ * @throws {UserValidationError} If the username or password is missing or not a string
+ */
+export async function login(username, password) {
+  checkCredentials(username, password);
+
+  const user = await User.findOne({ username: username.toLowerCase().trim() });
+  if (!user || !verifyPassword(password, user.passwordHash)) return null;
+
+  user.lastLogin = new Date();
+  const apiKey = await issueApiKey(user, 'login');
+  return { user, apiKey };
+}
+
+/**
+ * Finds the user an API key belongs to
+ * @param {string} apiKey - API key from the request
+ * @returns {Promise<Object|null>} User document, or null if the key is unknown
+ */
+export async function findUserByApiKey(apiKey) {
+  if (!apiKey) return null;
+
+  const hash = hashApiKey(apiKey);
+  const user = await User.findOne({ 'apiKeys.hash': hash });
+  if (!user) return null;
+
+  // Track key usage without a full save
+  await User.updateOne(
+    { _id: user._id, 'apiKeys.hash': hash },
+    { $set: { 'apiKeys.$.lastUsedAt': new Date() } }
+  );
+
+  return user;
+}
+
+/**
+ * Revokes an API key (logout)
+ * @param {string} apiKey - API key to revoke
+ * @returns {Promise<boolean>} Whether a key was removed
+ */
+export async function revokeApiKey(apiKey) {
+  const result = await User.updateOne(
+    { 'apiKeys.hash': hashApiKey(apiKey) },
+    { $pull: { apiKeys: { hash: hashApiKey(apiKey) } } }
+  );
+  return result.modifiedCount > 0;
+}
+
+export default {
+  createUser,
+  login,
+  findUserByApiKey,
+  revokeApiKey,
+  issueApiKey,
+  hasRole
+};
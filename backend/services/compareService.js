@@ -0,0 +1,265 @@
+/**
+ * Compare Service
+ *
+ * Builds side-by-side comparisons of two or more players from the same league:
+ * - Metrics are aligned per player in three sections: counting stats (per game by default, or any
+ *   mode from utils/statNormalization.js), shooting/efficiency and advanced
+ * - Each metric marks which player leads it (lowest value for metrics like turnovers)
+ * - Radar metrics are expressed as league percentiles, so stats on different scales
+ *   (e.g., points and steals) can share one chart
+ *
+ * NBA data comes from NbaPlayerStats.regularSeasons/playoffs, EPL data from EPLPlayerStats.seasons
+ * Percentages are returned on a 0-100 scale for both leagues
+ */
+import NbaPlayerStats from '../models/NBAPlayerStats.js';
+import EPLPlayerStats from '../models/EPLPlayerStats.js';
+import { getQualifyingSeasons, getLeaguePace } from './analyticsService.js';
+import { getPlayingTime, normalizeValue, MODE_LABELS } from '../utils/statNormalization.js';
+import sportsConfig from '../config/sportsConfig.js';
+
+/**
+ * Divides a total by a count, returning null when the count is zero or missing
+ * @param {number} total - Numerator
+ * @param {number} count - Denominator (games, attempts, minutes...)
+ * @returns {number|null} Ratio
+ */
+function ratio(total, count) {
+  if (!count || total === undefined || total === null) return null;
+  return total / count;
+}
+
+/**
+ * Converts a 0-1 fraction to a 0-100 percentage
+ * @param {number} value - Fraction
+ * @returns {number|null} Percentage
+ */
+function toPercent(value) {
+  return typeof value === 'number' ? value * 100 : null;
+}
+
+// Section keys and labels, in display order (the counting section is labelled with the mode)
+export const COMPARE_SECTIONS = {
+  counting: 'Per Game',
+  shooting: 'Shooting & Efficiency',
+  advanced: 'Advanced'
+};
+
+/**
+ * Comparable metrics per league
+ * - section: key of COMPARE_SECTIONS
+ * - value: (seasonData, rate) => number, where rate() normalizes a counting stat by the requested mode
+ * - percent: value is a percentage (0-100)
+ * - lowerIsBetter: the lowest value leads (e.g., turnovers)
+ * - radar: included in the radar chart as a league percentile
+ */
+export const COMPARE_METRICS = {
+  NBA: {
+    points: { label: 'Points', section: 'counting', radar: true, value: (s, rate) => rate(s.totals?.points) },
+    rebounds: { label: 'Rebounds', section: 'counting', radar: true, value: (s, rate) => rate(s.totals?.totalRb) },
+    assists: { label: 'Assists', section: 'counting', radar: true, value: (s, rate) => rate(s.totals?.assists) },
+    steals: { label: 'Steals', section: 'counting', radar: true, value: (s, rate) => rate(s.totals?.steals) },
+    blocks: { label: 'Blocks', section: 'counting', radar: true, value: (s, rate) => rate(s.totals?.blocks) },
+    turnovers: { label: 'Turnovers', section: 'counting', lowerIsBetter: true, value: (s, rate) => rate(s.totals?.turnovers) },
+    minutes: { label: 'Minutes Per Game', section: 'counting', value: s => s.totals?.minutesPg },
+    fieldPercent: { label: 'FG%', section: 'shooting', percent: true, value: s => toPercent(s.totals?.fieldPercent) },
+    threePercent: { label: '3P%', section: 'shooting', percent: true, value: s => toPercent(s.totals?.threePercent) },
+    ftPercent: { label: 'FT%', section: 'shooting', percent: true, value: s => toPercent(s.totals?.ftPercent) },
+    effectFgPercent: { label: 'eFG%', section: 'shooting', percent: true, value: s => toPercent(s.totals?.effectFgPercent) },
+    tsPercent: { label: 'TS%', section: 'shooting', percent: true, radar: true, value: s => toPercent(s.advanced?.tsPercent) },
+    per: { label: 'PER', section: 'advanced', value: s => s.advanced?.per },
+    usagePercent: { label: 'Usage %', section: 'advanced', percent: true, value: s => s.advanced?.usagePercent },
+    winShares: { label: 'Win Shares', section: 'advanced', value: s => s.advanced?.winShares },
+    box: { label: 'Box Plus/Minus', section: 'advanced', value: s => s.advanced?.box },
+    vorp: { label: 'VORP', section: 'advanced', value: s => s.advanced?.vorp }
+  },
+  EPL: {
+    goals: { label: 'Goals', section: 'counting', radar: true, value: (s, rate) => rate(s.goals?.total) },
+    assists: { label: 'Assists', section: 'counting', radar: true, value: (s, rate) => rate(s.goals?.assists) },
+    shots: { label: 'Shots', section: 'counting', value: (s, rate) => rate(s.shots?.total) },
+    keyPasses: { label: 'Key Passes', section: 'counting', radar: true, value: (s, rate) => rate(s.passes?.key) },
+    tackles: { label: 'Tackles', section: 'counting', radar: true, value: (s, rate) => rate(s.tackles?.total) },
+    interceptions: { label: 'Interceptions', section: 'counting', value: (s, rate) => rate(s.tackles?.interceptions) },
+    minutes: { label: 'Minutes Per Game', section: 'counting', value: s => ratio(s.minutes, s.appearances) },
+    shotAccuracy: { label: 'Shots On Target %', section: 'shooting', percent: true, value: s => toPercent(ratio(s.shots?.on, s.shots?.total)) },
+    penaltyConversion: {
+      label: 'Penalty Conversion %',
+      section: 'shooting',
+      percent: true,
+      value: s => toPercent(ratio(s.penalty?.scored, (s.penalty?.scored || 0) + (s.penalty?.missed || 0)))
+    },
+    passAccuracy: { label: 'Pass Accuracy', section: 'shooting', percent: true, value: s => s.passes?.accuracy },
+    dribbleSuccess: { label: 'Dribble Success %', section: 'shooting', percent: true, radar: true, value: s => toPercent(ratio(s.dribbles?.success, s.dribbles?.attempts)) },
+    duelsWon: { label: 'Duels Won %', section: 'shooting', percent: true, value: s => toPercent(ratio(s.duels?.won, s.duels?.total)) },
+    rating: { label: 'Average Rating', section: 'advanced', radar: true, value: s => s.rating },
+    goalContributionsPer90: {
+      label: 'Goals + Assists per 90',
+      section: 'advanced',
+      value: s => ratio(((s.goals?.total || 0) + (s.goals?.assists || 0)) * 90, s.minutes)
+    },
+    appearances: { label: 'Appearances', section: 'advanced', value: s => s.appearances },
+    lineups: { label: 'Starts', section: 'advanced', value: s => s.lineups }
+  }
+};
+
+/**
+ * Reads a metric value, treating non-finite results as missing
+ * @param {Object} metric - Metric definition
+ * @param {Object} seasonData - Season entry
+ * @param {Object} normalization - { league, mode, pace } used to normalize counting stats
+ * @returns {number|null} Value
+ */
+function readMetric(metric, seasonData, { league, mode, pace }) {
+  if (!seasonData) return null;
+  const playingTime = getPlayingTime(league, seasonData, { pace });
+  const value = metric.value(seasonData, total => normalizeValue(total ?? null, mode, playingTime));
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Finds which player leads a metric
+ * @param {Array<number|null>} values - Values aligned with the compared players
+ * @param {boolean} lowerIsBetter - Whether the lowest value leads
+ * @returns {number|null} Index of the leader, or null when fewer than two players have a value or all tie
+ */
+function findLeader(values, lowerIsBetter) {
+  const present = values.filter(v => v !== null);
+  if (present.length < 2) return null;
+
+  const best = lowerIsBetter ? Math.min(...present) : Math.max(...present);
+  const leaders = values.filter(v => v === best);
+  return leaders.length === 1 ? values.indexOf(best) : null;
+}
+
+/**
+ * Calculates the percentile of a value within a list (ties count half)
+ * @param {number} value - Value to rank
+ * @param {Array<number>} population - League values
+ * @param {boolean} lowerIsBetter - Whether lower values rank higher
+ * @returns {number|null} Percentile from 0 to 100
+ */
+function percentileOf(value, population, lowerIsBetter) {
+  if (value === null || population.length === 0) return null;
+
+  let below = 0;
+  let equal = 0;
+  for (const v of population) {
+    if (v === value) equal++;
+    else if (lowerIsBetter ? v > value : v < value) below++;
+  }
+  return ((below + equal / 2) / population.length) * 100;
+}
+
+/**
+ * Loads the compared players' stats documents and their season entries
+ * @param {string} league - 'NBA' or 'EPL'
+ * @param {Array<string>} playerIds - Prefixed player IDs
+ * @param {number} season - Season year
+ * @param {string} type - NBA only: 'regular' or 'playoff'
+ * @returns {Promise<Array>} Per player { playerId, doc, seasonData } (doc is null if not found)
+ */
+async function loadPlayers(league, playerIds, season, type) {
+  const rawIds = playerIds.map(id => id.slice(id.indexOf('_') + 1));
+  const Model = league === 'NBA' ? NbaPlayerStats : EPLPlayerStats;
+  const docs = await Model.find({ playerId: { $in: rawIds } }).lean();
+  const docMap = new Map(docs.map(doc => [doc.playerId, doc]));
+
+  const seasonsArray = league === 'NBA'
+    ? (type === 'playoff' ? 'playoffs' : 'regularSeasons')
+    : 'seasons';
+
+  return playerIds.map((playerId, i) => {
+    const doc = docMap.get(rawIds[i]) || null;
+    const seasonData = doc?.[seasonsArray]?.find(s => s.season === season) || null;
+    return { playerId, doc, seasonData };
+  });
+}
+
+/**
+ * Compares players from the same league for one season
+ *
+ * @param {string} league - 'NBA' or 'EPL'
+ * @param {Array<string>} playerIds - Prefixed player IDs (e.g., 'nba_jamesle01'), in display order
+ * @param {Object} options - { season, type, mode }
+ * @returns {Promise<Object>} { league, season, type, mode, missing, players, sections, radar }
+ *   missing lists IDs with no stats at all; players without data for the season have hasSeason: false
+ */
+export async function comparePlayers(league, playerIds, {
+  season = league === 'NBA' ? sportsConfig.nba.currentSeason : sportsConfig.epl.currentSeason,
+  type = 'regular',
+  mode = 'perGame'
+} = {}) {
+  const metricDefs = COMPARE_METRICS[league];
+  const loaded = await loadPlayers(league, playerIds, season, type);
+
+  const missing = loaded.filter(p => !p.doc).map(p => p.playerId);
+  if (missing.length > 0) {
+    return { league, season, missing };
+  }
+
+  const players = loaded.map(({ playerId, doc, seasonData }) => ({
+    playerId,
+    name: doc.name,
+    team: seasonData?.team || null,
+    position: seasonData?.position || null,
+    games: league === 'NBA' ? seasonData?.totals?.games ?? null : seasonData?.appearances ?? null,
+    hasSeason: Boolean(seasonData),
+    seasonStats: seasonData // Raw season entry, used by the frontend bar charts
+  }));
+
+  const pace = league === 'NBA' && mode === 'per100' ? await getLeaguePace(season, type) : undefined;
+  const normalization = { league, mode, pace };
+
+  // Step 1: Align every metric across the compared players
+  const sections = Object.entries(COMPARE_SECTIONS).map(([key, label]) => ({
+    key,
+    label: key === 'counting' ? MODE_LABELS[mode] : label,
+    metrics: Object.entries(metricDefs)
+      .filter(([, metric]) => metric.section === key)
+      .map(([metricKey, metric]) => {
+        const values = loaded.map(p => readMetric(metric, p.seasonData, normalization));
+        return {
+          key: metricKey,
+          label: metric.label,
+          percent: Boolean(metric.percent),
+          lowerIsBetter: Boolean(metric.lowerIsBetter),
+          values,
+          leader: findLeader(values, metric.lowerIsBetter)
+        };
+      })
+  }));
+
+  // Step 2: League percentiles for the radar metrics
+  const minGames = league === 'NBA' ? sportsConfig.analytics.minGames : sportsConfig.analytics.minAppearances;
+  const qualifying = await getQualifyingSeasons(league, season, { type, minGames });
+
+  const radar = Object.entries(metricDefs)
+    .filter(([, metric]) => metric.radar)
+    .map(([metricKey, metric]) => {
+      const population = qualifying
+        .map(p => readMetric(metric, p.seasonData, normalization))
+        .filter(v => v !== null);
+      return {
+        key: metricKey,
+        label: metric.label,
+        percentiles: loaded.map(p => percentileOf(readMetric(metric, p.seasonData, normalization), population, metric.lowerIsBetter))
+      };
+    });
+
+  return {
+    league,
+    season,
+    type: league === 'NBA' ? type : undefined,
+    mode,
+    missing,
+    leaguePlayerCount: qualifying.length,
+    players,
+    sections,
+    radar
+  };
+}
+
+export default {
+  comparePlayers,
+  COMPARE_METRICS,
+  COMPARE_SECTIONS
+};
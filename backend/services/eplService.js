@@ -1,14 +1,17 @@
 /**
  * EPL (English Premier League) Data Service
  * 
- * This service fetches data for the English Premier League from external APIs and stores it in MongoDB. 
+ * This service fetches data for the English Premier League through the EPL provider selected in
+ * sportsConfig.epl.provider (see providers/providerRegistry.js) and stores it in MongoDB. 
  * 
  * It handles:
- * 1. Standings data - Team rankings, points, wins, losses, draws
- * 2. Player data - Goals, appearances, cards, etc.
- * 3. Rate limiting - Implements delays to avoid API throttling
+ * 1. Standings data - Team rankings, points, wins, losses, draws, goals, form and qualification zones
+ * 2. Fixtures - Every match of the season with date, venue, score and status, plus events and lineups of finished matches
+ * 3. Player data - Goals, appearances, cards, etc., with a stint per club for players who moved between Premier League clubs
+ * 4. Resumable player updates - Each page of players is saved and checkpointed in SystemInfo, so an update
+ *    interrupted part way through continues where it stopped and reports its data as partial until then
  * 
- * The service is designed to be resilient to API failures and implements staggered requests to stay within API usage limits
+ * The service is designed to be resilient to API failures; the provider's HTTP client keeps requests within API usage limits
  */
 
 // Changes:
@@ -18,19 +21,15 @@
 // 4. Adds player season stats to array instead of replacing document
 // 5. Processes both team standings and player stats with proper references
 
-import axios, { all } from 'axios';
 import Team from '../models/Team.js';
 import Player from '../models/Player.js';
 import EPLPlayerStats from '../models/EPLPlayerStats.js';
+import Fixture from '../models/Fixture.js';
 import SystemInfo from '../models/SystemInfo.js';
+import sportsConfig from '../config/sportsConfig.js';
+import { recordEplStints } from './stintService.js';
+import { getProvider } from '../providers/providerRegistry.js';
 
-// API options for EPL
-const API_SOURCES = {
-  API_FOOTBALL: 'api-football'
-};
-
-// Active API source
-const ACTIVE_API = API_SOURCES.API_FOOTBALL;
 const CURRENT_SEASON = 2024;
 
 /**
@@ -47,6 +46,223 @@ function getSafeStatValue(stats, field, subfield) {
   return stats[field][subfield];
 }
 
+// API-Football fixture status codes, grouped into the states stored on Fixture.status.state
+const FIXTURE_STATES = {
+  scheduled: ['TBD', 'NS'],
+  live: ['1H', 'HT', '2H', 'ET', 'BT', 'P', 'SUSP', 'INT', 'LIVE'],
+  finished: ['FT', 'AET', 'PEN', 'AWD', 'WO'],
+  postponed: ['PST'],
+  cancelled: ['CANC', 'ABD']
+};
+
+/**
+ * Converts an API-Football fixture into a Fixture document
+ * @param {Object} item - Fixture from the API ({ fixture, league, teams, goals, score })
+ * @param {number} season - Season year
+ * @returns {Object} Fixture fields
+ */
+function mapFixture(item, season) {
+  const { fixture, league, teams, goals, score } = item;
+  const statusCode = fixture.status?.short;
+  const state = Object.keys(FIXTURE_STATES).find(key => FIXTURE_STATES[key].includes(statusCode)) || 'scheduled';
+
+  // Rounds are named like "Regular Season - 12"
+  const matchday = parseInt(/(\d+)\s*$/.exec(league.round || '')?.[1], 10);
+
+  let winner = null;
+  if (state === 'finished') {
+    winner = teams.home.winner ? 'home' : teams.away.winner ? 'away' : 'draw';
+  }
+
+  return {
+    fixtureId: `epl_${fixture.id}`,
+    league: 'EPL',
+    season,
+    matchday: Number.isNaN(matchday) ? undefined : matchday,
+    round: league.round,
+    date: new Date(fixture.date),
+    venue: { name: fixture.venue?.name, city: fixture.venue?.city },
+    referee: fixture.referee || undefined,
+    status: {
+      short: statusCode,
+      long: fixture.status?.long,
+      elapsed: fixture.status?.elapsed ?? undefined,
+      state
+    },
+    homeTeam: { teamId: `epl_${teams.home.id}`, name: teams.home.name, logo: teams.home.logo },
+    awayTeam: { teamId: `epl_${teams.away.id}`, name: teams.away.name, logo: teams.away.logo },
+    score: {
+      home: goals.home ?? undefined,
+      away: goals.away ?? undefined,
+      halftime: { home: score?.halftime?.home ?? undefined, away: score?.halftime?.away ?? undefined }
+    },
+    winner,
+    lastUpdated: new Date()
+  };
+}
+
+/**
+ * Converts an API player reference ({ id, name }) into our Player ID and name
+ * @param {Object} player - Player from the API (the id can be null for players the API doesn't know)
+ * @returns {Object|undefined} { playerId, name }
+ */
+function mapFixturePlayer(player) {
+  if (!player || (!player.id && !player.name)) return undefined;
+  return { playerId: player.id ? `epl_${player.id}` : null, name: player.name };
+}
+
+/**
+ * Converts the events and lineups of an API-Football fixture into Fixture fields
+ * @param {Object} item - Fixture from the API, including events and lineups
+ * @returns {Object} { events, lineups, detailsUpdated }
+ */
+function mapFixtureDetails(item) {
+  const homeId = item.teams.home.id;
+  const sideOf = (team) => (team?.id === homeId ? 'home' : 'away');
+
+  const events = (item.events || []).map(event => ({
+    minute: event.time?.elapsed ?? undefined,
+    extra: event.time?.extra ?? undefined,
+    side: sideOf(event.team),
+    teamId: event.team?.id ? `epl_${event.team.id}` : undefined,
+    type: event.type,
+    detail: event.detail,
+    player: mapFixturePlayer(event.player),
+    assist: mapFixturePlayer(event.assist),
+    comments: event.comments || undefined
+  }));
+
+  const mapLineupPlayer = ({ player }) => ({
+    ...mapFixturePlayer(player),
+    number: player.number ?? undefined,
+    position: player.pos || undefined,
+    grid: player.grid || undefined
+  });
+
+  const lineups = {};
+  (item.lineups || []).forEach(lineup => {
+    lineups[sideOf(lineup.team)] = {
+      teamId: `epl_${lineup.team.id}`,
+      formation: lineup.formation,
+      coach: lineup.coach?.name,
+      startXI: (lineup.startXI || []).map(mapLineupPlayer),
+      substitutes: (lineup.substitutes || []).map(mapLineupPlayer)
+    };
+  });
+
+  return { events, lineups, detailsUpdated: new Date() };
+}
+
+/**
+ * Fetches events and lineups for finished fixtures that don't have them yet
+ * Looking fixtures up by id returns them with their events and lineups, up to 20 per call,
+ * and a finished match's details don't change, so each match is only fetched once
+ * Skipped when the provider can't look fixtures up by id
+ * @param {number} season - Season to fetch
+ * @param {Function} onProgress - Progress callback (see updateEPLData)
+ * @returns {Promise<number>} Number of fixtures updated
+ */
+async function updateFixtureDetails(season, onProgress) {
+  const provider = getProvider('epl');
+  if (typeof provider.fetchFixturesById !== 'function') return 0;
+
+  const pending = await Fixture.find({
+    league: 'EPL',
+    season,
+    'status.state': 'finished',
+    detailsUpdated: { $exists: false }
+  })
+    .sort({ date: 1 })
+    .limit(sportsConfig.epl.maxFixtureDetailsPerUpdate)
+    .select('fixtureId')
+    .lean();
+
+  const batchSize = 20; // Most fixture ids the API accepts per call
+  let updated = 0;
+
+  for (let i = 0; i < pending.length; i += batchSize) {
+    const ids = pending.slice(i, i + batchSize).map(fixture => fixture.fixtureId.replace('epl_', ''));
+    onProgress({
+      phase: 'fixtures',
+      status: 'running',
+      message: `Fetching match events and lineups (${i + ids.length} of ${pending.length})`,
+      current: i + ids.length,
+      total: pending.length
+    });
+
+    const items = await provider.fetchFixturesById(ids);
+
+    if (items.length > 0) {
+      await Fixture.bulkWrite(items.map(item => ({
+        updateOne: {
+          filter: { fixtureId: `epl_${item.fixture.id}` },
+          update: { $set: mapFixtureDetails(item) }
+        }
+      })));
+      updated += items.length;
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Fetches every fixture of the season and upserts them into the Fixture collection
+ * One API call covers the whole season (380 matches); events and lineups of newly finished matches follow
+ * when 'fixtureDetails' is in the update endpoints (see updateFixtureDetails)
+ * Fixtures are an optional provider method, so providers without them skip this step
+ * @param {number} season - Season to fetch
+ * @param {Function} onProgress - Progress callback (see updateEPLData)
+ * @returns {Promise<boolean>} Success status
+ */
+async function updateFixtures(season, onProgress) {
+  try {
+    const provider = getProvider('epl');
+    if (typeof provider.fetchFixtures !== 'function') {
+      console.log('EPL provider has no fixtures, skipping fixtures update');
+      return true;
+    }
+
+    console.log(`Fetching EPL fixtures for season ${season}...`);
+    onProgress({ phase: 'fixtures', status: 'running', message: 'Fetching EPL fixtures' });
+
+    const fixturesData = await provider.fetchFixtures(season);
+
+    if (!Array.isArray(fixturesData)) {
+      console.error('Invalid API response for fixtures');
+      onProgress({ phase: 'fixtures', status: 'failed', message: 'Invalid API response for fixtures' });
+      return false;
+    }
+
+    const fixtures = fixturesData.map(item => mapFixture(item, season));
+    if (fixtures.length > 0) {
+      await Fixture.bulkWrite(fixtures.map(fixture => ({
+        updateOne: {
+          filter: { fixtureId: fixture.fixtureId },
+          update: { $set: fixture },
+          upsert: true
+        }
+      })));
+    }
+
+    console.log(`Updated ${fixtures.length} EPL fixtures`);
+
+    let detailsMessage = '';
+    if (sportsConfig.epl.updateEndpoints.includes('fixtureDetails')) {
+      const detailed = await updateFixtureDetails(season, onProgress);
+      console.log(`Updated events and lineups for ${detailed} EPL fixtures`);
+      detailsMessage = `, events and lineups for ${detailed}`;
+    }
+
+    onProgress({ phase: 'fixtures', status: 'completed', message: `Updated ${fixtures.length} fixtures${detailsMessage}` });
+    return true;
+  } catch (error) {
+    console.error('Error updating EPL fixtures:', error.message);
+    onProgress({ phase: 'fixtures', status: 'failed', message: `Error fetching fixtures: ${error.message}` });
+    return false;
+  }
+}
+
 /**
  * Determines if a player is a goalkeeper based on position string
  * @param {string} position - Player position from API
@@ -58,31 +274,30 @@ function isGoalkeeper(position) {
 }
 
 /**
- * Updates all EPL data by fetching from the selected API source
+ * Updates all EPL data by fetching from the configured provider
+ * An update interrupted while fetching players succeeds only partially; the next one resumes from its checkpoint
  * @param {number} season - Season to fetch (defaults to current)
- * @returns {Promise<boolean>} Success status
+ * @param {Function} onProgress - Optional callback receiving { phase, status, message, current, total }
+ * @returns {Promise<Object>} { success, dataset } where success means the update ran to the end, and dataset
+ *                            describes the players fetched (see fetchAndSavePlayers), or is null if it never got that far
  */
-export const updateEPLData = async (season = CURRENT_SEASON) => {
+export const updateEPLData = async (season = CURRENT_SEASON, onProgress = () => {}) => {
   try {
     console.log(`Starting EPL data update for season ${season}...`);
     
     // No longer deleting all data - using incremental updates instead
-    if (ACTIVE_API === API_SOURCES.API_FOOTBALL) {
-      const startTime = new Date();
-      const success = await updateFromApiFootball(season);
-      
-      // Log update status
-      const endTime = new Date();
-      const duration = (endTime - startTime) / 1000;
-      await logUpdateStatus('EPL', success, startTime, endTime, duration);
-      
-      return success;
-    }
+    const startTime = new Date();
+    const result = await updateFromProvider(getProvider('epl'), season, onProgress);
     
-    return false;
+    // Log update status
+    const endTime = new Date();
+    const duration = (endTime - startTime) / 1000;
+    await logUpdateStatus('EPL', result.success, startTime, endTime, duration);
+    
+    return result;
   } catch (error) {
     console.error('EPL update error:', error);
-    return false;
+    return { success: false, dataset: null };
   }
 };
 
@@ -114,113 +329,502 @@ async function logUpdateStatus(operation, success, startTime, endTime, duration)
 }
 
 /**
- * Makes an API call to the API-Football service
- * @param {string} endpoint - API endpoint to call
- * @param {Object} params - Parameters to include in the request
- * @returns {Promise<Object>} API response
+ * Gets the SystemInfo key of a season's player pagination checkpoint
+ * @param {number} season - Season year
+ * @returns {string} Key
  */
-async function callApiFootball(endpoint, params = {}) {
-  try {
-    console.log(`Calling API-Football ${endpoint} endpoint with params:`, params);
-    
-    const response = await axios.get(`https://v3.football.api-sports.io/${endpoint}`, {
-      headers: { 'x-apisports-key': process.env.EPL_API_KEY },
-      params: params
-    });
-    
-    return response.data;
-  } catch (error) {
-    console.error(`API-Football call error (${endpoint}):`, error.message);
-    if (error.response) {
-      console.error(`Status code: ${error.response.status}`);
-      console.error('Response data:', error.response.data);
-    }
-    throw error;
+function getCheckpointKey(season) {
+  return `eplPlayersCheckpoint_${season}`;
+}
+
+/**
+ * Gets the checkpoint an interrupted player update left for a season
+ * A checkpoint from an update started more than sportsConfig.epl.checkpointMaxAgeHours ago is ignored,
+ * so pages saved that long ago are fetched again instead of being skipped (and players that keep failing
+ * to save don't hold the checkpoint open for good)
+ * @param {number} season - Season year
+ * @returns {Promise<Object|null>} { season, lastPage, totalPages, processedPlayerIds, failedPlayers, startedAt, updatedAt },
+ *                                 where failedPlayers lists { id, page } for players that failed to save,
+ *                                 or null if the next update starts from page 1
+ */
+export async function getPlayersCheckpoint(season) {
+  const info = await SystemInfo.findOne({ key: getCheckpointKey(season) });
+  const checkpoint = info?.value;
+  if (!checkpoint) return null;
+
+  const ageHours = (Date.now() - new Date(checkpoint.startedAt).getTime()) / (60 * 60 * 1000);
+  if (ageHours > sportsConfig.epl.checkpointMaxAgeHours) {
+    console.log(`Ignoring EPL players checkpoint for season ${season} from ${new Date(checkpoint.startedAt).toLocaleString()}`);
+    return null;
   }
+  return checkpoint;
 }
 
 /**
- * Recursively fetches all players for a league and season with proper pagination
- * @param {number} league - League ID (39 for Premier League)
+ * Saves one player's season: their EPLPlayerStats season entry, a stint per club and their Player record
+ * @param {Object} playerData - Provider player entry ({ player, statistics })
  * @param {number} season - Season year
- * @param {number} page - Current page number
- * @param {Array} playersData - Accumulated player data
- * @returns {Promise<Array>} Complete array of player data
+ * @returns {Promise<string>} 'created' for a new player, 'updated', or 'skipped' for a player without appearances
  */
-async function fetchAllPlayers(league, season, page = 1, playersData = []) {
-  try {
-    // Make API call for current page
-    const response = await callApiFootball('players', {
-      league: league,
-      season: season,
-      page: page
+async function savePlayer(playerData, season) {
+  let created = false;
+  const player = playerData.player;
+
+  // Player might have stats from multiple competitions
+  // Find EPL stats specifically - or fall back to first entry
+  const stats = playerData.statistics.find(
+    stat => stat.league.id === 39 && stat.league.season === season 
+  ) || playerData.statistics[0];
+
+  // Debug log to see raw accuracy data
+  // console.log(`Player ${player.name} pass data:`, {
+  //   total: stats.passes?.total,
+  //   key: stats.passes?.key,
+  //   rawAccuracy: stats.passes?.accuracy,
+  //   accuracyType: typeof stats.passes?.accuracy
+  // });
+
+  // Skip players with no appearances
+  if (!stats || stats.games?.appearences <= 0) {
+    return 'skipped';
+  }
+
+  const teamId = `epl_${stats.team.id}`;
+
+  // Step 4a: Update or create detailed EPLPlayerStats record
+  let eplPlayerStats = await EPLPlayerStats.findOne({ playerId: player.id.toString()});
+
+  if (!eplPlayerStats) {
+    // Create new player stats record
+    eplPlayerStats = new EPLPlayerStats({
+      playerId: player.id.toString(),
+      name: player.name,
+      firstname: player.firstname,
+      lastname: player.lastname,
+      age: player.age,
+      nationality: player.nationality,
+      height: player.height,
+      weight: player.weight,
+      photo: player.photo,
+      seasons: []
     });
-    
-    // Early exit if there's an API error
-    if (!response || !response.response) {
-      console.error('Invalid response from API-Football players endpoint');
-      return playersData;
+    created = true;
+  }
+
+  // Check if this season already exists
+  let seasonStats = eplPlayerStats.seasons.find(s => s.season === season);
+
+  if (!seasonStats) {
+    // Create a new season entry
+    seasonStats = {
+      season: season,
+      team: stats.team.name,
+      teamId: teamId,
+      position: stats.games.position,
+
+      // Game stats
+      appearances: stats.games.appearences || 0,
+      lineups: stats.games.lineups || 0,
+      minutes : stats.games.minutes || 0,
+      rating: stats.games.rating ? parseFloat(stats.games.rating) : null,
+
+      // Goals
+      goals: {
+        total: stats.goals.total || 0,
+        assists: stats.goals.assists || 0,
+        conceded: stats.goals.conceded || 0,
+        saves: stats.goals.saves || 0
+      },
+
+      // Cards
+      cards: {
+        yellow: stats.cards.yellow || 0,
+        yellowred: stats.cards.yellowred || 0,
+        red: stats.cards.red || 0
+      },
+
+      // Additional stats
+      shots: {
+        total: stats.shots.total || 0,
+        on: stats.shots.on || 0
+      },
+
+      passes: {
+        total: stats.passes.total || 0,
+        key: stats.passes.key || 0,
+        accuracy: stats.passes.accuracy || 0
+      },
+
+      tackles: {
+        total: stats.tackles.total || 0,
+        blocks: stats.tackles.blocks || 0,
+        interceptions: stats.tackles.interceptions || 0
+      },
+
+      duels: {
+        total: stats.duels.total || 0,
+        won: stats.duels.won || 0
+      },
+
+      dribbles: {
+        attempts: stats.dribbles.attempts || 0,
+        success: stats.dribbles.success || 0,
+        past: stats.dribbles.past || 0
+      },
+
+      fouls: {
+        drawn: stats.fouls.drawn || 0,
+        committed: stats.fouls.committed || 0
+      },
+
+      penalty: {
+        won: stats.penalty.won || 0,
+        commited: stats.penalty.commited || 0,
+        scored: stats.penalty.scored || 0,
+        missed: stats.penalty.missed || 0,
+        saved: stats.penalty.saved || 0
+      },
+
+      lastUpdated: new Date()
+    };
+    // Push to seasons array instead of replacing entire document
+    eplPlayerStats.seasons.push(seasonStats);
+  } else {
+    // Update existing season entry
+    seasonStats.team = stats.team.name;
+    seasonStats.teamId = teamId;
+    seasonStats.position = stats.games.position;
+    seasonStats.appearances = stats.games.appearences || 0;
+    seasonStats.lineups = stats.games.lineups || 0;
+    seasonStats.minutes = stats.games.minutes || 0;
+    seasonStats.rating = stats.games.rating ? parseFloat(stats.games.rating) : null;
+
+    // Update nested objects
+    seasonStats.goals = {
+      total: stats.goals.total || 0,
+      assists: stats.goals.assists || 0,
+      conceded: stats.goals.conceded || 0,
+      saves: stats.goals.saves || 0
+    };
+
+    seasonStats.cards = {
+      yellow: stats.cards.yellow || 0,
+      yellowred: stats.cards.yellowred || 0,
+      red: stats.cards.red || 0
+    };
+
+    seasonStats.shots = {
+      total: stats.shots.total || 0,
+      on: stats.shots.on || 0
+    },
+
+    seasonStats.passes = {
+      total: stats.passes.total || 0,
+      key: stats.passes.key || 0,
+      accuracy: stats.passes.accuracy || 0
+    },
+
+    seasonStats.tackles = {
+      total: stats.tackles.total || 0,
+      blocks: stats.tackles.blocks || 0,
+      interceptions: stats.tackles.interceptions || 0
+    },
+
+    seasonStats.duels = {
+      total: stats.duels.total || 0,
+      won: stats.duels.won || 0
+    },
+
+    seasonStats.dribbles = {
+      attempts: stats.dribbles.attempts || 0,
+      success: stats.dribbles.success || 0,
+      past: stats.dribbles.past || 0
+    },
+
+    seasonStats.fouls = {
+      drawn: stats.fouls.drawn || 0,
+      committed: stats.fouls.committed || 0
+    },
+
+    seasonStats.penalty = {
+      won: stats.penalty.won || 0,
+      commited: stats.penalty.commited || 0,
+      scored: stats.penalty.scored || 0,
+      missed: stats.penalty.missed || 0,
+      saved: stats.penalty.saved || 0
+    },
+
+    seasonStats.lastUpdated = new Date();
+  }
+
+  // Save the detailed stats document
+  await eplPlayerStats.save();
+
+  // Step 4a (continued): The season entry only keeps one club, so record each club's split as a stint
+  await recordEplStints(
+    player,
+    playerData.statistics.filter(stat => stat.league.id === 39 && stat.league.season === season),
+    season
+  );
+
+  const isKeeper = isGoalkeeper(stats.games.position);
+
+  // Step 4b: Update the reference in the Player model
+  // This maintains the connection between the detailed stats and the Player model
+  await Player.findOneAndUpdate(
+    { playerId: `epl_${player.id}` },
+    {
+      teamId: teamId,
+      league: 'EPL',
+      name: player.name,
+      position: stats.games.position || "N/A",
+      number: stats.games.number,
+      nationality: player.nationality,
+      age: player.age,
+      height: player.height,
+      weight: player.weight,
+      image: player.photo,
+      isCaptain: stats.games.captain || false,
+      isInjured: player.injured || false,
+
+
+      eplStatsRef: player.id.toString(), // Link to detailed stats
+      stats: {
+        gamesPlayed: stats.games.appearances || 0,
+        gamesStarted: stats.games.lineups || 0,
+        sportStats: isKeeper 
+          ? new Map([
+              // Goalkeeper-specific stats
+              ['yellowCards', getSafeStatValue(stats, 'cards', 'yellow') || 0],
+              ['redCards', getSafeStatValue(stats, 'cards', 'red') || 0],
+              ['cleanSheets', (getSafeStatValue(stats, 'goals', 'conceded') === 0 && stats.games.appearances > 0) ? 1 : 0],
+              ['goalsSaved', getSafeStatValue(stats, 'goals', 'saves') || 0],
+              ['goalsConceded', getSafeStatValue(stats, 'goals', 'conceded') || 0],
+              ['penaltySaved', getSafeStatValue(stats, 'penalty', 'saved') || 0]
+            ])
+          : new Map([
+              // Outfield player stats
+              ['goals', getSafeStatValue(stats, 'goals', 'total') || 0],
+              ['assists', getSafeStatValue(stats, 'goals', 'assists') || 0],
+              ['yellowCards', getSafeStatValue(stats, 'cards', 'yellow') || 0],
+              ['redCards', getSafeStatValue(stats, 'cards', 'red') || 0],
+              ['keyPasses', getSafeStatValue(stats, 'passes', 'key') || 0],
+              ['totalPasses', getSafeStatValue(stats, 'passes', 'total') || 0],
+              ['passAccuracy', getSafeStatValue(stats, 'passes', 'accuracy') || 0], // This might be a percentage
+              ['tackles', getSafeStatValue(stats, 'tackles', 'total') || 0],
+              ['blocks', getSafeStatValue(stats, 'tackles', 'blocks') || 0],
+              ['interceptions', getSafeStatValue(stats, 'tackles', 'interceptions') || 0],
+              ['shotsTotal', getSafeStatValue(stats, 'shots', 'total') || 0],
+              ['shotsOnTarget', getSafeStatValue(stats, 'shots', 'on') || 0],
+              ['dribblesAttempted', getSafeStatValue(stats, 'dribbles', 'attempts') || 0],
+              ['dribblesSuccessful', getSafeStatValue(stats, 'dribbles', 'success') || 0],
+              ['foulsDrawn', getSafeStatValue(stats, 'fouls', 'drawn') || 0],
+              ['foulsCommitted', getSafeStatValue(stats, 'fouls', 'committed') || 0],
+              ['penaltyScored', getSafeStatValue(stats, 'penalty', 'scored') || 0],
+              ['penaltyMissed', getSafeStatValue(stats, 'penalty', 'missed') || 0],
+              ['penaltyWon', getSafeStatValue(stats, 'penalty', 'won') || 0]
+            ])
+      },
+      lastUpdated: new Date()
+    },
+    { upsert: true }
+  );
+
+  return created ? 'created' : 'updated';
+}
+
+/**
+ * Fetches the season's players page by page, saving each page before fetching the next
+ * After every page, the last completed page and the IDs of the players saved so far are checkpointed in
+ * SystemInfo (eplPlayersCheckpoint_<season>), so an update interrupted on page 18 of 40 resumes from
+ * page 19 instead of starting over. Players that fail to save are checkpointed with the page they were on,
+ * and the next update fetches those pages again to retry them first. The checkpoint is removed once the
+ * last page is saved with no failed players left
+ * @param {Object} provider - EPL provider (see providers/providerRegistry.js)
+ * @param {number} season - Season year
+ * @param {Function} onProgress - Progress callback (see updateEPLData)
+ * @returns {Promise<Object>} { status, lastPage, totalPages, resumedFromPage, playersProcessed, playersCreated, failedPlayerIds, error }
+ *                            where status is 'complete' once every page and player is saved, otherwise 'partial'
+ */
+async function fetchAndSavePlayers(provider, season, onProgress) {
+  const key = getCheckpointKey(season);
+  const checkpoint = await getPlayersCheckpoint(season);
+  const processedIds = new Set(checkpoint?.processedPlayerIds || []);
+  // Players that failed to save, mapped to the page they were listed on
+  const failedPlayers = new Map((checkpoint?.failedPlayers || []).map(({ id, page }) => [id, page]));
+  const startedAt = checkpoint?.startedAt || new Date();
+  const resumedFromPage = checkpoint ? checkpoint.lastPage + 1 : null;
+
+  let page = resumedFromPage || 1;
+  let totalPages = checkpoint?.totalPages ?? null;
+  let playersCreated = 0;
+
+  const result = (status, error = null) => ({
+    status,
+    lastPage: page - 1,
+    totalPages,
+    resumedFromPage,
+    playersProcessed: processedIds.size,
+    playersCreated,
+    failedPlayerIds: [...failedPlayers.keys()],
+    error
+  });
+
+  const saveCheckpoint = () => SystemInfo.findOneAndUpdate(
+    { key },
+    {
+      value: {
+        season,
+        lastPage: page - 1,
+        totalPages,
+        processedPlayerIds: [...processedIds],
+        failedPlayers: [...failedPlayers].map(([id, failedPage]) => ({ id, page: failedPage })),
+        startedAt,
+        updatedAt: new Date()
+      },
+      updatedAt: new Date()
+    },
+    { upsert: true }
+  );
+
+  /**
+   * Saves the players listed on a page
+   * @param {Array} players - Provider player entries
+   * @param {number} pageNumber - Page they were listed on
+   * @param {Set<string>} onlyIds - Only save these players (used to retry failed players)
+   */
+  const savePage = async (players, pageNumber, onlyIds = null) => {
+    for (const playerData of players) {
+      const playerId = playerData.player?.id?.toString();
+      // Players already saved by the interrupted update, or listed on an earlier page
+      if (processedIds.has(playerId) || (onlyIds && !onlyIds.has(playerId))) continue;
+
+      try {
+        if (await savePlayer(playerData, season) === 'created') playersCreated++;
+        processedIds.add(playerId);
+        failedPlayers.delete(playerId);
+      } catch (playerError) {
+        console.error(`Error processing player ${playerData.player?.name || 'unknown'}:`, playerError);
+        if (!failedPlayers.has(playerId)) failedPlayers.set(playerId, pageNumber);
+      }
     }
-    
-    console.log(`Fetched ${response.results} players from page ${page}/${response.paging.total}`);
-    
-    // Add current page results to our collection
-    playersData = [...playersData, ...response.response];
-    
-    // Check if we need to fetch more pages
-    if (response.paging.current < response.paging.total) {
-      const nextPage = response.paging.current + 1;
-      
-      // Add delay to avoid hitting API rate limits
-      // Even pages get 1 second delay, odd pages get 1.5 second delay
-      const delayMs = nextPage % 2 === 0 ? 1000 : 1500;
-      console.log(`Waiting ${delayMs}ms before fetching next page...`);
-      await new Promise(resolve => setTimeout(resolve, delayMs));
-      
-      // Recursive call to get next page
-      return fetchAllPlayers(league, season, nextPage, playersData);
+  };
+
+  if (checkpoint) {
+    console.log(`Resuming EPL players for season ${season} from page ${page} of ${totalPages} (${processedIds.size} players already saved, ${failedPlayers.size} to retry)`);
+    onProgress({ phase: 'players', status: 'running', message: `Resuming EPL players from page ${page} of ${totalPages}` });
+  }
+
+  // Retry players that failed to save, fetching the pages they were listed on again
+  const retryPages = [...new Set(failedPlayers.values())].sort((a, b) => a - b);
+  for (const retryPage of retryPages) {
+    const retryIds = new Set([...failedPlayers].filter(([, failedPage]) => failedPage === retryPage).map(([id]) => id));
+    let response;
+    try {
+      response = await provider.fetchPlayerSeasonStats(season, { page: retryPage });
+    } catch (error) {
+      console.error(`Error fetching players page ${retryPage}:`, error.message);
+      return result('partial', `Error fetching page ${retryPage}: ${error.message}`);
     }
-    
-    return playersData;
-  } catch (error) {
-    console.error(`Error fetching players page ${page}:`, error);
-    
-    // If we already have some data, return it rather than failing completely
-    if (playersData.length > 0) {
-      console.warn(`Returning ${playersData.length} players collected before the error`);
-      return playersData;
+    if (!response?.players) {
+      console.error('Invalid response from EPL provider players endpoint');
+      return result('partial', `Invalid response for page ${retryPage}`);
     }
-    throw error;
+    // Without players the page can't tell which players are no longer listed (see the main loop below)
+    if (response.players.length === 0) {
+      console.error(`EPL provider returned no players for page ${retryPage}`);
+      return result('partial', `No players returned for page ${retryPage}`);
+    }
+
+    await savePage(response.players, retryPage, retryIds);
+    // Players no longer listed on the page have nothing left to retry
+    for (const id of retryIds) {
+      if (failedPlayers.get(id) === retryPage && !response.players.some(entry => entry.player?.id?.toString() === id)) {
+        failedPlayers.delete(id);
+      }
+    }
+    console.log(`Retried ${retryIds.size} EPL players from page ${retryPage}`);
+    await saveCheckpoint();
   }
+
+  while (totalPages === null || page <= totalPages) {
+    let response;
+    try {
+      response = await provider.fetchPlayerSeasonStats(season, { page });
+    } catch (error) {
+      console.error(`Error fetching players page ${page}:`, error.message);
+      return result('partial', `Error fetching page ${page}: ${error.message}`);
+    }
+
+    if (!response?.players) {
+      console.error('Invalid response from EPL provider players endpoint');
+      return result('partial', `Invalid response for page ${page}`);
+    }
+
+    // Every page up to the last one lists players, so an empty page means the provider failed
+    // (e.g., an error it reported with a 200 response and paging.total 0) rather than the end of the list
+    if (response.players.length === 0) {
+      console.error(`EPL provider returned no players for page ${page}`);
+      return result('partial', `No players returned for page ${page}`);
+    }
+
+    // A page with players counts even if paging.total says there are fewer pages
+    totalPages = Math.max(response.paging?.total || 0, page);
+    await savePage(response.players, page);
+
+    console.log(`Saved page ${page}/${totalPages} of EPL players (${response.players.length} players)`);
+    onProgress({
+      phase: 'players',
+      status: 'running',
+      message: `Saved page ${page} of ${totalPages} of EPL players`,
+      current: page,
+      total: totalPages
+    });
+
+    page++;
+    await saveCheckpoint();
+  }
+
+  if (failedPlayers.size > 0) {
+    // Keep the checkpoint so the next update retries them
+    const failedPlayerIds = [...failedPlayers.keys()];
+    const players = `${failedPlayerIds.length} player${failedPlayerIds.length === 1 ? '' : 's'}`;
+    console.error(`EPL players that failed to save: ${failedPlayerIds.join(', ')}`);
+    return result('partial', `Failed to save ${players} (${failedPlayerIds.join(', ')})`);
+  }
+
+  await SystemInfo.deleteOne({ key });
+  return result('complete');
 }
 
 /**
- * Updates EPL data from the API-Football service with incremental updates
+ * Updates EPL data from a provider with incremental updates
  * This function:
  * 1. Fetches league standings which include team data
  * 2. Updates team records in the database
- * 3. Fetches ALL players for the league and season with pagination
- * 4. Updates player records with current stats
+ * 3. Fetches the season's fixtures and results
+ * 4. Fetches ALL players for the league and season with pagination, checkpointing each page
+ * 5. Updates player records with current stats
  * 
+ * @param {Object} provider - EPL provider (see providers/providerRegistry.js)
  * @param {number} season - Season to fetch
- * @returns {Promise<boolean>} Success status
+ * @param {Function} onProgress - Progress callback (see updateEPLData)
+ * @returns {Promise<Object>} { success, dataset } (see updateEPLData)
  */
-async function updateFromApiFootball(season = CURRENT_SEASON) {
+async function updateFromProvider(provider, season = CURRENT_SEASON, onProgress = () => {}) {
   try {
     console.log(`Fetching EPL standings data for season ${season}...`);
+    onProgress({ phase: 'standings', status: 'running', message: 'Fetching EPL standings' });
 
     // Step 1: Get standings (teams) data
-    const standingsResponse = await callApiFootball('standings', {
-      league: 39, // Premier League ID
-      season: season
-    });
+    const teams = await provider.fetchStandings(season);
 
-    if (!standingsResponse || !standingsResponse.response || !standingsResponse.response[0]) {
+    if (!Array.isArray(teams) || teams.length === 0) {
       console.error('Invalid API response for standings');
-      return false;
+      onProgress({ phase: 'standings', status: 'failed', message: 'Invalid API response for standings' });
+      return { success: false, dataset: null };
     }
 
-    const teams = standingsResponse.response[0].league.standings[0];
     console.log(`Found ${teams.length} EPL teams for season ${season}`);
 
     // Step 2: Update teams in database without deleting existing records
@@ -242,7 +846,12 @@ async function updateFromApiFootball(season = CURRENT_SEASON) {
             losses: teamData.all.lose,
             draws: teamData.all.draw,
             gamesPlayed: teamData.all.played,
-            winPercentage: teamData.all.played > 0 ? (teamData.all.win / teamData.all.played) : 0
+            winPercentage: teamData.all.played > 0 ? (teamData.all.win / teamData.all.played) : 0,
+            goalsFor: teamData.all.goals?.for,
+            goalsAgainst: teamData.all.goals?.against,
+            goalDifference: teamData.goalsDiff,
+            form: teamData.form || undefined,
+            description: teamData.description || undefined // null outside the European and relegation places
           },
           lastUpdated: new Date()
         },
@@ -251,293 +860,51 @@ async function updateFromApiFootball(season = CURRENT_SEASON) {
     }
 
     console.log(`Updated ${teams.length} teams successfully`);
+    onProgress({ phase: 'standings', status: 'completed', message: `Updated ${teams.length} teams` });
 
-    // Step 3: Get all players with pagination to handle API limits
-    console.log(`Fetching all EPL players for season ${season}...`);
-    const allPlayers = await fetchAllPlayers(39, season);
-    console.log(`Successfully fetched ${allPlayers.length} EPL players`);
-
-    // Step 4: Process each player incrementally
-    console.log(`Processing player data and updating database...`);
-    let updatedPlayers = 0;
-    let createdPlayers = 0;
-
-    for (const playerData of allPlayers) {
-      try {
-        const player = playerData.player;
-
-        // Player might have stats from multiple competitions
-        // Find EPL stats specifically - or fall back to first entry
-        const stats = playerData.statistics.find(
-          stat => stat.league.id === 39 && stat.league.season === season 
-        ) || playerData.statistics[0];
-
-        // Debug log to see raw accuracy data
-        // console.log(`Player ${player.name} pass data:`, {
-        //   total: stats.passes?.total,
-        //   key: stats.passes?.key,
-        //   rawAccuracy: stats.passes?.accuracy,
-        //   accuracyType: typeof stats.passes?.accuracy
-        // });
-
-        // Skip players with no appearances
-        if (!stats || stats.games?.appearences <= 0) {
-          continue;
-        }
-
-        const teamId = `epl_${stats.team.id}`;
-
-        // Step 4a: Update or create detailed EPLPlayerStats record
-        let eplPlayerStats = await EPLPlayerStats.findOne({ playerId: player.id.toString()});
-
-        if (!eplPlayerStats) {
-          // Create new player stats record
-          eplPlayerStats = new EPLPlayerStats({
-            playerId: player.id.toString(),
-            name: player.name,
-            firstname: player.firstname,
-            lastname: player.lastname,
-            age: player.age,
-            nationality: player.nationality,
-            height: player.height,
-            weight: player.weight,
-            photo: player.photo,
-            seasons: []
-          });
-          createdPlayers++;
-        }
-
-        // Check if this season already exists
-        let seasonStats = eplPlayerStats.seasons.find(s => s.season === season);
-
-        if (!seasonStats) {
-          // Create a new season entry
-          seasonStats = {
-            season: season,
-            team: stats.team.name,
-            teamId: teamId,
-            position: stats.games.position,
-
-            // Game stats
-            appearances: stats.games.appearences || 0,
-            lineups: stats.games.lineups || 0,
-            minutes : stats.games.minutes || 0,
-            rating: stats.games.rating ? parseFloat(stats.games.rating) : null,
-
-            // Goals
-            goals: {
-              total: stats.goals.total || 0,
-              assists: stats.goals.assists || 0,
-              conceded: stats.goals.conceded || 0,
-              saves: stats.goals.saves || 0
-            },
-
-            // Cards
-            cards: {
-              yellow: stats.cards.yellow || 0,
-              yellowred: stats.cards.yellowred || 0,
-              red: stats.cards.red || 0
-            },
-
-            // Additional stats
-            shots: {
-              total: stats.shots.total || 0,
-              on: stats.shots.on || 0
-            },
-
-            passes: {
-              total: stats.passes.total || 0,
-              key: stats.passes.key || 0,
-              accuracy: stats.passes.accuracy || 0
-            },
-
-            tackles: {
-              total: stats.tackles.total || 0,
-              blocks: stats.tackles.blocks || 0,
-              interceptions: stats.tackles.interceptions || 0
-            },
-
-            duels: {
-              total: stats.duels.total || 0,
-              won: stats.duels.won || 0
-            },
-
-            dribbles: {
-              attempts: stats.dribbles.attempts || 0,
-              success: stats.dribbles.success || 0,
-              past: stats.dribbles.past || 0
-            },
-
-            fouls: {
-              drawn: stats.fouls.drawn || 0,
-              committed: stats.fouls.committed || 0
-            },
-
-            penalty: {
-              won: stats.penalty.won || 0,
-              commited: stats.penalty.commited || 0,
-              scored: stats.penalty.scored || 0,
-              missed: stats.penalty.missed || 0,
-              saved: stats.penalty.saved || 0
-            },
-
-            lastUpdated: new Date()
-          };
-          // Push to seasons array instead of replacing entire document
-          eplPlayerStats.seasons.push(seasonStats);
-        } else {
-          // Update existing season entry
-          seasonStats.team = stats.team.name;
-          seasonStats.teamId = teamId;
-          seasonStats.position = stats.games.position;
-          seasonStats.appearances = stats.games.appearences || 0;
-          seasonStats.lineups = stats.games.lineups || 0;
-          seasonStats.minutes = stats.games.minutes || 0;
-          seasonStats.rating = stats.games.rating ? parseFloat(stats.games.rating) : null;
-
-          // Update nested objects
-          seasonStats.goals = {
-            total: stats.goals.total || 0,
-            assists: stats.goals.assists || 0,
-            conceded: stats.goals.conceded || 0,
-            saves: stats.goals.saves || 0
-          };
-
-          seasonStats.cards = {
-            yellow: stats.cards.yellow || 0,
-            yellowred: stats.cards.yellowred || 0,
-            red: stats.cards.red || 0
-          };
-
-          seasonStats.shots = {
-            total: stats.shots.total || 0,
-            on: stats.shots.on || 0
-          },
-
-          seasonStats.passes = {
-            total: stats.passes.total || 0,
-            key: stats.passes.key || 0,
-            accuracy: stats.passes.accuracy || 0
-          },
-
-          seasonStats.tackles = {
-            total: stats.tackles.total || 0,
-            blocks: stats.tackles.blocks || 0,
-            interceptions: stats.tackles.interceptions || 0
-          },
-
-          seasonStats.duels = {
-            total: stats.duels.total || 0,
-            won: stats.duels.won || 0
-          },
-
-          seasonStats.dribbles = {
-            attempts: stats.dribbles.attempts || 0,
-            success: stats.dribbles.success || 0,
-            past: stats.dribbles.past || 0
-          },
-
-          seasonStats.fouls = {
-            drawn: stats.fouls.drawn || 0,
-            committed: stats.fouls.committed || 0
-          },
-
-          seasonStats.penalty = {
-            won: stats.penalty.won || 0,
-            commited: stats.penalty.commited || 0,
-            scored: stats.penalty.scored || 0,
-            missed: stats.penalty.missed || 0,
-            saved: stats.penalty.saved || 0
-          },
-
-          seasonStats.lastUpdated = new Date();
-        }
-
-        // Save the detailed stats document
-        await eplPlayerStats.save();
-        updatedPlayers++;
-
-        const isKeeper = isGoalkeeper(stats.games.position);
-
-        // Step 4b: Update the reference in the Player model
-        // This maintains the connection between the detailed stats and the Player model
-        await Player.findOneAndUpdate(
-          { playerId: `epl_${player.id}` },
-          {
-            teamId: teamId,
-            league: 'EPL',
-            name: player.name,
-            position: stats.games.position || "N/A",
-            number: stats.games.number,
-            nationality: player.nationality,
-            age: player.age,
-            height: player.height,
-            weight: player.weight,
-            image: player.photo,
-            isCaptain: stats.games.captain || false,
-            isInjured: player.injured || false,
-
-
-            eplStatsRef: player.id.toString(), // Link to detailed stats
-            stats: {
-              gamesPlayed: stats.games.appearances || 0,
-              gamesStarted: stats.games.lineups || 0,
-              sportStats: isKeeper 
-                ? new Map([
-                    // Goalkeeper-specific stats
-                    ['yellowCards', getSafeStatValue(stats, 'cards', 'yellow') || 0],
-                    ['redCards', getSafeStatValue(stats, 'cards', 'red') || 0],
-                    ['cleanSheets', (getSafeStatValue(stats, 'goals', 'conceded') === 0 && stats.games.appearances > 0) ? 1 : 0],
-                    ['goalsSaved', getSafeStatValue(stats, 'goals', 'saves') || 0],
-                    ['goalsConceded', getSafeStatValue(stats, 'goals', 'conceded') || 0],
-                    ['penaltySaved', getSafeStatValue(stats, 'penalty', 'saved') || 0]
-                  ])
-                : new Map([
-                    // Outfield player stats
-                    ['goals', getSafeStatValue(stats, 'goals', 'total') || 0],
-                    ['assists', getSafeStatValue(stats, 'goals', 'assists') || 0],
-                    ['yellowCards', getSafeStatValue(stats, 'cards', 'yellow') || 0],
-                    ['redCards', getSafeStatValue(stats, 'cards', 'red') || 0],
-                    ['keyPasses', getSafeStatValue(stats, 'passes', 'key') || 0],
-                    ['totalPasses', getSafeStatValue(stats, 'passes', 'total') || 0],
-                    ['passAccuracy', getSafeStatValue(stats, 'passes', 'accuracy') || 0], // This might be a percentage
-                    ['tackles', getSafeStatValue(stats, 'tackles', 'total') || 0],
-                    ['blocks', getSafeStatValue(stats, 'tackles', 'blocks') || 0],
-                    ['interceptions', getSafeStatValue(stats, 'tackles', 'interceptions') || 0],
-                    ['shotsTotal', getSafeStatValue(stats, 'shots', 'total') || 0],
-                    ['shotsOnTarget', getSafeStatValue(stats, 'shots', 'on') || 0],
-                    ['dribblesAttempted', getSafeStatValue(stats, 'dribbles', 'attempts') || 0],
-                    ['dribblesSuccessful', getSafeStatValue(stats, 'dribbles', 'success') || 0],
-                    ['foulsDrawn', getSafeStatValue(stats, 'fouls', 'drawn') || 0],
-                    ['foulsCommitted', getSafeStatValue(stats, 'fouls', 'committed') || 0],
-                    ['penaltyScored', getSafeStatValue(stats, 'penalty', 'scored') || 0],
-                    ['penaltyMissed', getSafeStatValue(stats, 'penalty', 'missed') || 0],
-                    ['penaltyWon', getSafeStatValue(stats, 'penalty', 'won') || 0]
-                  ])
-            },
-            lastUpdated: new Date()
-          },
-          { upsert: true }
-        );
-        
-        // Add a delay to avoid hitting API rate limits (API-Football has strict limits)
-        await new Promise(resolve => setTimeout(resolve, 500));
-
-      } catch (playerError) {
-        console.error(`Error processing player ${playerData.player?.name || 'unknown'}:`, playerError);
-      }
+    // Step 2b: Fixtures are supplementary, so a failure here doesn't fail the update
+    if (sportsConfig.epl.updateEndpoints.includes('fixtures')) {
+      await updateFixtures(season, onProgress);
     }
-    
-    console.log(`EPL update completed: ${createdPlayers} new players, ${updatedPlayers} total players processed`);
-    return true;
 
+    // Step 3: Fetch and save the players page by page, resuming from the checkpoint an interrupted update left
+    console.log(`Fetching all EPL players for season ${season}...`);
+    onProgress({ phase: 'players', status: 'running', message: 'Fetching EPL players' });
+    const dataset = await fetchAndSavePlayers(provider, season, onProgress);
+
+    if (dataset.status === 'complete') {
+      console.log(`EPL update completed: ${dataset.playersCreated} new players, ${dataset.playersProcessed} total players processed`);
+      onProgress({
+        phase: 'players',
+        status: 'completed',
+        message: `${dataset.playersCreated} new players, ${dataset.playersProcessed} total players processed`,
+        current: dataset.totalPages,
+        total: dataset.totalPages
+      });
+    } else {
+      // A page failed, or some players failed to save, or both
+      const nextSteps = [
+        dataset.failedPlayerIds.length > 0 && 'retries the players that failed to save',
+        (dataset.totalPages === null || dataset.lastPage < dataset.totalPages) && `resumes from page ${dataset.lastPage + 1}`
+      ].filter(Boolean).join(' and ');
+      console.warn(`EPL players are partial: ${dataset.lastPage} of ${dataset.totalPages ?? '?'} pages saved; the next update ${nextSteps}`);
+      onProgress({
+        phase: 'players',
+        status: 'failed',
+        message: `Partial data: ${dataset.lastPage} of ${dataset.totalPages ?? '?'} pages saved (${dataset.error}); the next update ${nextSteps}`,
+        current: dataset.lastPage,
+        total: dataset.totalPages
+      });
+    }
+    return { success: dataset.status === 'complete', dataset };
   } catch (error) {
-    console.error('API-Football update error:', error.message);
+    console.error('EPL provider update error:', error.message);
+    onProgress({ phase: 'error', status: 'failed', message: `EPL provider update error: ${error.message}` });
     if (error.response) {
       console.error(`Status code: ${error.response.status}`);
       console.error('Headers:', error.response.headers);
       console.error('Response data:', error.response.data);
     }
-    return false;
+    return { success: false, dataset: null };
   }
 }
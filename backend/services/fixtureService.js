@@ -0,0 +1,109 @@
+/**
+ * Fixture Service
+ *
+ * Queries the Fixture collection (filled by the EPL update, see eplService.js) for the
+ * fixtures/results calendar and the team page match widgets:
+ * - All of a league's fixtures for a season, in kick-off order
+ * - Optionally only one team's matches (by teamId or team name)
+ * - Optionally only matches inside a date range
+ * - A single match with its event timeline and lineups, for the match page
+ */
+import Fixture from '../models/Fixture.js';
+import Player from '../models/Player.js';
+
+// Leagues that have fixtures stored
+export const FIXTURE_LEAGUES = ['EPL'];
+
+/**
+ * Escapes a string for use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Finds a league's fixtures
+ *
+ * @param {string} league - League code (e.g., 'EPL')
+ * @param {Object} options - Filters
+ * @param {number} options.season - Season year
+ * @param {string} options.team - Optional teamId (e.g., "epl_42") or team name (case-insensitive, e.g. "arsenal")
+ * @param {Date} options.from - Optional earliest kick-off (inclusive)
+ * @param {Date} options.to - Optional latest kick-off (inclusive)
+ * @returns {Promise<Array>} Fixtures sorted by kick-off time
+ */
+export async function getFixtures(league, { season, team, from, to }) {
+  const query = { league, season };
+
+  if (team) {
+    const teamFilter = team.toLowerCase().startsWith(`${league.toLowerCase()}_`)
+      ? { teamId: team.toLowerCase() }
+      : { name: new RegExp(`^${escapeRegex(team.replace(/ FC$/i, ''))}( FC)?$`, 'i') };
+    const [[field, value]] = Object.entries(teamFilter);
+    query.$or = [{ [`homeTeam.${field}`]: value }, { [`awayTeam.${field}`]: value }];
+  }
+
+  if (from || to) {
+    query.date = {};
+    if (from) query.date.$gte = from;
+    if (to) query.date.$lte = to;
+  }
+
+  // Events and lineups are only needed on the match page
+  return Fixture.find(query).select('-events -lineups').sort({ date: 1 }).lean();
+}
+
+/**
+ * Gets one match with its event timeline and both lineups
+ * Players that have a page on the site (a Player document) are flagged with hasPage, since the
+ * match data also names players we don't store (e.g., youth players who never made a squad list)
+ *
+ * @param {string} fixtureId - Fixture ID (e.g., "epl_1208021")
+ * @returns {Promise<Object|null>} { fixture, timeline, lineups }, or null if the fixture doesn't exist
+ */
+export async function getFixtureDetails(fixtureId) {
+  const fixture = await Fixture.findOne({ fixtureId: fixtureId.toLowerCase() }).lean();
+  if (!fixture) return null;
+
+  const { events = [], lineups = {}, ...match } = fixture;
+
+  // Collect every player named in the match to look them up in one query
+  const lineupPlayers = ['home', 'away'].flatMap(side =>
+    [...(lineups[side]?.startXI || []), ...(lineups[side]?.substitutes || [])]
+  );
+  const playerIds = [
+    ...events.flatMap(event => [event.player?.playerId, event.assist?.playerId]),
+    ...lineupPlayers.map(player => player.playerId)
+  ].filter(Boolean);
+
+  const known = new Set(
+    (await Player.find({ playerId: { $in: [...new Set(playerIds)] } }).select('playerId').lean())
+      .map(player => player.playerId)
+  );
+  const withPage = (player) => player && { ...player, hasPage: known.has(player.playerId) };
+
+  // Events come in match order, but sort by minute and added time in case corrections arrived out of order
+  const timeline = events
+    .map(event => ({ ...event, player: withPage(event.player), assist: withPage(event.assist) }))
+    .sort((a, b) => (a.minute ?? 0) - (b.minute ?? 0) || (a.extra ?? 0) - (b.extra ?? 0));
+
+  const mapLineup = (lineup) => lineup && {
+    ...lineup,
+    startXI: (lineup.startXI || []).map(withPage),
+    substitutes: (lineup.substitutes || []).map(withPage)
+  };
+
+  return {
+    fixture: match,
+    timeline,
+    lineups: { home: mapLineup(lineups.home) || null, away: mapLineup(lineups.away) || null }
+  };
+}
+
+export default {
+  getFixtures,
+  getFixtureDetails,
+  FIXTURE_LEAGUES
+};
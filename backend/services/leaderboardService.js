@@ -0,0 +1,337 @@
+/**
+ * Leaderboard Service
+ *
+ * Ranks players by any stored season stat:
+ * - NBA: every numeric field of the totals and advanced schemas (e.g., 'totals.points', 'advanced.per')
+ * - EPL: every numeric field of the season schema (e.g., 'goals.total', 'passes.key')
+ *
+ * The metric list is read from the Mongoose schemas, so new stat fields become rankable automatically
+ * Counting stats can be normalized per game, per 36 minutes or 100 possessions (NBA) or per 90 minutes (EPL)
+ * with the shared normalization in utils/statNormalization.js; percentages and rate stats (PER, rating...)
+ * are always ranked as stored
+ */
+import NbaPlayerStats from '../models/NBAPlayerStats.js';
+import EPLPlayerStats from '../models/EPLPlayerStats.js';
+import { getQualifyingSeasons, getLeaguePace } from './analyticsService.js';
+import { STAT_MODES, isCountingStat, getPlayingTime, normalizeValue } from '../utils/statNormalization.js';
+import sportsConfig from '../config/sportsConfig.js';
+
+/**
+ * Display labels for schema fields (anything missing falls back to the field name)
+ */
+const FIELD_LABELS = {
+  // NBA totals
+  'totals.games': 'Games',
+  'totals.gamesStarted': 'Games Started',
+  'totals.minutesPg': 'Minutes Per Game',
+  'totals.fieldGoals': 'Field Goals',
+  'totals.fieldAttempts': 'FG Attempts',
+  'totals.fieldPercent': 'FG%',
+  'totals.threeFg': '3-Pointers',
+  'totals.threeAttempts': '3P Attempts',
+  'totals.threePercent': '3P%',
+  'totals.twoFg': '2-Pointers',
+  'totals.twoAttempts': '2P Attempts',
+  'totals.twoPercent': '2P%',
+  'totals.effectFgPercent': 'eFG%',
+  'totals.ft': 'Free Throws',
+  'totals.ftAttempts': 'FT Attempts',
+  'totals.ftPercent': 'FT%',
+  'totals.offensiveRb': 'Offensive Rebounds',
+  'totals.defensiveRb': 'Defensive Rebounds',
+  'totals.totalRb': 'Rebounds',
+  'totals.assists': 'Assists',
+  'totals.steals': 'Steals',
+  'totals.blocks': 'Blocks',
+  'totals.turnovers': 'Turnovers',
+  'totals.personalFouls': 'Personal Fouls',
+  'totals.points': 'Points',
+  // NBA advanced
+  'advanced.games': 'Games (Advanced)',
+  'advanced.minutesPlayed': 'Minutes Played',
+  'advanced.per': 'PER',
+  'advanced.tsPercent': 'TS%',
+  'advanced.threePAR': '3P Attempt Rate',
+  'advanced.ftr': 'FT Rate',
+  'advanced.offensiveRBPercent': 'ORB%',
+  'advanced.defensiveRBPercent': 'DRB%',
+  'advanced.totalRBPercent': 'TRB%',
+  'advanced.assistPercent': 'AST%',
+  'advanced.stealPercent': 'STL%',
+  'advanced.blockPercent': 'BLK%',
+  'advanced.turnoverPercent': 'TOV%',
+  'advanced.usagePercent': 'USG%',
+  'advanced.offensiveWS': 'Offensive Win Shares',
+  'advanced.defensiveWS': 'Defensive Win Shares',
+  'advanced.winShares': 'Win Shares',
+  'advanced.winSharesPer': 'WS/48',
+  'advanced.offensiveBox': 'Offensive BPM',
+  'advanced.defensiveBox': 'Defensive BPM',
+  'advanced.box': 'BPM',
+  'advanced.vorp': 'VORP',
+  // EPL
+  appearances: 'Appearances',
+  lineups: 'Starts',
+  minutes: 'Minutes',
+  rating: 'Rating',
+  'goals.total': 'Goals',
+  'goals.assists': 'Assists',
+  'goals.conceded': 'Goals Conceded',
+  'goals.saves': 'Saves',
+  'cards.yellow': 'Yellow Cards',
+  'cards.yellowred': 'Second Yellows',
+  'cards.red': 'Red Cards',
+  'shots.total': 'Shots',
+  'shots.on': 'Shots On Target',
+  'passes.total': 'Passes',
+  'passes.key': 'Key Passes',
+  'passes.accuracy': 'Pass Accuracy',
+  'tackles.total': 'Tackles',
+  'tackles.blocks': 'Blocks',
+  'tackles.interceptions': 'Interceptions',
+  'duels.total': 'Duels',
+  'duels.won': 'Duels Won',
+  'dribbles.attempts': 'Dribble Attempts',
+  'dribbles.success': 'Successful Dribbles',
+  'dribbles.past': 'Dribbled Past',
+  'fouls.drawn': 'Fouls Drawn',
+  'fouls.committed': 'Fouls Committed',
+  'penalty.won': 'Penalties Won',
+  'penalty.committed': 'Penalties Committed',
+  'penalty.scored': 'Penalties Scored',
+  'penalty.missed': 'Penalties Missed',
+  'penalty.saved': 'Penalties Saved'
+};
+
+// Fields where a lower value ranks higher (their default order is ascending)
+const LOWER_IS_BETTER = new Set([
+  'totals.turnovers', 'totals.personalFouls', 'advanced.turnoverPercent',
+  'goals.conceded', 'cards.yellow', 'cards.yellowred', 'cards.red',
+  'dribbles.past', 'fouls.committed', 'penalty.committed', 'penalty.missed'
+]);
+
+// Fields shown as columns on every leaderboard, in addition to the ranked metric
+export const DEFAULT_COLUMNS = {
+  NBA: ['totals.points', 'totals.totalRb', 'totals.assists', 'advanced.tsPercent', 'advanced.per'],
+  EPL: ['goals.total', 'goals.assists', 'passes.key', 'tackles.total', 'rating']
+};
+
+/**
+ * Normalization modes per league (the shared stat modes)
+ */
+export const LEADERBOARD_MODES = STAT_MODES;
+
+// NBA shooting percentages stored as 0-1 fractions (other percentages are stored 0-100)
+const FRACTION_FIELDS = new Set([
+  'totals.fieldPercent', 'totals.threePercent', 'totals.twoPercent', 'totals.effectFgPercent',
+  'totals.ftPercent', 'advanced.tsPercent', 'advanced.threePAR', 'advanced.ftr'
+]);
+
+/**
+ * How a field's values should be displayed
+ * @param {string} path - Field path
+ * @returns {string} 'fraction' (0-1, shown as a percentage), 'percent' (0-100) or 'number'
+ */
+function getFieldFormat(path) {
+  if (FRACTION_FIELDS.has(path)) return 'fraction';
+  if (path.endsWith('Percent') || path === 'passes.accuracy') return 'percent';
+  return 'number';
+}
+
+/**
+ * Lists the numeric fields of a (sub)schema as dotted paths
+ * @param {Object} schema - Mongoose schema
+ * @param {string} prefix - Path prefix (e.g., 'totals.')
+ * @returns {Array<string>} Field paths
+ */
+function numericPaths(schema, prefix = '') {
+  const paths = [];
+  schema.eachPath((path, type) => {
+    if (type.instance === 'Number' && path !== 'season') paths.push(`${prefix}${path}`);
+  });
+  return paths;
+}
+
+/**
+ * Builds the rankable metrics for a league from its stats schema
+ * @param {string} league - 'NBA' or 'EPL'
+ * @returns {Object} Metric definitions keyed by field path: { label, group, normalizable, lowerIsBetter, format }
+ */
+function buildMetrics(league) {
+  const metrics = {};
+
+  if (league === 'NBA') {
+    const seasonSchema = NbaPlayerStats.schema.path('regularSeasons').schema;
+    for (const group of ['totals', 'advanced']) {
+      for (const path of numericPaths(seasonSchema.path(group).schema, `${group}.`)) {
+        metrics[path] = {
+          label: FIELD_LABELS[path] || path,
+          group,
+          // Only counting totals can be normalized; advanced stats are rates or season values
+          normalizable: isCountingStat(league, path),
+          lowerIsBetter: LOWER_IS_BETTER.has(path),
+          format: getFieldFormat(path)
+        };
+      }
+    }
+    return metrics;
+  }
+
+  const seasonSchema = EPLPlayerStats.schema.path('seasons').schema;
+  for (const path of numericPaths(seasonSchema)) {
+    metrics[path] = {
+      label: FIELD_LABELS[path] || path,
+      group: path.includes('.') ? path.split('.')[0] : 'appearances',
+      normalizable: isCountingStat(league, path),
+      lowerIsBetter: LOWER_IS_BETTER.has(path),
+      format: getFieldFormat(path)
+    };
+  }
+  return metrics;
+}
+
+/**
+ * Rankable metrics per league, keyed by field path
+ */
+export const LEADERBOARD_METRICS = {
+  NBA: buildMetrics('NBA'),
+  EPL: buildMetrics('EPL')
+};
+
+/**
+ * Resolves a metric name to its field path
+ * Accepts the full path ('totals.points') or, when unambiguous, the bare field name ('points')
+ * @param {string} league - 'NBA' or 'EPL'
+ * @param {string} metric - Requested metric
+ * @returns {string|null} Field path, or null if unknown or ambiguous
+ */
+export function resolveMetric(league, metric) {
+  const metrics = LEADERBOARD_METRICS[league];
+  if (!metric) return null;
+  if (metrics[metric]) return metric;
+
+  const matches = Object.keys(metrics).filter(path => path.split('.').pop() === metric);
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Reads a dotted path from a season entry
+ * @param {Object} seasonData - Season entry
+ * @param {string} path - Field path
+ * @returns {number|null} Value
+ */
+function readPath(seasonData, path) {
+  const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), seasonData);
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Applies a normalization mode to a metric's value (rate stats are returned as stored)
+ * @param {number|null} value - Season value
+ * @param {Object} metric - Metric definition
+ * @param {string} mode - Normalization mode
+ * @param {Object} playingTime - { games, minutes, possessions }
+ * @returns {number|null} Normalized value (null when the divisor is zero)
+ */
+function normalize(value, metric, mode, playingTime) {
+  if (!metric.normalizable) return value;
+  return normalizeValue(value, mode, playingTime);
+}
+
+/**
+ * Builds a leaderboard for one metric
+ *
+ * @param {string} league - 'NBA' or 'EPL'
+ * @param {Object} options - Leaderboard options
+ * @param {string} options.metric - Field path to rank by (see LEADERBOARD_METRICS)
+ * @param {number} options.season - Season year
+ * @param {string} options.type - NBA only: 'regular' or 'playoff'
+ * @param {string} options.mode - 'totals', 'perGame', 'per36'/'per100' (NBA) or 'per90' (EPL)
+ * @param {Array<string>} options.positions - Only players at these positions (case-insensitive)
+ * @param {string} options.team - Only players on this team (abbreviation for NBA, name for EPL)
+ * @param {number} options.minGames - Minimum games (NBA) or appearances (EPL)
+ * @param {string} options.order - 'desc' or 'asc' (default: best first)
+ * @param {number} options.limit - Page size
+ * @param {number} options.page - Page number, starting at 1
+ * @returns {Promise<Object>} { metric, columns, total, page, pages, players: [{ rank, playerId, name, team, position, games, value, columns }] }
+ */
+export async function getLeaderboard(league, {
+  metric,
+  season,
+  type = 'regular',
+  mode = 'totals',
+  positions = [],
+  team = null,
+  minGames = sportsConfig.leaderboards.minGames[league],
+  order = null,
+  limit = sportsConfig.leaderboards.defaultLimit,
+  page = 1
+}) {
+  const metrics = LEADERBOARD_METRICS[league];
+  const metricDef = metrics[metric];
+  const sortOrder = order || (metricDef.lowerIsBetter ? 'asc' : 'desc');
+  const columns = [...new Set([metric, ...DEFAULT_COLUMNS[league]])];
+
+  const qualifying = await getQualifyingSeasons(league, season, { type, minGames });
+  const pace = league === 'NBA' && mode === 'per100' ? await getLeaguePace(season, type) : undefined;
+
+  const wantedPositions = positions.map(p => p.toLowerCase());
+  const filtered = qualifying.filter(player => {
+    if (wantedPositions.length > 0 && !wantedPositions.includes((player.position || '').toLowerCase())) return false;
+    if (team && (player.team || '').toLowerCase() !== team.toLowerCase()) return false;
+    return true;
+  });
+
+  // Normalize the ranked metric and the display columns for every player
+  const rows = filtered
+    .map(player => {
+      const playingTime = getPlayingTime(league, player.seasonData, { pace });
+      const values = {};
+      for (const column of columns) {
+        values[column] = normalize(readPath(player.seasonData, column), metrics[column], mode, playingTime);
+      }
+      return {
+        playerId: player.playerId,
+        name: player.name,
+        team: player.team,
+        position: player.position,
+        games: playingTime.games,
+        minutes: playingTime.minutes,
+        value: values[metric],
+        columns: values
+      };
+    })
+    .filter(row => row.value !== null);
+
+  rows.sort((a, b) => (sortOrder === 'asc' ? a.value - b.value : b.value - a.value));
+
+  // Standard competition ranking: tied values share a rank
+  rows.forEach((row, i) => {
+    row.rank = i > 0 && row.value === rows[i - 1].value ? rows[i - 1].rank : i + 1;
+  });
+
+  const start = (page - 1) * limit;
+
+  return {
+    league,
+    season,
+    type: league === 'NBA' ? type : undefined,
+    mode,
+    order: sortOrder,
+    metric: { key: metric, ...metricDef },
+    columns: columns.map(key => ({ key, ...metrics[key] })),
+    total: rows.length,
+    page,
+    pages: Math.max(1, Math.ceil(rows.length / limit)),
+    limit,
+    players: rows.slice(start, start + limit)
+  };
+}
+
+export default {
+  getLeaderboard,
+  resolveMetric,
+  LEADERBOARD_METRICS,
+  LEADERBOARD_MODES,
+  DEFAULT_COLUMNS
+};
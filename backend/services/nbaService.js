@@ -12,30 +12,23 @@
  * - Combined stats entries (marked as "2TM" for players on two teams)
  * - Filtering out non-current players
  * 
- * NOTE: This service relies on REST NBA API as its data source
+ * NOTE: Data is read through the NBA provider selected in sportsConfig.nba.provider
+ * (see providers/providerRegistry.js)
  */
 
-import axios from 'axios';
 import Team from '../models/Team.js';
 import Player from '../models/Player.js';
-
-// Multiple API options defined for easy switching
-const API_SOURCES = {
-  BALLDONTLIE: 'balldontlie', // Has pretty good player info
-  RAPIDAPI_BASKETBALL: 'rapidapi-basketball', // Might use for standings and player info
-  REST_NBA_API: 'rest-nba-api'
-};
-
-// Active API source
-const ACTIVE_API = API_SOURCES.REST_NBA_API;
+import sportsConfig from '../config/sportsConfig.js';
+import { getConferenceAndDivision, convertTeamFormat } from '../utils/nbaStatsUtils.js';
+import { getProvider } from '../providers/providerRegistry.js';
 
 /**
- * Updates all NBA data by fetching from the selected API source
+ * Updates all NBA data by fetching from the configured provider
  * @returns {Promise<boolean>} Success status
  */
 export const updateNBAData = async () => {
     try {
-      return await updateFromRestNbaApi();
+      return await updateFromProvider();
     } catch (error) {
       console.error('NBA update error:', error);
       return false;
@@ -43,7 +36,57 @@ export const updateNBAData = async () => {
 };
 
 /**
- * Updates data for all NBA teams from REST API
+ * Saves an NBA team record from the provider's team entry
+ * @param {Object} team - Provider team ({ id, name, abbreviation })
+ * @returns {Promise<Object>} Team document
+ */
+async function saveTeam(team) {
+  return Team.findOneAndUpdate(
+    { teamId: `nba_${team.id}` },
+    { 
+      league: 'NBA', 
+      name: team.name, 
+      displayName: team.name, 
+      city: team.name.split(' ')[0], // Logos come from the standings update (nbaStandingsService.js)
+      ...getConferenceAndDivision(team.abbreviation),
+      lastUpdated: new Date() 
+    },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Builds the Player record for a provider totals row
+ * @param {Object} player - Provider totals row
+ * @param {string} teamId - Team the player is on (e.g., "nba_14")
+ * @returns {Object} Player fields
+ */
+function toPlayerRecord(player, teamId) {
+  return {
+    playerId: `nba_${player.playerId}`,
+    teamId: teamId,
+    league: 'NBA',
+    name: player.playerName,
+    position: player.position,
+    number: '',
+    age: player.age,
+    stats: {
+      gamesPlayed: player.games,
+      gamesStarted: player.gamesStarted,
+      sportStats: new Map([
+        ['points', player.points],
+        ['assists', player.assists],
+        ['rebounds', player.totalRb],
+        ['blocks', player.blocks],
+        ['steals', player.steals]
+      ])
+    },
+    lastUpdated: new Date()
+  };
+}
+
+/**
+ * Updates data for all NBA teams from the NBA provider
  * 
  * This function:
  * 1. Fetches and updates all NBA teams
@@ -53,40 +96,11 @@ export const updateNBAData = async () => {
  * 5. Handles special cases like combined stats entries ("2TM")
  * @returns {Promise<boolean>} Success status
  */
-async function updateFromRestNbaApi() {
+async function updateFromProvider() {
   try {
-    const nbaTeams = [
-      { id: 1, name: 'Atlanta Hawks', abbreviation: 'ATL' },
-      { id: 2, name: 'Boston Celtics', abbreviation: 'BOS' },
-      { id: 3, name: 'Brooklyn Nets', abbreviation: 'BRK' },
-      { id: 4, name: 'Charlotte Hornets', abbreviation: 'CHO' },
-      { id: 5, name: 'Chicago Bulls', abbreviation: 'CHI' },
-      { id: 6, name: 'Cleveland Cavaliers', abbreviation: 'CLE' },
-      { id: 7, name: 'Dallas Mavericks', abbreviation: 'DAL' },
-      { id: 8, name: 'Denver Nuggets', abbreviation: 'DEN' },
-      { id: 9, name: 'Detroit Pistons', abbreviation: 'DET' },
-      { id: 10, name: 'Golden State Warriors', abbreviation: 'GSW' },
-      { id: 11, name: 'Houston Rockets', abbreviation: 'HOU' },
-      { id: 12, name: 'Indiana Pacers', abbreviation: 'IND' },
-      { id: 13, name: 'Los Angeles Clippers', abbreviation: 'LAC' },
-      { id: 14, name: 'Los Angeles Lakers', abbreviation: 'LAL' },
-      { id: 15, name: 'Memphis Grizzlies', abbreviation: 'MEM' },
-      { id: 16, name: 'Miami Heat', abbreviation: 'MIA' },
-      { id: 17, name: 'Milwaukee Bucks', abbreviation: 'MIL' },
-      { id: 18, name: 'Minnesota Timberwolves', abbreviation: 'MIN' },
-      { id: 19, name: 'New Orleans Pelicans', abbreviation: 'NOP' },
-      { id: 20, name: 'New York Knicks', abbreviation: 'NYK' },
-      { id: 21, name: 'Oklahoma City Thunder', abbreviation: 'OKC' },
-      { id: 22, name: 'Orlando Magic', abbreviation: 'ORL' },
-      { id: 23, name: 'Philadelphia 76ers', abbreviation: 'PHI' },
-      { id: 24, name: 'Phoenix Suns', abbreviation: 'PHO' },
-      { id: 25, name: 'Portland Trail Blazers', abbreviation: 'POR' },
-      { id: 26, name: 'Sacramento Kings', abbreviation: 'SAC' },
-      { id: 27, name: 'San Antonio Spurs', abbreviation: 'SAS' },
-      { id: 28, name: 'Toronto Raptors', abbreviation: 'TOR' },
-      { id: 29, name: 'Utah Jazz', abbreviation: 'UTA' },
-      { id: 30, name: 'Washington Wizards', abbreviation: 'WAS' }
-    ];
+    const provider = getProvider('nba');
+    const season = sportsConfig.nba.currentSeason;
+    const nbaTeams = await provider.fetchTeams(season);
     
     // Store all players across all teams
     const allPlayers = {};
@@ -95,31 +109,17 @@ async function updateFromRestNbaApi() {
     // This section updates team records and collects all player data
     for (const team of nbaTeams) {
       // Update the team
-      await Team.findOneAndUpdate(
-        { teamId: `nba_${team.id}` },
-        { 
-          league: 'NBA', 
-          name: team.name, 
-          displayName: team.name, 
-          logo: '', 
-          city: team.name.split(' ')[0],
-          lastUpdated: new Date() 
-        },
-        { upsert: true, new: true }
-      );
+      await saveTeam(team);
       
       // Fetch players for this team
       try {
         console.log(`Fetching players for ${team.name} (${team.abbreviation})`);
         
-        // Fetching data from REST NBA API
-        const playersResponse = await axios.get(`http://rest.nbaapi.com/api/PlayerDataTotals/team/${team.abbreviation}`, {
-          params: { season: 2025, pageSize: 20 }
-        });
+        const teamPlayers = await provider.fetchPlayers(season, { team: team.abbreviation });
         
-        if (playersResponse.data?.length > 0) {
-          const currentPlayers = playersResponse.data.filter(p => 
-            p.season === 2025 && p.games > 0
+        if (teamPlayers?.length > 0) {
+          const currentPlayers = teamPlayers.filter(p => 
+            p.season === season && p.games > 0
           );
           
           // Store all players with their team info
@@ -135,8 +135,6 @@ async function updateFromRestNbaApi() {
             });
           }
         }
-        
-        await new Promise(resolve => setTimeout(resolve, 2000));
       } catch (error) {
         console.error(`Error fetching players for ${team.name}:`, error);
       }
@@ -179,27 +177,7 @@ async function updateFromRestNbaApi() {
             //console.log(`Player ${player.playerName}: Team=${player.team}, ID=${player.id}`);
             
             // Add the player with their most recent team
-            await Player.create({
-              playerId: `nba_${player.playerId}`,
-              teamId: teamId,
-              league: 'NBA',
-              name: player.playerName,
-              position: player.position,
-              number: '',
-              age: player.age,
-              stats: {
-                gamesPlayed: player.games,
-                gamesStarted: player.gamesStarted,
-                sportStats: new Map([
-                  ['points', player.points],
-                  ['assists', player.assists],
-                  ['rebounds', player.totalRb],
-                  ['blocks', player.blocks],
-                  ['steals', player.steals]
-                ])
-              },
-              lastUpdated: new Date()
-            });
+            await Player.create(toPlayerRecord(player, teamId));
             
             //console.log(`Processed ${player.playerName} to team ${mostRecent.teamName}`);
         } catch (error) {
@@ -214,5 +192,68 @@ async function updateFromRestNbaApi() {
   }
 }
 
-// Export the function
-export { updateFromRestNbaApi as updateNBATeam };
\ No newline at end of file
+/**
+ * Updates one NBA team and its roster from the NBA provider, leaving other teams' players alone
+ * 
+ * Only this team's players are fetched, so trades can't be resolved the way the full update does:
+ * players already on another team keep that team until the next full update
+ * @param {string} abbreviation - Team abbreviation (any format convertTeamFormat accepts)
+ * @returns {Promise<boolean>} Success status (false for a team the provider doesn't list)
+ */
+export async function updateNBATeam(abbreviation) {
+  try {
+    const provider = getProvider('nba');
+    const season = sportsConfig.nba.currentSeason;
+    const internalId = convertTeamFormat(abbreviation, 'id');
+    const nbaTeams = await provider.fetchTeams(season);
+    const team = (nbaTeams || []).find(t => convertTeamFormat(t.abbreviation, 'id') === internalId);
+    if (!team) {
+      console.error(`NBA team ${abbreviation} not found`);
+      return false;
+    }
+
+    await saveTeam(team);
+    const teamId = `nba_${team.id}`;
+
+    console.log(`Fetching players for ${team.name} (${team.abbreviation})`);
+    const teamPlayers = await provider.fetchPlayers(season, { team: team.abbreviation });
+    if (!teamPlayers) {
+      console.error(`Invalid API response for ${team.name} players`);
+      return false;
+    }
+
+    // One row per player, the most recent one (higher ID), leaving out combined "2TM" rows
+    const roster = new Map();
+    for (const player of teamPlayers) {
+      if (player.season !== season || !(player.games > 0) || player.team.includes('TM')) continue;
+      const current = roster.get(player.playerId);
+      if (!current || player.id > current.id) roster.set(player.playerId, player);
+    }
+
+    const elsewhere = await Player.find({
+      league: 'NBA',
+      teamId: { $ne: teamId },
+      playerId: { $in: [...roster.keys()].map(playerId => `nba_${playerId}`) }
+    }).select('playerId');
+    const onOtherTeams = new Set(elsewhere.map(player => player.playerId));
+
+    await Player.deleteMany({ league: 'NBA', teamId });
+
+    for (const player of roster.values()) {
+      if (onOtherTeams.has(`nba_${player.playerId}`)) {
+        console.log(`Keeping ${player.playerName} on their current team`);
+        continue;
+      }
+      try {
+        await Player.create(toPlayerRecord(player, teamId));
+      } catch (error) {
+        console.error(`Error processing player ${player.playerName}:`, error);
+      }
+    }
+
+    return true;
+  } catch (error) {
+    console.error(`NBA team update error (${abbreviation}):`, error);
+    return false;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,192 @@
+/**
+ * NBA Standings Service
+ *
+ * Fetches NBA standings through the NBA provider (ESPN's public standings API by default, see
+ * providers/providerRegistry.js) and stores them on the NBA Team records:
+ * - Wins, losses, win percentage and position within the conference
+ * - Games behind the conference leader and current streak
+ * - Home, away, conference and last-ten records
+ * - Conference and division (from NBA_DIVISIONS), plus the team logo
+ *
+ * ESPN uses its own abbreviations for some teams (e.g., "GS", "NY", "UTAH"), so teams are matched
+ * through ESPN_ABBREVIATIONS before being stored under their usual "nba_{id}" teamId
+ *
+ * NOTE: ESPN's season parameter matches ours (2025 is the 2024-25 season)
+ */
+
+import Team from '../models/Team.js';
+import sportsConfig from '../config/sportsConfig.js';
+import { convertTeamFormat, getConferenceAndDivision } from '../utils/nbaStatsUtils.js';
+import { getProvider } from '../providers/providerRegistry.js';
+
+// ESPN abbreviations that differ from the ones convertTeamFormat knows
+const ESPN_ABBREVIATIONS = {
+  GS: 'GSW',
+  NO: 'NOP',
+  NY: 'NYK',
+  SA: 'SAS',
+  UTAH: 'UTA',
+  WSH: 'WAS'
+};
+
+/**
+ * Reads a "W-L" record summary (e.g., "25-16")
+ * @param {string} summary - Record summary
+ * @returns {Object|undefined} { wins, losses }, or undefined when the summary can't be read
+ */
+export function parseRecord(summary) {
+  const match = /^(\d+)-(\d+)/.exec(summary || '');
+  if (!match) return undefined;
+  return { wins: parseInt(match[1], 10), losses: parseInt(match[2], 10) };
+}
+
+/**
+ * Formats a streak as "W3" or "L2"
+ * ESPN reports streaks as a signed number (positive for wins) with a display value
+ * @param {Object} stat - ESPN streak stat ({ value, displayValue })
+ * @returns {string|undefined} Streak, or undefined when there isn't one
+ */
+function formatStreak(stat) {
+  if (!stat) return undefined;
+  if (/^[WL]\d+$/.test(stat.displayValue || '')) return stat.displayValue;
+  if (typeof stat.value !== 'number' || stat.value === 0) return undefined;
+  return `${stat.value > 0 ? 'W' : 'L'}${Math.abs(stat.value)}`;
+}
+
+/**
+ * Converts one ESPN standings entry into our standings fields
+ * @param {Object} entry - ESPN entry ({ team, stats })
+ * @returns {Object|null} { abbr, logo, seed, wins, losses, streak, homeRecord, awayRecord, conferenceRecord, lastTen }
+ */
+export function parseStandingsEntry(entry) {
+  const espnAbbr = entry.team?.abbreviation;
+  if (!espnAbbr) return null;
+
+  const stat = (name) => entry.stats?.find(s => s.name === name || s.type === name);
+  const record = (...names) => {
+    const found = entry.stats?.find(s => names.includes(s.type) || names.includes(s.name));
+    return parseRecord(found?.summary || found?.displayValue);
+  };
+
+  const wins = stat('wins')?.value ?? 0;
+  const losses = stat('losses')?.value ?? 0;
+
+  return {
+    abbr: ESPN_ABBREVIATIONS[espnAbbr] || espnAbbr,
+    logo: entry.team.logos?.[0]?.href,
+    seed: stat('playoffSeed')?.value,
+    wins,
+    losses,
+    streak: formatStreak(stat('streak')),
+    homeRecord: record('home', 'Home'),
+    awayRecord: record('road', 'away', 'Road'),
+    conferenceRecord: record('vsconf', 'vs. Conf.'),
+    lastTen: record('lasttengames', 'Last Ten Games')
+  };
+}
+
+/**
+ * Ranks one conference's teams and works out games behind the leader
+ * Teams are ordered by ESPN's seed (which applies the NBA tiebreakers), falling back to
+ * win percentage and then wins when a seed is missing
+ * @param {Array<Object>} teams - Parsed entries for one conference
+ * @returns {Array<Object>} The same entries with rank, gamesPlayed, winPercentage and gamesBehind, in order
+ */
+export function rankConference(teams) {
+  const ranked = teams
+    .map(team => {
+      const gamesPlayed = team.wins + team.losses;
+      return { ...team, gamesPlayed, winPercentage: gamesPlayed > 0 ? team.wins / gamesPlayed : 0 };
+    })
+    .sort((a, b) => (a.seed ?? Infinity) - (b.seed ?? Infinity) || b.winPercentage - a.winPercentage || b.wins - a.wins);
+
+  // The leader is the best record, which a tiebreaker can't change
+  const leader = ranked.reduce((best, team) => (team.wins - team.losses > best.wins - best.losses ? team : best), ranked[0]);
+  return ranked.map((team, index) => ({
+    ...team,
+    rank: index + 1,
+    gamesBehind: ((leader.wins - team.wins) + (team.losses - leader.losses)) / 2
+  }));
+}
+
+/**
+ * Fetches NBA standings and updates every NBA team's standings, conference and division
+ *
+ * @param {number} season - Season year (e.g., 2025 for 2024-25)
+ * @param {Function} onProgress - Optional callback receiving { phase, status, message }
+ * @returns {Promise<boolean>} Success status
+ */
+export async function updateNbaStandings(season = sportsConfig.nba.currentSeason, onProgress = () => {}) {
+  try {
+    console.log(`Fetching NBA standings for ${season}...`);
+    onProgress({ phase: 'standings', status: 'running', message: 'Fetching NBA standings' });
+
+    // One entry per team, both conferences together
+    const entries = await getProvider('nba').fetchStandings(season);
+    if (!entries?.length) {
+      console.error('Invalid API response for NBA standings');
+      onProgress({ phase: 'standings', status: 'failed', message: 'Invalid API response for NBA standings' });
+      return false;
+    }
+
+    // Group by our own conference mapping, so unknown ESPN groupings don't matter
+    const conferences = { East: [], West: [] };
+    for (const entry of entries) {
+      const team = parseStandingsEntry(entry);
+      const structure = team && getConferenceAndDivision(team.abbr);
+      if (!structure) {
+        console.warn(`Skipping unknown NBA standings team: ${entry.team?.displayName}`);
+        continue;
+      }
+      conferences[structure.conference].push({ ...team, ...structure });
+    }
+
+    let updated = 0;
+    for (const team of [...rankConference(conferences.East), ...rankConference(conferences.West)]) {
+      const update = {
+        league: 'NBA',
+        conference: team.conference,
+        division: team.division,
+        standings: {
+          rank: team.rank,
+          wins: team.wins,
+          losses: team.losses,
+          gamesPlayed: team.gamesPlayed,
+          winPercentage: team.winPercentage,
+          gamesBehind: team.gamesBehind,
+          streak: team.streak,
+          homeRecord: team.homeRecord,
+          awayRecord: team.awayRecord,
+          conferenceRecord: team.conferenceRecord,
+          lastTen: team.lastTen
+        },
+        lastUpdated: new Date()
+      };
+      if (team.logo) update.logo = team.logo;
+
+      // Names are only set when the standings create the team record (same format as nbaService.js)
+      const fullName = convertTeamFormat(team.abbr, 'full');
+      await Team.findOneAndUpdate(
+        { teamId: `nba_${convertTeamFormat(team.abbr, 'id')}` },
+        { ...update, $setOnInsert: { name: fullName, displayName: fullName, city: fullName.split(' ')[0] } },
+        { upsert: true }
+      );
+      updated++;
+    }
+
+    console.log(`Updated standings for ${updated} NBA teams`);
+    onProgress({ phase: 'standings', status: 'completed', message: `Updated standings for ${updated} teams` });
+    return true;
+  } catch (error) {
+    console.error('Error fetching NBA standings:', error.message);
+    onProgress({ phase: 'standings', status: 'failed', message: `Error fetching standings: ${error.message}` });
+    return false;
+  }
+}
+
+export default {
+  updateNbaStandings,
+  parseStandingsEntry,
+  parseRecord,
+  rankConference
+};
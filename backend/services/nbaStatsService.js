@@ -5,28 +5,38 @@
  * 
  * Key features:
  * - Fetches bulk season data for both regular season and playoffs
- * - Handles traded players and identifies current teams
+ * - Handles traded players and identifies current teams, keeping each team's split as a stint (see stintService.js)
  * - Maintains separate data stores for regular season and playoff statistics
  * - Updates summary statistics in the Player model while storing details in NbaPlayerStats
  * - Supports visualization data generation for efficiency-usage charts
  * 
- * The service implements two primary API calls:
+ * The service implements two primary API calls, made through the NBA provider (see providers/providerRegistry.js):
  * 1. PlayerDataTotals - Basic counting stats (points, rebounds, etc.)
  * 2. PlayerDataAdvanced - Advanced metrics (PER, TS%, Usage Rate, etc.)
+ * 
+ * When 'gameLogs' is listed in sportsConfig.nba.updateEndpoints it also fetches
+ * each qualifying player's per-game box scores into the NbaGameLog collection,
+ * and when 'standings' is listed, regular season updates also refresh team standings (see nbaStandingsService.js)
  */
-import axios from 'axios';
 import NbaPlayerStats from '../models/NBAPlayerStats.js';
+import NbaGameLog from '../models/NBAGameLog.js';
 import Player from '../models/Player.js';
 import SystemInfo from '../models/SystemInfo.js';
 import sportsConfig from '../config/sportsConfig.js';
 import { convertTeamFormat } from '../utils/nbaStatsUtils.js';
+import { updateNbaStandings } from './nbaStandingsService.js';
+import { recordNbaStints } from './stintService.js';
+import { getProvider } from '../providers/providerRegistry.js';
 
 /**
  * Main function to update all NBA statistics
  * Determines whether to fetch regular season or playoff data based on configuration
+ * @param {string} type - 'regular' or 'playoff'
+ * @param {number} season - Season year to update
+ * @param {Function} onProgress - Optional callback receiving { phase, status, message, current, total }
  * @returns {Promise<boolean>} Success status of the operation
  */
-export async function updateNbaStats(type = sportsConfig.nba.seasonType, season = sportsConfig.nba.currentSeason) {
+export async function updateNbaStats(type = sportsConfig.nba.seasonType, season = sportsConfig.nba.currentSeason, onProgress = () => {}) {
     try {
         console.log(`Starting NBA ${type} statistics update for season ${season}...`);
         
@@ -36,8 +46,16 @@ export async function updateNbaStats(type = sportsConfig.nba.seasonType, season
         // Determine which endpoints to use based on configuration
         if (type === 'regular') {
             // Update regular season data
-            const totalsSuccess = await fetchAndProcessTotals(false, season);
-            const advancedSuccess = await fetchAndProcessAdvanced(false, season);
+            const totalsSuccess = await fetchAndProcessTotals(false, season, onProgress);
+            const advancedSuccess = await fetchAndProcessAdvanced(false, season, onProgress);
+
+            // Standings and game logs are supplementary, so a failure here doesn't fail the season update
+            if (sportsConfig.nba.updateEndpoints.includes('standings')) {
+                await updateNbaStandings(season, onProgress);
+            }
+            if (sportsConfig.nba.updateEndpoints.includes('gameLogs')) {
+                await fetchAndProcessGameLogs(false, season, onProgress);
+            }
             
             // Log and return overall success
             const success = totalsSuccess && advancedSuccess;
@@ -46,8 +64,12 @@ export async function updateNbaStats(type = sportsConfig.nba.seasonType, season
         } 
         else if (type === 'playoff') {
             // Update playoff data
-            const totalsSuccess = await fetchAndProcessTotals(true, season);
-            const advancedSuccess = await fetchAndProcessAdvanced(true, season);
+            const totalsSuccess = await fetchAndProcessTotals(true, season, onProgress);
+            const advancedSuccess = await fetchAndProcessAdvanced(true, season, onProgress);
+
+            if (sportsConfig.nba.updateEndpoints.includes('gameLogs')) {
+                await fetchAndProcessGameLogs(true, season, onProgress);
+            }
             
             // Log and return overall success
             const success = totalsSuccess && advancedSuccess;
@@ -69,35 +91,36 @@ export async function updateNbaStats(type = sportsConfig.nba.seasonType, season
  * Fetches and processes player totals statistics
  * @param {boolean} isPlayoffs - Whether to fetch playoff data (true) or regular season data (false)
  * @param {number} season - The season year to fetch
+ * @param {Function} onProgress - Progress callback (see updateNbaStats)
  * @returns {Promise<boolean>} Success status
  */
-async function fetchAndProcessTotals(isPlayoffs, season) { // First API call
-    // Determine the endpoint based on whether we're fetching regular season or playoff data
-    const endpoint = isPlayoffs 
-        ? `${sportsConfig.nba.apiBaseUrl}/PlayerDataTotalsPlayoffs/season/${season}`
-        : `${sportsConfig.nba.apiBaseUrl}/PlayerDataTotals/season/${season}`;
-    
+async function fetchAndProcessTotals(isPlayoffs, season, onProgress) { // First API call
     try {
         console.log(`Fetching ${isPlayoffs ? 'playoff' : 'regular season'} totals for ${season}...`);
+        onProgress({ phase: 'totals', status: 'running', message: `Fetching ${isPlayoffs ? 'playoff' : 'regular season'} totals` });
         
         // Make API call to fetch bulk player data
-        const response = await axios.get(endpoint);
+        const records = await getProvider('nba').fetchPlayerSeasonStats(season, { type: 'totals', playoffs: isPlayoffs });
         
         // Early validation of the response
-        if (!response.data || !Array.isArray(response.data)) {
+        if (!Array.isArray(records)) {
             console.error('Invalid API response format for totals data');
+            onProgress({ phase: 'totals', status: 'failed', message: 'Invalid API response format for totals data' });
             return false;
         }
         
-        //console.log(`Received ${response.data.length} player season totals records`);
+        //console.log(`Received ${records.length} player season totals records`);
+        onProgress({ phase: 'totals', status: 'running', message: `Processing ${records.length} totals records` });
         
         // Process the data - this includes handling traded players and stat consolidation
-        await processBulkPlayerData(response.data, isPlayoffs, 'totals');
+        await processBulkPlayerData(records, isPlayoffs, 'totals');
         
+        onProgress({ phase: 'totals', status: 'completed', message: `Saved totals for ${records.length} records` });
         return true;
     }
     catch (error) {
         console.error(`Error fetching ${isPlayoffs ? 'playoff' : 'regular season'} totals:`, error.message);
+        onProgress({ phase: 'totals', status: 'failed', message: `Error fetching totals: ${error.message}` });
         if (error.response) {
             console.error(`Status code: ${error.response.status}`);
             console.error('Response data:', error.response.data);
@@ -110,35 +133,36 @@ async function fetchAndProcessTotals(isPlayoffs, season) { // First API call
  * Fetches and processes player advanced statistics
  * @param {boolean} isPlayoffs - Whether to fetch playoff data (true) or regular season data (false)
  * @param {number} season - Season year to fetch
+ * @param {Function} onProgress - Progress callback (see updateNbaStats)
  * @returns {Promise<boolean>} Success status
  */
-async function fetchAndProcessAdvanced(isPlayoffs, season) { // Second API call
-    // Determine the endpoint based on whether we're fetching regular season or playoff data
-    const endpoint = isPlayoffs 
-        ? `${sportsConfig.nba.apiBaseUrl}/PlayerDataAdvancedPlayoffs/season/${season}`
-        : `${sportsConfig.nba.apiBaseUrl}/PlayerDataAdvanced/season/${season}`;
-    
+async function fetchAndProcessAdvanced(isPlayoffs, season, onProgress) { // Second API call
     try {
         console.log(`Fetching ${isPlayoffs ? 'playoff' : 'regular season'} advanced stats for ${season}...`);
+        onProgress({ phase: 'advanced', status: 'running', message: `Fetching ${isPlayoffs ? 'playoff' : 'regular season'} advanced stats` });
         
         // Make API call to fetch bulk player data
-        const response = await axios.get(endpoint);
+        const records = await getProvider('nba').fetchPlayerSeasonStats(season, { type: 'advanced', playoffs: isPlayoffs });
         
         // Early validation of the response
-        if (!response.data || !Array.isArray(response.data)) {
+        if (!Array.isArray(records)) {
             console.error('Invalid API response format for advanced data');
+            onProgress({ phase: 'advanced', status: 'failed', message: 'Invalid API response format for advanced data' });
             return false;
         }
         
-        console.log(`Received ${response.data.length} player advanced stats records`);
+        console.log(`Received ${records.length} player advanced stats records`);
+        onProgress({ phase: 'advanced', status: 'running', message: `Processing ${records.length} advanced stats records` });
         
         // Process the data - this includes handling traded players and stat consolidation
-        await processBulkPlayerData(response.data, isPlayoffs, 'advanced');
+        await processBulkPlayerData(records, isPlayoffs, 'advanced');
         
+        onProgress({ phase: 'advanced', status: 'completed', message: `Saved advanced stats for ${records.length} records` });
         return true;
     }
     catch (error) {
         console.error(`Error fetching ${isPlayoffs ? 'playoff' : 'regular season'} advanced stats:`, error.message);
+        onProgress({ phase: 'advanced', status: 'failed', message: `Error fetching advanced stats: ${error.message}` });
         if (error.response) {
             console.error(`Status code: ${error.response.status}`);
             console.error('Response data:', error.response.data);
@@ -147,6 +171,167 @@ async function fetchAndProcessAdvanced(isPlayoffs, season) { // Second API call
     }
 }
 
+/**
+ * Fetches and stores per-game box scores for every qualifying player in a season
+ * Game logs are only available per player, so only players with at least
+ * sportsConfig.nba.minGamesForStats games are fetched, spaced out by the provider's rate limit (sportsConfig.nba.rateLimit)
+ * 
+ * @param {boolean} isPlayoffs - Whether to fetch playoff data (true) or regular season data (false)
+ * @param {number} season - Season year to fetch
+ * @param {Function} onProgress - Progress callback (see updateNbaStats)
+ * @returns {Promise<boolean>} Success status (false if any player's game log failed)
+ */
+async function fetchAndProcessGameLogs(isPlayoffs, season, onProgress) { // Third API call (one per player)
+    const seasonsArray = isPlayoffs ? 'playoffs' : 'regularSeasons';
+    const seasonType = isPlayoffs ? 'playoff' : 'regular';
+    
+    // Playoff runs are short, so any playoff appearance qualifies
+    const minGames = isPlayoffs ? 1 : sportsConfig.nba.minGamesForStats;
+    
+    try {
+        // Game logs are an optional provider method
+        const provider = getProvider('nba');
+        if (typeof provider.fetchPlayerGameLog !== 'function') {
+            console.log('NBA provider has no game logs, skipping game log update');
+            onProgress({ phase: 'gameLogs', status: 'completed', message: 'NBA provider has no game logs' });
+            return true;
+        }
+
+        // Only fetch logs for players we already have season totals for
+        const players = await NbaPlayerStats.find({ [`${seasonsArray}.season`]: season });
+        const qualifying = players.filter(player => {
+            const seasonData = player[seasonsArray].find(s => s.season === season);
+            return (seasonData?.totals?.games || 0) >= minGames;
+        });
+        
+        console.log(`Fetching ${seasonType} game logs for ${qualifying.length} players in ${season}...`);
+        
+        let failures = 0;
+        let gamesSaved = 0;
+        
+        for (const [index, player] of qualifying.entries()) {
+            // Report every 10 players to keep the progress log readable
+            if (index % 10 === 0) {
+                onProgress({
+                    phase: 'gameLogs',
+                    status: 'running',
+                    message: `Fetching game logs: player ${index + 1} of ${qualifying.length}`,
+                    current: index,
+                    total: qualifying.length
+                });
+            }
+
+            try {
+                const records = await provider.fetchPlayerGameLog(player.playerId, season, { playoffs: isPlayoffs });
+                
+                if (!Array.isArray(records)) {
+                    console.error(`Invalid API response format for ${player.name} game log`);
+                    failures++;
+                    continue;
+                }
+                
+                // Upsert each game so re-running the update only adds new games
+                const operations = records
+                    .map(record => mapGameLogRecord(record, player, season, seasonType))
+                    .filter(Boolean)
+                    .map(game => ({
+                        updateOne: {
+                            filter: { playerId: game.playerId, seasonType, gameDate: game.gameDate },
+                            update: { $set: game },
+                            upsert: true
+                        }
+                    }));
+                
+                if (operations.length > 0) {
+                    await NbaGameLog.bulkWrite(operations, { ordered: false });
+                    gamesSaved += operations.length;
+                }
+            }
+            catch (error) {
+                failures++;
+                console.error(`Error fetching game log for ${player.name}:`, error.message);
+            }
+        }
+        
+        console.log(`Saved ${gamesSaved} ${seasonType} games (${failures} players failed)`);
+        onProgress({
+            phase: 'gameLogs',
+            status: failures === 0 ? 'completed' : 'failed',
+            message: `Saved ${gamesSaved} games (${failures} players failed)`,
+            current: qualifying.length,
+            total: qualifying.length
+        });
+        return failures === 0;
+    }
+    catch (error) {
+        console.error(`Error processing ${seasonType} game logs:`, error);
+        onProgress({ phase: 'gameLogs', status: 'failed', message: `Error processing game logs: ${error.message}` });
+        return false;
+    }
+}
+
+/**
+ * Converts a game log row from the provider into an NbaGameLog document
+ * Rows follow the REST NBA API game log format (see restNbaApiProvider.js): gameDate as "YYYY-MM-DD",
+ * minutesPlayed as "MM:SS" (empty for games the player did not play), location "@" for away games
+ * and gamesStarted 1 or 0, with the box score under the same field names as the season totals
+ * Skips games the player did not play (inactive, DNP) since they have no box score
+ * 
+ * @param {Object} record - Single game row from the provider
+ * @param {Object} player - The player's NbaPlayerStats document
+ * @param {number} season - Season year
+ * @param {string} seasonType - 'regular' or 'playoff'
+ * @returns {Object|null} Game log document or null if the player did not play
+ * @throws {Error} If the row has no valid gameDate, i.e. is not in the expected format
+ */
+export function mapGameLogRecord(record, player, season, seasonType) {
+    const gameDate = new Date(record.gameDate);
+    if (Number.isNaN(gameDate.getTime())) {
+        throw new Error(`Unexpected game log row format (gameDate: ${JSON.stringify(record.gameDate)})`);
+    }
+    
+    if (typeof record.minutesPlayed !== 'string' || !record.minutesPlayed.includes(':')) return null;
+    const [mins, secs] = record.minutesPlayed.split(':').map(Number);
+    const minutes = mins + secs / 60;
+    if (!minutes) return null;
+    
+    return {
+        playerId: player.playerId,
+        name: player.name,
+        season,
+        seasonType,
+        gameDate,
+        team: record.team,
+        opponent: record.opponent,
+        // Away games have "@" in the location column
+        isHome: record.location !== '@',
+        result: record.result,
+        started: record.gamesStarted === 1,
+        minutes: Math.round(minutes * 10) / 10,
+        fieldGoals: record.fieldGoals,
+        fieldAttempts: record.fieldAttempts,
+        fieldPercent: record.fieldPercent,
+        threeFg: record.threeFg,
+        threeAttempts: record.threeAttempts,
+        threePercent: record.threePercent,
+        ft: record.ft,
+        ftAttempts: record.ftAttempts,
+        ftPercent: record.ftPercent,
+        offensiveRb: record.offensiveRb,
+        defensiveRb: record.defensiveRb,
+        totalRb: record.totalRb,
+        assists: record.assists,
+        steals: record.steals,
+        blocks: record.blocks,
+        turnovers: record.turnovers,
+        personalFouls: record.personalFouls,
+        points: record.points,
+        plusMinus: record.plusMinus,
+        gameScore: record.gameScore,
+        lastUpdated: new Date()
+    };
+}
+
 /**
  * Processes bulk player data from the API
  * This is the core function that handles:
@@ -201,6 +386,7 @@ async function processBulkPlayerData(playerData, isPlayoffs, dataType) { // Data
  * 1. Looking for aggregate stats (2TM, 3TM) as the source of truth
  * 2. Finding the player's current team based on most recent record
  * 3. Using the best available stats with the correct team assignment
+ * 4. Recording each team's split as a stint, since the season entry only keeps the combined line
  * 
  * @param {Array} playerRecords - All records for a single player
  * @param {boolean} isPlayoffs - Whether this is playoff data
@@ -268,6 +454,8 @@ async function processPlayerGroup(playerRecords, isPlayoffs, dataType) {
             isPlayoffs, 
             dataType
         );
+
+        await recordNbaStints(playerRecords, isPlayoffs, dataType);
     }
     catch (error) {
         console.error(`Error processing player group for ${playerRecords[0]?.playerName || 'unknown player'}:`, error);
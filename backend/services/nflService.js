@@ -1,41 +1,78 @@
 /**
  * NFL Data Service
- * 
- * This service handles NFL data using mock data since we don't have a reliable NFL API yet
- * It provides realistic team and player data with fictional statistics
- * 
- * The mock data approach:
- * 1. Creates realistic NFL teams with current season win/loss records
- * 2. Populates each team with star players (primarily quarterbacks)
- * 
- * This design allows easy replacement with a real API in the future
- * Just need to change the ACTIVE_API constant and implement the corresponding API connection function
+ *
+ * This service fetches NFL data through the configured NFL provider (API-American-Football by default,
+ * see providers/providerRegistry.js) and stores it in MongoDB
+ *
+ * It handles:
+ * 1. Team data - Names, cities and logos for all 32 franchises
+ * 2. Standings data - Wins, losses, ties and division position
+ * 3. Rosters - Every player listed on each team for the season
+ * 4. Player season stats - Passing, rushing, receiving, defense and kicking groups
+ *
+ * The API-American-Football base URL can be pointed at the local fixture server (scripts/nflFixtureServer.js)
+ * through the NFL_API_BASE_URL environment variable, which replays recorded provider responses
+ * so the full update can be exercised without an API key or network access
  */
-import axios from 'axios';
 import Team from '../models/Team.js';
 import Player from '../models/Player.js';
+import NFLPlayerStats from '../models/NFLPlayerStats.js';
+import sportsConfig from '../config/sportsConfig.js';
+import { getProvider } from '../providers/providerRegistry.js';
 
-// Example API sources for NFL
-const API_SOURCES = {
-  MOCK_DATA: 'mock-data'
+/**
+ * Maps our stat fields to the statistic names used by the provider for each group
+ * Several names are listed where the provider has used more than one spelling
+ */
+const STAT_FIELDS = {
+  passing: {
+    attempts: ['passing attempts'],
+    completions: ['completions'],
+    yards: ['yards', 'passing yards'],
+    touchdowns: ['passing touchdowns'],
+    interceptions: ['interceptions'],
+    sacks: ['sacks'],
+    rating: ['quaterback rating', 'quarterback rating', 'rating']
+  },
+  rushing: {
+    attempts: ['rushing attempts'],
+    yards: ['yards', 'rushing yards'],
+    touchdowns: ['rushing touchdowns'],
+    fumbles: ['fumbles'],
+    fumblesLost: ['fumbles lost']
+  },
+  receiving: {
+    receptions: ['receptions', 'total receptions'],
+    targets: ['receiving targets', 'targets'],
+    yards: ['receiving yards', 'yards'],
+    touchdowns: ['receiving touchdowns']
+  },
+  defense: {
+    tackles: ['total tackles'],
+    soloTackles: ['unassisted tackles'],
+    sacks: ['sacks'],
+    interceptions: ['interceptions'],
+    passesDefended: ['passes defended'],
+    forcedFumbles: ['forced fumbles']
+  },
+  kicking: {
+    fieldGoalsMade: ['field goals made'],
+    fieldGoalsAttempted: ['field goals attempts', 'field goal attempts'],
+    extraPointsMade: ['extra points made'],
+    extraPointsAttempted: ['extra points attempts', 'extra point attempts']
+  }
 };
 
-// Active API source - easy to switch when we find a good NFL API
-const ACTIVE_API = API_SOURCES.MOCK_DATA;
-
 /**
  * Main function to update NFL data
- * Routes to the appropriate data source based on ACTIVE_API setting
+ * Reads from the provider selected in sportsConfig.nfl.provider
+ * @param {number} season - Season to fetch (defaults to current)
+ * @param {Function} onProgress - Optional callback receiving { phase, status, message, current, total }
  * @returns {Promise<boolean>} Success status of the update operation
  */
-export const updateNFLData = async () => {
+export const updateNFLData = async (season = sportsConfig.nfl.currentSeason, onProgress = () => {}) => {
   try {
-    if (ACTIVE_API === API_SOURCES.MOCK_DATA) {
-      return await updateFromMockData();
-    }
-    // Our future API implementation would go here
-    
-    return false;
+    return await updateFromProvider(getProvider('nfl'), season, onProgress);
   } catch (error) {
     console.error('NFL update error:', error);
     return false;
@@ -43,133 +80,278 @@ export const updateNFLData = async () => {
 };
 
 /**
- * Updates NFL data using locally defined mock data
+ * Converts a provider statistic value to a number
+ * Values arrive as strings such as "4,183" or "12.5", and may be null or "-"
+ * @param {string|number|null} value - Raw value from the API
+ * @returns {number|null} Parsed number or null if not available
+ */
+function parseStatValue(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return value;
+
+  const parsed = parseFloat(String(value).replace(/,/g, ''));
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Converts the provider's grouped statistics into our season stat groups
+ * @param {Array} groups - Array of { name, statistics: [{ name, value }] } from the API
+ * @returns {Object} Object keyed by stat group (passing, rushing, ...) plus gamesPlayed
+ */
+function mapStatGroups(groups = []) {
+  const mapped = { gamesPlayed: null };
+
+  for (const group of groups) {
+    const groupKey = group.name?.toLowerCase();
+    const statistics = group.statistics || [];
+
+    // Games played is not tied to one group, so pick it up from whichever group reports it
+    const games = statistics.find(stat => ['games', 'games played'].includes(stat.name?.toLowerCase()));
+    if (games && mapped.gamesPlayed === null) {
+      mapped.gamesPlayed = parseStatValue(games.value);
+    }
+
+    const fields = STAT_FIELDS[groupKey];
+    if (!fields) continue;
+
+    mapped[groupKey] = {};
+    for (const [field, names] of Object.entries(fields)) {
+      const stat = statistics.find(s => names.includes(s.name?.toLowerCase()));
+      mapped[groupKey][field] = stat ? parseStatValue(stat.value) : null;
+    }
+  }
+
+  return mapped;
+}
+
+/**
+ * Updates NFL data from a provider
  * This function:
- * 1. Creates/updates NFL teams with realistic season records
- * 2. Associates players with their teams
- * 
- * @returns {Promise<boolean>} Success status of the update operation
+ * 1. Fetches teams and standings and updates team records
+ * 2. Fetches each team's roster and season statistics
+ * 3. Updates NFLPlayerStats with the season entry for each player
+ * 4. Updates Player records with summary stats and a reference to NFLPlayerStats
+ * 5. Removes NFL players that no longer appear on any roster (only if every team was fetched)
+ *
+ * @param {Object} provider - NFL provider (see providers/providerRegistry.js)
+ * @param {number} season - Season to fetch
+ * @param {Function} onProgress - Progress callback (see updateNFLData)
+ * @returns {Promise<boolean>} Success status
  */
-async function updateFromMockData() {
+async function updateFromProvider(provider, season, onProgress = () => {}) {
   try {
-    // NFL mock data
-    const nflTeams = [
-      { id: 1, name: 'Arizona Cardinals', city: 'Arizona', wins: 4, losses: 3 },
-      { id: 2, name: 'Atlanta Falcons', city: 'Atlanta', wins: 5, losses: 2 },
-      { id: 3, name: 'Baltimore Ravens', city: 'Baltimore', wins: 6, losses: 1 },
-      { id: 4, name: 'Buffalo Bills', city: 'Buffalo', wins: 5, losses: 2 },
-      { id: 5, name: 'Carolina Panthers', city: 'Carolina', wins: 1, losses: 6 },
-      { id: 6, name: 'Chicago Bears', city: 'Chicago', wins: 3, losses: 4 },
-      { id: 7, name: 'Cincinnati Bengals', city: 'Cincinnati', wins: 4, losses: 3 },
-      { id: 8, name: 'Cleveland Browns', city: 'Cleveland', wins: 2, losses: 5 },
-      { id: 9, name: 'Dallas Cowboys', city: 'Dallas', wins: 4, losses: 3 },
-      { id: 10, name: 'Denver Broncos', city: 'Denver', wins: 4, losses: 3 },
-      { id: 11, name: 'Detroit Lions', city: 'Detroit', wins: 6, losses: 1 },
-      { id: 12, name: 'Green Bay Packers', city: 'Green Bay', wins: 5, losses: 2 },
-      { id: 13, name: 'Houston Texans', city: 'Houston', wins: 5, losses: 2 },
-      { id: 14, name: 'Indianapolis Colts', city: 'Indianapolis', wins: 3, losses: 4 },
-      { id: 15, name: 'Jacksonville Jaguars', city: 'Jacksonville', wins: 2, losses: 5 },
-      { id: 16, name: 'Kansas City Chiefs', city: 'Kansas City', wins: 7, losses: 0 },
-      { id: 17, name: 'Las Vegas Raiders', city: 'Las Vegas', wins: 2, losses: 5 },
-      { id: 18, name: 'Los Angeles Chargers', city: 'Los Angeles', wins: 3, losses: 3 },
-      { id: 19, name: 'Los Angeles Rams', city: 'Los Angeles', wins: 3, losses: 4 },
-      { id: 20, name: 'Miami Dolphins', city: 'Miami', wins: 2, losses: 5 },
-      { id: 21, name: 'Minnesota Vikings', city: 'Minnesota', wins: 6, losses: 1 },
-      { id: 22, name: 'New England Patriots', city: 'New England', wins: 1, losses: 6 },
-      { id: 23, name: 'New Orleans Saints', city: 'New Orleans', wins: 3, losses: 4 },
-      { id: 24, name: 'New York Giants', city: 'New York', wins: 2, losses: 5 },
-      { id: 25, name: 'New York Jets', city: 'New York', wins: 3, losses: 4 },
-      { id: 26, name: 'Philadelphia Eagles', city: 'Philadelphia', wins: 4, losses: 3 },
-      { id: 27, name: 'Pittsburgh Steelers', city: 'Pittsburgh', wins: 5, losses: 2 },
-      { id: 28, name: 'San Francisco 49ers', city: 'San Francisco', wins: 3, losses: 4 },
-      { id: 29, name: 'Seattle Seahawks', city: 'Seattle', wins: 4, losses: 3 },
-      { id: 30, name: 'Tampa Bay Buccaneers', city: 'Tampa Bay', wins: 4, losses: 3 },
-      { id: 31, name: 'Tennessee Titans', city: 'Tennessee', wins: 1, losses: 5 },
-      { id: 32, name: 'Washington Commanders', city: 'Washington', wins: 6, losses: 1 }
-    ];
-    
-    const nflPlayers = [
-      { id: 101, teamId: 1, name: 'Kyler Murray', position: 'QB', number: '1' },
-      { id: 102, teamId: 2, name: 'Kirk Cousins', position: 'QB', number: '8' },
-      { id: 103, teamId: 3, name: 'Lamar Jackson', position: 'QB', number: '8' },
-      { id: 104, teamId: 4, name: 'Josh Allen', position: 'QB', number: '17' },
-      { id: 105, teamId: 5, name: 'Bryce Young', position: 'QB', number: '9' },
-      { id: 106, teamId: 6, name: 'Caleb Williams', position: 'QB', number: '18' },
-      { id: 107, teamId: 7, name: 'Joe Burrow', position: 'QB', number: '9' },
-      { id: 108, teamId: 8, name: 'Deshaun Watson', position: 'QB', number: '4' },
-      { id: 109, teamId: 9, name: 'Dak Prescott', position: 'QB', number: '4' },
-      { id: 110, teamId: 10, name: 'Bo Nix', position: 'QB', number: '10' },
-      { id: 111, teamId: 11, name: 'Jared Goff', position: 'QB', number: '16' },
-      { id: 112, teamId: 12, name: 'Jordan Love', position: 'QB', number: '10' },
-      { id: 113, teamId: 13, name: 'C.J. Stroud', position: 'QB', number: '7' },
-      { id: 114, teamId: 14, name: 'Anthony Richardson', position: 'QB', number: '5' },
-      { id: 115, teamId: 15, name: 'Trevor Lawrence', position: 'QB', number: '16' },
-      { id: 116, teamId: 16, name: 'Patrick Mahomes', position: 'QB', number: '15' },
-      { id: 117, teamId: 16, name: 'Travis Kelce', position: 'TE', number: '87' },
-      { id: 118, teamId: 17, name: 'Gardner Minshew', position: 'QB', number: '15' },
-      { id: 119, teamId: 18, name: 'Justin Herbert', position: 'QB', number: '10' },
-      { id: 120, teamId: 19, name: 'Matthew Stafford', position: 'QB', number: '9' },
-      { id: 121, teamId: 20, name: 'Tua Tagovailoa', position: 'QB', number: '1' },
-      { id: 122, teamId: 21, name: 'Sam Darnold', position: 'QB', number: '14' },
-      { id: 123, teamId: 22, name: 'Drake Maye', position: 'QB', number: '10' },
-      { id: 124, teamId: 23, name: 'Derek Carr', position: 'QB', number: '4' },
-      { id: 125, teamId: 24, name: 'Daniel Jones', position: 'QB', number: '8' },
-      { id: 126, teamId: 25, name: 'Aaron Rodgers', position: 'QB', number: '8' },
-      { id: 127, teamId: 26, name: 'Jalen Hurts', position: 'QB', number: '1' },
-      { id: 128, teamId: 27, name: 'Russell Wilson', position: 'QB', number: '3' },
-      { id: 129, teamId: 28, name: 'Brock Purdy', position: 'QB', number: '13' },
-      { id: 130, teamId: 29, name: 'Geno Smith', position: 'QB', number: '7' },
-      { id: 131, teamId: 30, name: 'Baker Mayfield', position: 'QB', number: '6' },
-      { id: 132, teamId: 31, name: 'Will Levis', position: 'QB', number: '8' },
-      { id: 133, teamId: 32, name: 'Jayden Daniels', position: 'QB', number: '5' }
-    ];
-    
-    // Save teams to MongoDB
-    for (const team of nflTeams) {
+    // Step 1: Get teams and standings
+    console.log(`Fetching NFL teams and standings for season ${season}...`);
+    onProgress({ phase: 'standings', status: 'running', message: 'Fetching NFL teams and standings' });
+    const providerTeams = await provider.fetchTeams(season);
+
+    if (!Array.isArray(providerTeams) || providerTeams.length === 0) {
+      console.error('Invalid API response for NFL teams');
+      onProgress({ phase: 'standings', status: 'failed', message: 'Invalid API response for NFL teams' });
+      return false;
+    }
+
+    const standings = await provider.fetchStandings(season);
+
+    // Standings are keyed by team ID for lookup while saving teams
+    const standingsMap = new Map();
+    for (const entry of standings || []) {
+      standingsMap.set(entry.team.id, entry);
+    }
+
+    // The teams endpoint also lists conference placeholders (AFC/NFC) without a city
+    const teams = providerTeams.filter(team => team.city);
+    console.log(`Found ${teams.length} NFL teams for season ${season}`);
+
+    for (const team of teams) {
+      const standing = standingsMap.get(team.id);
+      const wins = standing?.won || 0;
+      const losses = standing?.lost || 0;
+      const ties = standing?.ties || 0;
+      const gamesPlayed = wins + losses + ties;
+
       await Team.findOneAndUpdate(
         { teamId: `nfl_${team.id}` },
         {
           league: 'NFL',
           name: team.name,
           displayName: team.name,
+          logo: team.logo,
           city: team.city,
           standings: {
-            wins: team.wins,
-            losses: team.losses,
-            winPercentage: team.wins / (team.wins + team.losses)
+            rank: standing?.position,
+            wins,
+            losses,
+            draws: ties,
+            gamesPlayed,
+            // Ties count as half a win in NFL win percentage
+            winPercentage: gamesPlayed > 0 ? (wins + ties / 2) / gamesPlayed : 0
           },
           lastUpdated: new Date()
         },
-        { upsert: true, new: true }
+        { upsert: true }
       );
     }
-    
-    // Save players to MongoDB
-    for (const player of nflPlayers) {
-      await Player.findOneAndUpdate(
-        { playerId: `nfl_${player.id}` },
-        {
-          teamId: `nfl_${player.teamId}`,
-          league: 'NFL',
-          name: player.name,
-          position: player.position,
-          number: player.number,
-          stats: {
-            sportStats: new Map([
-              ['touchdowns', Math.floor(Math.random() * 30)], // Random TD count
-              ['yards', Math.floor(Math.random() * 3000)] // Random yards
-            ])
-          },
-          lastUpdated: new Date()
-        },
-        { upsert: true, new: true }
-      );
+
+    console.log(`Updated ${teams.length} teams successfully`);
+    onProgress({ phase: 'standings', status: 'completed', message: `Updated ${teams.length} teams` });
+
+    // Step 2: Fetch rosters and stats team by team
+    const seenPlayerIds = [];
+    let failedTeams = 0;
+    let createdPlayers = 0;
+
+    for (const [index, team] of teams.entries()) {
+      onProgress({
+        phase: 'rosters',
+        status: 'running',
+        message: `Fetching roster ${index + 1} of ${teams.length} (${team.name})`,
+        current: index,
+        total: teams.length
+      });
+
+      try {
+        const teamId = `nfl_${team.id}`;
+        const roster = await provider.fetchPlayers(season, { team: team.id }) || [];
+        const playerStats = await provider.fetchPlayerSeasonStats(season, { team: team.id });
+
+        // Statistics are keyed by player ID, using only the groups recorded for this team
+        const statsMap = new Map();
+        for (const entry of playerStats || []) {
+          const teamStats = entry.teams?.find(t => t.team?.id === team.id) || entry.teams?.[0];
+          statsMap.set(entry.player.id, mapStatGroups(teamStats?.groups));
+        }
+
+        console.log(`Processing ${roster.length} players for ${team.name}`);
+
+        // Step 3: Update each player
+        for (const player of roster) {
+          try {
+            const playerId = player.id.toString();
+            const stats = statsMap.get(player.id) || mapStatGroups([]);
+
+            let nflPlayerStats = await NFLPlayerStats.findOne({ playerId });
+
+            if (!nflPlayerStats) {
+              nflPlayerStats = new NFLPlayerStats({ playerId, seasons: [] });
+              createdPlayers++;
+            }
+
+            // Player metadata is refreshed on every update
+            nflPlayerStats.name = player.name;
+            nflPlayerStats.age = player.age;
+            nflPlayerStats.height = player.height;
+            nflPlayerStats.weight = player.weight;
+            nflPlayerStats.college = player.college;
+            nflPlayerStats.experience = player.experience;
+            nflPlayerStats.image = player.image;
+
+            const seasonData = {
+              season,
+              team: team.name,
+              teamId,
+              position: player.position,
+              group: player.group,
+              number: player.number != null ? String(player.number) : undefined,
+              gamesPlayed: stats.gamesPlayed,
+              passing: stats.passing,
+              rushing: stats.rushing,
+              receiving: stats.receiving,
+              defense: stats.defense,
+              kicking: stats.kicking,
+              lastUpdated: new Date()
+            };
+
+            // Add the season entry or replace the existing one
+            const seasonIndex = nflPlayerStats.seasons.findIndex(s => s.season === season);
+            if (seasonIndex === -1) {
+              nflPlayerStats.seasons.push(seasonData);
+            } else {
+              nflPlayerStats.seasons.set(seasonIndex, seasonData);
+            }
+
+            nflPlayerStats.lastUpdated = new Date();
+            await nflPlayerStats.save();
+
+            // Step 4: Update the Player model with summary stats and the reference
+            const touchdowns = (stats.passing?.touchdowns || 0) +
+              (stats.rushing?.touchdowns || 0) +
+              (stats.receiving?.touchdowns || 0);
+            const yards = (stats.passing?.yards || 0) +
+              (stats.rushing?.yards || 0) +
+              (stats.receiving?.yards || 0);
+
+            await Player.findOneAndUpdate(
+              { playerId: `nfl_${playerId}` },
+              {
+                teamId,
+                league: 'NFL',
+                name: player.name,
+                position: player.position || 'N/A',
+                number: seasonData.number,
+                age: player.age,
+                height: player.height,
+                weight: player.weight,
+                image: player.image,
+                nflStatsRef: playerId, // Link to detailed stats
+                stats: {
+                  gamesPlayed: stats.gamesPlayed || 0,
+                  sportStats: new Map([
+                    ['touchdowns', touchdowns],
+                    ['yards', yards],
+                    ['passingYards', stats.passing?.yards || 0],
+                    ['rushingYards', stats.rushing?.yards || 0],
+                    ['receivingYards', stats.receiving?.yards || 0],
+                    ['interceptions', stats.defense?.interceptions || 0],
+                    ['tackles', stats.defense?.tackles || 0],
+                    ['sacks', stats.defense?.sacks || 0]
+                  ])
+                },
+                lastUpdated: new Date()
+              },
+              { upsert: true }
+            );
+
+            seenPlayerIds.push(`nfl_${playerId}`);
+          } catch (playerError) {
+            console.error(`Error processing NFL player ${player?.name || 'unknown'}:`, playerError);
+          }
+        }
+      } catch (teamError) {
+        failedTeams++;
+        console.error(`Error fetching players for ${team.name}:`, teamError.message);
+      }
     }
-    
-    console.log(`Successfully updated ${nflTeams.length} NFL teams with mock data`);
-    return true;
+
+    // Step 5: Remove players who are no longer on any roster
+    // Skipped after partial failures so a bad API call doesn't empty a team, and for past seasons,
+    // whose rosters say nothing about who is in the league now
+    if (failedTeams === 0 && season === sportsConfig.nfl.currentSeason) {
+      const { deletedCount } = await Player.deleteMany({
+        league: 'NFL',
+        playerId: { $nin: seenPlayerIds }
+      });
+      if (deletedCount > 0) {
+        console.log(`Removed ${deletedCount} NFL players no longer on a roster`);
+      }
+    }
+
+    console.log(`NFL update completed: ${createdPlayers} new players, ${seenPlayerIds.length} total players processed`);
+    onProgress({
+      phase: 'rosters',
+      status: failedTeams === 0 ? 'completed' : 'failed',
+      message: `${seenPlayerIds.length} players processed (${failedTeams} teams failed)`,
+      current: teams.length,
+      total: teams.length
+    });
+    return failedTeams === 0;
   } catch (error) {
-    console.error('Mock NFL data update error:', error);
+    console.error('NFL provider update error:', error.message);
+    onProgress({ phase: 'error', status: 'failed', message: `NFL provider update error: ${error.message}` });
+    if (error.response) {
+      console.error(`Status code: ${error.response.status}`);
+      console.error('Response data:', error.response.data);
+    }
     return false;
   }
 }
@@ -0,0 +1,172 @@
+/**
+ * Scheduler Service
+ *
+ * Runs league data updates in the background on the cron schedules in sportsConfig.scheduler:
+ * - One job per league (e.g., NBA nightly, EPL after matchdays), each starting an update job
+ *   for that league only, so update logging and stat snapshots work as for manual updates
+ * - The update lock (see updateLockService) prevents overlapping runs, including manual updates
+ *   and other server instances sharing the same database
+ * - Each job's last run time, outcome and duration are stored in SystemInfo for GET /api/jobs
+ *   and every run is written to the audit log with the scheduler as its actor
+ */
+import cron from 'node-cron';
+import { startUpdateJob, waitForJob } from './updateJobService.js';
+import { getUpdateLock, UpdateLockedError } from './updateLockService.js';
+import { QuotaExceededError } from '../providers/httpClient.js';
+import { recordAudit, trackJobOutcome } from './auditService.js';
+import SystemInfo from '../models/SystemInfo.js';
+import sportsConfig from '../config/sportsConfig.js';
+import { getNextRunTime } from '../utils/cronSchedule.js';
+
+// Cron tasks started by startScheduler, keyed by job name
+const scheduledTasks = new Map();
+
+/**
+ * Builds the updateSportsData options for a single-league job
+ * @param {string} league - Job name / league key ('nba', 'epl', 'nfl')
+ * @returns {Object} Options with only that league enabled
+ */
+function getJobUpdateOptions(league) {
+  return {
+    nba: league === 'nba',
+    epl: league === 'epl',
+    nfl: league === 'nfl',
+    nbaType: sportsConfig.nba.seasonType,
+    nbaSeason: sportsConfig.nba.currentSeason,
+    eplSeason: sportsConfig.epl.currentSeason,
+    nflSeason: sportsConfig.nfl.currentSeason
+  };
+}
+
+/**
+ * Stores the outcome of a job run in SystemInfo
+ * @param {string} name - Job name
+ * @param {Object} run - { startedAt, finishedAt, outcome, error }
+ */
+async function recordJobRun(name, { startedAt, finishedAt, outcome, error = null }) {
+  try {
+    await SystemInfo.findOneAndUpdate(
+      { key: `job_${name}` },
+      {
+        value: {
+          lastRunAt: startedAt,
+          lastFinishedAt: finishedAt,
+          lastOutcome: outcome, // 'success', 'failed' or 'skipped'
+          lastError: error,
+          lastDuration: ((finishedAt - startedAt) / 1000).toFixed(2)
+        },
+        updatedAt: finishedAt
+      },
+      { upsert: true }
+    );
+  } catch (err) {
+    console.error(`Error recording ${name} job run:`, err);
+  }
+}
+
+/**
+ * Runs a scheduled job once: takes the lock, updates the league and records the outcome
+ * Runs are skipped (not queued) when another update holds the lock or the league's API quota is running out
+ * @param {string} name - Job name ('nba', 'epl', 'nfl')
+ * @returns {Promise<string>} Outcome: 'success', 'failed' or 'skipped'
+ */
+export async function runJob(name) {
+  const startedAt = new Date();
+  const actor = `scheduler:${name}`;
+  const options = getJobUpdateOptions(name);
+  console.log(`Scheduled ${name.toUpperCase()} update starting...`);
+
+  try {
+    const job = await startUpdateJob(options, actor);
+    const audit = await recordAudit({ action: 'update', actor, options, outcome: 'started', jobId: job.id });
+    const finished = await waitForJob(job.id);
+    await trackJobOutcome(audit, job.id);
+    const outcome = finished.status === 'completed' && finished.result?.[name] ? 'success' : 'failed';
+    await recordJobRun(name, { startedAt, finishedAt: new Date(), outcome, error: finished.error });
+    console.log(`Scheduled ${name.toUpperCase()} update finished: ${outcome}`);
+    return outcome;
+  } catch (error) {
+    const outcome = error instanceof UpdateLockedError || error instanceof QuotaExceededError ? 'skipped' : 'failed';
+    console.error(`Scheduled ${name.toUpperCase()} update ${outcome}:`, error.message);
+    await recordAudit({ action: 'update', actor, options, outcome: outcome === 'skipped' ? 'rejected' : 'failed', error: error.message });
+    await recordJobRun(name, { startedAt, finishedAt: new Date(), outcome, error: error.message });
+    return outcome;
+  }
+}
+
+/**
+ * Starts cron tasks for every configured job with a valid schedule for an enabled league
+ * Calling it again has no effect while the tasks are running
+ * @returns {Array<string>} Names of the jobs that were scheduled
+ */
+export function startScheduler() {
+  if (scheduledTasks.size > 0) return [...scheduledTasks.keys()];
+
+  const { jobs, timezone } = sportsConfig.scheduler;
+
+  for (const [name, job] of Object.entries(jobs)) {
+    if (!sportsConfig[name]?.enabled) continue;
+    if (!cron.validate(job.schedule)) {
+      console.error(`Invalid cron schedule for ${name} job: "${job.schedule}" - job not scheduled`);
+      continue;
+    }
+
+    scheduledTasks.set(name, cron.schedule(job.schedule, () => runJob(name), { timezone }));
+    console.log(`Scheduled ${name.toUpperCase()} updates: "${job.schedule}" (${timezone})`);
+  }
+
+  return [...scheduledTasks.keys()];
+}
+
+/**
+ * Stops all cron tasks started by startScheduler
+ */
+export function stopScheduler() {
+  for (const task of scheduledTasks.values()) {
+    task.stop();
+  }
+  scheduledTasks.clear();
+}
+
+/**
+ * Gets the status of every configured job for GET /api/jobs
+ * @returns {Promise<Object>} { schedulerRunning, timezone, lock, jobs }
+ */
+export async function getJobsStatus() {
+  const { jobs, timezone } = sportsConfig.scheduler;
+  const names = Object.keys(jobs);
+
+  const [lock, runRecords] = await Promise.all([
+    getUpdateLock(),
+    SystemInfo.find({ key: { $in: names.map(name => `job_${name}`) } })
+  ]);
+  const runsByKey = Object.fromEntries(runRecords.map(record => [record.key, record.value]));
+
+  return {
+    schedulerRunning: scheduledTasks.size > 0,
+    timezone,
+    lock,
+    jobs: names.map(name => {
+      const job = jobs[name];
+      const scheduled = scheduledTasks.has(name);
+      const validSchedule = cron.validate(job.schedule);
+      return {
+        name,
+        league: name.toUpperCase(),
+        description: job.description,
+        schedule: job.schedule,
+        scheduled,
+        nextRunAt: scheduled && validSchedule ? getNextRunTime(job.schedule, timezone) : null,
+        lastRun: runsByKey[`job_${name}`] || null
+      };
+    })
+  };
+}
+
+export default {
+  startScheduler,
+  stopScheduler,
+  runJob,
+  getJobsStatus,
+  getNextRunTime
+};
@@ -0,0 +1,249 @@
+/**
+ * Snapshot Service
+ *
+ * Records a compact copy of every player-season after each data update:
+ * - Reads the freshly updated season entries from the league stat collections
+ * - Stores season-to-date totals and rate stats in PlayerStatSnapshot, one document per player per run
+ * - Serves a player's snapshot history so the frontend can draw progression lines
+ *
+ * Snapshots are append-only; the trending service derives recent form from the
+ * differences between successive snapshots of the same player
+ */
+import NbaPlayerStats from '../models/NBAPlayerStats.js';
+import EPLPlayerStats from '../models/EPLPlayerStats.js';
+import NFLPlayerStats from '../models/NFLPlayerStats.js';
+import PlayerStatSnapshot from '../models/PlayerStatSnapshot.js';
+
+/**
+ * Counting stats copied into each snapshot, keyed by league
+ * Each entry maps a snapshot stat name to a function extracting it from a season entry
+ * These are season-to-date totals, so they can be differenced and divided by games
+ */
+export const SNAPSHOT_STATS = {
+  NBA: {
+    points: s => s.totals?.points,
+    rebounds: s => s.totals?.totalRb,
+    assists: s => s.totals?.assists,
+    steals: s => s.totals?.steals,
+    blocks: s => s.totals?.blocks,
+    turnovers: s => s.totals?.turnovers,
+    threes: s => s.totals?.threeFg,
+    fieldGoals: s => s.totals?.fieldGoals,
+    fieldAttempts: s => s.totals?.fieldAttempts,
+    // minutesPg is a per-game average, so convert back to a total for deltas
+    minutes: s => (s.totals?.minutesPg !== undefined && s.totals?.games
+      ? Math.round(s.totals.minutesPg * s.totals.games)
+      : undefined)
+  },
+  EPL: {
+    goals: s => s.goals?.total,
+    assists: s => s.goals?.assists,
+    shotsOnTarget: s => s.shots?.on,
+    keyPasses: s => s.passes?.key,
+    tackles: s => s.tackles?.total,
+    interceptions: s => s.tackles?.interceptions,
+    dribblesSuccessful: s => s.dribbles?.success,
+    minutes: s => s.minutes
+  },
+  NFL: {
+    passingYards: s => s.passing?.yards,
+    rushingYards: s => s.rushing?.yards,
+    receivingYards: s => s.receiving?.yards,
+    touchdowns: s => (s.passing?.touchdowns || 0) + (s.rushing?.touchdowns || 0) + (s.receiving?.touchdowns || 0),
+    tackles: s => s.defense?.tackles,
+    sacks: s => s.defense?.sacks,
+    interceptions: s => s.defense?.interceptions
+  }
+};
+
+/**
+ * Rate and efficiency stats copied into each snapshot, keyed by league
+ * These are already averages, so history returns them as-is rather than per game
+ */
+export const SNAPSHOT_RATE_STATS = {
+  NBA: {
+    per: s => s.advanced?.per,
+    tsPercent: s => s.advanced?.tsPercent,
+    usagePercent: s => s.advanced?.usagePercent,
+    winShares: s => s.advanced?.winShares,
+    box: s => s.advanced?.box
+  },
+  EPL: {
+    rating: s => s.rating,
+    passAccuracy: s => s.passes?.accuracy
+  },
+  NFL: {
+    passerRating: s => s.passing?.rating
+  }
+};
+
+/**
+ * Builds the stats map for a snapshot, leaving out stats the provider did not report
+ * @param {string} league - 'NBA', 'EPL' or 'NFL'
+ * @param {Object} seasonData - Season entry from the league stat collection
+ * @returns {Object} Stat name → season-to-date total or rate
+ */
+function extractSnapshotStats(league, seasonData) {
+  const stats = {};
+  const extractors = { ...SNAPSHOT_STATS[league], ...SNAPSHOT_RATE_STATS[league] };
+  for (const [key, extract] of Object.entries(extractors)) {
+    const value = extract(seasonData);
+    if (typeof value === 'number' && !Number.isNaN(value)) {
+      stats[key] = value;
+    }
+  }
+  return stats;
+}
+
+/**
+ * Loads every player's season entry for a league-season in a common shape
+ * @param {string} league - 'NBA', 'EPL' or 'NFL'
+ * @param {number} season - Season year
+ * @param {string} seasonType - 'regular' or 'playoff' (NBA only)
+ * @returns {Promise<Array>} Array of { playerId, name, team, gamesPlayed, seasonData }
+ */
+async function loadSeasonEntries(league, season, seasonType) {
+  if (league === 'NBA') {
+    const seasonsArray = seasonType === 'playoff' ? 'playoffs' : 'regularSeasons';
+    const players = await NbaPlayerStats.find({ [`${seasonsArray}.season`]: season });
+
+    return players.map(player => {
+      const seasonData = player[seasonsArray].find(s => s.season === season);
+      return {
+        playerId: `nba_${player.playerId}`,
+        name: player.name,
+        team: seasonData.team,
+        gamesPlayed: seasonData.totals?.games || 0,
+        seasonData
+      };
+    });
+  }
+
+  const Model = league === 'EPL' ? EPLPlayerStats : NFLPlayerStats;
+  const prefix = league.toLowerCase();
+  const players = await Model.find({ 'seasons.season': season });
+
+  return players.map(player => {
+    const seasonData = player.seasons.find(s => s.season === season);
+    return {
+      playerId: `${prefix}_${player.playerId}`,
+      name: player.name,
+      team: seasonData.team,
+      gamesPlayed: (league === 'EPL' ? seasonData.appearances : seasonData.gamesPlayed) || 0,
+      seasonData
+    };
+  });
+}
+
+/**
+ * Records a snapshot of every player-season in a league after an update
+ * Players who have not played yet are skipped since they have nothing to compare
+ *
+ * @param {string} league - 'NBA', 'EPL' or 'NFL'
+ * @param {number} season - Season year that was just updated
+ * @param {string} seasonType - 'regular' or 'playoff' (NBA only)
+ * @returns {Promise<number>} Number of snapshots written
+ */
+export async function captureSnapshots(league, season, seasonType = 'regular') {
+  const entries = await loadSeasonEntries(league, season, seasonType);
+  const takenAt = new Date();
+
+  const snapshots = entries
+    .filter(entry => entry.gamesPlayed > 0)
+    .map(entry => ({
+      playerId: entry.playerId,
+      league,
+      name: entry.name,
+      team: entry.team,
+      season,
+      seasonType: league === 'NBA' ? seasonType : 'regular',
+      takenAt,
+      gamesPlayed: entry.gamesPlayed,
+      stats: extractSnapshotStats(league, entry.seasonData)
+    }));
+
+  if (snapshots.length > 0) {
+    await PlayerStatSnapshot.insertMany(snapshots, { ordered: false });
+  }
+
+  console.log(`Recorded ${snapshots.length} ${league} stat snapshots for season ${season}`);
+  return snapshots.length;
+}
+
+/**
+ * Returns the start of the week (Monday, UTC) containing a date, used to bucket snapshots
+ * @param {Date} date - Snapshot time
+ * @returns {string} ISO date of the week start (e.g., "2025-01-13")
+ */
+function getWeekStart(date) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const daysSinceMonday = (d.getUTCDay() + 6) % 7;
+  d.setUTCDate(d.getUTCDate() - daysSinceMonday);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Gets a player's snapshot history for one season, oldest first
+ * Each point carries the stored totals/rates plus per-game values for the counting stats
+ *
+ * @param {string} playerId - Player ID with league prefix (e.g., "nba_jamesle01")
+ * @param {Object} options - Options
+ * @param {number} options.season - Season year
+ * @param {string} options.type - 'regular' or 'playoff' (NBA only)
+ * @param {string} options.interval - 'update' for every snapshot, 'week' for the last snapshot of each week
+ * @returns {Promise<Object>} { playerId, league, name, season, type, interval, count, points }
+ */
+export async function getPlayerHistory(playerId, { season, type = 'regular', interval = 'update' }) {
+  const league = playerId.split('_')[0].toUpperCase();
+  const seasonType = league === 'NBA' ? type : 'regular';
+
+  const snapshots = await PlayerStatSnapshot
+    .find({ playerId, season, seasonType })
+    .sort({ takenAt: 1 })
+    .lean();
+
+  let selected = snapshots;
+  if (interval === 'week') {
+    // Later snapshots in the same week replace earlier ones
+    const byWeek = new Map();
+    for (const snapshot of snapshots) {
+      byWeek.set(getWeekStart(new Date(snapshot.takenAt)), snapshot);
+    }
+    selected = [...byWeek.values()];
+  }
+
+  const countingStats = Object.keys(SNAPSHOT_STATS[league] || {});
+  const points = selected.map(snapshot => {
+    const perGame = {};
+    if (snapshot.gamesPlayed > 0) {
+      for (const stat of countingStats) {
+        if (snapshot.stats?.[stat] !== undefined) {
+          perGame[stat] = Math.round((snapshot.stats[stat] / snapshot.gamesPlayed) * 100) / 100;
+        }
+      }
+    }
+    return {
+      takenAt: snapshot.takenAt,
+      team: snapshot.team,
+      gamesPlayed: snapshot.gamesPlayed,
+      stats: snapshot.stats || {},
+      perGame
+    };
+  });
+
+  return {
+    playerId,
+    league,
+    name: snapshots[snapshots.length - 1]?.name || null,
+    season,
+    type: seasonType,
+    interval,
+    count: points.length,
+    points
+  };
+}
+
+export default {
+  captureSnapshots,
+  getPlayerHistory
+};
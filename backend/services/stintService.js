@@ -0,0 +1,285 @@
+/**
+ * Stint Service
+ *
+ * Keeps a per-team history of NBA and EPL players (see PlayerStint):
+ * - NBA: the totals and advanced feeds list one row per team for traded players next to the
+ *   combined "2TM"/"3TM" row; each team row becomes a stint, ordered by the feed's row IDs
+ * - EPL: API-Football lists one statistics entry per club, so a mid-season transfer between
+ *   Premier League clubs gives two stints
+ * - Serves a player's career as seasons of stints, with each stint's first and last date taken
+ *   from NBA game logs or EPL match lineups when those have been fetched
+ */
+import PlayerStint from '../models/PlayerStint.js';
+import NbaGameLog from '../models/NBAGameLog.js';
+import Fixture from '../models/Fixture.js';
+import { convertTeamFormat } from '../utils/nbaStatsUtils.js';
+
+/**
+ * Headline stats stored on each stint, keyed by league (and NBA feed)
+ * Each entry maps a stint stat name to a function extracting it from a provider record
+ */
+export const STINT_STATS = {
+  NBA: {
+    totals: {
+      points: r => r.points,
+      rebounds: r => r.totalRb,
+      assists: r => r.assists,
+      steals: r => r.steals,
+      blocks: r => r.blocks,
+      fieldPercent: r => r.fieldPercent,
+      threePercent: r => r.threePercent
+    },
+    advanced: {
+      per: r => r.per,
+      tsPercent: r => r.tsPercent,
+      winShares: r => r.winShares,
+      box: r => r.box
+    }
+  },
+  EPL: {
+    goals: s => s.goals?.total,
+    assists: s => s.goals?.assists,
+    yellowCards: s => s.cards?.yellow,
+    redCards: s => s.cards?.red,
+    keyPasses: s => s.passes?.key,
+    tackles: s => s.tackles?.total,
+    saves: s => s.goals?.saves,
+    rating: s => (s.games?.rating ? parseFloat(s.games.rating) : undefined)
+  }
+};
+
+// NBA feed rows that combine a traded player's teams
+const isCombinedRow = (record) => /^(TOT|\dTM)$/.test(record.team || '');
+
+/**
+ * Builds the $set paths for a stint's stats from a provider record
+ * @param {Object} extractors - Stat name to extractor map (from STINT_STATS)
+ * @param {Object} record - Provider record
+ * @returns {Object} { 'stats.points': 812, ... } without missing values
+ */
+function statPaths(extractors, record) {
+  const paths = {};
+  Object.entries(extractors).forEach(([stat, extract]) => {
+    const value = extract(record);
+    if (typeof value === 'number' && !Number.isNaN(value)) {
+      paths[`stats.${stat}`] = value;
+    }
+  });
+  return paths;
+}
+
+/**
+ * Records the per-team stints of one NBA player-season from the totals or advanced feed
+ * Called with all of a player's rows (see processPlayerGroup in nbaStatsService.js)
+ *
+ * @param {Array} playerRecords - The player's rows for the season, including any "2TM" row
+ * @param {boolean} isPlayoffs - Whether these are playoff rows
+ * @param {string} dataType - 'totals' or 'advanced'
+ * @returns {Promise<number>} Number of stints written
+ */
+export async function recordNbaStints(playerRecords, isPlayoffs, dataType) {
+  // Row IDs follow the order the player joined each team
+  const teamRows = playerRecords
+    .filter(record => record.team && !isCombinedRow(record))
+    .sort((a, b) => a.id - b.id);
+  if (teamRows.length === 0) return 0;
+
+  const now = new Date();
+  await PlayerStint.bulkWrite(teamRows.map((record, index) => {
+    const update = {
+      name: record.playerName,
+      teamId: `nba_${convertTeamFormat(record.team, 'id')}`,
+      order: index + 1,
+      lastSeen: now,
+      ...statPaths(STINT_STATS.NBA[dataType], record)
+    };
+
+    // Games come from the totals feed; minutes only from the advanced feed, which has the exact total
+    if (dataType === 'totals') {
+      update.games = record.games;
+      update.gamesStarted = record.gamesStarted;
+    } else {
+      update.minutes = record.minutesPlayed;
+    }
+
+    return {
+      updateOne: {
+        filter: {
+          playerId: `nba_${record.playerId}`,
+          season: record.season,
+          seasonType: isPlayoffs ? 'playoff' : 'regular',
+          team: record.team
+        },
+        update: { $set: { league: 'NBA', ...update }, $setOnInsert: { firstSeen: now } },
+        upsert: true
+      }
+    };
+  }));
+
+  return teamRows.length;
+}
+
+/**
+ * Records the per-club stints of one EPL player-season
+ *
+ * @param {Object} player - API-Football player ({ id, name })
+ * @param {Array} statistics - The player's Premier League statistics entries for the season, one per club
+ * @param {number} season - Season year
+ * @returns {Promise<number>} Number of stints written
+ */
+export async function recordEplStints(player, statistics, season) {
+  const clubEntries = statistics.filter(stat => stat.team?.name && stat.games?.appearences > 0);
+  if (clubEntries.length === 0) return 0;
+
+  const now = new Date();
+  await PlayerStint.bulkWrite(clubEntries.map(stat => ({
+    updateOne: {
+      filter: { playerId: `epl_${player.id}`, season, seasonType: 'regular', team: stat.team.name },
+      update: {
+        $set: {
+          league: 'EPL',
+          name: player.name,
+          teamId: `epl_${stat.team.id}`,
+          games: stat.games.appearences || 0,
+          gamesStarted: stat.games.lineups || 0,
+          minutes: stat.games.minutes || 0,
+          lastSeen: now,
+          ...statPaths(STINT_STATS.EPL, stat)
+        },
+        $setOnInsert: { firstSeen: now }
+      },
+      upsert: true
+    }
+  })));
+
+  return clubEntries.length;
+}
+
+/**
+ * Finds the first and last game of each NBA stint from the player's game logs
+ * @param {string} playerId - Player ID without the "nba_" prefix
+ * @returns {Promise<Map>} "season|seasonType|team" to { startDate, endDate }
+ */
+async function getNbaStintDates(playerId) {
+  const groups = await NbaGameLog.aggregate([
+    { $match: { playerId } },
+    {
+      $group: {
+        _id: { season: '$season', seasonType: '$seasonType', team: '$team' },
+        startDate: { $min: '$gameDate' },
+        endDate: { $max: '$gameDate' }
+      }
+    }
+  ]);
+
+  return new Map(groups.map(group => [
+    `${group._id.season}|${group._id.seasonType}|${group._id.team}`,
+    { startDate: group.startDate, endDate: group.endDate }
+  ]));
+}
+
+/**
+ * Finds the first and last match of each EPL stint from match lineups (starting or on the bench)
+ * @param {string} playerId - Player ID with the "epl_" prefix
+ * @returns {Promise<Map>} "season|regular|teamId" to { startDate, endDate }
+ */
+async function getEplStintDates(playerId) {
+  const sides = ['home', 'away'];
+  const matches = await Fixture.find({
+    league: 'EPL',
+    $or: sides.flatMap(side => [
+      { [`lineups.${side}.startXI.playerId`]: playerId },
+      { [`lineups.${side}.substitutes.playerId`]: playerId }
+    ])
+  })
+    .select('season date lineups')
+    .lean();
+
+  const dates = new Map();
+  matches.forEach(match => {
+    const lineup = sides
+      .map(side => match.lineups?.[side])
+      .find(candidate => [...(candidate?.startXI || []), ...(candidate?.substitutes || [])]
+        .some(player => player.playerId === playerId));
+    if (!lineup) return;
+
+    const key = `${match.season}|regular|${lineup.teamId}`;
+    const range = dates.get(key) || { startDate: match.date, endDate: match.date };
+    if (match.date < range.startDate) range.startDate = match.date;
+    if (match.date > range.endDate) range.endDate = match.date;
+    dates.set(key, range);
+  });
+
+  return dates;
+}
+
+/**
+ * Gets a player's career as seasons of team stints
+ *
+ * @param {string} playerId - Player ID with league prefix (e.g., "nba_hardeja01", "epl_276")
+ * @returns {Promise<Object>} { playerId, league, name, seasons: [{ season, seasonType, traded, stints }] }
+ *   Seasons run oldest first (regular season before playoffs); stints run in the order the player joined each team.
+ *   Each stint has startDate/endDate and datesFrom ('gameLogs' or 'lineups'), or null dates when unknown
+ */
+export async function getPlayerStints(playerId) {
+  const league = playerId.split('_')[0].toUpperCase();
+  const stints = await PlayerStint.find({ playerId }).lean();
+
+  const dates = league === 'NBA'
+    ? await getNbaStintDates(playerId.replace(/^nba_/, ''))
+    : await getEplStintDates(playerId);
+  const datesFrom = league === 'NBA' ? 'gameLogs' : 'lineups';
+
+  // Group stints into seasons
+  const seasons = new Map();
+  stints.forEach(stint => {
+    const dateKey = `${stint.season}|${stint.seasonType}|${league === 'NBA' ? stint.team : stint.teamId}`;
+    const range = dates.get(dateKey);
+
+    const seasonKey = `${stint.season}|${stint.seasonType}`;
+    if (!seasons.has(seasonKey)) {
+      seasons.set(seasonKey, { season: stint.season, seasonType: stint.seasonType, stints: [] });
+    }
+    seasons.get(seasonKey).stints.push({
+      team: stint.team,
+      teamId: stint.teamId,
+      order: stint.order ?? null,
+      games: stint.games ?? null,
+      gamesStarted: stint.gamesStarted ?? null,
+      minutes: stint.minutes ?? null,
+      stats: stint.stats || {},
+      startDate: range?.startDate || null,
+      endDate: range?.endDate || null,
+      datesFrom: range ? datesFrom : null,
+      firstSeen: stint.firstSeen
+    });
+  });
+
+  const byJoinOrder = (a, b) => {
+    if (a.order !== null && b.order !== null) return a.order - b.order;
+    if (a.startDate && b.startDate) return new Date(a.startDate) - new Date(b.startDate);
+    return new Date(a.firstSeen) - new Date(b.firstSeen);
+  };
+
+  const ordered = [...seasons.values()]
+    .sort((a, b) => a.season - b.season || (a.seasonType === 'regular' ? -1 : 1))
+    .map(season => ({
+      ...season,
+      traded: season.stints.length > 1,
+      stints: season.stints.sort(byJoinOrder)
+    }));
+
+  return {
+    playerId,
+    league,
+    name: stints[0]?.name || null,
+    seasons: ordered
+  };
+}
+
+export default {
+  recordNbaStints,
+  recordEplStints,
+  getPlayerStints,
+  STINT_STATS
+};
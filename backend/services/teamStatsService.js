@@ -0,0 +1,286 @@
+/**
+ * Team Stats Service
+ *
+ * Builds team-level aggregates from the season stats of the players who played for a team:
+ * - Points (NBA) or goals (EPL) for and against, with the scoring margin
+ * - Shooting splits from the summed shooting totals
+ * - Each player's share of the team's points or goals
+ * - How the team's minutes are spread across the roster
+ * - Age profile: average age, minutes-weighted age and age brackets
+ *
+ * The stats collections hold no opponent data, so "against" is a proxy:
+ * - NBA: points for minus the team's net rating, estimated from minutes-weighted Box Plus/Minus
+ * - EPL: goals conceded by the team's goalkeepers
+ *
+ * NBA players are matched on the team of their per-team season rows (a traded player counts for
+ * each team they played for), EPL players on the teamId of their season entry
+ */
+import { getQualifyingSeasons } from './analyticsService.js';
+import { convertTeamFormat } from '../utils/nbaStatsUtils.js';
+import { estimatePossessions, getPlayingTime, normalizeValue, GAME_MINUTES } from '../utils/statNormalization.js';
+
+// Age brackets for the age profile (inclusive bounds)
+export const AGE_BRACKETS = [
+  { label: '23 and under', min: 0, max: 23 },
+  { label: '24-27', min: 24, max: 27 },
+  { label: '28-31', min: 28, max: 31 },
+  { label: '32 and over', min: 32, max: Infinity }
+];
+
+// Mode used when none is requested, matching GET /api/team/:teamId
+export const TEAM_STATS_DEFAULT_MODES = {
+  NBA: 'perGame',
+  EPL: 'totals'
+};
+
+/**
+ * Divides a total by a count, returning null when the count is zero or missing
+ * @param {number} total - Numerator
+ * @param {number} count - Denominator
+ * @returns {number|null} Ratio
+ */
+function ratio(total, count) {
+  if (!count || total === undefined || total === null) return null;
+  return total / count;
+}
+
+/**
+ * Converts a ratio to a 0-100 percentage
+ * @param {number|null} value - Ratio
+ * @returns {number|null} Percentage
+ */
+function toPercent(value) {
+  return typeof value === 'number' ? value * 100 : null;
+}
+
+/**
+ * Whether a player's season entry belongs to the team
+ * @param {Object} team - Team document
+ * @param {Object} player - Qualifying player-season (see getQualifyingSeasons)
+ * @returns {boolean} Whether the player played for the team that season
+ */
+function playedForTeam(team, player) {
+  if (team.league === 'NBA') {
+    const fullName = convertTeamFormat(player.team, 'full');
+    return fullName === team.name || fullName === team.displayName;
+  }
+  return player.seasonData.teamId === team.teamId ||
+    player.team === team.name ||
+    player.team === team.displayName;
+}
+
+/**
+ * Per-player numbers the aggregates are built from, keyed by league
+ * NBA scoring is points, EPL scoring is goals
+ */
+const PLAYER_NUMBERS = {
+  NBA: s => ({
+    games: s.totals?.games || 0,
+    minutes: getPlayingTime('NBA', s).minutes,
+    scoring: s.totals?.points || 0,
+    box: s.advanced?.box,
+    fieldGoals: s.totals?.fieldGoals || 0,
+    fieldAttempts: s.totals?.fieldAttempts || 0,
+    threeFg: s.totals?.threeFg || 0,
+    threeAttempts: s.totals?.threeAttempts || 0,
+    ft: s.totals?.ft || 0,
+    ftAttempts: s.totals?.ftAttempts || 0,
+    offensiveRb: s.totals?.offensiveRb || 0,
+    turnovers: s.totals?.turnovers || 0
+  }),
+  EPL: s => ({
+    games: s.appearances || 0,
+    minutes: s.minutes || 0,
+    scoring: s.goals?.total || 0,
+    conceded: /goalkeeper/i.test(s.position || '') ? s.goals?.conceded || 0 : 0,
+    shots: s.shots?.total || 0,
+    shotsOnTarget: s.shots?.on || 0,
+    penaltiesScored: s.penalty?.scored || 0,
+    penaltiesMissed: s.penalty?.missed || 0
+  })
+};
+
+/**
+ * Shooting splits from summed team totals, as 0-100 percentages
+ * @param {string} league - 'NBA' or 'EPL'
+ * @param {Object} t - Summed team totals
+ * @returns {Array<Object>} [{ key, label, value, made, attempts }]
+ */
+function buildShootingSplits(league, t) {
+  const split = (key, label, made, attempts, value = toPercent(ratio(made, attempts))) =>
+    ({ key, label, value, made, attempts });
+
+  if (league === 'NBA') {
+    return [
+      split('fieldGoal', 'FG%', t.fieldGoals, t.fieldAttempts),
+      split('twoPoint', '2P%', t.fieldGoals - t.threeFg, t.fieldAttempts - t.threeAttempts),
+      split('threePoint', '3P%', t.threeFg, t.threeAttempts),
+      split('freeThrow', 'FT%', t.ft, t.ftAttempts),
+      split('effectiveFieldGoal', 'eFG%', t.fieldGoals + 0.5 * t.threeFg, t.fieldAttempts),
+      split('trueShooting', 'TS%', t.scoring, t.fieldAttempts + 0.44 * t.ftAttempts,
+        toPercent(ratio(t.scoring, 2 * (t.fieldAttempts + 0.44 * t.ftAttempts))))
+    ];
+  }
+
+  return [
+    split('shotAccuracy', 'Shots On Target %', t.shotsOnTarget, t.shots),
+    split('conversion', 'Shot Conversion %', t.scoring, t.shots),
+    split('onTargetConversion', 'On Target Conversion %', t.scoring, t.shotsOnTarget),
+    split('penalties', 'Penalty Conversion %', t.penaltiesScored, t.penaltiesScored + t.penaltiesMissed)
+  ];
+}
+
+/**
+ * Where an NBA team's points come from: two-pointers, three-pointers and free throws
+ * @param {Object} t - Summed team totals
+ * @returns {Array<Object>} [{ key, label, points, share }]
+ */
+function buildPointSources(t) {
+  const sources = [
+    { key: 'twoPoint', label: '2PT', points: 2 * (t.fieldGoals - t.threeFg) },
+    { key: 'threePoint', label: '3PT', points: 3 * t.threeFg },
+    { key: 'freeThrow', label: 'FT', points: t.ft }
+  ];
+  const total = sources.reduce((sum, s) => sum + s.points, 0);
+  return sources.map(s => ({ ...s, share: toPercent(ratio(s.points, total)) }));
+}
+
+/**
+ * Age profile of the players who played for the team
+ * @param {Array<Object>} players - [{ age, minutes }]
+ * @returns {Object} { average, weightedAverage, brackets: [{ label, players, minutes, minutesShare }] }
+ */
+function buildAgeProfile(players) {
+  const withAge = players.filter(p => typeof p.age === 'number');
+  const totalMinutes = withAge.reduce((sum, p) => sum + p.minutes, 0);
+
+  return {
+    average: ratio(withAge.reduce((sum, p) => sum + p.age, 0), withAge.length),
+    weightedAverage: ratio(withAge.reduce((sum, p) => sum + p.age * p.minutes, 0), totalMinutes),
+    brackets: AGE_BRACKETS.map(({ label, min, max }) => {
+      const inBracket = withAge.filter(p => p.age >= min && p.age <= max);
+      const minutes = inBracket.reduce((sum, p) => sum + p.minutes, 0);
+      return {
+        label,
+        players: inBracket.length,
+        minutes,
+        minutesShare: toPercent(ratio(minutes, totalMinutes))
+      };
+    })
+  };
+}
+
+/**
+ * Builds the team aggregates for a season
+ *
+ * Scoring for/against is normalized like the heat map: by the team's games (the most any of
+ * its players appeared in), game minutes (per36/per90) or estimated possessions (per100).
+ * Shares, splits and the age profile are the same in every mode
+ *
+ * @param {Object} team - Team document
+ * @param {Object} options - Options
+ * @param {number} options.season - Season year
+ * @param {string} options.type - NBA only: 'regular' or 'playoff'
+ * @param {string} options.mode - Stat mode for scoring for/against (see utils/statNormalization.js)
+ * @returns {Promise<Object>} { teamId, league, team, season, type, mode, games, playerCount,
+ *   summary, shooting, pointSources, scoringShare, minutes, ageProfile }
+ */
+export async function getTeamAggregates(team, { season, type = 'regular', mode = TEAM_STATS_DEFAULT_MODES[team.league] }) {
+  const league = team.league;
+  const qualifying = await getQualifyingSeasons(league, season, { type, minGames: 1 });
+
+  // Step 1: Per-player numbers for everyone who played for the team
+  const players = qualifying
+    .filter(player => player.team && playedForTeam(team, player))
+    .map(player => ({
+      playerId: player.playerId,
+      name: player.name,
+      position: player.position,
+      age: player.age,
+      ...PLAYER_NUMBERS[league](player.seasonData)
+    }));
+
+  // Step 2: Team totals, starting from zeros (games is the most any player appeared in)
+  const totals = PLAYER_NUMBERS[league]({});
+  let games = 0;
+  for (const player of players) {
+    games = Math.max(games, player.games);
+    for (const field of Object.keys(totals)) {
+      if (field === 'games' || field === 'box' || typeof player[field] !== 'number') continue;
+      totals[field] += player[field];
+    }
+  }
+
+  const playingTime = {
+    games,
+    minutes: games * GAME_MINUTES[league],
+    possessions: league === 'NBA' ? estimatePossessions(totals) : null
+  };
+
+  // Step 3: Scoring against. NBA net rating per 100 possessions is the minutes-weighted
+  // Box Plus/Minus of the team's players (five on the court at a time)
+  let against;
+  let netRating = null;
+  if (league === 'NBA') {
+    const boxMinutes = players.filter(p => typeof p.box === 'number').reduce((sum, p) => sum + p.minutes, 0);
+    netRating = ratio(
+      players.filter(p => typeof p.box === 'number').reduce((sum, p) => sum + p.box * p.minutes, 0),
+      boxMinutes / 5
+    );
+    against = netRating === null ? null : totals.scoring - (netRating * playingTime.possessions) / 100;
+  } else {
+    against = totals.conceded;
+  }
+
+  const scoringFor = totals.scoring;
+  const summary = {
+    label: league === 'NBA' ? 'Points' : 'Goals',
+    for: normalizeValue(scoringFor, mode, playingTime),
+    against: normalizeValue(against, mode, playingTime),
+    margin: against === null ? null : normalizeValue(scoringFor - against, mode, playingTime),
+    againstSource: league === 'NBA'
+      ? 'Estimated from minutes-weighted Box Plus/Minus'
+      : 'Goals conceded by the team\'s goalkeepers',
+    netRating
+  };
+
+  // Step 4: Per-player breakdowns, largest first
+  const scoringShare = players
+    .filter(p => p.scoring > 0)
+    .map(p => ({ playerId: p.playerId, name: p.name, value: p.scoring, share: toPercent(ratio(p.scoring, scoringFor)) }))
+    .sort((a, b) => b.value - a.value);
+
+  const minutes = players
+    .map(p => ({
+      playerId: p.playerId,
+      name: p.name,
+      position: p.position,
+      games: p.games,
+      minutes: p.minutes,
+      share: toPercent(ratio(p.minutes, totals.minutes))
+    }))
+    .sort((a, b) => b.minutes - a.minutes);
+
+  return {
+    teamId: team.teamId,
+    league,
+    team: team.displayName || team.name,
+    season,
+    type: league === 'NBA' ? type : undefined,
+    mode,
+    games,
+    playerCount: players.length,
+    summary,
+    shooting: buildShootingSplits(league, totals),
+    pointSources: league === 'NBA' ? buildPointSources(totals) : undefined,
+    scoringShare,
+    minutes,
+    ageProfile: buildAgeProfile(players)
+  };
+}
+
+export default {
+  getTeamAggregates,
+  AGE_BRACKETS,
+  TEAM_STATS_DEFAULT_MODES
+};
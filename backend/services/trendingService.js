@@ -0,0 +1,255 @@
+/**
+ * Trending Service
+ *
+ * Ranks players by recent form relative to their own season baseline:
+ * - Recent output comes from the deltas between successive PlayerStatSnapshot records
+ *   (e.g., 3 games and 84 points between two updates = 28 ppg over that interval)
+ * - Each interval is compared with the player's season-to-date average going into it
+ * - Intervals are weighted by games played and by recency, with a half-life of half the window
+ * - Per-stat differences are scaled by the league-wide per-game average so that
+ *   stats of different magnitudes (points vs blocks, yards vs sacks) can be summed
+ *
+ * The result includes each stat's component score so the frontend can explain
+ * why a player is trending
+ */
+import PlayerStatSnapshot from '../models/PlayerStatSnapshot.js';
+import sportsConfig from '../config/sportsConfig.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Stats that contribute to the trending score, keyed by league
+ * Each stat has a short display label and a weight in the total score
+ */
+export const TRENDING_STATS = {
+  NBA: {
+    points: { label: 'PTS', weight: 1 },
+    rebounds: { label: 'REB', weight: 0.6 },
+    assists: { label: 'AST', weight: 0.6 },
+    threes: { label: '3PM', weight: 0.4 },
+    steals: { label: 'STL', weight: 0.3 },
+    blocks: { label: 'BLK', weight: 0.3 }
+  },
+  EPL: {
+    goals: { label: 'Goals', weight: 1 },
+    assists: { label: 'Assists', weight: 0.8 },
+    shotsOnTarget: { label: 'Shots on target', weight: 0.4 },
+    keyPasses: { label: 'Key passes', weight: 0.4 },
+    tackles: { label: 'Tackles', weight: 0.2 },
+    interceptions: { label: 'Interceptions', weight: 0.2 }
+  },
+  NFL: {
+    touchdowns: { label: 'TD', weight: 1 },
+    passingYards: { label: 'Pass yds', weight: 0.5 },
+    rushingYards: { label: 'Rush yds', weight: 0.8 },
+    receivingYards: { label: 'Rec yds', weight: 0.8 },
+    sacks: { label: 'Sacks', weight: 0.6 },
+    interceptions: { label: 'INT', weight: 0.6 },
+    tackles: { label: 'Tackles', weight: 0.4 }
+  }
+};
+
+/**
+ * Rounds a number to two decimal places, passing through null
+ * @param {number|null} value - Value to round
+ * @returns {number|null} Rounded value
+ */
+function round2(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Reads a stat from a snapshot's stats map (plain object when loaded with lean())
+ * @param {Object} snapshot - PlayerStatSnapshot document
+ * @param {string} stat - Stat name
+ * @returns {number} Stat value, 0 when missing
+ */
+function getStat(snapshot, stat) {
+  return snapshot.stats?.[stat] || 0;
+}
+
+/**
+ * Computes the league-wide per-game average for each trending stat
+ * Used to put component scores for different stats on a comparable scale
+ * @param {string} league - League code
+ * @param {Array} latestSnapshots - Most recent snapshot for each player
+ * @returns {Object} Stat name → league average per game
+ */
+function calculateLeagueScales(league, latestSnapshots) {
+  const scales = {};
+  const withGames = latestSnapshots.filter(s => s.gamesPlayed > 0);
+
+  for (const stat of Object.keys(TRENDING_STATS[league])) {
+    const total = withGames.reduce((sum, s) => sum + getStat(s, stat) / s.gamesPlayed, 0);
+    const average = withGames.length > 0 ? total / withGames.length : 0;
+    // Guard against stats nobody has recorded yet
+    scales[stat] = average > 0 ? average : 1;
+  }
+
+  return scales;
+}
+
+/**
+ * Scores a single player's recent form from their ordered snapshots
+ * @param {string} league - League code
+ * @param {Array} snapshots - Player's snapshots in time order (baseline first, if any)
+ * @param {Object} options - { windowEnd, halfLifeDays, scales }
+ * @returns {Object|null} Score breakdown, or null when the player has not played in the window
+ */
+function scorePlayer(league, snapshots, { windowEnd, halfLifeDays, scales }) {
+  const stats = TRENDING_STATS[league];
+  const sums = {};
+  let totalWeight = 0;
+  let gamesInWindow = 0;
+
+  for (let i = 1; i < snapshots.length; i++) {
+    const previous = snapshots[i - 1];
+    const current = snapshots[i];
+    const gamesDelta = (current.gamesPlayed || 0) - (previous.gamesPlayed || 0);
+    // No games between these updates (or the provider revised the count down) - nothing to learn
+    if (gamesDelta <= 0) continue;
+
+    const ageDays = (windowEnd - new Date(current.takenAt)) / DAY_MS;
+    const weight = gamesDelta * Math.pow(0.5, ageDays / halfLifeDays);
+    totalWeight += weight;
+    gamesInWindow += gamesDelta;
+
+    for (const stat of Object.keys(stats)) {
+      const recentRate = (getStat(current, stat) - getStat(previous, stat)) / gamesDelta;
+      // Season-to-date average going into this interval; without one the interval is its own baseline
+      const baselineRate = previous.gamesPlayed > 0
+        ? getStat(previous, stat) / previous.gamesPlayed
+        : recentRate;
+
+      sums[stat] = sums[stat] || { recent: 0, baseline: 0 };
+      sums[stat].recent += weight * recentRate;
+      sums[stat].baseline += weight * baselineRate;
+    }
+  }
+
+  if (totalWeight === 0) return null;
+
+  const components = Object.entries(stats).map(([stat, { label, weight }]) => {
+    const recent = sums[stat].recent / totalWeight;
+    const baseline = sums[stat].baseline / totalWeight;
+    const delta = recent - baseline;
+    return {
+      stat,
+      label,
+      recent: round2(recent),
+      baseline: round2(baseline),
+      delta: round2(delta),
+      score: round2(weight * delta / scales[stat])
+    };
+  });
+
+  const score = components.reduce((sum, c) => sum + c.score, 0);
+
+  return { score: round2(score), gamesInWindow, components };
+}
+
+/**
+ * Builds a short human-readable explanation from a player's strongest components
+ * e.g., "+6.2 PTS, +2.1 AST per game vs season average over last 4 games"
+ * @param {Object} scored - Result of scorePlayer
+ * @returns {string} Explanation
+ */
+function buildReason(scored) {
+  const top = [...scored.components]
+    .filter(c => c.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 2)
+    .map(c => `+${c.delta.toFixed(1)} ${c.label}`);
+
+  const games = `${scored.gamesInWindow} game${scored.gamesInWindow === 1 ? '' : 's'}`;
+  if (top.length === 0) return `Below season averages over last ${games}`;
+  return `${top.join(', ')} per game vs season average over last ${games}`;
+}
+
+/**
+ * Computes the trending players for a league-season
+ *
+ * The window is anchored at the most recent snapshot rather than the current time,
+ * so past seasons show how players were trending at the end of that season.
+ * The latest snapshot before the window starts is used as each player's starting point.
+ *
+ * @param {string} league - 'NBA', 'EPL' or 'NFL'
+ * @param {Object} options - Options
+ * @param {number} options.season - Season year (defaults to the league's current season)
+ * @param {string} options.type - 'regular' or 'playoff' (NBA only)
+ * @param {string} options.window - One of the keys in sportsConfig.trending.windows (e.g., '14d')
+ * @param {number} options.limit - Maximum players to return
+ * @returns {Promise<Object>} { league, season, type, window, windowStart, windowEnd, players }
+ * @throws {Error} If the window is not one of sportsConfig.trending.windows
+ */
+export async function computeTrending(league, {
+  season = sportsConfig[league.toLowerCase()].currentSeason,
+  type = 'regular',
+  window = sportsConfig.trending.defaultWindow,
+  limit = sportsConfig.trending.limit
+} = {}) {
+  if (!Object.hasOwn(sportsConfig.trending.windows, window)) {
+    throw new Error(`Unknown trending window: ${window}`);
+  }
+  const windowDays = sportsConfig.trending.windows[window];
+  const seasonType = league === 'NBA' ? type : 'regular';
+  const match = { league, season, seasonType };
+  const result = { league, season, type: seasonType, window, windowStart: null, windowEnd: null, players: [] };
+
+  const latest = await PlayerStatSnapshot.findOne(match).sort({ takenAt: -1 }).lean();
+  if (!latest) return result;
+
+  const windowEnd = new Date(latest.takenAt);
+  const windowStart = new Date(windowEnd.getTime() - windowDays * DAY_MS);
+  result.windowStart = windowStart;
+  result.windowEnd = windowEnd;
+
+  const [inWindow, baselines] = await Promise.all([
+    PlayerStatSnapshot.find({ ...match, takenAt: { $gte: windowStart } }).sort({ takenAt: 1 }).lean(),
+    // Each player's last snapshot before the window, so the first in-window update has something to compare with
+    PlayerStatSnapshot.aggregate([
+      { $match: { ...match, takenAt: { $lt: windowStart } } },
+      { $sort: { takenAt: -1 } },
+      { $group: { _id: '$playerId', snapshot: { $first: '$$ROOT' } } }
+    ])
+  ]);
+
+  // Group snapshots by player, baseline first
+  const byPlayer = new Map();
+  for (const { _id, snapshot } of baselines) {
+    byPlayer.set(_id, [snapshot]);
+  }
+  for (const snapshot of inWindow) {
+    if (!byPlayer.has(snapshot.playerId)) byPlayer.set(snapshot.playerId, []);
+    byPlayer.get(snapshot.playerId).push(snapshot);
+  }
+
+  const latestSnapshots = [...byPlayer.values()].map(list => list[list.length - 1]);
+  const scales = calculateLeagueScales(league, latestSnapshots);
+  const halfLifeDays = windowDays / 2;
+
+  const players = [];
+  for (const [playerId, snapshots] of byPlayer) {
+    const scored = scorePlayer(league, snapshots, { windowEnd, halfLifeDays, scales });
+    if (!scored || scored.gamesInWindow < sportsConfig.trending.minGames) continue;
+
+    const current = snapshots[snapshots.length - 1];
+    players.push({
+      playerId,
+      name: current.name,
+      team: current.team,
+      ...scored,
+      reason: buildReason(scored)
+    });
+  }
+
+  players.sort((a, b) => b.score - a.score);
+  result.players = players.slice(0, limit);
+
+  return result;
+}
+
+export default {
+  computeTrending,
+  TRENDING_STATS
+};
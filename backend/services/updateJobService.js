@@ -0,0 +1,202 @@
+/**
+ * Update Job Service
+ *
+ * Runs data updates as background jobs so HTTP requests return immediately:
+ * - Each job gets an ID and runs updateSportsData while holding the update lock
+ * - Progress events from the league services are collected per phase
+ *   (e.g., EPL standings, page X of Y of EPL players, NBA totals vs advanced)
+ *   and appended to a log
+ * - Listeners can subscribe to a job's events, which is how the SSE stream works
+ *
+ * Jobs are kept in memory, so they belong to the server instance that started them.
+ * Only the most recent jobs are kept; last-update records in SystemInfo are unaffected.
+ *
+ * EventSource can't send an Authorization header, so a job's SSE stream can also be opened with an
+ * events token: a random value that is only valid for that one job and expires after EVENTS_TOKEN_TTL_MS
+ */
+import { randomUUID, randomBytes } from 'crypto';
+import { EventEmitter } from 'events';
+import { updateSportsData, checkUpdateQuota } from './updateService.js';
+import { acquireUpdateLock, releaseUpdateLock, getUpdateLock, UpdateLockedError } from './updateLockService.js';
+
+// Number of finished jobs to keep for GET /api/update/:jobId
+const MAX_FINISHED_JOBS = 20;
+
+// How long an events token can be used to open a job's SSE stream (an open stream isn't cut off)
+const EVENTS_TOKEN_TTL_MS = 5 * 60 * 1000;
+
+const jobs = new Map();
+// Events tokens, mapped to { jobId, expiresAt }
+const eventsTokens = new Map();
+const jobPromises = new Map();
+const emitter = new EventEmitter();
+// Each SSE connection adds a listener, so lift the default warning limit
+emitter.setMaxListeners(0);
+
+/**
+ * Drops the oldest finished jobs beyond MAX_FINISHED_JOBS
+ */
+function pruneJobs() {
+  const finished = [...jobs.values()].filter(job => job.status === 'completed' || job.status === 'failed');
+  for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+    jobs.delete(job.id);
+    jobPromises.delete(job.id);
+  }
+}
+
+/**
+ * Notifies subscribers of a job event
+ * @param {Object} job - Job the event belongs to
+ * @param {string} type - 'progress' or 'done'
+ * @param {Object} data - Event payload
+ */
+function emitJobEvent(job, type, data) {
+  emitter.emit(job.id, { type, data });
+}
+
+/**
+ * Records a progress event from the league services on a job
+ * Updates the phase summary and appends a log entry
+ * @param {Object} job - Job being updated
+ * @param {Object} event - { league, phase, status, message, current, total }
+ */
+function recordProgress(job, event) {
+  const key = `${event.league}:${event.phase}`;
+  const phase = {
+    league: event.league,
+    phase: event.phase,
+    status: event.status || 'running',
+    message: event.message,
+    current: event.current ?? null,
+    total: event.total ?? null,
+    updatedAt: new Date()
+  };
+  job.phases[key] = phase;
+
+  const entry = { time: phase.updatedAt, league: event.league, phase: event.phase, status: phase.status, message: event.message };
+  job.log.push(entry);
+
+  emitJobEvent(job, 'progress', { entry, phase });
+}
+
+/**
+ * Starts a data update in the background
+ * The update lock is taken before returning, so a second request fails immediately
+ * instead of queueing behind the first. An update that would use more API requests than
+ * its providers have left for the day isn't started at all
+ *
+ * @param {Object} options - updateSportsData options (leagues, seasons, NBA type)
+ * @param {string} owner - Who started the job (e.g., a username or 'scheduler:nba')
+ * @returns {Promise<Object>} The new job
+ * @throws {QuotaExceededError} If the update would exceed a provider's daily quota
+ * @throws {UpdateLockedError} If another update holds the lock
+ */
+export async function startUpdateJob(options, owner = 'manual') {
+  await checkUpdateQuota(options);
+
+  const lock = await acquireUpdateLock(owner);
+  if (!lock) {
+    throw new UpdateLockedError(await getUpdateLock());
+  }
+
+  const job = {
+    id: randomUUID(),
+    owner,
+    status: 'running', // 'running', 'completed' or 'failed'
+    options,
+    createdAt: new Date(),
+    finishedAt: null,
+    phases: {},
+    log: [],
+    result: null,
+    error: null
+  };
+  jobs.set(job.id, job);
+  pruneJobs();
+
+  const promise = (async () => {
+    try {
+      job.result = await updateSportsData(options, event => recordProgress(job, event));
+      job.status = 'completed';
+    } catch (error) {
+      console.error(`Update job ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+    } finally {
+      job.finishedAt = new Date();
+      await releaseUpdateLock(lock).catch(err => console.error('Error releasing update lock:', err));
+      emitJobEvent(job, 'done', getJob(job.id));
+    }
+    return job;
+  })();
+  jobPromises.set(job.id, promise);
+
+  return job;
+}
+
+/**
+ * Gets a job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Job, or null if unknown (or pruned)
+ */
+export function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+/**
+ * Creates a short-lived token that lets a client open a job's SSE stream without an API key
+ * @param {string} jobId - Job ID
+ * @returns {Object} { token, expiresAt }
+ */
+export function createEventsToken(jobId) {
+  const now = Date.now();
+  for (const [token, entry] of eventsTokens) {
+    if (entry.expiresAt <= now) eventsTokens.delete(token);
+  }
+
+  const token = randomBytes(24).toString('hex');
+  const expiresAt = new Date(now + EVENTS_TOKEN_TTL_MS);
+  eventsTokens.set(token, { jobId, expiresAt: expiresAt.getTime() });
+  return { token, expiresAt };
+}
+
+/**
+ * Checks an events token
+ * @param {string} jobId - Job whose stream is being opened
+ * @param {string} token - Token from the request
+ * @returns {boolean} True if the token was issued for this job and hasn't expired
+ */
+export function isValidEventsToken(jobId, token) {
+  const entry = typeof token === 'string' ? eventsTokens.get(token) : null;
+  return Boolean(entry) && entry.jobId === jobId && entry.expiresAt > Date.now();
+}
+
+/**
+ * Waits for a job to finish
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} The finished job, or null if unknown
+ */
+export async function waitForJob(jobId) {
+  const promise = jobPromises.get(jobId);
+  return promise ? promise : getJob(jobId);
+}
+
+/**
+ * Subscribes to a job's events
+ * @param {string} jobId - Job ID
+ * @param {Function} listener - Called with { type: 'progress' | 'done', data }
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToJob(jobId, listener) {
+  emitter.on(jobId, listener);
+  return () => emitter.off(jobId, listener);
+}
+
+export default {
+  startUpdateJob,
+  getJob,
+  createEventsToken,
+  isValidEventsToken,
+  waitForJob,
+  subscribeToJob
+};
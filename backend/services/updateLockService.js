@@ -0,0 +1,79 @@
+/**
+ * Update Lock Service
+ *
+ * Prevents overlapping data updates with a lock stored in SystemInfo:
+ * - Manual updates, scheduled jobs and other server instances sharing the database
+ *   all take the same lock before calling updateSportsData
+ * - A lock older than sportsConfig.scheduler.lockTimeoutMinutes is treated as
+ *   abandoned (e.g., the server crashed mid-update) and can be taken over
+ */
+import SystemInfo from '../models/SystemInfo.js';
+import sportsConfig from '../config/sportsConfig.js';
+
+const LOCK_KEY = 'updateLock';
+
+/**
+ * Thrown when an update is requested while another one holds the lock
+ */
+export class UpdateLockedError extends Error {
+  constructor(lock) {
+    super(`An update is already running (${lock?.owner || 'unknown'}, started ${lock?.acquiredAt ? new Date(lock.acquiredAt).toLocaleString() : 'at an unknown time'})`);
+    this.name = 'UpdateLockedError';
+    this.lock = lock;
+  }
+}
+
+/**
+ * Tries to take the update lock
+ * The lock is taken atomically: the filter only matches a free or expired lock, and
+ * the upsert fails with a duplicate key error when another holder has it
+ * @param {string} owner - Who is taking the lock (e.g., 'scheduler:nba', 'manual')
+ * @returns {Promise<Object|null>} The lock value if acquired, null if already held
+ */
+export async function acquireUpdateLock(owner) {
+  const now = new Date();
+  const lock = {
+    locked: true,
+    owner,
+    acquiredAt: now,
+    expiresAt: new Date(now.getTime() + sportsConfig.scheduler.lockTimeoutMinutes * 60 * 1000)
+  };
+
+  try {
+    await SystemInfo.findOneAndUpdate(
+      {
+        key: LOCK_KEY,
+        $or: [{ 'value.locked': false }, { 'value.expiresAt': { $lt: now } }]
+      },
+      { value: lock, updatedAt: now },
+      { upsert: true }
+    );
+    return lock;
+  } catch (error) {
+    if (error.code === 11000) return null; // Lock is held by someone else
+    throw error;
+  }
+}
+
+/**
+ * Releases the update lock if it is still held by the given owner
+ * @param {Object} lock - Lock value returned by acquireUpdateLock
+ */
+export async function releaseUpdateLock(lock) {
+  await SystemInfo.findOneAndUpdate(
+    { key: LOCK_KEY, 'value.owner': lock.owner, 'value.acquiredAt': lock.acquiredAt },
+    { value: { locked: false, owner: null, releasedAt: new Date() }, updatedAt: new Date() }
+  );
+}
+
+/**
+ * Gets the current state of the update lock
+ * @returns {Promise<Object>} { locked, owner, acquiredAt, expiresAt }
+ */
+export async function getUpdateLock() {
+  const lockInfo = await SystemInfo.findOne({ key: LOCK_KEY });
+  const lock = lockInfo?.value || { locked: false };
+  // An expired lock is free as far as callers are concerned
+  const expired = lock.locked && lock.expiresAt && new Date(lock.expiresAt) < new Date();
+  return { ...lock, locked: Boolean(lock.locked) && !expired };
+}
@@ -12,6 +12,10 @@ import { updateNBAData } from './nbaService.js';
 import { updateNbaStats } from './nbaStatsService.js';
 import { updateNFLData } from './nflService.js';
 import { updateEPLData } from './eplService.js';
+import { captureSnapshots } from './snapshotService.js';
+import { getQuota, QuotaExceededError } from '../providers/httpClient.js';
+import { getApiMode } from '../providers/apiRecorder.js';
+import { NBA_DIVISIONS } from '../utils/nbaStatsUtils.js';
 import SystemInfo from '../models/SystemInfo.js';
 import sportsConfig from '../config/sportsConfig.js';
 
@@ -62,6 +66,90 @@ async function logSeasonUpdate(operation, success, startTime, season) {
   }
 }
 
+/**
+ * Records stat snapshots after a successful league update
+ * Failures are logged but never fail the update itself
+ * @param {string} league - 'NBA', 'EPL' or 'NFL'
+ * @param {boolean} success - Whether the league update succeeded
+ * @param {number} season - Season year that was updated
+ * @param {string} seasonType - 'regular' or 'playoff' (NBA only)
+ */
+async function recordSnapshots(league, success, season, seasonType = 'regular') {
+  if (!success) return;
+
+  try {
+    await captureSnapshots(league, season, seasonType);
+  } catch (err) {
+    console.error(`Error recording ${league} stat snapshots:`, err);
+  }
+}
+
+/**
+ * Schema for the options accepted by updateSportsData (see utils/schemaValidation.js)
+ * Used to validate update requests; defaults come from sportsConfig at validation time
+ * dryRun is not an updateSportsData option: it asks the API to validate and report without updating
+ */
+export const UPDATE_OPTIONS_SCHEMA = {
+  nba: { type: 'boolean', default: () => sportsConfig.nba.enabled },
+  nfl: { type: 'boolean', default: () => sportsConfig.nfl.enabled },
+  epl: { type: 'boolean', default: () => sportsConfig.epl.enabled },
+  nbaType: { type: 'string', enum: ['regular', 'playoff'], default: () => sportsConfig.nba.seasonType },
+  nbaSeason: { type: 'integer', min: 2000, max: 2100, default: () => sportsConfig.nba.currentSeason },
+  eplSeason: { type: 'integer', min: 2000, max: 2100, default: () => sportsConfig.epl.currentSeason },
+  nflSeason: { type: 'integer', min: 2000, max: 2100, default: () => sportsConfig.nfl.currentSeason },
+  dryRun: { type: 'boolean', default: false }
+};
+
+/**
+ * Schema for POST /api/update-nba-team/:abbr, whose team comes from the URL
+ * Teams are the abbreviations NBA_DIVISIONS uses (e.g., 'LAL', 'BRK', 'PHO'); the route maps alternative ones
+ * such as 'BKN' and 'PHX' to these with getDivisionAbbreviation first
+ */
+export const NBA_TEAM_UPDATE_SCHEMA = {
+  team: { type: 'string', enum: Object.values(NBA_DIVISIONS).flatMap(division => division.teams).sort() }
+};
+
+/**
+ * Compares the API requests an update would make with the daily quota its providers have left
+ * Each selected league counts sportsConfig.<league>.estimatedRequests against the quota last reported by
+ * its provider (leagues sharing a provider add up); providers that never reported a quota aren't limited.
+ * Replay mode makes no requests, so nothing counts against a quota
+ * @param {Object} options - updateSportsData options
+ * @returns {Promise<Array>} { provider, leagues, needed, remaining, limit, exceeded } per provider with a known quota
+ */
+export async function getUpdateQuotaUsage(options) {
+  if (getApiMode() === 'replay') return [];
+
+  const byProvider = {};
+  for (const league of ['nba', 'nfl', 'epl']) {
+    if (!options[league]) continue;
+    const provider = sportsConfig[league].provider;
+    byProvider[provider] = byProvider[provider] || { leagues: [], needed: 0 };
+    byProvider[provider].leagues.push(league.toUpperCase());
+    byProvider[provider].needed += sportsConfig[league].estimatedRequests || 0;
+  }
+
+  const usage = [];
+  for (const [provider, { leagues, needed }] of Object.entries(byProvider)) {
+    const quota = await getQuota(provider);
+    if (!quota) continue;
+    usage.push({ provider, leagues, needed, remaining: quota.remaining, limit: quota.limit, exceeded: needed > quota.remaining });
+  }
+  return usage;
+}
+
+/**
+ * Checks that the daily API quotas left cover an update (see getUpdateQuotaUsage)
+ * @param {Object} options - updateSportsData options
+ * @throws {QuotaExceededError} For the first provider without enough quota left
+ */
+export async function checkUpdateQuota(options) {
+  const exceeded = (await getUpdateQuotaUsage(options)).find(usage => usage.exceeded);
+  if (exceeded) {
+    throw new QuotaExceededError(exceeded.provider, { remaining: exceeded.remaining, limit: exceeded.limit }, exceeded.needed);
+  }
+}
+
 /**
  * Updates data for all sports leagues based on provided options
  * Supports selective updates and configuration
@@ -72,44 +160,60 @@ async function logSeasonUpdate(operation, success, startTime, season) {
  * @param {boolean} options.epl - Whether to update EPL data
  * @param {string} options.nbaType - 'regular' or 'playoff' 
  * @param {number} options.nbaSeason - Season year to update
- * @returns {Promise<Object>} Update results for all leagues
+ * @param {number} options.eplSeason - EPL season year to update
+ * @param {number} options.nflSeason - NFL season year to update
+ * @param {Function} onProgress - Optional callback receiving { league, phase, status, message, current, total }
+ * @returns {Promise<Object>} Update results for all leagues: a success flag per league, plus datasets.epl saying
+ *                            whether the EPL players are complete or partial (see updateEPLData)
  */
 export const updateSportsData = async (options = {
-  nba: true,
-  nfl: true,
-  epl: true,
+  nba: sportsConfig.nba.enabled,
+  nfl: sportsConfig.nfl.enabled,
+  epl: sportsConfig.epl.enabled,
   nbaType: sportsConfig.nba.seasonType,
   nbaSeason: sportsConfig.nba.currentSeason,
-  eplSeason: sportsConfig.epl.currentSeason
-}) => {
+  eplSeason: sportsConfig.epl.currentSeason,
+  nflSeason: sportsConfig.nfl.currentSeason
+}, onProgress = () => {}) => {
   console.log('Starting sports data update...');
   
   const startTime = new Date();
   const results = {};
+  const datasets = {};
   
   // NBA data update
   if (options.nba) {
     const nbaStartTime = new Date();
     console.log(`Updating NBA ${options.nbaType} data for season ${options.nbaSeason}...`);
     // Use the comprehensive NBA stats service
-    results.nba = await updateNbaStats(options.nbaType, options.nbaSeason);
+    results.nba = await updateNbaStats(options.nbaType, options.nbaSeason, event => onProgress({ league: 'NBA', ...event }));
     // Log NBA-specific update with season
     await logSeasonUpdate('NBA', results.nba, nbaStartTime, options.nbaSeason);
+    await recordSnapshots('NBA', results.nba, options.nbaSeason, options.nbaType);
   }
   
   // NFL data update
   if (options.nfl) {
-    console.log('Updating NFL data...');
-    results.nfl = await updateNFLData();
+    const nflStartTime = new Date();
+    const nflSeason = options.nflSeason || sportsConfig.nfl.currentSeason;
+    console.log(`Updating NFL data for season ${nflSeason}...`);
+    results.nfl = await updateNFLData(nflSeason, event => onProgress({ league: 'NFL', ...event }));
+    // Log NFL-specific update with season
+    await logSeasonUpdate('NFL', results.nfl, nflStartTime, nflSeason);
+    await recordSnapshots('NFL', results.nfl, nflSeason);
   }
   
   // EPL data update
   if (options.epl) {
     const eplStartTime = new Date();
     console.log(`Updating EPL data for season ${options.eplSeason}...` );
-    results.epl = await updateEPLData(options.eplSeason);
+    const eplResult = await updateEPLData(options.eplSeason, event => onProgress({ league: 'EPL', ...event }));
+    results.epl = eplResult.success;
+    // Whether the season's players were all fetched, or only up to the page the update stopped at
+    datasets.epl = eplResult.dataset;
     // Log EPL-specific update with season
     await logSeasonUpdate('EPL', results.epl, eplStartTime, options.eplSeason);
+    await recordSnapshots('EPL', results.epl, options.eplSeason || sportsConfig.epl.currentSeason);
   }
   
   const endTime = new Date();
@@ -143,6 +247,7 @@ export const updateSportsData = async (options = {
 
   return {
     ...results,
+    datasets,
     duration: duration,
     timestamp: endTime,
     formattedTimestamp: centralTime,
@@ -152,7 +257,8 @@ export const updateSportsData = async (options = {
       epl: options.epl,
       nbaType: options.nbaType,
       nbaSeason: options.nbaSeason,
-      eplSeason: options.eplSeason
+      eplSeason: options.eplSeason,
+      nflSeason: options.nflSeason
     }
   };
 };
@@ -181,12 +287,19 @@ export const updateNbaDataOnly = async (type = sportsConfig.nba.seasonType, seas
 
 /**
  * Updates NFL data only
+ * @param {number} season - Season to update
  * @returns {Promise<boolean>} Success status
  */
-export const updateNflDataOnly = async () => {
+export const updateNflDataOnly = async (season = sportsConfig.nfl.currentSeason) => {
   try {
-    console.log('Starting NFL data update...');
-    return await updateNFLData();
+    const startTime = new Date();
+    console.log(`Starting NFL data update for season ${season}...`);
+    const result = await updateNFLData(season);
+
+    // Log the season-specific update
+    await logSeasonUpdate('NFL', result, startTime, season);
+
+    return result;
   } catch (error) {
     console.error('NFL-only update failed:', error);
     return false;
@@ -202,12 +315,12 @@ export const updateEplDataOnly = async (season) => {
   try {
     const startTime = new Date();
     console.log(`Starting EPL data update for season ${season || 'current'}...`);
-    const result = await updateEPLData(season);
+    const { success } = await updateEPLData(season);
 
     // Log the season-specific update
-    await logSeasonUpdate('EPL', result, startTime, season);
+    await logSeasonUpdate('EPL', success, startTime, season);
 
-    return result;
+    return success;
   } catch (error) {
     console.error('EPL-only update failed:', error);
     return false;
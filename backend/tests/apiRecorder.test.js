@@ -0,0 +1,103 @@
+/**
+ * API record/replay tests
+ *
+ * Records requests to a local HTTP server with providers/apiRecorder.js, stops the server and
+ * replays them from the recordings; no database needed
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import axios from 'axios';
+import { installApiRecorder, getRecordingKey } from '../providers/apiRecorder.js';
+
+const configuredEnv = { API_MODE: process.env.API_MODE, API_RECORDINGS_DIR: process.env.API_RECORDINGS_DIR };
+let recordingsDir;
+let server;
+let baseUrl;
+let hits = 0;
+
+/**
+ * Answers like a provider API: /players echoes its query parameters, /missing is a 404
+ */
+function handleRequest(req, res) {
+  hits++;
+  const url = new URL(req.url, 'http://localhost');
+
+  if (url.pathname === '/missing') {
+    res.writeHead(404, { 'content-type': 'application/json' });
+    return res.end(JSON.stringify({ message: 'Not found' }));
+  }
+
+  res.writeHead(200, { 'content-type': 'application/json' });
+  res.end(JSON.stringify({ path: url.pathname, query: Object.fromEntries(url.searchParams), hit: hits }));
+}
+
+before(async () => {
+  recordingsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'api-recordings-'));
+  process.env.API_RECORDINGS_DIR = recordingsDir;
+  installApiRecorder();
+
+  server = http.createServer(handleRequest);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  for (const [name, value] of Object.entries(configuredEnv)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  if (server.listening) await new Promise(resolve => server.close(resolve));
+  await fs.rm(recordingsDir, { recursive: true, force: true });
+});
+
+describe('record and replay', () => {
+  let recorded;
+
+  it('saves responses in record mode, without the request headers', async () => {
+    process.env.API_MODE = 'record';
+
+    recorded = await axios.get(`${baseUrl}/players`, {
+      params: { season: 2024, page: 2 },
+      headers: { 'x-apisports-key': 'secret-key' }
+    });
+    assert.equal(recorded.data.hit, 1);
+    await assert.rejects(axios.get(`${baseUrl}/missing`), error => error.response?.status === 404);
+    assert.equal(hits, 2);
+
+    const { file } = getRecordingKey({ method: 'get', url: `${baseUrl}/players`, params: { season: 2024, page: 2 } });
+    const saved = await fs.readFile(path.join(recordingsDir, file), 'utf8');
+    assert.deepEqual(JSON.parse(saved).response.data, recorded.data);
+    assert.doesNotMatch(saved, /secret-key/);
+  });
+
+  it('serves the recordings in replay mode once the server is gone', async () => {
+    await new Promise(resolve => server.close(resolve));
+    process.env.API_MODE = 'replay';
+
+    // Query parameters in a different order still find the recording
+    const replayed = await axios.get(`${baseUrl}/players`, { params: { page: 2, season: 2024 } });
+    assert.equal(replayed.status, 200);
+    assert.deepEqual(replayed.data, recorded.data);
+
+    await assert.rejects(axios.get(`${baseUrl}/missing`), error => {
+      assert.equal(error.response?.status, 404);
+      assert.deepEqual(error.response.data, { message: 'Not found' });
+      return true;
+    });
+    assert.equal(hits, 2);
+  });
+
+  it('fails with ERR_NO_RECORDING for a request that was never recorded', async () => {
+    process.env.API_MODE = 'replay';
+
+    await assert.rejects(axios.get(`${baseUrl}/players`, { params: { season: 2024, page: 3 } }), error => {
+      assert.equal(error.code, 'ERR_NO_RECORDING');
+      assert.match(error.message, /^No recorded response for GET http:\/\/127\.0\.0\.1:\d+\/players\?page=3&season=2024 \(expected .+\.json\)$/);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,354 @@
+/**
+ * Authentication and update route tests
+ *
+ * Covers logging in and out, role checks, user management, starting and following update jobs,
+ * the update lock, the audit log and the single-team NBA update
+ *
+ * Updates run against fake providers registered through providers/providerRegistry.js,
+ * so no real data API is called
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { startTestServer, stopTestServer } from './helpers/testServer.js';
+import { createUser } from '../services/authService.js';
+import { acquireUpdateLock, releaseUpdateLock } from '../services/updateLockService.js';
+import { startUpdateJob, waitForJob, createEventsToken } from '../services/updateJobService.js';
+import { getAuditLog } from '../services/auditService.js';
+import { registerProvider } from '../providers/providerRegistry.js';
+import sportsConfig from '../config/sportsConfig.js';
+import Player from '../models/Player.js';
+import Team from '../models/Team.js';
+
+let app;
+const keys = {};
+const configuredProviders = { nba: sportsConfig.nba.provider, nfl: sportsConfig.nfl.provider };
+
+// NFL provider without teams, so an NFL update fails at its first step
+const emptyNflProvider = {
+  fetchTeams: async () => [],
+  fetchStandings: async () => [],
+  fetchPlayers: async () => [],
+  fetchPlayerSeasonStats: async () => []
+};
+
+// NBA provider with two teams and their rosters for the single-team update
+const twoTeamNbaProvider = {
+  fetchTeams: async () => [
+    { id: 14, name: 'Los Angeles Lakers', abbreviation: 'LAL' },
+    { id: 24, name: 'Phoenix Suns', abbreviation: 'PHO' }
+  ],
+  fetchStandings: async () => [],
+  fetchPlayers: async (season, { team }) => ({
+    LAL: [
+      { id: 1, playerId: 'jamesle01', playerName: 'LeBron James', season, team: 'LAL', position: 'SF', age: 40, games: 70, gamesStarted: 70, points: 1710, totalRb: 546, assists: 575, blocks: 39, steals: 67 },
+      { id: 2, playerId: 'doncilu01', playerName: 'Luka Dončić', season, team: 'LAL', position: 'PG', age: 25, games: 28, gamesStarted: 28, points: 794, totalRb: 230, assists: 210, blocks: 12, steals: 40 },
+      { id: 3, playerId: 'bench01', playerName: 'Bench Player', season, team: 'LAL', position: 'C', age: 30, games: 0, gamesStarted: 0, points: 0, totalRb: 0, assists: 0, blocks: 0, steals: 0 }
+    ],
+    PHO: [
+      { id: 4, playerId: 'bookede01', playerName: 'Devin Booker', season, team: 'PHO', position: 'SG', age: 28, games: 75, gamesStarted: 75, points: 1923, totalRb: 311, assists: 532, blocks: 19, steals: 64 }
+    ]
+  })[team] || [],
+  fetchPlayerSeasonStats: async () => []
+};
+
+/**
+ * Logs in through the API
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Promise<string>} API key
+ */
+async function loginAs(username, password) {
+  const res = await request(app).post('/api/auth/login').send({ username, password }).expect(200);
+  return res.body.apiKey;
+}
+
+before(async () => {
+  app = await startTestServer();
+
+  registerProvider('nfl', 'test-empty', emptyNflProvider);
+  registerProvider('nba', 'test-two-teams', twoTeamNbaProvider);
+
+  for (const role of ['viewer', 'editor', 'admin']) {
+    await createUser({ username: `test-${role}`, password: `${role}-password`, role });
+    keys[role] = await loginAs(`test-${role}`, `${role}-password`);
+  }
+});
+
+after(async () => {
+  sportsConfig.nba.provider = configuredProviders.nba;
+  sportsConfig.nfl.provider = configuredProviders.nfl;
+  await stopTestServer();
+});
+
+describe('POST /api/auth/login', () => {
+  it('issues an API key for valid credentials', async () => {
+    const res = await request(app).post('/api/auth/login').send({ username: 'TEST-admin', password: 'admin-password' }).expect(200);
+    assert.ok(res.body.apiKey);
+    assert.equal(res.body.user.username, 'test-admin');
+    assert.equal(res.body.user.role, 'admin');
+    assert.equal(res.body.user.passwordHash, undefined);
+  });
+
+  it('rejects missing or wrong credentials', async () => {
+    await request(app).post('/api/auth/login').send({ username: 'test-admin' }).expect(400);
+    await request(app).post('/api/auth/login').send({ username: 'test-admin', password: 'wrong-password' }).expect(401);
+    await request(app).post('/api/auth/login').send({ username: 'nobody', password: 'admin-password' }).expect(401);
+  });
+
+  it('rejects credentials that are not strings', async () => {
+    for (const body of [{ username: 42, password: 'admin-password' }, { username: 'test-admin', password: ['admin-password'] }, { username: { $gt: '' }, password: 'admin-password' }]) {
+      const res = await request(app).post('/api/auth/login').send(body).expect(400);
+      assert.equal(res.body.message, 'Username and password are required');
+    }
+  });
+});
+
+describe('GET /api/auth/me and POST /api/auth/logout', () => {
+  it('returns the user the key belongs to', async () => {
+    const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${keys.viewer}`).expect(200);
+    assert.equal(res.body.username, 'test-viewer');
+    assert.equal(res.body.role, 'viewer');
+  });
+
+  it('requires a valid key', async () => {
+    await request(app).get('/api/auth/me').expect(401);
+    await request(app).get('/api/auth/me').set('Authorization', 'Bearer not-a-key').expect(401);
+  });
+
+  it('revokes the key on logout', async () => {
+    const apiKey = await loginAs('test-viewer', 'viewer-password');
+
+    const res = await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${apiKey}`).expect(200);
+    assert.equal(res.body.success, true);
+    await request(app).get('/api/auth/me').set('Authorization', `Bearer ${apiKey}`).expect(401);
+
+    // Other keys of the same user keep working
+    await request(app).get('/api/auth/me').set('Authorization', `Bearer ${keys.viewer}`).expect(200);
+  });
+});
+
+describe('POST /api/auth/users', () => {
+  it('lets admins create users', async () => {
+    const res = await request(app)
+      .post('/api/auth/users')
+      .set('Authorization', `Bearer ${keys.admin}`)
+      .send({ username: 'new-editor', password: 'new-editor-password', role: 'editor' })
+      .expect(201);
+    assert.equal(res.body.role, 'editor');
+
+    await loginAs('new-editor', 'new-editor-password');
+  });
+
+  it('rejects invalid details', async () => {
+    const auth = `Bearer ${keys.admin}`;
+    await request(app).post('/api/auth/users').set('Authorization', auth).send({ username: 'short', password: 'short' }).expect(400);
+    await request(app).post('/api/auth/users').set('Authorization', auth).send({ username: 'owner', password: 'owner-password', role: 'owner' }).expect(400);
+    await request(app).post('/api/auth/users').set('Authorization', auth).send({ username: 'test-viewer', password: 'viewer-password' }).expect(400);
+    await request(app).post('/api/auth/users').set('Authorization', auth).send({ username: 123, password: 'number-password' }).expect(400);
+    await request(app).post('/api/auth/users').set('Authorization', auth).send({ username: 'numbers', password: 12345678 }).expect(400);
+    await request(app).post('/api/auth/users').set('Authorization', auth).send({ username: '   ', password: 'blank-password' }).expect(400);
+  });
+
+  it('is admin only', async () => {
+    await request(app)
+      .post('/api/auth/users')
+      .set('Authorization', `Bearer ${keys.editor}`)
+      .send({ username: 'sneaky', password: 'sneaky-password', role: 'admin' })
+      .expect(403);
+  });
+});
+
+describe('POST /api/update', () => {
+  it('is admin only', async () => {
+    await request(app).post('/api/update').send({ dryRun: true }).expect(401);
+    await request(app).post('/api/update').set('Authorization', `Bearer ${keys.editor}`).send({ dryRun: true }).expect(403);
+  });
+
+  it('rejects invalid options and empty selections', async () => {
+    const auth = `Bearer ${keys.admin}`;
+
+    const invalid = await request(app).post('/api/update').set('Authorization', auth).send({ nba: 'yes', nbaSeason: 1990 }).expect(400);
+    assert.equal(invalid.body.errors.length, 2);
+
+    await request(app).post('/api/update').set('Authorization', auth).send({ nba: false, nfl: false, epl: false }).expect(400);
+  });
+
+  it('resolves defaults on a dry run without updating', async () => {
+    const res = await request(app)
+      .post('/api/update')
+      .set('Authorization', `Bearer ${keys.admin}`)
+      .send({ epl: false, nfl: false, dryRun: true })
+      .expect(200);
+    assert.equal(res.body.dryRun, true);
+    assert.equal(res.body.options.nba, true);
+    assert.equal(res.body.options.nbaSeason, sportsConfig.nba.currentSeason);
+    assert.equal(res.body.lock.locked, false);
+  });
+
+  it('returns 409 while another update holds the lock', async () => {
+    const lock = await acquireUpdateLock('scheduler:nba');
+    try {
+      const res = await request(app)
+        .post('/api/update')
+        .set('Authorization', `Bearer ${keys.admin}`)
+        .send({ nba: false, nfl: true, epl: false })
+        .expect(409);
+      assert.equal(res.body.lock.owner, 'scheduler:nba');
+    } finally {
+      await releaseUpdateLock(lock);
+    }
+  });
+
+  it('runs the update as a job that can be polled and streamed', async () => {
+    sportsConfig.nfl.provider = 'test-empty';
+
+    const started = await request(app)
+      .post('/api/update')
+      .set('Authorization', `Bearer ${keys.admin}`)
+      .send({ nba: false, nfl: true, epl: false })
+      .expect(202);
+    assert.equal(started.body.statusUrl, `/api/update/${started.body.jobId}`);
+    await waitForJob(started.body.jobId);
+
+    const status = await request(app).get(started.body.statusUrl).set('Authorization', `Bearer ${keys.viewer}`).expect(200);
+    assert.equal(status.body.status, 'completed');
+    assert.equal(status.body.result.nfl, false);
+    assert.equal(status.body.phases['NFL:standings'].status, 'failed');
+
+    // The job has finished, so the stream sends the snapshot and done events and closes
+    // eventsUrl carries the job's events token, since EventSource can't send an API key
+    assert.equal(started.body.eventsUrl, `/api/update/${started.body.jobId}/events?token=${started.body.eventsToken}`);
+    const events = await request(app).get(started.body.eventsUrl).expect(200);
+    assert.match(events.headers['content-type'], /text\/event-stream/);
+    assert.match(events.text, /event: snapshot\n/);
+    assert.match(events.text, /event: done\n/);
+
+    // The lock is released for the next update
+    const dryRun = await request(app)
+      .post('/api/update')
+      .set('Authorization', `Bearer ${keys.admin}`)
+      .send({ nba: false, nfl: true, epl: false, dryRun: true })
+      .expect(200);
+    assert.equal(dryRun.body.lock.locked, false);
+  });
+
+  it('requires a login or an events token for the job status and stream', async () => {
+    sportsConfig.nfl.provider = 'test-empty';
+    // Started directly rather than through POST /api/update to keep these jobs out of the audit log
+    const options = { nba: false, nfl: true, epl: false, nflSeason: sportsConfig.nfl.currentSeason };
+    const job = await startUpdateJob(options, 'test-admin');
+    await waitForJob(job.id);
+    const { token } = createEventsToken(job.id);
+
+    await request(app).get(`/api/update/${job.id}`).expect(401);
+    await request(app).get(`/api/update/${job.id}?token=${token}`).expect(401);
+    await request(app).get(`/api/update/${job.id}/events`).expect(401);
+    await request(app).get(`/api/update/${job.id}/events?token=not-a-token`).expect(401);
+    await request(app).get(`/api/update/${job.id}/events?token=${token}`).expect(200);
+    await request(app).get(`/api/update/${job.id}/events`).set('Authorization', `Bearer ${keys.viewer}`).expect(200);
+
+    // A token only opens the stream of the job it was issued for
+    const other = await startUpdateJob(options, 'test-admin');
+    await waitForJob(other.id);
+    await request(app).get(`/api/update/${other.id}/events?token=${token}`).expect(401);
+  });
+
+  it('returns 404 for unknown jobs', async () => {
+    await request(app).get('/api/update/not-a-job').set('Authorization', `Bearer ${keys.viewer}`).expect(404);
+    await request(app).get('/api/update/not-a-job/events').set('Authorization', `Bearer ${keys.viewer}`).expect(404);
+  });
+});
+
+describe('GET /api/audit', () => {
+  it('records every update request, newest first', async () => {
+    // The started job's entry is updated with its outcome in the background
+    let entries = [];
+    for (let attempt = 0; attempt < 20; attempt++) {
+      entries = await getAuditLog({ action: 'update' });
+      if (!entries.some(entry => entry.outcome === 'started')) break;
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    const res = await request(app).get('/api/audit?action=update').set('Authorization', `Bearer ${keys.admin}`).expect(200);
+    assert.deepEqual(res.body.map(entry => entry.outcome), [
+      'dry-run', 'completed', 'rejected', 'dry-run', 'invalid', 'invalid'
+    ]);
+    assert.ok(res.body.every(entry => entry.actor === 'test-admin'));
+  });
+
+  it('filters by actor and limits the entries', async () => {
+    const auth = `Bearer ${keys.admin}`;
+    const limited = await request(app).get('/api/audit?limit=2').set('Authorization', auth).expect(200);
+    assert.equal(limited.body.length, 2);
+
+    const byActor = await request(app).get('/api/audit?actor=TEST-EDITOR').set('Authorization', auth).expect(200);
+    assert.deepEqual(byActor.body, []);
+  });
+
+  it('is admin only', async () => {
+    await request(app).get('/api/audit').set('Authorization', `Bearer ${keys.editor}`).expect(403);
+  });
+});
+
+describe('POST /api/update-nba-team/:abbr', () => {
+  it('requires the editor role', async () => {
+    await request(app).post('/api/update-nba-team/LAL').expect(401);
+    await request(app).post('/api/update-nba-team/LAL').set('Authorization', `Bearer ${keys.viewer}`).expect(403);
+  });
+
+  it("replaces the team's roster with the provider's players", async () => {
+    sportsConfig.nba.provider = 'test-two-teams';
+    await Player.create({ playerId: 'nba_gone01', teamId: 'nba_14', league: 'NBA', name: 'Former Player' });
+    await Player.create({ playerId: 'nba_tatumja01', teamId: 'nba_2', league: 'NBA', name: 'Jayson Tatum' });
+
+    const res = await request(app).post('/api/update-nba-team/lal').set('Authorization', `Bearer ${keys.editor}`).expect(200);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.message, 'Successfully updated NBA team LAL');
+
+    const team = await Team.findOne({ teamId: 'nba_14' });
+    assert.equal(team.conference, 'West');
+    assert.equal(team.division, 'Pacific');
+
+    // Players without games are left out, and players no longer listed are removed
+    const players = await Player.find({ teamId: 'nba_14' }).sort({ name: 1 });
+    assert.deepEqual(players.map(p => p.playerId), ['nba_jamesle01', 'nba_doncilu01']);
+    assert.equal(players[0].stats.sportStats.get('points'), 1710);
+
+    // Only the requested team is updated
+    assert.ok(await Player.exists({ playerId: 'nba_tatumja01', teamId: 'nba_2' }));
+    assert.equal(await Player.exists({ playerId: 'nba_bookede01' }), null);
+    assert.equal(await Team.exists({ teamId: 'nba_24' }), null);
+  });
+
+  it('accepts the alternative team abbreviations', async () => {
+    const res = await request(app).post('/api/update-nba-team/PHX').set('Authorization', `Bearer ${keys.editor}`).expect(200);
+    assert.equal(res.body.message, 'Successfully updated NBA team PHO');
+
+    assert.ok(await Player.exists({ playerId: 'nba_bookede01', teamId: 'nba_24' }));
+    assert.equal(await Player.countDocuments({ teamId: 'nba_14' }), 2);
+  });
+
+  it('rejects unknown teams', async () => {
+    const res = await request(app).post('/api/update-nba-team/XYZ').set('Authorization', `Bearer ${keys.editor}`).expect(400);
+    assert.match(res.body.errors[0], /"team" must be one of/);
+  });
+
+  it('returns 409 while another update holds the lock', async () => {
+    const lock = await acquireUpdateLock('scheduler:nba');
+    try {
+      const res = await request(app).post('/api/update-nba-team/LAL').set('Authorization', `Bearer ${keys.editor}`).expect(409);
+      assert.equal(res.body.lock.owner, 'scheduler:nba');
+    } finally {
+      await releaseUpdateLock(lock);
+    }
+  });
+
+  it('records every request in the audit log', async () => {
+    const res = await request(app).get('/api/audit?action=update-nba-team').set('Authorization', `Bearer ${keys.admin}`).expect(200);
+    assert.deepEqual(res.body.map(entry => entry.outcome), ['rejected', 'invalid', 'completed', 'completed']);
+    assert.ok(res.body.every(entry => entry.actor === 'test-editor'));
+    assert.deepEqual(res.body[2].options, { team: 'PHO' });
+    assert.deepEqual(res.body[3].options, { team: 'LAL' });
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Cron schedule tests
+ *
+ * Pure functions from utils/cronSchedule.js; no database needed
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCronSchedule, getNextRunTime } from '../utils/cronSchedule.js';
+import sportsConfig from '../config/sportsConfig.js';
+
+describe('parseCronSchedule', () => {
+  it('parses numbers, lists, ranges, steps and names', () => {
+    const fields = parseCronSchedule('*/15 4-6 1,15 jan-mar mon,fri');
+    assert.deepEqual([...fields.second], [0]);
+    assert.deepEqual([...fields.minute], [0, 15, 30, 45]);
+    assert.deepEqual([...fields.hour], [4, 5, 6]);
+    assert.deepEqual([...fields.dayOfMonth], [1, 15]);
+    assert.deepEqual([...fields.month], [1, 2, 3]);
+    assert.deepEqual([...fields.dayOfWeek], [1, 5]);
+  });
+
+  it('accepts a seconds field and 7 for Sunday', () => {
+    const fields = parseCronSchedule('30 0 4 * * 7');
+    assert.deepEqual([...fields.second], [30]);
+    assert.ok(fields.dayOfWeek.has(0));
+  });
+
+  it('rejects invalid expressions', () => {
+    for (const schedule of ['* * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '* * * 13 *', '*/0 * * * *', '5-1 * * * *', 'x * * * *']) {
+      assert.throws(() => parseCronSchedule(schedule), Error, schedule);
+    }
+  });
+});
+
+describe('getNextRunTime', () => {
+  it('finds the next run in the schedule timezone', () => {
+    // 04:00 in Chicago is 10:00 UTC before daylight saving time starts on 9 March 2025 and 09:00 UTC after
+    assert.equal(getNextRunTime('0 4 * * *', 'America/Chicago', new Date('2025-03-07T12:00:00Z')).toISOString(), '2025-03-08T10:00:00.000Z');
+    assert.equal(getNextRunTime('0 4 * * *', 'America/Chicago', new Date('2025-03-08T12:00:00Z')).toISOString(), '2025-03-09T09:00:00.000Z');
+  });
+
+  it('matches the day of the week in the schedule timezone', () => {
+    // Sunday 23:00 in Chicago is Monday 05:00 UTC in winter
+    const from = new Date('2025-01-01T00:00:00Z'); // Tuesday 31 December, 18:00 in Chicago
+    assert.equal(getNextRunTime('0 23 * * 0', 'America/Chicago', from).toISOString(), '2025-01-06T05:00:00.000Z');
+  });
+
+  it('starts after the given time', () => {
+    const from = new Date('2025-01-01T10:00:00Z');
+    assert.equal(getNextRunTime('0 10 * * *', 'UTC', from).toISOString(), '2025-01-02T10:00:00.000Z');
+    assert.equal(getNextRunTime('30 0 10 * * *', 'UTC', from).toISOString(), '2025-01-01T10:00:30.000Z');
+  });
+
+  it('returns null when the schedule does not fire within the search window', () => {
+    assert.equal(getNextRunTime('0 0 31 2 *', 'UTC', new Date('2025-01-01T00:00:00Z')), null);
+  });
+
+  it('computes a next run for every configured job', () => {
+    const { jobs, timezone } = sportsConfig.scheduler;
+    for (const job of Object.values(jobs)) {
+      assert.ok(getNextRunTime(job.schedule, timezone) instanceof Date, job.schedule);
+    }
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * EPL update tests
+ *
+ * Runs updateEPLData against a fake paged provider to check the player pagination checkpoint:
+ * - A failing page stops the update, which reports its players as partial and checkpoints the last saved page
+ * - The next update resumes after that page, skipping players already saved, and reports the players as complete
+ * - A checkpoint older than sportsConfig.epl.checkpointMaxAgeHours is ignored
+ * - Players that fail to save leave the update partial, and the next update retries just those players
+ * - A page without players, such as an API-Football error reported with a 200 response, leaves the update partial
+ */
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { startTestServer, stopTestServer, clearDatabase } from './helpers/testServer.js';
+import { updateEPLData, getPlayersCheckpoint } from '../services/eplService.js';
+import { updateSportsData } from '../services/updateService.js';
+import { registerProvider } from '../providers/providerRegistry.js';
+import { getRecordingKey } from '../providers/apiRecorder.js';
+import sportsConfig from '../config/sportsConfig.js';
+import EPLPlayerStats from '../models/EPLPlayerStats.js';
+import SystemInfo from '../models/SystemInfo.js';
+
+const SEASON = 2024;
+const TOTAL_PAGES = 4;
+
+let failOnPage = null;
+let emptyOnPage = null;
+let requestedPages = [];
+// Players listed without a team, which makes saving them fail
+let brokenPlayers = new Set();
+
+/**
+ * Builds a provider player entry with one Premier League statistics line
+ * @param {number} id - API-Football player id
+ * @returns {Object} Player entry in the API-Football format
+ */
+function playerEntry(id) {
+  return {
+    player: { id, name: `Player ${id}`, age: 25, nationality: 'England' },
+    statistics: [{
+      league: { id: 39, season: SEASON },
+      team: brokenPlayers.has(id) ? null : { id: 42, name: 'Arsenal' },
+      games: { appearences: 10, lineups: 8, minutes: 750, position: 'Midfielder' },
+      goals: { total: 2, assists: 1 },
+      cards: {},
+      shots: {},
+      passes: {},
+      tackles: {},
+      duels: {},
+      dribbles: {},
+      fouls: {},
+      penalty: {}
+    }]
+  };
+}
+
+// Two players per page, plus player 101 listed again on every page
+const pagedProvider = {
+  fetchTeams: async () => [],
+  fetchStandings: async () => [{ rank: 1, points: 3, team: { id: 42, name: 'Arsenal FC' }, all: { played: 1, win: 1, draw: 0, lose: 0, goals: { for: 2, against: 0 } } }],
+  fetchPlayers: async () => null,
+  fetchPlayerSeasonStats: async (season, { page }) => {
+    requestedPages.push(page);
+    if (page === failOnPage) throw new Error('Request failed with status code 500');
+    if (page === emptyOnPage) return { players: [], paging: { current: page, total: 0 } };
+    return {
+      players: [playerEntry(page * 100), playerEntry(page * 100 + 1), playerEntry(101)],
+      paging: { current: page, total: TOTAL_PAGES }
+    };
+  }
+};
+
+/**
+ * Runs an EPL update, failing on a page
+ * @param {number|null} page - Page the provider fails on, or null for none
+ * @returns {Promise<Object>} updateEPLData result
+ */
+async function runUpdate(page) {
+  failOnPage = page;
+  requestedPages = [];
+  return updateEPLData(SEASON);
+}
+
+const configured = { provider: sportsConfig.epl.provider, updateEndpoints: sportsConfig.epl.updateEndpoints };
+
+before(async () => {
+  await startTestServer();
+  registerProvider('epl', 'test-paged', pagedProvider);
+  sportsConfig.epl.provider = 'test-paged';
+  sportsConfig.epl.updateEndpoints = ['standings', 'players'];
+});
+
+// Every test starts without a checkpoint or saved players, and with a provider that doesn't fail
+beforeEach(async () => {
+  failOnPage = null;
+  emptyOnPage = null;
+  requestedPages = [];
+  brokenPlayers = new Set();
+  await clearDatabase();
+});
+
+after(async () => {
+  sportsConfig.epl.provider = configured.provider;
+  sportsConfig.epl.updateEndpoints = configured.updateEndpoints;
+  await stopTestServer();
+});
+
+describe('updateEPLData: player pagination checkpoint', () => {
+  it('reports the players as partial when a page fails and checkpoints the last saved page', async () => {
+    const result = await runUpdate(3);
+    assert.equal(result.success, false);
+    assert.equal(result.dataset.status, 'partial');
+    assert.equal(result.dataset.lastPage, 2);
+    assert.equal(result.dataset.totalPages, TOTAL_PAGES);
+    assert.match(result.dataset.error, /page 3/);
+    assert.deepEqual(requestedPages, [1, 2, 3]);
+
+    const checkpoint = await getPlayersCheckpoint(SEASON);
+    assert.equal(checkpoint.lastPage, 2);
+    assert.deepEqual(checkpoint.processedPlayerIds.sort(), ['100', '101', '200', '201']);
+    assert.equal(await EPLPlayerStats.countDocuments(), 4);
+  });
+
+  it('resumes after the checkpoint and reports the players as complete', async () => {
+    await runUpdate(3);
+
+    const result = await runUpdate(null);
+    assert.equal(result.success, true);
+    assert.equal(result.dataset.status, 'complete');
+    assert.equal(result.dataset.resumedFromPage, 3);
+    assert.equal(result.dataset.lastPage, TOTAL_PAGES);
+    assert.equal(result.dataset.playersProcessed, 8);
+    assert.equal(result.dataset.playersCreated, 4);
+    assert.deepEqual(requestedPages, [3, 4]);
+
+    assert.equal(await getPlayersCheckpoint(SEASON), null);
+    assert.equal(await EPLPlayerStats.countDocuments(), 8);
+  });
+
+  it('starts from page 1 without a checkpoint', async () => {
+    const result = await runUpdate(null);
+    assert.equal(result.dataset.status, 'complete');
+    assert.equal(result.dataset.resumedFromPage, null);
+    assert.equal(result.dataset.playersCreated, 8);
+    assert.deepEqual(requestedPages, [1, 2, 3, 4]);
+    assert.equal(await getPlayersCheckpoint(SEASON), null);
+  });
+
+  it('ignores a checkpoint older than checkpointMaxAgeHours', async () => {
+    const updatedAt = new Date(Date.now() - (sportsConfig.epl.checkpointMaxAgeHours + 1) * 60 * 60 * 1000);
+    await SystemInfo.create({
+      key: `eplPlayersCheckpoint_${SEASON}`,
+      value: { season: SEASON, lastPage: 3, totalPages: TOTAL_PAGES, processedPlayerIds: [], startedAt: updatedAt, updatedAt }
+    });
+    assert.equal(await getPlayersCheckpoint(SEASON), null);
+
+    const result = await runUpdate(null);
+    assert.equal(result.dataset.status, 'complete');
+    assert.deepEqual(requestedPages, [1, 2, 3, 4]);
+  });
+
+  it('reports players that fail to save as partial and keeps them in the checkpoint', async () => {
+    brokenPlayers = new Set([200, 300]);
+    const result = await runUpdate(null);
+    assert.equal(result.success, false);
+    assert.equal(result.dataset.status, 'partial');
+    assert.equal(result.dataset.lastPage, TOTAL_PAGES);
+    assert.deepEqual(result.dataset.failedPlayerIds, ['200', '300']);
+    assert.match(result.dataset.error, /Failed to save 2 players/);
+
+    const checkpoint = await getPlayersCheckpoint(SEASON);
+    assert.equal(checkpoint.lastPage, TOTAL_PAGES);
+    assert.deepEqual(checkpoint.failedPlayers, [{ id: '200', page: 2 }, { id: '300', page: 3 }]);
+    assert.ok(!checkpoint.processedPlayerIds.includes('200'));
+  });
+
+  it('retries the failed players on the next update', async () => {
+    brokenPlayers = new Set([200, 300]);
+    await runUpdate(null);
+
+    brokenPlayers = new Set([300]);
+    const still = await runUpdate(null);
+    assert.equal(still.dataset.status, 'partial');
+    assert.deepEqual(still.dataset.failedPlayerIds, ['300']);
+    assert.deepEqual(requestedPages, [2, 3]);
+
+    brokenPlayers = new Set();
+    const result = await runUpdate(null);
+    assert.equal(result.success, true);
+    assert.equal(result.dataset.status, 'complete');
+    assert.deepEqual(result.dataset.failedPlayerIds, []);
+    assert.deepEqual(requestedPages, [3]);
+    assert.equal(await getPlayersCheckpoint(SEASON), null);
+  });
+});
+
+describe('updateEPLData: empty and error responses', () => {
+  /**
+   * Saves an API-Football response for the test server to replay (see providers/apiRecorder.js)
+   * @param {string} endpoint - API endpoint (e.g., 'players')
+   * @param {Object} params - Request parameters
+   * @param {Object} data - Response body, sent with a 200 status
+   */
+  async function recordApiFootball(endpoint, params, data) {
+    const { key, url, file } = getRecordingKey({ method: 'get', url: `https://v3.football.api-sports.io/${endpoint}`, params });
+    const filePath = path.join(process.env.API_RECORDINGS_DIR, file);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify({
+      request: { key, method: 'GET', url },
+      response: { status: 200, statusText: 'OK', headers: {}, data }
+    }));
+  }
+
+  it('reports the players as partial when a page has no players', async () => {
+    emptyOnPage = 2;
+    const result = await runUpdate(null);
+    assert.equal(result.success, false);
+    assert.equal(result.dataset.status, 'partial');
+    assert.equal(result.dataset.lastPage, 1);
+    assert.match(result.dataset.error, /No players returned for page 2/);
+    assert.equal((await getPlayersCheckpoint(SEASON)).lastPage, 1);
+  });
+
+  it('keeps the checkpoint when API-Football reports errors with a 200 response', async () => {
+    const league = 39;
+    await recordApiFootball('standings', { league, season: SEASON }, {
+      errors: [],
+      response: [{ league: { standings: [await pagedProvider.fetchStandings()] } }]
+    });
+    await recordApiFootball('players', { league, season: SEASON, page: 1 }, {
+      errors: [],
+      response: [playerEntry(100), playerEntry(101)],
+      paging: { current: 1, total: 2 }
+    });
+    // What API-Football sends once the daily request limit is used up
+    await recordApiFootball('players', { league, season: SEASON, page: 2 }, {
+      errors: { requests: 'You have reached the request limit for the day' },
+      results: 0,
+      response: [],
+      paging: { current: 1, total: 0 }
+    });
+
+    sportsConfig.epl.provider = 'api-football';
+    try {
+      const result = await updateEPLData(SEASON);
+      assert.equal(result.success, false);
+      assert.equal(result.dataset.status, 'partial');
+      assert.equal(result.dataset.lastPage, 1);
+      assert.match(result.dataset.error, /Error fetching page 2: API-Football returned errors: requests: You have reached the request limit/);
+
+      const checkpoint = await getPlayersCheckpoint(SEASON);
+      assert.equal(checkpoint.lastPage, 1);
+      assert.deepEqual(checkpoint.processedPlayerIds.sort(), ['100', '101']);
+    } finally {
+      sportsConfig.epl.provider = 'test-paged';
+    }
+  });
+});
+
+describe('updateSportsData: EPL dataset', () => {
+  it('says whether the EPL players are complete or partial', async () => {
+    const options = { nba: false, nfl: false, epl: true, eplSeason: SEASON };
+
+    failOnPage = 2;
+    const partial = await updateSportsData(options);
+    assert.equal(partial.epl, false);
+    assert.equal(partial.datasets.epl.status, 'partial');
+    assert.equal(partial.datasets.epl.lastPage, 1);
+
+    failOnPage = null;
+    const complete = await updateSportsData(options);
+    assert.equal(complete.epl, true);
+    assert.equal(complete.datasets.epl.status, 'complete');
+    assert.equal(complete.datasets.epl.resumedFromPage, 2);
+  });
+});
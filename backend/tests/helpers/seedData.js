@@ -0,0 +1,330 @@
+/**
+ * Test Seed Data
+ *
+ * A small, hand-checked data set covering the cases the routes have to get right:
+ * - NBA: Tatum stayed in Boston, Doncic moved from Dallas (2024) to the Lakers (2025),
+ *   James stayed with the Lakers, so season filtering has to follow each player's team per season
+ * - EPL: Saka has no 2023 season, so season filtering has to drop players without data for the season
+ * - NFL: two players whose touchdowns come from different stat groups
+ *
+ * Per-game numbers the tests expect (2025 / 2024):
+ * - Tatum 26.8 / 26.9 ppg, Doncic 28.2 / 33.9 ppg, James 24.4 / 25.7 ppg
+ * - Salah 29 / 18 goals, Saka 6 / -, Rice 4 / 7 goals
+ */
+import Team from '../../models/Team.js';
+import Player from '../../models/Player.js';
+import NbaPlayerStats from '../../models/NBAPlayerStats.js';
+import EPLPlayerStats from '../../models/EPLPlayerStats.js';
+import NFLPlayerStats from '../../models/NFLPlayerStats.js';
+import NbaGameLog from '../../models/NBAGameLog.js';
+import Fixture from '../../models/Fixture.js';
+import PlayerStint from '../../models/PlayerStint.js';
+import SystemInfo from '../../models/SystemInfo.js';
+
+/**
+ * Builds an NBA season entry from a few headline totals
+ * @param {number} season - Season year
+ * @param {string} team - Team abbreviation
+ * @param {Object} totals - { games, points, rebounds, assists, minutesPg }
+ * @returns {Object} Season entry as stored in NbaPlayerStats
+ */
+function nbaSeason(season, team, { games, points, rebounds, assists, minutesPg = 36 }) {
+  return {
+    season,
+    team,
+    position: 'SF',
+    age: 26,
+    totals: {
+      games,
+      gamesStarted: games,
+      minutesPg,
+      fieldGoals: Math.round(points * 0.36),
+      fieldAttempts: Math.round(points * 0.78),
+      fieldPercent: 0.462,
+      threeFg: Math.round(games * 3),
+      threeAttempts: Math.round(games * 8.5),
+      threePercent: 0.353,
+      ft: Math.round(points * 0.17),
+      ftAttempts: Math.round(points * 0.21),
+      ftPercent: 0.81,
+      offensiveRb: Math.round(rebounds * 0.12),
+      defensiveRb: Math.round(rebounds * 0.88),
+      totalRb: rebounds,
+      assists,
+      steals: games,
+      blocks: Math.round(games * 0.5),
+      turnovers: Math.round(games * 3),
+      personalFouls: Math.round(games * 2),
+      points
+    },
+    advanced: {
+      games,
+      minutesPlayed: games * minutesPg,
+      per: 20 + points / games / 4,
+      tsPercent: 0.58,
+      usagePercent: 28 + points / games / 10,
+      winShares: games / 8,
+      box: 5
+    }
+  };
+}
+
+export const TEAMS = [
+  {
+    teamId: 'nba_2', league: 'NBA', name: 'Boston Celtics', displayName: 'Boston Celtics',
+    conference: 'East', division: 'Atlantic', standings: { rank: 2, wins: 61, losses: 21, winPercentage: 0.744 }
+  },
+  {
+    teamId: 'nba_14', league: 'NBA', name: 'Los Angeles Lakers', displayName: 'Los Angeles Lakers',
+    conference: 'West', division: 'Pacific', standings: { rank: 3, wins: 50, losses: 32, winPercentage: 0.61 }
+  },
+  {
+    teamId: 'nba_7', league: 'NBA', name: 'Dallas Mavericks', displayName: 'Dallas Mavericks',
+    conference: 'West', division: 'Southwest', standings: { rank: 10, wins: 39, losses: 43, winPercentage: 0.476 }
+  },
+  {
+    teamId: 'epl_42', league: 'EPL', name: 'Arsenal', displayName: 'Arsenal',
+    standings: { rank: 2, points: 74, gamesPlayed: 38 }
+  },
+  {
+    teamId: 'epl_40', league: 'EPL', name: 'Liverpool', displayName: 'Liverpool',
+    standings: { rank: 1, points: 84, gamesPlayed: 38 }
+  },
+  {
+    teamId: 'nfl_17', league: 'NFL', name: 'Kansas City Chiefs', displayName: 'Kansas City Chiefs',
+    standings: { wins: 15, losses: 2, winPercentage: 0.882 }
+  }
+];
+
+export const NBA_PLAYER_STATS = [
+  {
+    playerId: 'tatumja01',
+    name: 'Jayson Tatum',
+    regularSeasons: [
+      nbaSeason(2025, 'BOS', { games: 72, points: 1930, rebounds: 626, assists: 432 }),
+      nbaSeason(2024, 'BOS', { games: 74, points: 1987, rebounds: 603, assists: 364 })
+    ],
+    playoffs: [
+      nbaSeason(2025, 'BOS', { games: 10, points: 280, rebounds: 104, assists: 56 })
+    ]
+  },
+  {
+    playerId: 'doncilu01',
+    name: 'Luka Dončić',
+    regularSeasons: [
+      nbaSeason(2025, 'LAL', { games: 50, points: 1410, rebounds: 410, assists: 386 }),
+      nbaSeason(2024, 'DAL', { games: 70, points: 2370, rebounds: 647, assists: 686 })
+    ],
+    playoffs: []
+  },
+  {
+    playerId: 'jamesle01',
+    name: 'LeBron James',
+    regularSeasons: [
+      nbaSeason(2025, 'LAL', { games: 70, points: 1710, rebounds: 546, assists: 575, minutesPg: 34.9 }),
+      nbaSeason(2024, 'LAL', { games: 71, points: 1822, rebounds: 518, assists: 589, minutesPg: 35.3 })
+    ],
+    playoffs: []
+  }
+];
+
+// Player summaries hold season totals, as nbaStatsService.updatePlayerReference stores them
+export const NBA_PLAYERS = [
+  { playerId: 'nba_tatumja01', teamId: 'nba_2', name: 'Jayson Tatum', points: 1930, games: 72 },
+  { playerId: 'nba_doncilu01', teamId: 'nba_14', name: 'Luka Dončić', points: 1410, games: 50 },
+  { playerId: 'nba_jamesle01', teamId: 'nba_14', name: 'LeBron James', points: 1710, games: 70 }
+].map(({ playerId, teamId, name, points, games }) => ({
+  playerId,
+  teamId,
+  league: 'NBA',
+  name,
+  position: 'SF',
+  nbaStatsRef: playerId.replace('nba_', ''),
+  stats: {
+    gamesPlayed: games,
+    gamesStarted: games,
+    sportStats: { points, rebounds: 500, assists: 400, blocks: 30, steals: 70 }
+  }
+}));
+
+/**
+ * Builds an EPL season entry
+ * @param {number} season - Season year
+ * @param {Object} team - { teamId, name } (teamId without the league prefix)
+ * @param {Object} stats - { position, appearances, minutes, goals, assists }
+ * @returns {Object} Season entry as stored in EPLPlayerStats
+ */
+function eplSeason(season, team, { position, appearances, minutes, goals, assists }) {
+  return {
+    season,
+    team: team.name,
+    teamId: team.teamId,
+    position,
+    appearances,
+    lineups: appearances,
+    minutes,
+    rating: 7.4,
+    goals: { total: goals, assists },
+    cards: { yellow: 2, red: 0 },
+    shots: { total: goals * 4, on: goals * 2 },
+    passes: { total: appearances * 40, key: appearances * 2, accuracy: 82 },
+    tackles: { total: appearances, blocks: 3, interceptions: 10 },
+    duels: { total: appearances * 10, won: appearances * 5 },
+    dribbles: { attempts: appearances * 3, success: appearances * 2 }
+  };
+}
+
+const LIVERPOOL = { teamId: '40', name: 'Liverpool' };
+const ARSENAL = { teamId: '42', name: 'Arsenal' };
+
+export const EPL_PLAYER_STATS = [
+  {
+    playerId: '306',
+    name: 'Mohamed Salah',
+    age: 32,
+    photo: 'https://media.api-sports.io/football/players/306.png',
+    seasons: [
+      eplSeason(2024, LIVERPOOL, { position: 'Attacker', appearances: 38, minutes: 3371, goals: 29, assists: 18 }),
+      eplSeason(2023, LIVERPOOL, { position: 'Attacker', appearances: 32, minutes: 2536, goals: 18, assists: 10 })
+    ]
+  },
+  {
+    playerId: '1460',
+    name: 'Bukayo Saka',
+    age: 23,
+    seasons: [
+      eplSeason(2024, ARSENAL, { position: 'Attacker', appearances: 25, minutes: 1734, goals: 6, assists: 10 })
+    ]
+  },
+  {
+    playerId: '2937',
+    name: 'Declan Rice',
+    age: 26,
+    seasons: [
+      eplSeason(2024, ARSENAL, { position: 'Midfielder', appearances: 35, minutes: 2833, goals: 4, assists: 7 }),
+      eplSeason(2023, ARSENAL, { position: 'Midfielder', appearances: 38, minutes: 3240, goals: 7, assists: 8 })
+    ]
+  }
+];
+
+// Player summaries hold the current season's totals, as eplService stores them
+export const EPL_PLAYERS = [
+  { playerId: 'epl_306', teamId: 'epl_40', name: 'Mohamed Salah', position: 'Attacker', goals: 29, assists: 18, apps: 38 },
+  { playerId: 'epl_1460', teamId: 'epl_42', name: 'Bukayo Saka', position: 'Attacker', goals: 6, assists: 10, apps: 25 },
+  { playerId: 'epl_2937', teamId: 'epl_42', name: 'Declan Rice', position: 'Midfielder', goals: 4, assists: 7, apps: 35 }
+].map(({ playerId, teamId, name, position, goals, assists, apps }) => ({
+  playerId,
+  teamId,
+  league: 'EPL',
+  name,
+  position,
+  eplStatsRef: playerId.replace('epl_', ''),
+  stats: {
+    gamesPlayed: apps,
+    sportStats: { goals, assists, yellowCards: 2, redCards: 0 }
+  }
+}));
+
+export const NFL_PLAYER_STATS = [
+  {
+    playerId: '2001',
+    name: 'Patrick Mahomes',
+    seasons: [{
+      season: 2024, team: 'Kansas City Chiefs', teamId: '17', position: 'QB', gamesPlayed: 16,
+      passing: { attempts: 581, completions: 392, yards: 3928, touchdowns: 26, interceptions: 11 },
+      rushing: { attempts: 58, yards: 307, touchdowns: 2 }
+    }]
+  },
+  {
+    playerId: '2002',
+    name: 'Travis Kelce',
+    seasons: [{
+      season: 2024, team: 'Kansas City Chiefs', teamId: '17', position: 'TE', gamesPlayed: 17,
+      receiving: { receptions: 97, targets: 133, yards: 823, touchdowns: 3 }
+    }]
+  }
+];
+
+export const NFL_PLAYERS = [
+  { playerId: 'nfl_2001', teamId: 'nfl_17', league: 'NFL', name: 'Patrick Mahomes', position: 'QB', nflStatsRef: '2001' },
+  { playerId: 'nfl_2002', teamId: 'nfl_17', league: 'NFL', name: 'Travis Kelce', position: 'TE', nflStatsRef: '2002' }
+];
+
+export const FIXTURES = [
+  {
+    fixtureId: 'epl_1208021',
+    league: 'EPL',
+    season: 2024,
+    matchday: 14,
+    round: 'Regular Season - 14',
+    date: new Date('2024-12-01T16:00:00Z'),
+    status: { short: 'FT', long: 'Match Finished', state: 'finished' },
+    homeTeam: { teamId: 'epl_40', name: 'Liverpool' },
+    awayTeam: { teamId: 'epl_42', name: 'Arsenal' },
+    score: { home: 2, away: 1, halftime: { home: 1, away: 0 } },
+    winner: 'home',
+    events: [
+      { minute: 70, side: 'away', teamId: 'epl_42', type: 'Goal', detail: 'Normal Goal', player: { playerId: 'epl_2937', name: 'D. Rice' } },
+      {
+        minute: 12, side: 'home', teamId: 'epl_40', type: 'Goal', detail: 'Normal Goal',
+        player: { playerId: 'epl_306', name: 'M. Salah' }, assist: { playerId: 'epl_999', name: 'T. Alexander-Arnold' }
+      },
+      { minute: 45, extra: 2, side: 'home', teamId: 'epl_40', type: 'Goal', detail: 'Penalty', player: { playerId: 'epl_306', name: 'M. Salah' } }
+    ],
+    lineups: {
+      home: { teamId: 'epl_40', formation: '4-3-3', startXI: [{ playerId: 'epl_306', name: 'M. Salah', number: 11, position: 'F', grid: '4:3' }] },
+      away: { teamId: 'epl_42', formation: '4-3-3', startXI: [{ playerId: 'epl_1460', name: 'B. Saka', number: 7, position: 'F', grid: '4:3' }] }
+    }
+  },
+  {
+    fixtureId: 'epl_1208150',
+    league: 'EPL',
+    season: 2024,
+    matchday: 26,
+    round: 'Regular Season - 26',
+    date: new Date('2025-02-22T15:00:00Z'),
+    status: { short: 'NS', long: 'Not Started', state: 'scheduled' },
+    homeTeam: { teamId: 'epl_42', name: 'Arsenal' },
+    awayTeam: { teamId: 'epl_99', name: 'West Ham United' }
+  }
+];
+
+// Doncic's trade: Dallas in 2024, Lakers in 2025 (one stint per season here)
+export const PLAYER_STINTS = [
+  { playerId: 'nba_doncilu01', league: 'NBA', name: 'Luka Dončić', season: 2024, seasonType: 'regular', team: 'DAL', teamId: 'nba_7', order: 1, games: 70 },
+  { playerId: 'nba_doncilu01', league: 'NBA', name: 'Luka Dončić', season: 2025, seasonType: 'regular', team: 'LAL', teamId: 'nba_14', order: 1, games: 50 }
+];
+
+export const GAME_LOGS = [
+  { date: '2025-04-09', points: 31, minutes: 38, totalRb: 9, assists: 5, fieldGoals: 11, fieldAttempts: 22 },
+  { date: '2025-04-11', points: 24, minutes: 35, totalRb: 7, assists: 6, fieldGoals: 9, fieldAttempts: 20 },
+  { date: '2025-04-13', points: 18, minutes: 30, totalRb: 11, assists: 4, fieldGoals: 7, fieldAttempts: 18 }
+].map(({ date, ...stats }) => ({
+  playerId: 'tatumja01',
+  name: 'Jayson Tatum',
+  season: 2025,
+  seasonType: 'regular',
+  gameDate: new Date(`${date}T00:00:00Z`),
+  team: 'BOS',
+  ...stats
+}));
+
+/**
+ * Inserts the whole data set
+ * Documents go through the models, so schema defaults and validation apply as in production
+ */
+export async function seedDatabase() {
+  await Team.insertMany(TEAMS);
+  await Player.insertMany([...NBA_PLAYERS, ...EPL_PLAYERS, ...NFL_PLAYERS]);
+  await NbaPlayerStats.insertMany(NBA_PLAYER_STATS);
+  await EPLPlayerStats.insertMany(EPL_PLAYER_STATS);
+  await NFLPlayerStats.insertMany(NFL_PLAYER_STATS);
+  await NbaGameLog.insertMany(GAME_LOGS);
+  await Fixture.insertMany(FIXTURES);
+  await PlayerStint.insertMany(PLAYER_STINTS);
+  await SystemInfo.create({ key: 'lastUpdate_NBA_2025', value: { success: true, timestamp: new Date('2025-04-14T06:00:00Z') } });
+}
+
+export default {
+  seedDatabase
+};
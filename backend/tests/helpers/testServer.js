@@ -0,0 +1,65 @@
+/**
+ * Test Server
+ *
+ * Boots the Express app exported by server.js against an in-memory MongoDB (mongodb-memory-server),
+ * so route tests run the real models, services and aggregation pipelines without touching a real database
+ *
+ * The environment is set before server.js is imported:
+ * - MONGODB_URI points at the in-memory server
+ * - ENABLE_SCHEDULER=false keeps the cron jobs from starting
+ * - API_MODE=replay with an empty recordings directory, so any request to a real data API
+ *   fails straight away instead of going out to the network (see providers/apiRecorder.js)
+ */
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+let mongoServer = null;
+let recordingsDir = null;
+
+/**
+ * Starts the in-memory database and loads the app
+ * @returns {Promise<Object>} The Express app
+ */
+export async function startTestServer() {
+  mongoServer = await MongoMemoryServer.create();
+  recordingsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sports-stats-recordings-'));
+
+  process.env.MONGODB_URI = mongoServer.getUri();
+  process.env.ENABLE_SCHEDULER = 'false';
+  process.env.API_MODE = 'replay';
+  process.env.API_RECORDINGS_DIR = recordingsDir;
+
+  const { default: app } = await import('../../server.js');
+
+  // server.js starts connecting without waiting, so wait here before seeding
+  await mongoose.connection.asPromise();
+  return app;
+}
+
+/**
+ * Deletes every document from every collection
+ */
+export async function clearDatabase() {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+}
+
+/**
+ * Disconnects and stops the in-memory database
+ */
+export async function stopTestServer() {
+  await mongoose.disconnect();
+  if (mongoServer) await mongoServer.stop();
+  if (recordingsDir) await fs.rm(recordingsDir, { recursive: true, force: true });
+  mongoServer = null;
+  recordingsDir = null;
+}
+
+export default {
+  startTestServer,
+  clearDatabase,
+  stopTestServer
+};
@@ -0,0 +1,198 @@
+/**
+ * Provider HTTP client tests
+ *
+ * Runs providers/httpClient.js against a local HTTP server in live mode to check rate limiting,
+ * retries and quota tracking, and that POST /api/update refuses updates the saved quota can't cover
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import request from 'supertest';
+import { startTestServer, stopTestServer } from './helpers/testServer.js';
+import { createHttpClient, getQuota, getRetryDelay, QuotaExceededError } from '../providers/httpClient.js';
+import { createUser } from '../services/authService.js';
+import sportsConfig from '../config/sportsConfig.js';
+import SystemInfo from '../models/SystemInfo.js';
+
+let app;
+let server;
+let baseUrl;
+let hits = 0;
+const configuredRetry = sportsConfig.updateSettings.retry;
+
+/**
+ * Answers like an api-sports.io API:
+ * - /flaky fails with a 503 and then a 429 before succeeding (every third request succeeds)
+ * - /missing is a 404, /slow asks for a retry after two minutes
+ * - Anything else succeeds and reports the daily quota, ?remaining= setting what is left
+ */
+function handleRequest(req, res) {
+  hits++;
+  const url = new URL(req.url, 'http://localhost');
+
+  if (url.pathname === '/flaky' && hits % 3 !== 0) {
+    res.writeHead(hits % 3 === 1 ? 503 : 429, { 'retry-after': '0' });
+    return res.end('{}');
+  }
+  if (url.pathname === '/missing') {
+    res.writeHead(404);
+    return res.end('{}');
+  }
+  if (url.pathname === '/slow') {
+    res.writeHead(429, { 'retry-after': '120' });
+    return res.end('{}');
+  }
+
+  res.writeHead(200, {
+    'content-type': 'application/json',
+    'x-ratelimit-requests-limit': '100',
+    'x-ratelimit-requests-remaining': url.searchParams.get('remaining') || '42'
+  });
+  res.end(JSON.stringify({ path: url.pathname }));
+}
+
+before(async () => {
+  app = await startTestServer();
+  // The test server replays recordings; these tests need requests to reach the local server
+  process.env.API_MODE = 'live';
+  sportsConfig.updateSettings.retry = { maxRetries: 2, baseDelayMs: 10, maxDelayMs: 1000 };
+
+  server = http.createServer(handleRequest);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  process.env.API_MODE = 'replay';
+  sportsConfig.updateSettings.retry = configuredRetry;
+  await new Promise(resolve => server.close(resolve));
+  await stopTestServer();
+});
+
+describe('rate limiting', () => {
+  it('lets a burst through and spaces out the rest', async () => {
+    // 600 per minute is one request every 100ms after the first two
+    const client = createHttpClient('test-limited', () => ({ requestsPerMinute: 600, burst: 2 }));
+
+    const start = Date.now();
+    await Promise.all([1, 2, 3, 4].map(() => client.get(`${baseUrl}/ok`)));
+    const elapsed = Date.now() - start;
+    assert.ok(elapsed >= 180, `took ${elapsed}ms`);
+    assert.ok(elapsed < 1000, `took ${elapsed}ms`);
+  });
+
+  it('sends requests straight away without a limit', async () => {
+    const client = createHttpClient('test-unlimited');
+
+    const start = Date.now();
+    await Promise.all([1, 2, 3, 4].map(() => client.get(`${baseUrl}/ok`)));
+    assert.ok(Date.now() - start < 150);
+  });
+});
+
+describe('retries', () => {
+  it('retries 5xx and 429 responses until one succeeds', async () => {
+    const client = createHttpClient('test-retry');
+    hits = 0;
+
+    const res = await client.get(`${baseUrl}/flaky`);
+    assert.equal(res.data.path, '/flaky');
+    assert.equal(hits, 3);
+  });
+
+  it('does not retry other errors', async () => {
+    const client = createHttpClient('test-retry');
+    hits = 0;
+
+    await assert.rejects(client.get(`${baseUrl}/missing`), error => error.response?.status === 404);
+    assert.equal(hits, 1);
+  });
+
+  it('gives up when Retry-After asks for a longer wait than allowed', async () => {
+    const client = createHttpClient('test-retry');
+    hits = 0;
+
+    await assert.rejects(client.get(`${baseUrl}/slow`), error => error.response?.status === 429);
+    assert.equal(hits, 1);
+  });
+
+  it('backs off exponentially unless Retry-After says otherwise', () => {
+    const retry = { baseDelayMs: 1000, maxDelayMs: 5000 };
+    assert.deepEqual([1, 2, 3, 4].map(attempt => getRetryDelay({ headers: {} }, attempt, retry)), [1000, 2000, 4000, 5000]);
+    assert.equal(getRetryDelay({ headers: { 'retry-after': '7' } }, 1, retry), 7000);
+
+    const delay = getRetryDelay({ headers: { 'retry-after': new Date(Date.now() + 30000).toUTCString() } }, 1, retry);
+    assert.ok(delay > 28000 && delay <= 30000);
+  });
+});
+
+describe('quota tracking', () => {
+  it('saves the quota reported by the API', async () => {
+    const client = createHttpClient('test-quota');
+    await client.get(`${baseUrl}/ok?remaining=17`);
+
+    const quota = await getQuota('test-quota');
+    assert.equal(quota.limit, 100);
+    assert.equal(quota.remaining, 17);
+
+    const info = await SystemInfo.findOne({ key: 'apiQuota_test-quota' });
+    assert.equal(info.value.remaining, 17);
+  });
+
+  it("treats an earlier day's quota as reset", async () => {
+    await SystemInfo.findOneAndUpdate(
+      { key: 'apiQuota_test-yesterday' },
+      { value: { limit: 100, remaining: 0, day: '2000-01-01' } },
+      { upsert: true }
+    );
+    assert.equal((await getQuota('test-yesterday')).remaining, 100);
+    assert.equal(await getQuota('test-never'), null);
+  });
+
+  it('stops sending requests once the quota is used up', async () => {
+    const client = createHttpClient('test-used-up');
+    await client.get(`${baseUrl}/ok?remaining=0`);
+    hits = 0;
+
+    await assert.rejects(client.get(`${baseUrl}/ok`), QuotaExceededError);
+    assert.equal(hits, 0);
+  });
+});
+
+describe('POST /api/update quota check', () => {
+  let auth;
+
+  before(async () => {
+    await createUser({ username: 'quota-admin', password: 'quota-admin-password', role: 'admin' });
+    const res = await request(app).post('/api/auth/login').send({ username: 'quota-admin', password: 'quota-admin-password' }).expect(200);
+    auth = `Bearer ${res.body.apiKey}`;
+
+    await SystemInfo.findOneAndUpdate(
+      { key: `apiQuota_${sportsConfig.epl.provider}` },
+      { value: { limit: 100, remaining: sportsConfig.epl.estimatedRequests - 1, day: new Date().toISOString().slice(0, 10) } },
+      { upsert: true }
+    );
+  });
+
+  it('reports the quota usage on a dry run', async () => {
+    const res = await request(app).post('/api/update').set('Authorization', auth).send({ nba: false, nfl: false, dryRun: true }).expect(200);
+    assert.equal(res.body.message, 'Options are valid, but the update would exceed the daily API quota');
+    assert.deepEqual(res.body.quota, [{
+      provider: sportsConfig.epl.provider,
+      leagues: ['EPL'],
+      needed: sportsConfig.epl.estimatedRequests,
+      remaining: sportsConfig.epl.estimatedRequests - 1,
+      limit: 100,
+      exceeded: true
+    }]);
+  });
+
+  it('refuses an update the quota left does not cover', async () => {
+    const res = await request(app).post('/api/update').set('Authorization', auth).send({ nba: false, nfl: false }).expect(429);
+    assert.equal(res.body.quota.provider, sportsConfig.epl.provider);
+    assert.equal(res.body.quota.needed, sportsConfig.epl.estimatedRequests);
+
+    const audit = await request(app).get('/api/audit?limit=1').set('Authorization', auth).expect(200);
+    assert.equal(audit.body[0].outcome, 'rejected');
+  });
+});
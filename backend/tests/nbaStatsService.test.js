@@ -0,0 +1,224 @@
+/**
+ * NBA stats update tests
+ *
+ * Runs updateNbaStats against a fake provider to check how processPlayerGroup resolves traded players:
+ * - With a combined "2TM"/"3TM" row, the season line comes from that row
+ * - Without one, it comes from the team the player played the most games for
+ * - Either way the player is assigned to their latest team (the team row with the highest id),
+ *   and every team row is kept as a stint
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { startTestServer, stopTestServer } from './helpers/testServer.js';
+import { updateNbaStats, mapGameLogRecord } from '../services/nbaStatsService.js';
+import { registerProvider } from '../providers/providerRegistry.js';
+import sportsConfig from '../config/sportsConfig.js';
+import Player from '../models/Player.js';
+import NbaPlayerStats from '../models/NBAPlayerStats.js';
+import PlayerStint from '../models/PlayerStint.js';
+
+const SEASON = 2025;
+
+/**
+ * Builds a provider stat row for one player and team
+ * @param {number} id - Row id (ids increase with each team a player joins)
+ * @param {string} playerId - Player ID without league prefix
+ * @param {string} playerName - Player name
+ * @param {string} team - Team abbreviation, or "2TM"/"3TM" for a combined row
+ * @param {Object} stats - { games, points, per }
+ * @returns {Object} Row in the REST NBA API format (totals and advanced fields together)
+ */
+function row(id, playerId, playerName, team, { games, points, per = 15 }) {
+  return {
+    id,
+    playerId,
+    playerName,
+    season: SEASON,
+    team,
+    position: 'PG',
+    age: 26,
+    games,
+    gamesStarted: games,
+    minutesPg: 34,
+    minutesPlayed: games * 34,
+    points,
+    totalRb: games * 8,
+    assists: games * 7,
+    steals: games,
+    blocks: games,
+    fieldPercent: 0.46,
+    threePercent: 0.36,
+    per,
+    tsPercent: 0.6,
+    usagePercent: 30,
+    winShares: games / 10,
+    box: 4
+  };
+}
+
+const REGULAR_ROWS = [
+  // Traded with a combined row; the combined row comes first, as the API lists it
+  row(100, 'doncilu01', 'Luka Dončić', '2TM', { games: 50, points: 1410, per: 24.1 }),
+  row(101, 'doncilu01', 'Luka Dončić', 'DAL', { games: 22, points: 616, per: 23.5 }),
+  row(455, 'doncilu01', 'Luka Dončić', 'LAL', { games: 28, points: 794, per: 24.6 }),
+  // Traded without a combined row, and listed newest team first
+  row(350, 'harrito02', 'Tobias Harris', 'DET', { games: 20, points: 280 }),
+  row(200, 'harrito02', 'Tobias Harris', 'PHI', { games: 40, points: 680 }),
+  // Not traded
+  row(300, 'tatumja01', 'Jayson Tatum', 'BOS', { games: 72, points: 1930, per: 22.7 })
+];
+
+const PLAYOFF_ROWS = [
+  row(900, 'tatumja01', 'Jayson Tatum', 'BOS', { games: 10, points: 280, per: 21.3 })
+];
+
+const fakeProvider = {
+  fetchTeams: async () => [],
+  fetchStandings: async () => [],
+  fetchPlayers: async () => [],
+  fetchPlayerSeasonStats: async (season, { playoffs = false } = {}) => (playoffs ? PLAYOFF_ROWS : REGULAR_ROWS)
+};
+
+let app;
+const configuredProvider = sportsConfig.nba.provider;
+
+before(async () => {
+  app = await startTestServer();
+  registerProvider('nba', 'test-fake', fakeProvider);
+  sportsConfig.nba.provider = 'test-fake';
+
+  assert.equal(await updateNbaStats('regular', SEASON), true);
+});
+
+after(async () => {
+  sportsConfig.nba.provider = configuredProvider;
+  await stopTestServer();
+});
+
+describe('updateNbaStats: traded players', () => {
+  it('uses the combined row for the season line and the latest team for the player', async () => {
+    const stats = await NbaPlayerStats.findOne({ playerId: 'doncilu01' });
+    const season = stats.regularSeasons.find(s => s.season === SEASON);
+    assert.equal(season.team, 'LAL');
+    assert.equal(season.totals.games, 50);
+    assert.equal(season.totals.points, 1410);
+    assert.equal(season.advanced.per, 24.1);
+
+    const player = await Player.findOne({ playerId: 'nba_doncilu01' });
+    assert.equal(player.teamId, 'nba_14');
+    assert.equal(player.nbaStatsRef, 'doncilu01');
+    assert.equal(player.stats.gamesPlayed, 50);
+  });
+
+  it('uses the row with the most games when there is no combined row', async () => {
+    const stats = await NbaPlayerStats.findOne({ playerId: 'harrito02' });
+    const season = stats.regularSeasons.find(s => s.season === SEASON);
+    assert.equal(season.team, 'DET');
+    assert.equal(season.totals.games, 40);
+    assert.equal(season.totals.points, 680);
+
+    const player = await Player.findOne({ playerId: 'nba_harrito02' });
+    assert.equal(player.teamId, 'nba_9');
+  });
+
+  it('keeps a player with one row on that team', async () => {
+    const player = await Player.findOne({ playerId: 'nba_tatumja01' });
+    assert.equal(player.teamId, 'nba_2');
+    assert.equal(player.stats.sportStats.get('points'), 1930);
+  });
+
+  it('records each team as a stint in the order the player joined', async () => {
+    const stints = await PlayerStint.find({ playerId: 'nba_doncilu01', season: SEASON }).sort({ order: 1 });
+    assert.deepEqual(stints.map(s => [s.team, s.teamId, s.games, s.order]), [
+      ['DAL', 'nba_7', 22, 1],
+      ['LAL', 'nba_14', 28, 2]
+    ]);
+    assert.equal(stints[1].minutes, 28 * 34);
+    assert.equal(stints[1].stats.get('per'), 24.6);
+
+    const res = await request(app).get('/api/player/nba_doncilu01/stints').expect(200);
+    assert.equal(res.body.seasons[0].traded, true);
+  });
+
+  it("serves the resolved season through the player's routes", async () => {
+    const res = await request(app).get('/api/player/nba_doncilu01').expect(200);
+    assert.equal(res.body.team, 'LAL');
+    assert.equal(res.body.stats.sportStats.points, '28.2');
+  });
+});
+
+describe('updateNbaStats: playoffs', () => {
+  before(async () => {
+    assert.equal(await updateNbaStats('playoff', SEASON), true);
+  });
+
+  it('adds the playoff run without touching the regular season summary', async () => {
+    const stats = await NbaPlayerStats.findOne({ playerId: 'tatumja01' });
+    assert.equal(stats.playoffs.length, 1);
+    assert.equal(stats.playoffs[0].totals.games, 10);
+    assert.equal(stats.regularSeasons[0].totals.games, 72);
+
+    const player = await Player.findOne({ playerId: 'nba_tatumja01' });
+    assert.equal(player.stats.gamesPlayed, 72);
+
+    const stints = await PlayerStint.find({ playerId: 'nba_tatumja01', seasonType: 'playoff' });
+    assert.equal(stints.length, 1);
+  });
+});
+
+describe('updateNbaStats: provider failures', () => {
+  it('fails when the provider returns no rows', async () => {
+    registerProvider('nba', 'test-broken', { ...fakeProvider, fetchPlayerSeasonStats: async () => null });
+    sportsConfig.nba.provider = 'test-broken';
+    try {
+      assert.equal(await updateNbaStats('regular', SEASON), false);
+    } finally {
+      sportsConfig.nba.provider = 'test-fake';
+    }
+  });
+
+  it('rejects unknown season types', async () => {
+    assert.equal(await updateNbaStats('preseason', SEASON), false);
+  });
+});
+
+describe('mapGameLogRecord', () => {
+  const player = { playerId: 'tatumja01', name: 'Jayson Tatum' };
+  const gameRow = {
+    gameDate: '2025-01-15',
+    team: 'BOS',
+    opponent: 'TOR',
+    location: '@',
+    result: 'W 110-97',
+    gamesStarted: 1,
+    minutesPlayed: '36:30',
+    fieldGoals: 11,
+    fieldAttempts: 22,
+    totalRb: 9,
+    assists: 5,
+    points: 31,
+    plusMinus: 12
+  };
+
+  it('maps a game row', () => {
+    const game = mapGameLogRecord(gameRow, player, SEASON, 'regular');
+    assert.equal(game.playerId, 'tatumja01');
+    assert.equal(game.gameDate.toISOString().slice(0, 10), '2025-01-15');
+    assert.equal(game.isHome, false);
+    assert.equal(game.started, true);
+    assert.equal(game.minutes, 36.5);
+    assert.equal(game.points, 31);
+    assert.equal(game.seasonType, 'regular');
+  });
+
+  it('skips games the player did not play', () => {
+    assert.equal(mapGameLogRecord({ ...gameRow, minutesPlayed: '' }, player, SEASON, 'regular'), null);
+    assert.equal(mapGameLogRecord({ ...gameRow, minutesPlayed: '0:00' }, player, SEASON, 'regular'), null);
+  });
+
+  it('rejects rows in another format', () => {
+    assert.throws(() => mapGameLogRecord({ date: '2025-01-15', minutes: 36 }, player, SEASON, 'regular'), /Unexpected game log row format/);
+  });
+});
+
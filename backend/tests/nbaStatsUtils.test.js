@@ -0,0 +1,130 @@
+/**
+ * NBA stats utility tests
+ *
+ * Pure functions from utils/nbaStatsUtils.js; no database needed
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculatePerGameStats,
+  calculateNormalizedStats,
+  convertTeamFormat,
+  getConferenceAndDivision,
+  getDivisionAbbreviation
+} from '../utils/nbaStatsUtils.js';
+
+const TOTALS = {
+  minutesPg: 36.4,
+  points: 2000,
+  totalRb: 600,
+  assists: 400,
+  steals: 80,
+  blocks: 40,
+  turnovers: 200,
+  fieldGoals: 720,
+  fieldAttempts: 1500,
+  fieldPercent: 0.48,
+  threeFg: 200,
+  threeAttempts: 550,
+  threePercent: 0.364,
+  ft: 360,
+  ftAttempts: 420,
+  ftPercent: 0.857
+};
+
+describe('calculatePerGameStats', () => {
+  it('divides counting stats by games played', () => {
+    const stats = calculatePerGameStats(TOTALS, 80);
+    assert.equal(stats.points, 25);
+    assert.equal(stats.rebounds, 7.5);
+    assert.equal(stats.assists, 5);
+    assert.equal(stats.fg_made, 9);
+    assert.equal(stats.ft_att, 5.25);
+  });
+
+  it('keeps percentages and minutes per game as stored', () => {
+    const stats = calculatePerGameStats(TOTALS, 80);
+    assert.equal(stats.minutes, 36.4);
+    assert.equal(stats.fg_pct, 0.48);
+    assert.equal(stats.three_pct, 0.364);
+  });
+
+  it('returns zeros without games', () => {
+    for (const games of [0, undefined, null]) {
+      const stats = calculatePerGameStats(TOTALS, games);
+      assert.ok(Object.values(stats).every(value => value === 0));
+    }
+  });
+});
+
+describe('calculateNormalizedStats', () => {
+  const playingTime = { games: 80, minutes: 2880, possessions: 5000 };
+
+  it('returns totals unchanged', () => {
+    assert.equal(calculateNormalizedStats(TOTALS, 'totals', playingTime).points, 2000);
+  });
+
+  it('normalizes per 36 minutes and per 100 possessions', () => {
+    assert.equal(calculateNormalizedStats(TOTALS, 'per36', playingTime).points, 25);
+    assert.equal(calculateNormalizedStats(TOTALS, 'per100', playingTime).points, 40);
+  });
+
+  it('returns 0 for counting stats without playing time', () => {
+    const stats = calculateNormalizedStats(TOTALS, 'per36', { games: 80, minutes: 0, possessions: 0 });
+    assert.equal(stats.points, 0);
+    assert.equal(stats.fg_pct, 0.48);
+  });
+
+  it('treats missing totals as 0', () => {
+    const stats = calculateNormalizedStats({ points: 100 }, 'perGame', playingTime);
+    assert.equal(stats.points, 1.25);
+    assert.equal(stats.assists, 0);
+    assert.equal(stats.minutes, 0);
+  });
+});
+
+describe('convertTeamFormat', () => {
+  it('converts abbreviations, including alternative ones', () => {
+    assert.equal(convertTeamFormat('LAL'), 'Los Angeles Lakers');
+    assert.equal(convertTeamFormat('lal', 'id'), 14);
+    assert.equal(convertTeamFormat('BKN', 'id'), convertTeamFormat('BRK', 'id'));
+    assert.equal(convertTeamFormat('PHX', 'full'), 'Phoenix Suns');
+  });
+
+  it('converts full names, ignoring case', () => {
+    assert.equal(convertTeamFormat('boston celtics', 'abbr'), 'BOS');
+    assert.equal(convertTeamFormat('Dallas Mavericks', 'id'), 7);
+  });
+
+  it('returns unknown teams and combined rows as given', () => {
+    assert.equal(convertTeamFormat('2TM', 'id'), '2TM');
+    assert.equal(convertTeamFormat('Seattle SuperSonics', 'abbr'), 'Seattle SuperSonics');
+  });
+});
+
+describe('getConferenceAndDivision', () => {
+  it('looks up teams by any name format', () => {
+    assert.deepEqual(getConferenceAndDivision('BOS'), { conference: 'East', division: 'Atlantic' });
+    assert.deepEqual(getConferenceAndDivision('Los Angeles Lakers'), { conference: 'West', division: 'Pacific' });
+    assert.deepEqual(getConferenceAndDivision('BKN'), { conference: 'East', division: 'Atlantic' });
+    assert.deepEqual(getConferenceAndDivision('PHX'), { conference: 'West', division: 'Pacific' });
+  });
+
+  it('returns null for unknown teams', () => {
+    assert.equal(getConferenceAndDivision('TOT'), null);
+  });
+});
+
+describe('getDivisionAbbreviation', () => {
+  it('maps alternative abbreviations and full names to the NBA_DIVISIONS abbreviation', () => {
+    assert.equal(getDivisionAbbreviation('BKN'), 'BRK');
+    assert.equal(getDivisionAbbreviation('cha'), 'CHO');
+    assert.equal(getDivisionAbbreviation('PHX'), 'PHO');
+    assert.equal(getDivisionAbbreviation('PHO'), 'PHO');
+    assert.equal(getDivisionAbbreviation('Los Angeles Lakers'), 'LAL');
+  });
+
+  it('returns null for unknown teams', () => {
+    assert.equal(getDivisionAbbreviation('XYZ'), null);
+  });
+});
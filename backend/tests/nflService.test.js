@@ -0,0 +1,83 @@
+/**
+ * NFL update tests
+ *
+ * Runs updateNFLData end to end against the recorded API-American-Football responses in fixtures/nfl,
+ * served by scripts/nflFixtureServer.js on a free port
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, stopTestServer } from './helpers/testServer.js';
+import { createNflFixtureApp } from '../scripts/nflFixtureServer.js';
+import { updateNFLData } from '../services/nflService.js';
+import Team from '../models/Team.js';
+import Player from '../models/Player.js';
+import NFLPlayerStats from '../models/NFLPlayerStats.js';
+
+const SEASON = 2024;
+
+const configuredEnv = {
+  NFL_API_BASE_URL: process.env.NFL_API_BASE_URL,
+  NFL_API_DELAY_MS: process.env.NFL_API_DELAY_MS
+};
+let fixtureServer;
+
+before(async () => {
+  await startTestServer();
+  // The test server replays recordings; the NFL provider has to reach the fixture server instead
+  process.env.API_MODE = 'live';
+
+  fixtureServer = await new Promise(resolve => {
+    const server = createNflFixtureApp().listen(0, '127.0.0.1', () => resolve(server));
+  });
+  process.env.NFL_API_BASE_URL = `http://127.0.0.1:${fixtureServer.address().port}`;
+  process.env.NFL_API_DELAY_MS = '0';
+});
+
+after(async () => {
+  process.env.API_MODE = 'replay';
+  for (const [name, value] of Object.entries(configuredEnv)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  await new Promise(resolve => fixtureServer.close(resolve));
+  await stopTestServer();
+});
+
+describe('updateNFLData against the fixture server', () => {
+  let success;
+
+  before(async () => {
+    success = await updateNFLData(SEASON);
+  });
+
+  it('reports success', () => {
+    assert.equal(success, true);
+  });
+
+  it('saves the teams with their standings, leaving out the conference placeholders', async () => {
+    const chiefs = await Team.findOne({ teamId: 'nfl_17' });
+    assert.equal(chiefs.league, 'NFL');
+    assert.equal(chiefs.standings.rank, 1);
+    assert.equal(chiefs.standings.wins, 15);
+    assert.equal(chiefs.standings.losses, 2);
+    assert.equal(chiefs.standings.gamesPlayed, 17);
+
+    assert.ok(await Team.findOne({ teamId: 'nfl_20' }));
+    assert.equal(await Team.findOne({ teamId: 'nfl_33' }), null);
+  });
+
+  it('saves every rostered player', async () => {
+    const players = await Player.find({ league: 'NFL' }).sort({ playerId: 1 });
+    assert.deepEqual(players.map(player => player.playerId), ['nfl_1505', 'nfl_1510', 'nfl_1532', 'nfl_2203', 'nfl_2240']);
+    assert.equal(players[0].teamId, 'nfl_17');
+    assert.equal(players[0].nflStatsRef, '1505');
+  });
+
+  it('parses the season statistics', async () => {
+    const mahomes = await NFLPlayerStats.findOne({ playerId: '1505' });
+    const season = mahomes.seasons.find(entry => entry.season === SEASON);
+    assert.equal(season.gamesPlayed, 16);
+    assert.equal(season.passing.yards, 3928);
+    assert.equal(season.passing.touchdowns, 26);
+  });
+});
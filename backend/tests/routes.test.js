@@ -0,0 +1,486 @@
+/**
+ * Read route tests
+ *
+ * Runs every public GET route in routes/api.js against the seeded in-memory database
+ * (see helpers/seedData.js for the data set and the numbers expected below)
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { startTestServer, stopTestServer } from './helpers/testServer.js';
+import { seedDatabase } from './helpers/seedData.js';
+import { captureSnapshots } from '../services/snapshotService.js';
+import PlayerStatSnapshot from '../models/PlayerStatSnapshot.js';
+
+let app;
+
+before(async () => {
+  app = await startTestServer();
+  await seedDatabase();
+});
+
+after(stopTestServer);
+
+describe('GET /api/available-seasons/:league', () => {
+  it('lists seasons newest first for each league', async () => {
+    assert.deepEqual((await request(app).get('/api/available-seasons/nba').expect(200)).body, [2025, 2024]);
+    assert.deepEqual((await request(app).get('/api/available-seasons/EPL').expect(200)).body, [2024, 2023]);
+    assert.deepEqual((await request(app).get('/api/available-seasons/NFL').expect(200)).body, [2024]);
+  });
+
+  it('returns no seasons for an unknown league', async () => {
+    const res = await request(app).get('/api/available-seasons/MLB').expect(200);
+    assert.deepEqual(res.body, []);
+  });
+});
+
+describe('GET /api/teams/:league', () => {
+  it('sorts NBA teams by conference, then conference rank', async () => {
+    const res = await request(app).get('/api/teams/nba').expect(200);
+    assert.deepEqual(res.body.map(t => t.teamId), ['nba_2', 'nba_14', 'nba_7']);
+  });
+
+  it('sorts EPL teams by table position', async () => {
+    const res = await request(app).get('/api/teams/EPL').expect(200);
+    assert.deepEqual(res.body.map(t => t.name), ['Liverpool', 'Arsenal']);
+  });
+
+  it('returns NFL teams', async () => {
+    const res = await request(app).get('/api/teams/NFL').expect(200);
+    assert.deepEqual(res.body.map(t => t.teamId), ['nfl_17']);
+  });
+});
+
+describe('GET /api/team/:teamId', () => {
+  it('returns 404 for an unknown team', async () => {
+    await request(app).get('/api/team/nba_99').expect(404);
+  });
+
+  it('returns the current NBA roster without a season', async () => {
+    const res = await request(app).get('/api/team/nba_14').expect(200);
+    assert.equal(res.body.team.name, 'Los Angeles Lakers');
+    assert.equal(res.body.mode, 'perGame');
+    assert.deepEqual(res.body.players.map(p => p.name).sort(), ['LeBron James', 'Luka Dončić']);
+  });
+
+  it("builds an NBA roster from the season's teams, not the players' current teams", async () => {
+    // Doncic is a Laker now, but was on Dallas in 2024
+    const dallas = await request(app).get('/api/team/nba_7?season=2024').expect(200);
+    assert.deepEqual(dallas.body.players.map(p => p.name), ['Luka Dončić']);
+    assert.equal(dallas.body.players[0].stats.gamesPlayed, 70);
+    assert.equal(dallas.body.players[0].stats.sportStats.points, '33.9');
+
+    const lakers2024 = await request(app).get('/api/team/nba_14?season=2024').expect(200);
+    assert.deepEqual(lakers2024.body.players.map(p => p.name), ['LeBron James']);
+
+    const lakers2025 = await request(app).get('/api/team/nba_14?season=2025').expect(200);
+    assert.deepEqual(lakers2025.body.players.map(p => p.name).sort(), ['LeBron James', 'Luka Dončić']);
+  });
+
+  it('returns an empty NBA roster for a team without players now', async () => {
+    const res = await request(app).get('/api/team/nba_7').expect(200);
+    assert.deepEqual(res.body.players, []);
+  });
+
+  it('applies the stat mode to season stats', async () => {
+    const res = await request(app).get('/api/team/nba_14?season=2025&mode=totals').expect(200);
+    const james = res.body.players.find(p => p.name === 'LeBron James');
+    assert.equal(res.body.mode, 'totals');
+    assert.equal(james.stats.sportStats.points, '1710.0');
+  });
+
+  it('rejects a mode the league does not support', async () => {
+    await request(app).get('/api/team/nba_14?mode=per90').expect(400);
+    await request(app).get('/api/team/epl_42?mode=per36').expect(400);
+  });
+
+  it('leaves out EPL players without data for the season', async () => {
+    const res = await request(app).get('/api/team/epl_42?season=2023').expect(200);
+    assert.deepEqual(res.body.players.map(p => p.name), ['Declan Rice']);
+    assert.equal(res.body.players[0].stats.gamesPlayed, 38);
+    assert.equal(res.body.players[0].stats.sportStats.goals, 7);
+  });
+
+  it('normalizes EPL season stats per 90 minutes, rounded to 2 decimals', async () => {
+    const res = await request(app).get('/api/team/epl_42?season=2023&mode=per90').expect(200);
+    assert.equal(res.body.mode, 'per90');
+    assert.equal(res.body.players[0].stats.sportStats.goals, 0.19);
+  });
+
+  it('returns the whole EPL roster with stored stats without a season', async () => {
+    const res = await request(app).get('/api/team/epl_42').expect(200);
+    assert.equal(res.body.mode, 'totals');
+    assert.deepEqual(res.body.players.map(p => p.name).sort(), ['Bukayo Saka', 'Declan Rice']);
+    assert.equal(res.body.players.find(p => p.name === 'Bukayo Saka').stats.sportStats.goals, 6);
+  });
+
+  it('returns NFL rosters without a stat mode', async () => {
+    const res = await request(app).get('/api/team/nfl_17').expect(200);
+    assert.equal(res.body.mode, null);
+    assert.equal(res.body.players.length, 2);
+  });
+});
+
+describe('GET /api/team/:teamId/stats', () => {
+  it("aggregates the team's season", async () => {
+    const res = await request(app).get('/api/team/nba_14/stats?season=2025').expect(200);
+    assert.equal(res.body.teamId, 'nba_14');
+    assert.equal(res.body.season, 2025);
+    assert.equal(res.body.type, 'regular');
+  });
+
+  it('returns 404 for an unknown team and 400 for NFL teams or bad seasons', async () => {
+    await request(app).get('/api/team/nba_99/stats').expect(404);
+    await request(app).get('/api/team/nfl_17/stats').expect(400);
+    await request(app).get('/api/team/nba_2/stats?season=last').expect(400);
+  });
+});
+
+describe('GET /api/player/:playerId', () => {
+  it('returns 404 for an unknown player', async () => {
+    await request(app).get('/api/player/nba_nobody01').expect(404);
+  });
+
+  it("uses an NBA player's most recent season by default", async () => {
+    const res = await request(app).get('/api/player/nba_doncilu01').expect(200);
+    assert.equal(res.body.team, 'LAL');
+    assert.equal(res.body.mode, 'perGame');
+    assert.equal(res.body.stats.gamesPlayed, 50);
+    assert.equal(res.body.stats.sportStats.points, '28.2');
+    assert.equal(res.body.normalizedStats.totals.points, 28.2);
+    assert.deepEqual(res.body.regularSeasons.map(s => s.season), [2025, 2024]);
+  });
+
+  it('switches to the requested season and mode', async () => {
+    const res = await request(app).get('/api/player/nba_doncilu01?season=2024&mode=totals').expect(200);
+    assert.equal(res.body.team, 'DAL');
+    assert.equal(res.body.stats.sportStats.points, '2370.0');
+  });
+
+  it('moves the requested EPL season to the front', async () => {
+    const res = await request(app).get('/api/player/epl_306?season=2023').expect(200);
+    assert.deepEqual(res.body.seasons.map(s => s.season), [2023, 2024]);
+    assert.equal(res.body.normalizedStats.goals.total, 18);
+    assert.ok(res.body.photo);
+  });
+
+  it('returns NFL seasons newest first', async () => {
+    const res = await request(app).get('/api/player/nfl_2001').expect(200);
+    assert.equal(res.body.seasons[0].passing.touchdowns, 26);
+  });
+
+  it('rejects a mode the league does not support', async () => {
+    await request(app).get('/api/player/epl_306?mode=per100').expect(400);
+  });
+});
+
+describe('GET /api/player/:playerId/history', () => {
+  after(() => PlayerStatSnapshot.deleteMany({}));
+
+  it('returns one point per stat snapshot', async () => {
+    await captureSnapshots('NBA', 2025);
+
+    const res = await request(app).get('/api/player/nba_tatumja01/history?season=2025').expect(200);
+    assert.equal(res.body.count, 1);
+    assert.equal(res.body.points[0].gamesPlayed, 72);
+  });
+
+  it('rejects unknown leagues and intervals', async () => {
+    await request(app).get('/api/player/mlb_judgeaa01/history').expect(400);
+    await request(app).get('/api/player/nba_tatumja01/history?interval=month').expect(400);
+  });
+});
+
+describe('GET /api/player/:playerId/stints', () => {
+  it("returns a traded player's teams season by season", async () => {
+    const res = await request(app).get('/api/player/nba_doncilu01/stints').expect(200);
+    assert.equal(res.body.name, 'Luka Dončić');
+    assert.deepEqual(res.body.seasons.map(s => [s.season, s.stints[0].team]), [[2024, 'DAL'], [2025, 'LAL']]);
+  });
+
+  it('only tracks NBA and EPL players', async () => {
+    await request(app).get('/api/player/nfl_2001/stints').expect(400);
+  });
+});
+
+describe('GET /api/nba-stats/player/:playerId', () => {
+  it("returns the player's stats document", async () => {
+    const res = await request(app).get('/api/nba-stats/player/tatumja01').expect(200);
+    assert.equal(res.body.name, 'Jayson Tatum');
+    assert.equal(res.body.playoffs.length, 1);
+  });
+
+  it('returns 404 without stats', async () => {
+    await request(app).get('/api/nba-stats/player/nobody01').expect(404);
+  });
+});
+
+describe('GET /api/nba-stats/player/:playerId/games', () => {
+  it('returns game logs newest first with averages', async () => {
+    const res = await request(app).get('/api/nba-stats/player/tatumja01/games?season=2025').expect(200);
+    assert.equal(res.body.count, 3);
+    assert.equal(res.body.games[0].points, 18);
+    assert.equal(res.body.averages.points, 24.3);
+  });
+
+  it('limits to the last games and recomputes shooting from makes and attempts', async () => {
+    const res = await request(app).get('/api/nba-stats/player/tatumja01/games?season=2025&last=2').expect(200);
+    assert.equal(res.body.count, 2);
+    assert.equal(res.body.averages.points, 21);
+    assert.equal(res.body.averages.fieldPercent, 16 / 38);
+  });
+
+  it('rejects a non-positive last', async () => {
+    await request(app).get('/api/nba-stats/player/tatumja01/games?last=0').expect(400);
+  });
+});
+
+describe('GET /api/nba-stats/player/:playerId/season/:season', () => {
+  it('returns one regular season or playoff run', async () => {
+    const regular = await request(app).get('/api/nba-stats/player/tatumja01/season/2024').expect(200);
+    assert.equal(regular.body.totals.games, 74);
+
+    const playoffs = await request(app).get('/api/nba-stats/player/tatumja01/season/2025?type=playoff').expect(200);
+    assert.equal(playoffs.body.totals.games, 10);
+  });
+
+  it('returns 404 for a missing player or season', async () => {
+    await request(app).get('/api/nba-stats/player/nobody01/season/2025').expect(404);
+    await request(app).get('/api/nba-stats/player/jamesle01/season/2025?type=playoff').expect(404);
+  });
+});
+
+describe('GET /api/nba-stats/visualization/efficiency-usage', () => {
+  it('returns players over the games threshold', async () => {
+    const all = await request(app).get('/api/nba-stats/visualization/efficiency-usage?season=2025').expect(200);
+    assert.equal(all.body.length, 3);
+
+    const regulars = await request(app).get('/api/nba-stats/visualization/efficiency-usage?season=2025&minGames=60').expect(200);
+    assert.deepEqual(regulars.body.map(p => p.playerId).sort(), ['jamesle01', 'tatumja01']);
+  });
+
+  it('returns an empty list for a season without data', async () => {
+    const res = await request(app).get('/api/nba-stats/visualization/efficiency-usage?season=1999').expect(200);
+    assert.deepEqual(res.body, []);
+  });
+});
+
+describe('GET /api/compare', () => {
+  it('compares players from the same league', async () => {
+    const res = await request(app).get('/api/compare?players=nba_tatumja01,nba_jamesle01&season=2025').expect(200);
+    assert.equal(res.body.league, 'NBA');
+    assert.equal(res.body.players.length, 2);
+    assert.deepEqual(res.body.missing, []);
+  });
+
+  it('validates the player list', async () => {
+    await request(app).get('/api/compare?players=nba_tatumja01').expect(400);
+    await request(app).get('/api/compare?players=nba_tatumja01,epl_306').expect(400);
+    await request(app).get('/api/compare?players=nfl_2001,nfl_2002').expect(400);
+  });
+
+  it('returns 404 naming players without stats', async () => {
+    const res = await request(app).get('/api/compare?players=nba_tatumja01,nba_nobody01').expect(404);
+    assert.deepEqual(res.body.missing, ['nba_nobody01']);
+  });
+});
+
+describe('GET /api/leaderboards/:league', () => {
+  it('lists the metrics a league can be ranked by', async () => {
+    const res = await request(app).get('/api/leaderboards/NBA/metrics').expect(200);
+    assert.ok(res.body.modes.includes('per36'));
+    assert.ok(res.body.metrics.some(m => m.key === 'totals.points'));
+    await request(app).get('/api/leaderboards/NFL/metrics').expect(400);
+  });
+
+  it('ranks players by a stat in the requested mode', async () => {
+    const res = await request(app).get('/api/leaderboards/NBA?metric=points&mode=perGame&season=2025').expect(200);
+    assert.deepEqual(res.body.players.map(p => p.name), ['Luka Dončić', 'Jayson Tatum', 'LeBron James']);
+    assert.ok(Math.abs(res.body.players[0].value - 28.2) < 1e-9);
+  });
+
+  it('filters by team', async () => {
+    const res = await request(app).get('/api/leaderboards/EPL?metric=goals.total&team=Arsenal&season=2024').expect(200);
+    assert.deepEqual(res.body.players.map(p => p.name), ['Bukayo Saka', 'Declan Rice']);
+  });
+
+  it('validates the league, metric, order and paging', async () => {
+    await request(app).get('/api/leaderboards/NFL').expect(400);
+    await request(app).get('/api/leaderboards/NBA?metric=dunks').expect(400);
+    await request(app).get('/api/leaderboards/NBA?order=up').expect(400);
+    await request(app).get('/api/leaderboards/NBA?limit=0').expect(400);
+  });
+});
+
+describe('GET /api/analytics/zscores/:league', () => {
+  it('scores every qualifying player', async () => {
+    const res = await request(app).get('/api/analytics/zscores/NBA?season=2025').expect(200);
+    assert.equal(res.body.playerCount, 3);
+  });
+
+  it('filters to one player', async () => {
+    const res = await request(app).get('/api/analytics/zscores/NBA?season=2025&playerId=nba_tatumja01').expect(200);
+    assert.deepEqual(res.body.players.map(p => p.playerId), ['nba_tatumja01']);
+  });
+
+  it('validates the league and metrics', async () => {
+    await request(app).get('/api/analytics/zscores/NFL').expect(400);
+    const res = await request(app).get('/api/analytics/zscores/NBA?metric=dunks').expect(400);
+    assert.ok(res.body.availableMetrics.length > 0);
+  });
+
+  it('rejects a non-numeric or negative threshold or minGames', async () => {
+    for (const query of ['threshold=abc', 'threshold=-1', 'minGames=abc', 'minGames=-5', 'season=abc']) {
+      await request(app).get(`/api/analytics/zscores/NBA?${query}`).expect(400);
+    }
+  });
+});
+
+describe('GET /api/analytics/heatmap/:league', () => {
+  it('builds one row per team with players that season', async () => {
+    const res = await request(app).get('/api/analytics/heatmap/NBA?season=2025').expect(200);
+    assert.equal(res.body.mode, 'perGame');
+    assert.equal(res.body.teams.length, 2);
+  });
+
+  it('validates the league, season and mode', async () => {
+    await request(app).get('/api/analytics/heatmap/NFL').expect(400);
+    await request(app).get('/api/analytics/heatmap/EPL?season=last').expect(400);
+    await request(app).get('/api/analytics/heatmap/EPL?mode=per36').expect(400);
+  });
+});
+
+describe('GET /api/fixtures', () => {
+  it("returns a league's fixtures in kick-off order", async () => {
+    const res = await request(app).get('/api/fixtures/EPL?season=2024').expect(200);
+    assert.deepEqual(res.body.fixtures.map(f => f.fixtureId), ['epl_1208021', 'epl_1208150']);
+  });
+
+  it('filters by team and date range', async () => {
+    const byTeam = await request(app).get('/api/fixtures/EPL?season=2024&team=epl_40').expect(200);
+    assert.equal(byTeam.body.count, 1);
+
+    const byDate = await request(app).get('/api/fixtures/EPL?season=2024&from=2025-01-01&to=2025-02-22').expect(200);
+    assert.deepEqual(byDate.body.fixtures.map(f => f.fixtureId), ['epl_1208150']);
+  });
+
+  it('validates the league and dates', async () => {
+    await request(app).get('/api/fixtures/NBA').expect(400);
+    await request(app).get('/api/fixtures/EPL?from=yesterday').expect(400);
+  });
+
+  it('returns one match with its timeline in minute order and lineups', async () => {
+    const res = await request(app).get('/api/fixtures/epl_1208021').expect(200);
+    assert.deepEqual(res.body.timeline.map(e => e.minute), [12, 45, 70]);
+    assert.equal(res.body.timeline[0].player.hasPage, true);
+    assert.equal(res.body.timeline[0].assist.hasPage, false);
+    assert.equal(res.body.lineups.home.formation, '4-3-3');
+  });
+
+  it('returns 404 for an unknown match', async () => {
+    await request(app).get('/api/fixtures/epl_1').expect(404);
+  });
+});
+
+describe('GET /api/search', () => {
+  it('finds teams and players by name', async () => {
+    const res = await request(app).get('/api/search?q=lakers').expect(200);
+    assert.deepEqual(res.body.teams.map(t => t.teamId), ['nba_14']);
+
+    const players = await request(app).get('/api/search?q=JAMES').expect(200);
+    assert.deepEqual(players.body.players.map(p => p.playerId), ['nba_jamesle01']);
+  });
+
+  it('requires a query', async () => {
+    await request(app).get('/api/search').expect(400);
+  });
+});
+
+describe('GET /api/top-players/:league', () => {
+  // No stat snapshots are seeded, so these are the season leaders from getSeasonLeaders
+  it('ranks NBA players by points per game for a season', async () => {
+    const res = await request(app).get('/api/top-players/NBA?season=2025').expect(200);
+    assert.deepEqual(res.body.map(p => p.id), ['nba_doncilu01', 'nba_tatumja01', 'nba_jamesle01']);
+    assert.deepEqual(res.body.map(p => p.name), [
+      'Luka Dončić (LAL) - 28.2 ppg',
+      'Jayson Tatum (BOS) - 26.8 ppg',
+      'LeBron James (LAL) - 24.4 ppg'
+    ]);
+    assert.ok(res.body.every(p => p.trending === false && p.reason));
+  });
+
+  it("labels past seasons' leaders with their current team", async () => {
+    const res = await request(app).get('/api/top-players/NBA?season=2024').expect(200);
+    assert.deepEqual(res.body.map(p => p.name), [
+      'Luka Dončić (LAL) - 33.9 ppg',
+      'Jayson Tatum (BOS) - 26.9 ppg',
+      'LeBron James (LAL) - 25.7 ppg'
+    ]);
+  });
+
+  it('computes NBA points per game from player summaries without a season', async () => {
+    const res = await request(app).get('/api/top-players/NBA').expect(200);
+    assert.deepEqual(res.body.map(p => p.name), [
+      'Luka Dončić (LAL) - 28.2 ppg',
+      'Jayson Tatum (BOS) - 26.8 ppg',
+      'LeBron James (LAL) - 24.4 ppg'
+    ]);
+  });
+
+  it('ranks EPL players by goals for a season', async () => {
+    const current = await request(app).get('/api/top-players/EPL?season=2024').expect(200);
+    assert.deepEqual(current.body.map(p => p.name), [
+      'Mohamed Salah (Liverpool) - 29 goals',
+      'Bukayo Saka (Arsenal) - 6 goals',
+      'Declan Rice (Arsenal) - 4 goals'
+    ]);
+
+    const previous = await request(app).get('/api/top-players/EPL?season=2023').expect(200);
+    assert.deepEqual(previous.body.map(p => p.name), [
+      'Mohamed Salah (Liverpool) - 18 goals',
+      'Declan Rice (Arsenal) - 7 goals'
+    ]);
+  });
+
+  it('ranks EPL players by stored goals without a season', async () => {
+    const res = await request(app).get('/api/top-players/EPL').expect(200);
+    assert.deepEqual(res.body.map(p => p.id), ['epl_306', 'epl_1460', 'epl_2937']);
+  });
+
+  it('adds up NFL passing, rushing and receiving touchdowns', async () => {
+    const res = await request(app).get('/api/top-players/NFL').expect(200);
+    assert.deepEqual(res.body.map(p => p.name), [
+      'Patrick Mahomes (Kansas City Chiefs) - 28 TD',
+      'Travis Kelce (Kansas City Chiefs) - 3 TD'
+    ]);
+  });
+
+  it('validates the league and window', async () => {
+    await request(app).get('/api/top-players/MLB').expect(400);
+    await request(app).get('/api/top-players/NBA?window=3d').expect(400);
+    // Keys inherited from Object.prototype are not windows
+    await request(app).get('/api/top-players/NBA?window=constructor').expect(400);
+    await request(app).get('/api/top-players/NBA?window=toString').expect(400);
+  });
+});
+
+describe('GET /api/last-update', () => {
+  it('returns the last update for a league and season', async () => {
+    const res = await request(app).get('/api/last-update/NBA/2025').expect(200);
+    assert.equal(res.body.success, true);
+  });
+
+  it('returns null when there has been no update', async () => {
+    const res = await request(app).get('/api/last-update/EPL/2024').expect(200);
+    assert.equal(res.text, 'null');
+  });
+});
+
+describe('GET /api/jobs', () => {
+  it('lists scheduled jobs without running them', async () => {
+    const res = await request(app).get('/api/jobs').expect(200);
+    assert.equal(res.body.schedulerRunning, false);
+    assert.ok(res.body.jobs.length > 0);
+    assert.equal(res.body.lock.locked, false);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Cron Schedule Utilities
+ *
+ * Works out when a cron expression next fires, for the nextRunAt times in GET /api/jobs.
+ * node-cron runs the scheduled jobs but has no public API for this, so the expressions are parsed here
+ * using the syntax node-cron accepts:
+ * - 5 fields (minute hour day-of-month month day-of-week), or 6 with a leading seconds field
+ * - *, numbers, ranges (1-5), lists (0,1,3) and steps (*\/15, 0-30/10)
+ * - Month names (jan-dec) and weekday names (sun-sat); weekday 0 and 7 are both Sunday
+ * - As in node-cron, a time has to match both the day-of-month and the day-of-week field
+ */
+
+// Field order in a 6-field expression, with each field's allowed range
+const FIELDS = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// How far ahead to search for the next run (schedules are at most weekly in practice)
+const NEXT_RUN_SEARCH_DAYS = 31;
+
+/**
+ * Parses one value of a field, which may be a month or weekday name
+ * @param {string} value - Field value (e.g., '5', 'mon')
+ * @param {Object} field - Entry from FIELDS
+ * @returns {number} Numeric value
+ * @throws {Error} If the value is not a number or name within the field's range
+ */
+function parseValue(value, field) {
+  const lower = value.toLowerCase();
+  let number = NaN;
+  if (field.name === 'month' && MONTH_NAMES.includes(lower.slice(0, 3))) {
+    number = MONTH_NAMES.indexOf(lower.slice(0, 3)) + 1;
+  } else if (field.name === 'dayOfWeek' && WEEKDAY_NAMES.includes(lower.slice(0, 3))) {
+    number = WEEKDAY_NAMES.indexOf(lower.slice(0, 3));
+  } else if (/^\d+$/.test(value)) {
+    number = parseInt(value, 10);
+  }
+
+  if (Number.isNaN(number) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name} value "${value}" in cron expression`);
+  }
+  return number;
+}
+
+/**
+ * Parses a field into the set of values it matches
+ * @param {string} expression - Field expression (e.g., '*', '0,1,3', '1-5', '*\/15')
+ * @param {Object} field - Entry from FIELDS
+ * @returns {Set<number>} Matching values
+ * @throws {Error} If the expression is invalid
+ */
+function parseField(expression, field) {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step > 0) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid step "${part}" in cron expression`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) throw new Error(`Invalid range "${range}" in cron expression`);
+    } else {
+      start = parseValue(range, field);
+      // A single value with a step (e.g., 5/15) runs from that value to the end of the range
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  // Sunday can be written as 0 or 7
+  if (field.name === 'dayOfWeek' && values.has(7)) values.add(0);
+  return values;
+}
+
+/**
+ * Parses a cron expression
+ * @param {string} schedule - Cron expression with 5 or 6 fields
+ * @returns {Object} Set of matching values for each field: { second, minute, hour, dayOfMonth, month, dayOfWeek }
+ * @throws {Error} If the expression is invalid
+ */
+export function parseCronSchedule(schedule) {
+  const parts = String(schedule).trim().split(/\s+/);
+  if (parts.length === 5) parts.unshift('0');
+  if (parts.length !== 6) {
+    throw new Error(`Cron expression must have 5 or 6 fields: "${schedule}"`);
+  }
+
+  return Object.fromEntries(FIELDS.map((field, i) => [field.name, parseField(parts[i], field)]));
+}
+
+/**
+ * Gets the wall-clock time in a timezone as numbers
+ * @param {Intl.DateTimeFormat} format - Formatter for the timezone (see getNextRunTime)
+ * @param {Date} date - Time to convert
+ * @returns {Object} { minute, hour, dayOfMonth, month, dayOfWeek }
+ */
+function getTimeParts(format, date) {
+  const parts = Object.fromEntries(format.formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    minute: parseInt(parts.minute, 10),
+    hour: parseInt(parts.hour, 10),
+    dayOfMonth: parseInt(parts.day, 10),
+    month: parseInt(parts.month, 10),
+    dayOfWeek: WEEKDAY_NAMES.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+/**
+ * Calculates the next time a cron schedule fires after a given time
+ * @param {string} schedule - Cron expression
+ * @param {string} timezone - IANA timezone the schedule runs in
+ * @param {Date} from - Start searching after this time
+ * @returns {Date|null} Next run time, or null if none within NEXT_RUN_SEARCH_DAYS
+ * @throws {Error} If the expression is invalid
+ */
+export function getNextRunTime(schedule, timezone, from = new Date()) {
+  const fields = parseCronSchedule(schedule);
+  const seconds = [...fields.second].sort((a, b) => a - b);
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    month: 'numeric',
+    day: 'numeric',
+    weekday: 'short',
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23'
+  });
+
+  // Every timezone offset is a whole number of minutes, so checking each minute finds every match
+  const candidate = new Date(from);
+  candidate.setSeconds(0, 0);
+
+  const maxMinutes = NEXT_RUN_SEARCH_DAYS * 24 * 60;
+  for (let i = 0; i <= maxMinutes; i++) {
+    const time = getTimeParts(format, candidate);
+    const matches = ['minute', 'hour', 'dayOfMonth', 'month', 'dayOfWeek'].every(name => fields[name].has(time[name]));
+    if (matches) {
+      const second = seconds.find(value => candidate.getTime() + value * 1000 > from.getTime());
+      if (second !== undefined) return new Date(candidate.getTime() + second * 1000);
+    }
+    candidate.setTime(candidate.getTime() + 60 * 1000);
+  }
+  return null;
+}
@@ -2,12 +2,14 @@
  * NBA Statistics Utility Functions
  * 
  * This module provides helper functions for processing NBA statistics:
- * - Calculating per-game averages from season totals
+ * - Calculating per-game (or per-36, per-100 possessions) stats from season totals
  * - Converting between team name formats (abbreviations, full names, IDs)
+ * - Looking up a team's conference and division
  * - Processing player statistics for visualization
  * 
  * These utilities are used throughout the NBA statistics pipeline to ensure consistent data processing and transformation
  */
+import { normalizeValue } from './statNormalization.js';
 
 /**
  * Converts statistics totals to per-game averages
@@ -39,22 +41,37 @@ export function calculatePerGameStats(totals, gamesPlayed) {
         };
     }
 
+    return calculateNormalizedStats(totals, 'perGame', { games: gamesPlayed });
+}
+
+/**
+ * Converts statistics totals to any normalization mode (see utils/statNormalization.js)
+ * Percentages and minutes per game are returned as stored; counts are 0 when there is no playing time
+ * 
+ * @param {Object} totals - Season total statistics
+ * @param {string} mode - 'totals', 'perGame', 'per36' or 'per100'
+ * @param {Object} playingTime - { games, minutes, possessions } (see getPlayingTime)
+ * @returns {Object} Normalized statistics, in the same shape as calculatePerGameStats
+ */
+export function calculateNormalizedStats(totals, mode, playingTime) {
+    const normalize = (value) => normalizeValue(value || 0, mode, playingTime) || 0;
+
     return {
         minutes: totals.minutesPg || 0,
-        points: totals.points / gamesPlayed,
-        rebounds: totals.totalRb / gamesPlayed,
-        assists: totals.assists / gamesPlayed,
-        steals: totals.steals / gamesPlayed,
-        blocks: totals.blocks / gamesPlayed,
-        turnovers: totals.turnovers / gamesPlayed,
-        fg_made: totals.fieldGoals / gamesPlayed,
-        fg_att: totals.fieldAttempts / gamesPlayed,
+        points: normalize(totals.points),
+        rebounds: normalize(totals.totalRb),
+        assists: normalize(totals.assists),
+        steals: normalize(totals.steals),
+        blocks: normalize(totals.blocks),
+        turnovers: normalize(totals.turnovers),
+        fg_made: normalize(totals.fieldGoals),
+        fg_att: normalize(totals.fieldAttempts),
         fg_pct: totals.fieldPercent,
-        three_made: totals.threeFg / gamesPlayed,
-        three_att: totals.threeAttempts / gamesPlayed,
+        three_made: normalize(totals.threeFg),
+        three_att: normalize(totals.threeAttempts),
         three_pct: totals.threePercent,
-        ft_made: totals.ft / gamesPlayed,
-        ft_att: totals.ftAttempts / gamesPlayed,
+        ft_made: normalize(totals.ft),
+        ft_att: normalize(totals.ftAttempts),
         ft_pct: totals.ftPercent
     };
 }
@@ -130,7 +147,58 @@ export function convertTeamFormat(teamName, format = 'full') {
     return teamName;
 }
 
+/**
+ * NBA divisions and the conference each belongs to
+ * Teams are listed by the abbreviations convertTeamFormat uses
+ */
+export const NBA_DIVISIONS = {
+    Atlantic: { conference: 'East', teams: ['BOS', 'BRK', 'NYK', 'PHI', 'TOR'] },
+    Central: { conference: 'East', teams: ['CHI', 'CLE', 'DET', 'IND', 'MIL'] },
+    Southeast: { conference: 'East', teams: ['ATL', 'CHO', 'MIA', 'ORL', 'WAS'] },
+    Northwest: { conference: 'West', teams: ['DEN', 'MIN', 'OKC', 'POR', 'UTA'] },
+    Pacific: { conference: 'West', teams: ['GSW', 'LAC', 'LAL', 'PHO', 'SAC'] },
+    Southwest: { conference: 'West', teams: ['DAL', 'HOU', 'MEM', 'NOP', 'SAS'] }
+};
+
+/**
+ * Looks up the conference and division of an NBA team
+ * 
+ * @param {string} teamName - Team name or abbreviation (any format convertTeamFormat accepts)
+ * @returns {Object|null} { conference: 'East' or 'West', division }, or null for an unknown team
+ */
+export function getConferenceAndDivision(teamName) {
+    const teamId = convertTeamFormat(teamName, 'id');
+    
+    for (const [division, { conference, teams }] of Object.entries(NBA_DIVISIONS)) {
+        if (teams.some(abbr => convertTeamFormat(abbr, 'id') === teamId)) {
+            return { conference, division };
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds the abbreviation NBA_DIVISIONS lists a team under
+ * Lets callers accept the alternative abbreviations too (e.g., 'BKN', 'CHA', 'PHX')
+ * 
+ * @param {string} teamName - Team name or abbreviation (any format convertTeamFormat accepts)
+ * @returns {string|null} Abbreviation from NBA_DIVISIONS (e.g., 'BRK'), or null for an unknown team
+ */
+export function getDivisionAbbreviation(teamName) {
+    const teamId = convertTeamFormat(teamName, 'id');
+    
+    for (const { teams } of Object.values(NBA_DIVISIONS)) {
+        const abbr = teams.find(abbr => convertTeamFormat(abbr, 'id') === teamId);
+        if (abbr) return abbr;
+    }
+    return null;
+}
+
 export default {
     calculatePerGameStats,
-    convertTeamFormat
+    calculateNormalizedStats,
+    convertTeamFormat,
+    getConferenceAndDivision,
+    getDivisionAbbreviation,
+    NBA_DIVISIONS
 };
\ No newline at end of file
@@ -0,0 +1,81 @@
+/**
+ * Schema Validation Utilities
+ *
+ * Minimal validator for request bodies described by a plain-object schema:
+ *   { fieldName: { type: 'boolean' | 'integer' | 'string', enum, min, max, default } }
+ *
+ * - Unknown fields are rejected so typos (e.g., "eplseason") don't silently fall back to defaults
+ * - Missing fields take their default (a function default is called at validation time)
+ * - Integers may be sent as numeric strings, since query strings and some clients send them that way
+ */
+
+/**
+ * Validates and normalises an input object against a schema
+ * @param {Object} schema - Field definitions
+ * @param {Object} input - Input to validate (e.g., req.body)
+ * @returns {Object} { value, errors } - value has every schema field; errors is empty when valid
+ */
+export function validateAgainstSchema(schema, input = {}) {
+  const errors = [];
+  const value = {};
+
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { value, errors: ['Body must be a JSON object'] };
+  }
+
+  for (const key of Object.keys(input)) {
+    if (!schema[key]) {
+      errors.push(`Unknown option "${key}". Allowed options: ${Object.keys(schema).join(', ')}`);
+    }
+  }
+
+  for (const [key, rules] of Object.entries(schema)) {
+    let fieldValue = input[key];
+
+    if (fieldValue === undefined || fieldValue === null) {
+      value[key] = typeof rules.default === 'function' ? rules.default() : rules.default;
+      continue;
+    }
+
+    if (rules.type === 'boolean') {
+      if (typeof fieldValue !== 'boolean') {
+        errors.push(`"${key}" must be true or false`);
+        continue;
+      }
+    } else if (rules.type === 'integer') {
+      if (typeof fieldValue === 'string' && /^-?\d+$/.test(fieldValue.trim())) {
+        fieldValue = parseInt(fieldValue, 10);
+      }
+      if (!Number.isInteger(fieldValue)) {
+        errors.push(`"${key}" must be an integer`);
+        continue;
+      }
+      if (rules.min !== undefined && fieldValue < rules.min) {
+        errors.push(`"${key}" must be at least ${rules.min}`);
+        continue;
+      }
+      if (rules.max !== undefined && fieldValue > rules.max) {
+        errors.push(`"${key}" must be at most ${rules.max}`);
+        continue;
+      }
+    } else if (rules.type === 'string') {
+      if (typeof fieldValue !== 'string') {
+        errors.push(`"${key}" must be a string`);
+        continue;
+      }
+    }
+
+    if (rules.enum && !rules.enum.includes(fieldValue)) {
+      errors.push(`"${key}" must be one of: ${rules.enum.join(', ')}`);
+      continue;
+    }
+
+    value[key] = fieldValue;
+  }
+
+  return { value, errors };
+}
+
+export default {
+  validateAgainstSchema
+};
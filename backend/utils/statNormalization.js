@@ -0,0 +1,193 @@
+/**
+ * Stat Normalization Utility Functions
+ *
+ * Shared by every endpoint that accepts ?mode= (players, teams, compare, heat maps, leaderboards):
+ * - totals: season totals as stored
+ * - perGame: per game played (NBA) or appearance (EPL)
+ * - per36: per 36 minutes played (NBA)
+ * - per100: per 100 possessions (NBA), from the possessions played while on the court
+ * - per90: per 90 minutes played (EPL)
+ *
+ * Only counting stats are normalized; percentages, ratings and season-level values
+ * (games, minutes per game, PER, win shares...) are always returned as stored
+ */
+
+/**
+ * Normalization modes per league
+ */
+export const STAT_MODES = {
+  NBA: ['totals', 'perGame', 'per36', 'per100'],
+  EPL: ['totals', 'perGame', 'per90']
+};
+
+export const MODE_LABELS = {
+  totals: 'Totals',
+  perGame: 'Per Game',
+  per36: 'Per 36 Minutes',
+  per100: 'Per 100 Possessions',
+  per90: 'Per 90 Minutes'
+};
+
+// Minutes in a game, used for team playing time
+export const GAME_MINUTES = {
+  NBA: 48,
+  EPL: 90
+};
+
+// Possessions per 48 minutes used when a season has no data to estimate pace from
+export const DEFAULT_NBA_PACE = 99;
+
+// NBA totals that are season-level values rather than counts
+const NBA_RATE_FIELDS = new Set(['totals.games', 'totals.gamesStarted', 'totals.minutesPg']);
+
+// EPL season fields that are playing time, ratings or percentages rather than counts
+const EPL_RATE_FIELDS = new Set(['appearances', 'lineups', 'minutes', 'rating', 'passes.accuracy']);
+
+/**
+ * Checks that a mode is supported for a league
+ * @param {string} league - 'NBA' or 'EPL'
+ * @param {string} mode - Requested mode
+ * @returns {boolean} Whether the mode can be used
+ */
+export function isValidMode(league, mode) {
+  return Boolean(STAT_MODES[league]?.includes(mode));
+}
+
+/**
+ * Whether a season field is a counting stat that normalization applies to
+ * NBA: the totals fields except games, minutes per game and percentages
+ * EPL: every numeric field except playing time, rating and pass accuracy
+ *
+ * @param {string} league - 'NBA' or 'EPL'
+ * @param {string} path - Dotted field path (e.g., 'totals.points', 'goals.total')
+ * @returns {boolean} Whether the field is normalized
+ */
+export function isCountingStat(league, path) {
+  if (league === 'NBA') {
+    return path.startsWith('totals.') && !path.endsWith('Percent') && !NBA_RATE_FIELDS.has(path);
+  }
+  return path !== 'season' && !EPL_RATE_FIELDS.has(path);
+}
+
+/**
+ * Estimates possessions from box score totals (FGA + 0.44 * FTA - ORB + TOV)
+ * @param {Object} totals - { fieldAttempts, ftAttempts, offensiveRb, turnovers }
+ * @returns {number} Estimated possessions
+ */
+export function estimatePossessions({ fieldAttempts = 0, ftAttempts = 0, offensiveRb = 0, turnovers = 0 }) {
+  return fieldAttempts + 0.44 * ftAttempts - offensiveRb + turnovers;
+}
+
+/**
+ * Estimates league pace (possessions per 48 minutes per team) from NBA season entries
+ * Every team has five players on the court, so team minutes are player minutes / 5
+ *
+ * @param {Array<Object>} seasonEntries - NBA season entries (regularSeasons or playoffs items)
+ * @returns {number} Possessions per 48 minutes
+ */
+export function estimatePace(seasonEntries) {
+  let possessions = 0;
+  let minutes = 0;
+
+  for (const entry of seasonEntries) {
+    const entryMinutes = getPlayerMinutes(entry);
+    if (!entryMinutes || !entry.totals) continue;
+    possessions += estimatePossessions(entry.totals);
+    minutes += entryMinutes;
+  }
+
+  if (!minutes || possessions <= 0) return DEFAULT_NBA_PACE;
+  return (possessions / (minutes / 5)) * 48;
+}
+
+/**
+ * Minutes an NBA player played in a season entry
+ * @param {Object} seasonData - NBA season entry
+ * @returns {number} Minutes played
+ */
+function getPlayerMinutes(seasonData) {
+  return seasonData.advanced?.minutesPlayed || (seasonData.totals?.minutesPg || 0) * (seasonData.totals?.games || 0);
+}
+
+/**
+ * Playing time a player's counting stats are divided by
+ *
+ * @param {string} league - 'NBA' or 'EPL'
+ * @param {Object} seasonData - Season entry
+ * @param {Object} options - Options
+ * @param {number} options.pace - NBA league pace, for per-100 possessions (see estimatePace)
+ * @returns {Object} { games, minutes, possessions } (possessions is null for EPL)
+ */
+export function getPlayingTime(league, seasonData, { pace = DEFAULT_NBA_PACE } = {}) {
+  if (league === 'NBA') {
+    const minutes = getPlayerMinutes(seasonData);
+    return {
+      games: seasonData.totals?.games || 0,
+      minutes,
+      possessions: (minutes * pace) / 48
+    };
+  }
+  return { games: seasonData.appearances || 0, minutes: seasonData.minutes || 0, possessions: null };
+}
+
+/**
+ * Applies a normalization mode to a counting stat
+ *
+ * @param {number|null} value - Season total
+ * @param {string} mode - 'totals', 'perGame', 'per36', 'per100' or 'per90'
+ * @param {Object} playingTime - { games, minutes, possessions } (see getPlayingTime)
+ * @returns {number|null} Normalized value (null when there is no playing time to divide by)
+ */
+export function normalizeValue(value, mode, { games, minutes, possessions }) {
+  if (value === null || value === undefined || mode === 'totals') return value ?? null;
+  if (mode === 'perGame') return games ? value / games : null;
+  if (mode === 'per36') return minutes ? (value / minutes) * 36 : null;
+  if (mode === 'per90') return minutes ? (value / minutes) * 90 : null;
+  if (mode === 'per100') return possessions ? (value / possessions) * 100 : null;
+  return value;
+}
+
+/**
+ * Returns a copy of a season entry with every counting stat normalized
+ * Non-counting fields (team, percentages, advanced stats, ids...) are copied as they are
+ *
+ * @param {string} league - 'NBA' or 'EPL'
+ * @param {Object} seasonData - Season entry (Mongoose subdocument or plain object)
+ * @param {string} mode - Normalization mode
+ * @param {Object} playingTime - { games, minutes, possessions } (see getPlayingTime)
+ * @returns {Object} Normalized season entry
+ */
+export function normalizeSeasonStats(league, seasonData, mode, playingTime) {
+  const source = typeof seasonData?.toObject === 'function' ? seasonData.toObject() : seasonData;
+
+  const walk = (obj, prefix) => {
+    const result = {};
+    for (const [key, value] of Object.entries(obj)) {
+      const path = `${prefix}${key}`;
+      if (typeof value === 'number') {
+        result[key] = isCountingStat(league, path) ? normalizeValue(value, mode, playingTime) : value;
+      } else if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        result[key] = walk(value, `${path}.`);
+      } else {
+        result[key] = value;
+      }
+    }
+    return result;
+  };
+
+  return walk(source || {}, '');
+}
+
+export default {
+  STAT_MODES,
+  MODE_LABELS,
+  GAME_MINUTES,
+  DEFAULT_NBA_PACE,
+  isValidMode,
+  isCountingStat,
+  estimatePossessions,
+  estimatePace,
+  getPlayingTime,
+  normalizeValue,
+  normalizeSeasonStats
+};
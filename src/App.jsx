@@ -9,6 +9,10 @@
  * - Standings pages: Shows all teams in a league with rankings
  * - Update page: Functionality to update sports data
  * - Search page: Shows search results for players and teams
+ * - Compare page: Shows two or more players side by side
+ * - Leaders pages: Ranks NBA or Premier League players by any stat
+ * - Fixtures page: Premier League fixtures and results calendar
+ * - Match page: A Premier League match's event timeline and lineups
  * 
  * The Header component is shown on all pages for consistent navigation.
  * 
@@ -31,6 +35,10 @@ import PlayerPage from "./Components/PlayerPage";
 import StandingsPage from "./Components/StandingsPage";
 import UpdatePage from "./Components/UpdatePage";
 import SearchResults from "./Components/SearchResults";
+import ComparePage from "./Components/ComparePage";
+import LeadersPage from "./Components/LeadersPage";
+import FixturesPage from "./Components/FixturesPage";
+import MatchPage from "./Components/MatchPage";
 
 import "./index.css";
 
@@ -92,6 +100,18 @@ function App() {
 
         {/* Search Results Page */}
         <Route path="/search" element={<SearchResults />} />
+
+        {/* Compare Page: head-to-head player comparison */}
+        <Route path="/compare" element={<ComparePage />} />
+
+        {/* Leaders Page: stat leaderboards for NBA or EPL */}
+        <Route path="/leaders/:league" element={<LeadersPage />} />
+
+        {/* Fixtures and results calendar */}
+        <Route path="/fixtures/:league" element={<FixturesPage />} />
+
+        {/* Match Page: event timeline and lineups */}
+        <Route path="/match/:fixtureId" element={<MatchPage />} />
       </Routes>
     </div>
   );
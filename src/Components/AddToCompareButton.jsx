@@ -0,0 +1,49 @@
+/**
+ * Add To Compare Button Component
+ *
+ * Adds a player to the compare list (kept in localStorage, see utils/compareList)
+ * Once the player is in the list, links to the /compare page with everyone in it
+ *
+ * Works inside player cards that are links: clicks don't trigger the card's navigation
+ */
+
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getCompareList, addToCompare, getCompareUrl, isComparable } from '../utils/compareList';
+import './AddToCompareButton.css';
+
+const AddToCompareButton = ({ player, compact = false }) => {
+  const navigate = useNavigate();
+  const [list, setList] = useState(getCompareList);
+
+  if (!player?.id || !isComparable(player.id)) return null;
+
+  const inList = list.some(p => p.id === player.id);
+
+  const handleClick = (e) => {
+    // Stop the surrounding player card link from navigating
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (inList) {
+      navigate(getCompareUrl(list));
+    } else {
+      setList(addToCompare({ id: player.id, name: player.name }));
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      className={`add-to-compare ${compact ? 'compact' : ''} ${inList ? 'in-list' : ''}`}
+      onClick={handleClick}
+      title={inList ? 'Open the comparison page' : 'Add this player to the comparison'}
+    >
+      {inList
+        ? `Compare (${list.length})`
+        : (compact ? '+ Compare' : '+ Add to compare')}
+    </button>
+  );
+};
+
+export default AddToCompareButton;
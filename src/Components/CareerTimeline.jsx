@@ -0,0 +1,142 @@
+/**
+ * Career Timeline Component
+ *
+ * Shows an NBA or EPL player's career team by team from their stints (GET /api/player/:playerId/stints):
+ * - One bar per regular season, split into team segments sized by games played for each team
+ * - Per-team splits for every season the player was traded (NBA) or transferred (EPL):
+ *   dates with the team, games, minutes and headline stats
+ *
+ * Stint dates come from game logs (NBA) or match lineups (EPL); without them a split is shown by games only
+ */
+
+import { useState, useEffect } from 'react';
+import { getPlayerStints } from '../api';
+import './CareerTimeline.css';
+
+const TEAM_COLORS = ['#1f77b4', '#ff7f0e', '#2ca02c', '#9467bd', '#8c564b', '#e377c2', '#17becf', '#bcbd22', '#7f7f7f', '#d62728'];
+
+const perGame = (total, games) => (games && typeof total === 'number' ? (total / games).toFixed(1) : '-');
+const percent = (value) => (typeof value === 'number' ? `${(value * 100).toFixed(1)}%` : '-');
+const number = (value, digits = 0) => (typeof value === 'number' ? value.toFixed(digits) : '-');
+
+/**
+ * Split table columns per league
+ */
+const SPLIT_COLUMNS = {
+  NBA: [
+    { label: 'GP', value: s => s.games ?? '-' },
+    { label: 'MIN', value: s => number(s.minutes) },
+    { label: 'PTS', value: s => perGame(s.stats.points, s.games) },
+    { label: 'REB', value: s => perGame(s.stats.rebounds, s.games) },
+    { label: 'AST', value: s => perGame(s.stats.assists, s.games) },
+    { label: 'FG%', value: s => percent(s.stats.fieldPercent) },
+    { label: '3P%', value: s => percent(s.stats.threePercent) },
+    { label: 'PER', value: s => number(s.stats.per, 1) }
+  ],
+  EPL: [
+    { label: 'Apps', value: s => s.games ?? '-' },
+    { label: 'Starts', value: s => s.gamesStarted ?? '-' },
+    { label: 'Min', value: s => number(s.minutes) },
+    { label: 'Goals', value: s => number(s.stats.goals) },
+    { label: 'Assists', value: s => number(s.stats.assists) },
+    { label: 'Rating', value: s => number(s.stats.rating, 2) }
+  ]
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+
+function CareerTimeline({ playerId, league }) {
+  const [career, setCareer] = useState(null);
+
+  useEffect(() => {
+    const fetchStints = async () => {
+      setCareer(await getPlayerStints(playerId));
+    };
+
+    if (playerId) fetchStints();
+  }, [playerId]);
+
+  if (!career || career.seasons.length === 0) return null;
+
+  const formatSeason = (year) => (league === 'EPL' ? `${year}-${String(year + 1).slice(-2)}` : String(year));
+
+  // One color per team, in the order the player first played for them
+  const teamColors = {};
+  career.seasons.forEach(season => season.stints.forEach(stint => {
+    if (!teamColors[stint.team]) {
+      teamColors[stint.team] = TEAM_COLORS[Object.keys(teamColors).length % TEAM_COLORS.length];
+    }
+  }));
+
+  const regularSeasons = career.seasons.filter(season => season.seasonType === 'regular');
+  const splitSeasons = career.seasons.filter(season => season.traded);
+  const columns = SPLIT_COLUMNS[league];
+
+  return (
+    <div className="career-timeline">
+      <h2>Career Timeline</h2>
+
+      <div className="career-bars">
+        {regularSeasons.map(season => {
+          const totalGames = season.stints.reduce((sum, stint) => sum + (stint.games || 0), 0);
+          return (
+            <div key={season.season} className="career-season">
+              <span className="career-season-label">{formatSeason(season.season)}</span>
+              <div className="career-bar">
+                {season.stints.map(stint => (
+                  <div
+                    key={stint.team}
+                    className="career-segment"
+                    style={{
+                      flexGrow: totalGames > 0 ? stint.games || 0 : 1,
+                      backgroundColor: teamColors[stint.team]
+                    }}
+                    title={`${stint.team}: ${stint.games ?? '?'} ${league === 'EPL' ? 'appearances' : 'games'}`}
+                  >
+                    {stint.team}
+                  </div>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {splitSeasons.length > 0 && (
+        <div className="career-splits">
+          <h3>{league === 'EPL' ? 'Transfer' : 'Trade'} Season Splits</h3>
+          {splitSeasons.map(season => (
+            <table key={`${season.season}-${season.seasonType}`} className="career-split-table">
+              <caption>
+                {formatSeason(season.season)}{season.seasonType === 'playoff' ? ' Playoffs' : ''}
+              </caption>
+              <thead>
+                <tr>
+                  <th>Team</th>
+                  <th>Dates</th>
+                  {columns.map(column => <th key={column.label}>{column.label}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {season.stints.map(stint => (
+                  <tr key={stint.team}>
+                    <td>
+                      <span className="career-team-swatch" style={{ backgroundColor: teamColors[stint.team] }} />
+                      {stint.team}
+                    </td>
+                    <td className="career-split-dates">
+                      {stint.startDate ? `${formatDate(stint.startDate)} - ${formatDate(stint.endDate)}` : 'Season split'}
+                    </td>
+                    {columns.map(column => <td key={column.label}>{column.value(stint)}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CareerTimeline;
@@ -0,0 +1,330 @@
+/**
+ * ComparePage Component
+ *
+ * Head-to-head comparison of two to four players from the same league (/compare?players=...):
+ * 1. Comparison table of counting (per game, or the global stat mode), shooting and advanced metrics,
+ *    with each metric's leader highlighted
+ * 2. Radar chart of league percentiles, so stats on different scales share one chart
+ * 3. Mirrored shooting/performance bar charts (SportsBarChart) for two of the players
+ *
+ * Players come from the URL, or from the compare list built with "Add to compare"
+ * on player pages and player lists. Removing a player updates both.
+ */
+
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import {
+  RadarChart, Radar, PolarGrid, PolarAngleAxis, PolarRadiusAxis,
+  Legend, Tooltip, ResponsiveContainer
+} from 'recharts';
+import { comparePlayers, getAvailableSeasons } from '../api';
+import { useSports } from '../context/SportsContext';
+import { getCompareList, removeFromCompare } from '../utils/compareList';
+import SportsBarChart from './SportsBarChart';
+import './ComparePage.css';
+
+// One color per compared player (table headers, radar and legends)
+const PLAYER_COLORS = ['#1f77b4', '#d62728', '#2ca02c', '#ff7f0e'];
+
+function ComparePage() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { selectedSeasons, getStatMode } = useSports();
+  const [comparison, setComparison] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [availableSeasons, setAvailableSeasons] = useState([]);
+  const [mirroredPair, setMirroredPair] = useState([0, 1]);
+
+  // Players from the URL, falling back to the stored compare list
+  const playersParam = searchParams.get('players');
+  const playerIds = playersParam
+    ? playersParam.split(',').filter(Boolean)
+    : getCompareList().map(p => p.id);
+  const league = playerIds[0]?.split('_')[0].toUpperCase() || null;
+  const season = parseInt(searchParams.get('season'), 10) || selectedSeasons[league] || null;
+  const type = searchParams.get('type') === 'playoff' ? 'playoff' : 'regular';
+  const statMode = league ? getStatMode(league) : null;
+  const playerKey = playerIds.join(',');
+
+  // Put the stored list in the URL so the comparison can be shared
+  useEffect(() => {
+    if (!playersParam && playerKey) {
+      setSearchParams({ players: playerKey }, { replace: true });
+    }
+  }, [playersParam, playerKey, setSearchParams]);
+
+  useEffect(() => {
+    if (!league) return;
+    getAvailableSeasons(league).then(setAvailableSeasons);
+  }, [league]);
+
+  useEffect(() => {
+    const fetchComparison = async () => {
+      if (playerKey.split(',').length < 2) {
+        setComparison(null);
+        return;
+      }
+
+      setLoading(true);
+      const data = await comparePlayers(playerKey.split(','), season, type, statMode);
+      if (data.error) {
+        setError(data.error);
+        setComparison(null);
+      } else {
+        setError(null);
+        setComparison(data);
+        setMirroredPair([0, 1]);
+      }
+      setLoading(false);
+    };
+
+    fetchComparison();
+  }, [playerKey, season, type, statMode]);
+
+  /**
+   * Updates one query parameter, keeping the others
+   */
+  const updateParam = (key, value) => {
+    const params = new URLSearchParams(searchParams);
+    params.set(key, value);
+    setSearchParams(params);
+  };
+
+  /**
+   * Removes a player from the comparison and the stored compare list
+   */
+  const handleRemove = (playerId) => {
+    removeFromCompare(playerId);
+    updateParam('players', playerIds.filter(id => id !== playerId).join(','));
+  };
+
+  // Percentages get a % sign; per-game rates one decimal place
+  const formatValue = (metric, value) => {
+    if (value === null || value === undefined) return 'N/A';
+    if (metric.percent) return `${value.toFixed(1)}%`;
+    return Number.isInteger(value) ? value : value.toFixed(metric.key === 'goalContributionsPer90' ? 2 : 1);
+  };
+
+  const formatSeason = (s) => (league === 'EPL' ? `${s}-${s + 1}` : s);
+
+  /**
+   * Wraps a season entry in the shape SportsBarChart reads (regularSeasons for NBA, seasons for EPL)
+   */
+  const toChartPlayer = (player) => (league === 'NBA'
+    ? { name: player.name, regularSeasons: [player.seasonStats] }
+    : { name: player.name, seasons: [player.seasonStats] });
+
+  /**
+   * Largest attempt count across the mirrored players, so both charts share one scale
+   */
+  const getMirroredMax = (players) => Math.max(...players.map(player => {
+    const s = player.seasonStats || {};
+    return league === 'NBA'
+      ? Math.max(s.totals?.fieldAttempts || 0, s.totals?.ftAttempts || 0)
+      : Math.max(s.shots?.total || 0, s.dribbles?.attempts || 0, s.duels?.total || 0, s.passes?.total || 0);
+  }));
+
+  const renderControls = () => (
+    <div className="compare-controls">
+      {availableSeasons.length > 0 && (
+        <label>
+          Season:{' '}
+          <select value={season || ''} onChange={(e) => updateParam('season', e.target.value)}>
+            {availableSeasons.map(s => (
+              <option key={s} value={s}>{formatSeason(s)}</option>
+            ))}
+          </select>
+        </label>
+      )}
+      {league === 'NBA' && (
+        <label>
+          Type:{' '}
+          <select value={type} onChange={(e) => updateParam('type', e.target.value)}>
+            <option value="regular">Regular Season</option>
+            <option value="playoff">Playoffs</option>
+          </select>
+        </label>
+      )}
+    </div>
+  );
+
+  const renderTable = () => (
+    <table className="compare-table">
+      <thead>
+        <tr>
+          <th>Metric</th>
+          {comparison.players.map((player, i) => (
+            <th key={player.playerId} style={{ borderBottomColor: PLAYER_COLORS[i] }}>
+              <Link to={`/player/${player.playerId}`}>{player.name}</Link>
+              <div className="compare-player-meta">
+                {player.hasSeason
+                  ? `${player.team || 'N/A'} · ${player.games ?? 0} ${league === 'NBA' ? 'games' : 'apps'}`
+                  : 'No data this season'}
+              </div>
+              <button
+                type="button"
+                className="compare-remove"
+                onClick={() => handleRemove(player.playerId)}
+                title="Remove from comparison"
+              >
+                ×
+              </button>
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {comparison.sections.map(section => (
+          <SectionRows key={section.key} section={section} formatValue={formatValue} />
+        ))}
+      </tbody>
+    </table>
+  );
+
+  const renderRadar = () => {
+    const data = comparison.radar.map(metric => {
+      const row = { metric: metric.label };
+      comparison.players.forEach((player, i) => {
+        row[player.playerId] = metric.percentiles[i] === null ? 0 : Math.round(metric.percentiles[i]);
+      });
+      return row;
+    });
+
+    return (
+      <div className="compare-card">
+        <h2>League Percentiles</h2>
+        <p className="compare-subtitle">
+          Where each player ranks among {comparison.leaguePlayerCount} qualifying players (100 = best in the league)
+        </p>
+        <ResponsiveContainer width="100%" height={380}>
+          <RadarChart data={data} outerRadius="75%">
+            <PolarGrid />
+            <PolarAngleAxis dataKey="metric" />
+            <PolarRadiusAxis domain={[0, 100]} tickCount={5} />
+            {comparison.players.map((player, i) => (
+              <Radar
+                key={player.playerId}
+                name={player.name}
+                dataKey={player.playerId}
+                stroke={PLAYER_COLORS[i]}
+                fill={PLAYER_COLORS[i]}
+                fillOpacity={0.15}
+              />
+            ))}
+            <Tooltip formatter={(value) => `${value}th percentile`} />
+            <Legend />
+          </RadarChart>
+        </ResponsiveContainer>
+      </div>
+    );
+  };
+
+  const renderMirroredCharts = () => {
+    const withData = comparison.players.filter(p => p.hasSeason);
+    if (withData.length < 2) return null;
+
+    const [leftIndex, rightIndex] = mirroredPair;
+    const left = comparison.players[leftIndex];
+    const right = comparison.players[rightIndex];
+    const maxValue = getMirroredMax([left, right]);
+
+    const renderPicker = (side) => (
+      <select
+        value={mirroredPair[side]}
+        onChange={(e) => {
+          const pair = [...mirroredPair];
+          pair[side] = parseInt(e.target.value, 10);
+          setMirroredPair(pair);
+        }}
+      >
+        {comparison.players.map((player, i) => (
+          <option key={player.playerId} value={i} disabled={!player.hasSeason || i === mirroredPair[1 - side]}>
+            {player.name}
+          </option>
+        ))}
+      </select>
+    );
+
+    return (
+      <div className="compare-card">
+        <h2>{league === 'NBA' ? 'Shooting Head-to-Head' : 'Performance Head-to-Head'}</h2>
+        {comparison.players.length > 2 && (
+          <div className="compare-mirrored-pickers">
+            {renderPicker(0)}
+            <span>vs</span>
+            {renderPicker(1)}
+          </div>
+        )}
+        {left.hasSeason && right.hasSeason ? (
+          <div className="compare-mirrored">
+            <SportsBarChart player={toChartPlayer(left)} sport={league} mirrored="left" maxValue={maxValue} />
+            <SportsBarChart player={toChartPlayer(right)} sport={league} mirrored="right" maxValue={maxValue} />
+          </div>
+        ) : (
+          <p className="compare-subtitle">Pick two players with data for this season.</p>
+        )}
+      </div>
+    );
+  };
+
+  if (playerIds.length < 2) {
+    return (
+      <div className="compare-page">
+        <h1>Compare Players</h1>
+        <div className="compare-card compare-empty">
+          <p>
+            Add at least two NBA or Premier League players with the &quot;Add to compare&quot; button
+            on player pages or team rosters.
+          </p>
+          {playerIds.length === 1 && <p>1 player selected so far.</p>}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="compare-page">
+      <h1>Compare Players</h1>
+      {renderControls()}
+
+      {loading && <div className="loading-container">Loading comparison...</div>}
+      {!loading && error && <div className="error-container">{error}</div>}
+
+      {!loading && comparison && (
+        <>
+          <div className="compare-card">{renderTable()}</div>
+          {renderRadar()}
+          {renderMirroredCharts()}
+        </>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Renders one section of the comparison table: a heading row and one row per metric
+ */
+function SectionRows({ section, formatValue }) {
+  return (
+    <>
+      <tr className="compare-section-row">
+        <td colSpan={section.metrics[0]?.values.length + 1}>{section.label}</td>
+      </tr>
+      {section.metrics.map(metric => (
+        <tr key={metric.key}>
+          <td className="compare-metric-label">
+            {metric.label}
+            {metric.lowerIsBetter && <span className="compare-hint"> (lower is better)</span>}
+          </td>
+          {metric.values.map((value, i) => (
+            <td key={i} className={metric.leader === i ? 'compare-leader' : ''}>
+              {formatValue(metric, value)}
+            </td>
+          ))}
+        </tr>
+      ))}
+    </>
+  );
+}
+
+export default ComparePage;
@@ -0,0 +1,193 @@
+/**
+ * FixturesPage Component
+ *
+ * Fixtures and results calendar for a league (/fixtures/EPL):
+ * - One month at a time, with matches grouped by day
+ * - Played matches show the score, upcoming ones the kick-off time, others their status (postponed, live...)
+ * - Filter by season and team; both live in the URL query string so a view can be shared
+ * - Each score or kick-off time links to the match page (events and lineups)
+ *
+ * Opens on the month of the next match (or the last month of a finished season)
+ */
+
+import { useState, useEffect } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { getFixtures, getEplTeams, getAvailableSeasons } from '../api';
+import { useSports } from '../context/SportsContext';
+import './FixturesPage.css';
+
+const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+const dayKey = (date) => `${monthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+
+const formatMonth = (key) => {
+  const [year, month] = key.split('-').map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+};
+
+const formatDay = (date) => date.toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'long' });
+const formatTime = (date) => date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+function FixturesPage() {
+  const { league: leagueParam } = useParams();
+  const league = leagueParam.toUpperCase() === 'PREMIER LEAGUE' ? 'EPL' : leagueParam.toUpperCase();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { selectedSeasons } = useSports();
+
+  const season = searchParams.get('season') || selectedSeasons[league] || '';
+  const team = searchParams.get('team') || '';
+
+  const [fixtures, setFixtures] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [availableSeasons, setAvailableSeasons] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchFilters = async () => {
+      const [seasons, leagueTeams] = await Promise.all([getAvailableSeasons(league), getEplTeams()]);
+      setAvailableSeasons(seasons);
+      setTeams([...leagueTeams].sort((a, b) => a.name.localeCompare(b.name)));
+    };
+
+    if (league === 'EPL') fetchFilters();
+  }, [league]);
+
+  useEffect(() => {
+    const fetchFixtures = async () => {
+      setLoading(true);
+      const data = await getFixtures(league, { season, team });
+      setFixtures((data?.fixtures || []).map(fixture => ({ ...fixture, date: new Date(fixture.date) })));
+      setLoading(false);
+    };
+
+    if (league === 'EPL') fetchFixtures();
+  }, [league, season, team]);
+
+  // Months that have matches, in order
+  const months = [...new Set(fixtures.map(fixture => monthKey(fixture.date)))];
+
+  // Default month: the next match's month, or the last month once the season is over
+  const nextFixture = fixtures.find(fixture => fixture.date >= new Date() && fixture.status?.state !== 'finished');
+  const defaultMonth = nextFixture ? monthKey(nextFixture.date) : months[months.length - 1];
+  const month = months.includes(searchParams.get('month')) ? searchParams.get('month') : defaultMonth;
+  const monthIndex = months.indexOf(month);
+
+  const updateParams = (changes) => {
+    const params = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === '' || value === null || value === undefined) params.delete(key);
+      else params.set(key, value);
+    });
+    // A new season or team has different months, so go back to the default one
+    if (!('month' in changes)) params.delete('month');
+    setSearchParams(params);
+  };
+
+  // Matches of the selected month grouped by day
+  const days = fixtures
+    .filter(fixture => monthKey(fixture.date) === month)
+    .reduce((groups, fixture) => {
+      const key = dayKey(fixture.date);
+      (groups[key] = groups[key] || { date: fixture.date, fixtures: [] }).fixtures.push(fixture);
+      return groups;
+    }, {});
+
+  const renderScore = (fixture) => {
+    const state = fixture.status?.state;
+    if (state === 'finished' || state === 'live') {
+      return (
+        <span className={`fixture-score ${state === 'live' ? 'live' : ''}`}>
+          {fixture.score?.home ?? '-'} - {fixture.score?.away ?? '-'}
+          {state === 'live' && fixture.status.elapsed ? ` (${fixture.status.elapsed}')` : ''}
+        </span>
+      );
+    }
+    if (state === 'postponed' || state === 'cancelled') {
+      return <span className="fixture-score fixture-status">{fixture.status.long || state}</span>;
+    }
+    return <span className="fixture-score fixture-time">{formatTime(fixture.date)}</span>;
+  };
+
+  const renderTeam = (side, fixture) => {
+    const fixtureTeam = fixture[side];
+    const won = fixture.winner === (side === 'homeTeam' ? 'home' : 'away');
+    return (
+      <span className={`fixture-team ${side === 'homeTeam' ? 'home' : 'away'} ${won ? 'winner' : ''}`}>
+        {fixtureTeam.logo && <img src={fixtureTeam.logo} alt="" className="fixture-logo" />}
+        <Link to={`/team/Premier League/${encodeURIComponent(fixtureTeam.name)}`}>{fixtureTeam.name}</Link>
+      </span>
+    );
+  };
+
+  if (league !== 'EPL') {
+    return <div className="error-container">Fixtures are available for the Premier League.</div>;
+  }
+
+  return (
+    <div className="fixtures-page">
+      <h1>Premier League Fixtures &amp; Results</h1>
+
+      <div className="fixtures-controls">
+        {availableSeasons.length > 0 && (
+          <label>
+            Season:{' '}
+            <select value={season} onChange={(e) => updateParams({ season: e.target.value })}>
+              {availableSeasons.map(s => (
+                <option key={s} value={s}>{`${s}-${s + 1}`}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        <label>
+          Team:{' '}
+          <select value={team} onChange={(e) => updateParams({ team: e.target.value })}>
+            <option value="">All teams</option>
+            {teams.map(t => (
+              <option key={t.id} value={t.id}>{t.name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {loading && <div className="loading-container">Loading fixtures...</div>}
+      {!loading && fixtures.length === 0 && (
+        <p className="fixtures-note">No fixtures stored for this season yet. They are fetched with the Premier League update.</p>
+      )}
+
+      {!loading && fixtures.length > 0 && (
+        <div className="fixtures-card">
+          <div className="fixtures-month-nav">
+            <button type="button" disabled={monthIndex <= 0} onClick={() => updateParams({ month: months[monthIndex - 1] })}>
+              ← Prev
+            </button>
+            <select value={month} onChange={(e) => updateParams({ month: e.target.value })}>
+              {months.map(m => (
+                <option key={m} value={m}>{formatMonth(m)}</option>
+              ))}
+            </select>
+            <button type="button" disabled={monthIndex >= months.length - 1} onClick={() => updateParams({ month: months[monthIndex + 1] })}>
+              Next →
+            </button>
+          </div>
+
+          {Object.entries(days).map(([key, day]) => (
+            <div key={key} className="fixtures-day">
+              <h3>{formatDay(day.date)}</h3>
+              {day.fixtures.map(fixture => (
+                <div key={fixture.fixtureId} className={`fixture-row ${fixture.status?.state || ''}`}>
+                  {renderTeam('homeTeam', fixture)}
+                  <Link to={`/match/${fixture.fixtureId}`} className="fixture-score-link">
+                    {renderScore(fixture)}
+                  </Link>
+                  {renderTeam('awayTeam', fixture)}
+                  {fixture.matchday && <span className="fixture-matchday">MD {fixture.matchday}</span>}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FixturesPage;
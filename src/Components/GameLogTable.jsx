@@ -0,0 +1,125 @@
+/**
+ * Game Log Table Component
+ *
+ * Shows an NBA player's per-game box scores for a season, newest first:
+ * - Date, opponent (with @ for away games), result and minutes
+ * - Full box score line (shooting splits, rebounds, assists, etc.)
+ * - A "last N games" selector with averages over the selected games for recent form
+ */
+
+import { useState, useEffect } from 'react';
+import { getNbaGameLog } from '../api';
+import './GameLogTable.css';
+
+// Options for the "last N games" selector (null = whole season)
+const LAST_GAMES_OPTIONS = [5, 10, 20, null];
+
+const GameLogTable = ({ playerId, season = null, type = 'regular' }) => {
+  const [gameLog, setGameLog] = useState(null);
+  const [lastGames, setLastGames] = useState(10);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      setIsLoading(true);
+      const data = await getNbaGameLog(playerId, season, lastGames, type);
+      setGameLog(data);
+      setIsLoading(false);
+    };
+
+    fetchData();
+  }, [playerId, season, lastGames, type]);
+
+  // Shooting percentages are stored as 0-1
+  const formatPercent = (value) => (
+    value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`
+  );
+
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+  if (isLoading) return <div className="loading-container">Loading game log...</div>;
+  if (!gameLog) return <div className="error-container">Failed to load game log.</div>;
+
+  return (
+    <div className="game-log-container">
+      <h2>Game Log</h2>
+
+      <div className="game-log-controls">
+        <label htmlFor="last-games-select">Show: </label>
+        <select
+          id="last-games-select"
+          value={lastGames ?? 'all'}
+          onChange={(e) => setLastGames(e.target.value === 'all' ? null : parseInt(e.target.value, 10))}
+        >
+          {LAST_GAMES_OPTIONS.map(option => (
+            <option key={option ?? 'all'} value={option ?? 'all'}>
+              {option ? `Last ${option} games` : 'Full season'}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {gameLog.games.length === 0 ? (
+        <p className="no-data-container">No game log available for this season.</p>
+      ) : (
+        <>
+          <div className="game-log-averages">
+            <span><strong>{gameLog.averages.points ?? '-'}</strong> PTS</span>
+            <span><strong>{gameLog.averages.totalRb ?? '-'}</strong> REB</span>
+            <span><strong>{gameLog.averages.assists ?? '-'}</strong> AST</span>
+            <span><strong>{gameLog.averages.minutes ?? '-'}</strong> MIN</span>
+            <span><strong>{formatPercent(gameLog.averages.fieldPercent)}</strong> FG</span>
+            <span><strong>{formatPercent(gameLog.averages.threePercent)}</strong> 3P</span>
+          </div>
+
+          <div className="game-log-table-wrapper">
+            <table className="game-log-table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Opp</th>
+                  <th>Result</th>
+                  <th>MIN</th>
+                  <th>PTS</th>
+                  <th>FG</th>
+                  <th>3P</th>
+                  <th>FT</th>
+                  <th>REB</th>
+                  <th>AST</th>
+                  <th>STL</th>
+                  <th>BLK</th>
+                  <th>TOV</th>
+                  <th>PF</th>
+                  <th>+/-</th>
+                </tr>
+              </thead>
+              <tbody>
+                {gameLog.games.map(game => (
+                  <tr key={game._id}>
+                    <td>{formatDate(game.gameDate)}</td>
+                    <td>{game.isHome ? 'vs' : '@'} {game.opponent}</td>
+                    <td>{game.result || '-'}</td>
+                    <td>{game.minutes}</td>
+                    <td className="points">{game.points}</td>
+                    <td>{game.fieldGoals}-{game.fieldAttempts}</td>
+                    <td>{game.threeFg}-{game.threeAttempts}</td>
+                    <td>{game.ft}-{game.ftAttempts}</td>
+                    <td>{game.totalRb}</td>
+                    <td>{game.assists}</td>
+                    <td>{game.steals}</td>
+                    <td>{game.blocks}</td>
+                    <td>{game.turnovers}</td>
+                    <td>{game.personalFouls}</td>
+                    <td>{game.plusMinus > 0 ? `+${game.plusMinus}` : game.plusMinus ?? '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default GameLogTable;
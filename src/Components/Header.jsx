@@ -6,6 +6,7 @@
  * 2. Global search functionality (not fully implemented yet)
  * 3. Access to the data update page
  * 4. Settings icon for future customization options
+ * 5. Global stat mode toggle (totals, per game, per 36/90 minutes, per 100 possessions)
  * 
  * The header maintains consistent navigation regardless of which page the user is on
  */
@@ -13,6 +14,7 @@ import { Link } from "react-router-dom";
 import "./Header.css";
 import SearchBar from "./SearchBar";
 import SettingsIcon from "./SettingsIcon";
+import StatModeToggle from "./StatModeToggle";
 
 function Header() {
   return (
@@ -29,8 +31,10 @@ function Header() {
         <SearchBar />
       </div>
       
-      {/* Empty div for flex balance */}
-      <div className="placeholder-right"></div>
+      {/* Stat mode toggle on the right (also balances the flex layout) */}
+      <div className="placeholder-right">
+        <StatModeToggle />
+      </div>
     </header>
   );
 }
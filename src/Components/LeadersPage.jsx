@@ -0,0 +1,292 @@
+/**
+ * LeadersPage Component
+ *
+ * Stat leaderboards for a league (/leaders/NBA or /leaders/EPL):
+ * - Rank players by any stored stat (picked from the backend's metric list)
+ * - Show totals, per-game, per-36 or per-100 possession (NBA) or per-90 (EPL) values
+ *   (defaults to the global stat mode from the header toggle)
+ * - Filter by season, NBA season type, position, team and minimum games
+ * - Click a column header to rank by that stat (click again to flip the order)
+ * - Page through the results
+ *
+ * All options live in the URL query string, so a leaderboard can be bookmarked or shared
+ */
+
+import { useState, useEffect } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { getLeaderboard, getLeaderboardMetrics, getAvailableSeasons } from '../api';
+import { useSports, MODE_LABELS } from '../context/SportsContext';
+import './LeadersPage.css';
+
+// Position filter options per league (values match the stored positions)
+const POSITIONS = {
+  NBA: ['PG', 'SG', 'SF', 'PF', 'C'],
+  EPL: ['Goalkeeper', 'Defender', 'Midfielder', 'Attacker']
+};
+
+function LeadersPage() {
+  const { league: leagueParam } = useParams();
+  const league = leagueParam.toUpperCase() === 'PREMIER LEAGUE' ? 'EPL' : leagueParam.toUpperCase();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { selectedSeasons, getStatMode } = useSports();
+
+  const [metricInfo, setMetricInfo] = useState(null);
+  const [availableSeasons, setAvailableSeasons] = useState([]);
+  const [board, setBoard] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [teamInput, setTeamInput] = useState(searchParams.get('team') || '');
+
+  // Current options from the URL
+  const options = {
+    metric: searchParams.get('metric') || '',
+    season: searchParams.get('season') || selectedSeasons[league] || '',
+    type: league === 'NBA' ? (searchParams.get('type') || 'regular') : '',
+    mode: searchParams.get('mode') || getStatMode(league) || 'totals',
+    position: searchParams.get('position') || '',
+    team: searchParams.get('team') || '',
+    minGames: searchParams.get('minGames') || '',
+    order: searchParams.get('order') || '',
+    page: searchParams.get('page') || 1
+  };
+  const optionsKey = JSON.stringify(options);
+
+  useEffect(() => {
+    const fetchMetadata = async () => {
+      const [info, seasons] = await Promise.all([getLeaderboardMetrics(league), getAvailableSeasons(league)]);
+      setMetricInfo(info);
+      setAvailableSeasons(seasons);
+    };
+
+    fetchMetadata();
+  }, [league]);
+
+  useEffect(() => {
+    const fetchBoard = async () => {
+      setLoading(true);
+      setBoard(await getLeaderboard(league, JSON.parse(optionsKey)));
+      setLoading(false);
+    };
+
+    fetchBoard();
+  }, [league, optionsKey]);
+
+  /**
+   * Updates query parameters; any change other than paging goes back to page 1
+   */
+  const updateOptions = (changes) => {
+    const params = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === '' || value === null || value === undefined) params.delete(key);
+      else params.set(key, value);
+    });
+    if (!('page' in changes)) params.delete('page');
+    setSearchParams(params);
+  };
+
+  /**
+   * Column header click: rank by that stat, or flip the order if it's already the ranked stat
+   */
+  const handleSort = (key) => {
+    if (board?.metric.key === key) {
+      updateOptions({ order: board.order === 'desc' ? 'asc' : 'desc' });
+    } else {
+      updateOptions({ metric: key, order: '' });
+    }
+  };
+
+  // fraction: stored 0-1, percent: stored 0-100
+  const formatValue = (column, value) => {
+    if (value === null || value === undefined) return '-';
+    if (column.format === 'fraction') return `${(value * 100).toFixed(1)}%`;
+    if (column.format === 'percent') return `${value.toFixed(1)}%`;
+    return Number.isInteger(value) ? value : value.toFixed(options.mode === 'totals' ? 1 : 2);
+  };
+
+  const formatSeason = (s) => (league === 'EPL' ? `${s}-${s + 1}` : s);
+
+  // Group metrics (totals/advanced for NBA, stat category for EPL) for the dropdown
+  const metricGroups = (metricInfo?.metrics || []).reduce((groups, metric) => {
+    (groups[metric.group] = groups[metric.group] || []).push(metric);
+    return groups;
+  }, {});
+
+  const renderControls = () => (
+    <div className="leaders-controls">
+      <label>
+        Stat:{' '}
+        <select value={board?.metric?.key || options.metric} onChange={(e) => updateOptions({ metric: e.target.value, order: '' })}>
+          {Object.entries(metricGroups).map(([group, metrics]) => (
+            <optgroup key={group} label={group.charAt(0).toUpperCase() + group.slice(1)}>
+              {metrics.map(metric => (
+                <option key={metric.key} value={metric.key}>{metric.label}</option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+      </label>
+
+      <label>
+        Show:{' '}
+        <select value={options.mode} onChange={(e) => updateOptions({ mode: e.target.value })}>
+          {(metricInfo?.modes || ['totals']).map(mode => (
+            <option key={mode} value={mode}>{MODE_LABELS[mode] || mode}</option>
+          ))}
+        </select>
+      </label>
+
+      {availableSeasons.length > 0 && (
+        <label>
+          Season:{' '}
+          <select value={options.season} onChange={(e) => updateOptions({ season: e.target.value })}>
+            {availableSeasons.map(s => (
+              <option key={s} value={s}>{formatSeason(s)}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {league === 'NBA' && (
+        <label>
+          Type:{' '}
+          <select value={options.type} onChange={(e) => updateOptions({ type: e.target.value })}>
+            <option value="regular">Regular Season</option>
+            <option value="playoff">Playoffs</option>
+          </select>
+        </label>
+      )}
+
+      <label>
+        Position:{' '}
+        <select value={options.position} onChange={(e) => updateOptions({ position: e.target.value })}>
+          <option value="">All</option>
+          {POSITIONS[league].map(position => (
+            <option key={position} value={position}>{position}</option>
+          ))}
+        </select>
+      </label>
+
+      <form
+        className="leaders-team-filter"
+        onSubmit={(e) => {
+          e.preventDefault();
+          updateOptions({ team: teamInput.trim() });
+        }}
+      >
+        <label>
+          Team:{' '}
+          <input
+            type="text"
+            value={teamInput}
+            placeholder={league === 'NBA' ? 'e.g. LAL' : 'e.g. Arsenal'}
+            onChange={(e) => setTeamInput(e.target.value)}
+            onBlur={() => updateOptions({ team: teamInput.trim() })}
+          />
+        </label>
+      </form>
+
+      <label>
+        Min {league === 'NBA' ? 'games' : 'apps'}:{' '}
+        <input
+          type="number"
+          min="0"
+          className="leaders-min-games"
+          value={options.minGames}
+          placeholder="default"
+          onChange={(e) => updateOptions({ minGames: e.target.value })}
+        />
+      </label>
+    </div>
+  );
+
+  const renderPagination = () => {
+    if (!board || board.pages <= 1) return null;
+    const page = board.page;
+
+    return (
+      <div className="leaders-pagination">
+        <button type="button" disabled={page <= 1} onClick={() => updateOptions({ page: page - 1 })}>
+          ← Prev
+        </button>
+        <span>Page {page} of {board.pages} ({board.total} players)</span>
+        <button type="button" disabled={page >= board.pages} onClick={() => updateOptions({ page: page + 1 })}>
+          Next →
+        </button>
+      </div>
+    );
+  };
+
+  const renderTable = () => (
+    <table className="leaders-table">
+      <thead>
+        <tr>
+          <th>#</th>
+          <th className="leaders-player">Player</th>
+          <th>Team</th>
+          <th>Pos</th>
+          <th>{league === 'NBA' ? 'G' : 'Apps'}</th>
+          {board.columns.map(column => (
+            <th
+              key={column.key}
+              className={`sortable ${board.metric.key === column.key ? 'sorted' : ''}`}
+              onClick={() => handleSort(column.key)}
+              title={column.lowerIsBetter ? `${column.label} (lower is better)` : `Rank by ${column.label}`}
+            >
+              {column.label}
+              {board.metric.key === column.key && (board.order === 'desc' ? ' ▼' : ' ▲')}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {board.players.map(player => (
+          <tr key={player.playerId}>
+            <td>{player.rank}</td>
+            <td className="leaders-player">
+              <Link to={`/player/${player.playerId}`} state={{ league }}>{player.name}</Link>
+            </td>
+            <td>{player.team || '-'}</td>
+            <td>{player.position || '-'}</td>
+            <td>{player.games}</td>
+            {board.columns.map(column => (
+              <td key={column.key} className={board.metric.key === column.key ? 'sorted' : ''}>
+                {formatValue(column, player.columns[column.key])}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  if (!POSITIONS[league]) {
+    return <div className="error-container">Leaderboards are available for NBA and EPL.</div>;
+  }
+
+  return (
+    <div className="leaders-page">
+      <h1>{league === 'EPL' ? 'Premier League' : league} Leaders</h1>
+      {renderControls()}
+
+      {loading && <div className="loading-container">Loading leaderboard...</div>}
+      {!loading && board?.error && <div className="error-container">{board.error}</div>}
+
+      {!loading && board && !board.error && (
+        <div className="leaders-card">
+          {board.mode !== 'totals' && !board.metric.normalizable && (
+            <p className="leaders-note">{board.metric.label} is a rate stat, so it is shown as stored.</p>
+          )}
+          {board.players.length === 0 ? (
+            <p className="leaders-note">No players match these filters.</p>
+          ) : (
+            <>
+              {renderTable()}
+              {renderPagination()}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LeadersPage;
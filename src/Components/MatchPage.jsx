@@ -0,0 +1,256 @@
+/**
+ * MatchPage Component
+ *
+ * Match detail page for a Premier League fixture (/match/:fixtureId):
+ * - Score, half-time score, kick-off time, venue and referee
+ * - Event timeline in match order: goals, cards, substitutions and VAR decisions,
+ *   home team events on the left and away team events on the right
+ * - Formation diagram with both starting XIs placed on a pitch from their lineup grid positions,
+ *   and the substitutes below it
+ *
+ * Events and lineups are fetched once a match has finished, so upcoming matches only show the header
+ */
+
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { getFixtureDetails } from '../api';
+import './MatchPage.css';
+
+const formatMinute = (event) => `${event.minute ?? ''}${event.extra ? `+${event.extra}` : ''}'`;
+
+/**
+ * Short label and CSS class for an event's icon
+ */
+const getEventIcon = (event) => {
+  if (event.type === 'Goal') {
+    if (event.detail === 'Missed Penalty') return { label: '✕', className: 'missed' };
+    return { label: '⚽', className: 'goal' };
+  }
+  if (event.type === 'Card') {
+    return { label: '', className: /red/i.test(event.detail) ? 'red-card' : 'yellow-card' };
+  }
+  if (event.type === 'subst') return { label: '⇄', className: 'sub' };
+  return { label: 'VAR', className: 'var' };
+};
+
+/**
+ * Positions a team's starting XI on a horizontal pitch from their "row:column" grid values
+ * Row 1 is the goalkeeper, so rows run from the team's own goal towards halfway.
+ * The away team is mirrored onto the right half
+ * @returns {Array|null} Players with left/top percentages, or null when grid positions are missing
+ */
+const placeStarters = (lineup, side) => {
+  const starters = lineup?.startXI || [];
+  if (starters.length === 0 || starters.some(player => !player.grid)) return null;
+
+  const parsed = starters.map(player => {
+    const [row, column] = player.grid.split(':').map(Number);
+    return { ...player, row, column };
+  });
+  const rows = Math.max(...parsed.map(player => player.row));
+
+  return parsed.map(player => {
+    const inRow = parsed.filter(other => other.row === player.row).length;
+    const depth = ((player.row - 0.5) / rows) * 50;
+    const across = ((player.column - 0.5) / inRow) * 100;
+    return {
+      ...player,
+      left: side === 'home' ? depth : 100 - depth,
+      top: side === 'home' ? across : 100 - across
+    };
+  });
+};
+
+function MatchPage() {
+  const { fixtureId } = useParams();
+  const [details, setDetails] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchDetails = async () => {
+      setLoading(true);
+      setDetails(await getFixtureDetails(fixtureId));
+      setLoading(false);
+    };
+
+    fetchDetails();
+  }, [fixtureId]);
+
+  if (loading) return <div className="loading-container">Loading match...</div>;
+  if (!details) return <div className="error-container">Match not found.</div>;
+
+  const { fixture, timeline, lineups } = details;
+  const state = fixture.status?.state;
+  const hasScore = state === 'finished' || state === 'live';
+  const kickOff = new Date(fixture.date);
+
+  const renderPlayer = (player) => {
+    if (!player?.name) return null;
+    return player.hasPage ? <Link to={`/player/${player.playerId}`}>{player.name}</Link> : player.name;
+  };
+
+  const renderTeam = (team) => (
+    <Link to={`/team/Premier League/${encodeURIComponent(team.name)}`} className="match-team">
+      {team.logo && <img src={team.logo} alt="" className="match-team-logo" />}
+      <span>{team.name}</span>
+    </Link>
+  );
+
+  const renderEvent = (event) => {
+    const icon = getEventIcon(event);
+    return (
+      <div className="match-event">
+        <span className={`match-event-icon ${icon.className}`}>{icon.label}</span>
+        <div>
+          {event.type === 'subst' ? (
+            <>
+              <div className="sub-on">↑ {renderPlayer(event.assist)}</div>
+              <div className="sub-off">↓ {renderPlayer(event.player)}</div>
+            </>
+          ) : (
+            <div className="match-event-player">{renderPlayer(event.player)}</div>
+          )}
+          <div className="match-event-detail">
+            {event.type === 'Goal' && event.assist?.name ? <>Assist: {renderPlayer(event.assist)}</> : null}
+            {event.type === 'Goal' && event.detail !== 'Normal Goal' ? ` ${event.detail}` : ''}
+            {event.type === 'Card' || event.type === 'Var' ? event.detail : ''}
+            {event.comments ? ` (${event.comments})` : ''}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const renderTimeline = () => {
+    let halfTimeShown = false;
+    return timeline.map((event, index) => {
+      // Mark half time before the first second-half event
+      const showHalfTime = !halfTimeShown && event.minute > 45;
+      if (showHalfTime) halfTimeShown = true;
+
+      return (
+        <div key={index}>
+          {showHalfTime && (
+            <div className="timeline-break">
+              HT {fixture.score?.halftime?.home ?? ''} - {fixture.score?.halftime?.away ?? ''}
+            </div>
+          )}
+          <div className={`timeline-row ${event.side}`}>
+            <div className="timeline-side home">{event.side === 'home' && renderEvent(event)}</div>
+            <div className="timeline-minute">{formatMinute(event)}</div>
+            <div className="timeline-side away">{event.side === 'away' && renderEvent(event)}</div>
+          </div>
+        </div>
+      );
+    });
+  };
+
+  const renderFormation = () => {
+    const home = placeStarters(lineups.home, 'home');
+    const away = placeStarters(lineups.away, 'away');
+    if (!home || !away) return null;
+
+    return (
+      <div className="pitch">
+        <div className="pitch-halfway" />
+        <div className="pitch-circle" />
+        {[...home, ...away].map((player, index) => (
+          <div
+            key={`${player.playerId || player.name}-${index}`}
+            className={`pitch-player ${index < home.length ? 'home' : 'away'}`}
+            style={{ left: `${player.left}%`, top: `${player.top}%` }}
+          >
+            <span className="pitch-player-number">{player.number ?? ''}</span>
+            <span className="pitch-player-name">{renderPlayer(player)}</span>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const renderLineupList = (lineup, team) => {
+    if (!lineup) return null;
+    return (
+      <div className="lineup-list">
+        <h3>{team.name} <span className="lineup-formation">{lineup.formation}</span></h3>
+        {lineup.coach && <p className="lineup-coach">Manager: {lineup.coach}</p>}
+        <h4>Starting XI</h4>
+        <ul>
+          {lineup.startXI.map((player, index) => (
+            <li key={index}><span className="lineup-number">{player.number}</span> {renderPlayer(player)}</li>
+          ))}
+        </ul>
+        <h4>Substitutes</h4>
+        <ul>
+          {lineup.substitutes.map((player, index) => (
+            <li key={index}><span className="lineup-number">{player.number}</span> {renderPlayer(player)}</li>
+          ))}
+        </ul>
+      </div>
+    );
+  };
+
+  return (
+    <div className="match-page">
+      <Link to={`/fixtures/EPL?season=${fixture.season}`} className="back-link">← Fixtures</Link>
+
+      <div className="match-header">
+        {renderTeam(fixture.homeTeam)}
+        <div className="match-score">
+          {hasScore ? (
+            <>
+              <div className={`match-score-value ${state === 'live' ? 'live' : ''}`}>
+                {fixture.score?.home ?? '-'} - {fixture.score?.away ?? '-'}
+              </div>
+              <div className="match-status">
+                {state === 'live' ? `Live ${fixture.status.elapsed ?? ''}'` : fixture.status?.long}
+              </div>
+            </>
+          ) : (
+            <div className="match-status">{state === 'scheduled' ? 'vs' : fixture.status?.long || state}</div>
+          )}
+        </div>
+        {renderTeam(fixture.awayTeam)}
+      </div>
+
+      <p className="match-info">
+        {fixture.matchday ? `Matchday ${fixture.matchday} · ` : ''}
+        {kickOff.toLocaleString(undefined, { weekday: 'long', day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit' })}
+        {fixture.venue?.name ? ` · ${fixture.venue.name}` : ''}
+        {fixture.referee ? ` · Referee: ${fixture.referee}` : ''}
+      </p>
+
+      {!fixture.detailsUpdated && (
+        <p className="match-note">
+          {state === 'finished'
+            ? 'Events and lineups for this match are fetched with the next Premier League update.'
+            : 'Events and lineups are shown once the match has finished.'}
+        </p>
+      )}
+
+      {timeline.length > 0 && (
+        <div className="match-card">
+          <h2>Timeline</h2>
+          <div className="timeline">{renderTimeline()}</div>
+        </div>
+      )}
+
+      {(lineups.home || lineups.away) && (
+        <div className="match-card">
+          <h2>Lineups</h2>
+          <div className="formation-labels">
+            <span>{lineups.home?.formation}</span>
+            <span>{lineups.away?.formation}</span>
+          </div>
+          {renderFormation()}
+          <div className="lineup-lists">
+            {renderLineupList(lineups.home, fixture.homeTeam)}
+            {renderLineupList(lineups.away, fixture.awayTeam)}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MatchPage;
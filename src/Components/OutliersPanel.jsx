@@ -0,0 +1,111 @@
+/**
+ * Outliers Panel Component
+ *
+ * Shows where a player sits relative to the rest of the league for key metrics:
+ * - The player's value next to the league average
+ * - The z-score (standard deviations from the league mean)
+ * - A marker on a -3 to +3 scale so the distance from average is visible at a glance
+ *
+ * Metrics whose z-score exceeds the backend's outlier threshold are highlighted
+ */
+
+import { useState, useEffect } from 'react';
+import { getPlayerZScores } from '../api';
+import './OutliersPanel.css';
+
+// The marker scale is clamped to +/- 3 standard deviations
+const SCALE_LIMIT = 3;
+
+const OutliersPanel = ({ league, playerId, season = null, type = 'regular' }) => {
+  const [analysis, setAnalysis] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      setIsLoading(true);
+      const data = await getPlayerZScores(league, playerId, season, type);
+      setAnalysis(data);
+      setIsLoading(false);
+    };
+
+    fetchData();
+  }, [league, playerId, season, type]);
+
+  // Percentages are stored as 0-1 for NBA and 0-100 for EPL, everything else as-is
+  const formatValue = (metric, value) => {
+    if (value === null || value === undefined) return 'N/A';
+    if (league === 'NBA' && metric === 'tsPercent') return `${(value * 100).toFixed(1)}%`;
+    if (metric === 'passAccuracy') return `${value.toFixed(0)}%`;
+    return Number.isInteger(value) ? value : value.toFixed(1);
+  };
+
+  // Position of the marker as a percentage of the bar width
+  const markerPosition = (zScore) => {
+    const clamped = Math.max(-SCALE_LIMIT, Math.min(SCALE_LIMIT, zScore));
+    return ((clamped + SCALE_LIMIT) / (SCALE_LIMIT * 2)) * 100;
+  };
+
+  if (isLoading) return <div className="loading-container">Loading outlier analysis...</div>;
+  if (!analysis) return <div className="error-container">Failed to load outlier analysis.</div>;
+
+  const player = analysis.players[0];
+
+  if (!player) {
+    return (
+      <div className="outliers-panel">
+        <h2>Outliers</h2>
+        <p className="outliers-subtitle">
+          Not enough {league === 'NBA' ? 'games' : 'appearances'} this season to compare against the league
+          (minimum {analysis.minGames}).
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="outliers-panel">
+      <h2>Outliers</h2>
+      <p className="outliers-subtitle">
+        Compared with {analysis.playerCount} qualifying players.
+        Highlighted metrics are at least {analysis.threshold} standard deviations from the league average.
+      </p>
+
+      <table className="outliers-table">
+        <thead>
+          <tr>
+            <th>Metric</th>
+            <th>Player</th>
+            <th>League Avg</th>
+            <th>Z-Score</th>
+            <th className="scale-column">-3σ &nbsp; avg &nbsp; +3σ</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(analysis.metrics).map(([metric, stats]) => {
+            const zScore = player.zScores[metric];
+            const isOutlier = player.outliers.includes(metric);
+
+            return (
+              <tr key={metric} className={isOutlier ? (zScore > 0 ? 'outlier-high' : 'outlier-low') : ''}>
+                <td className="metric-name">{stats.label}</td>
+                <td>{formatValue(metric, player.values[metric])}</td>
+                <td>{formatValue(metric, stats.mean)}</td>
+                <td>{zScore !== null ? `${zScore > 0 ? '+' : ''}${zScore.toFixed(2)}` : 'N/A'}</td>
+                <td className="scale-column">
+                  {zScore !== null && (
+                    <div className="z-scale">
+                      <div className="z-scale-center" />
+                      <div className="z-scale-marker" style={{ left: `${markerPosition(zScore)}%` }} />
+                    </div>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default OutliersPanel;
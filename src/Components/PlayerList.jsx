@@ -10,9 +10,11 @@
  * - Premier League (EPL): Shows player name, position, goals, and appearances
  * 
  * Each player is displayed as a clickable card that links to their detailed stats page
+ * NBA and EPL cards also have an "add to compare" button for the /compare page
  * This component is used in both team pages and search results
  */
 import { Link } from "react-router-dom";
+import AddToCompareButton from "./AddToCompareButton";
 
 /**
  * Renders a list of players with sport-specific information
@@ -67,6 +69,8 @@ function PlayerList({ players, sport }) {
               <p>{player.name} - {player.position || "N/A"} {player.number && player.number !== "N/A" ? `- #${player.number}` : ""}</p>
             </div>
           )}
+
+          <AddToCompareButton player={player} compact />
         </Link>
       ))}
     </div>
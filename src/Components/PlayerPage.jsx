@@ -12,6 +12,10 @@
  * 2. Dynamically fetches and displays season-specific stats
  * 3. Has specialized display for goalkeepers vs field players
  * 4. Re-fetches data when season selection changes
+ * 5. NBA and EPL players can be added to the comparison page (/compare)
+ * 6. Shows a season-over-season trend chart across every stored season
+ * 7. NBA/EPL counting stats follow the global stat mode (per game, per 36/90 minutes...)
+ * 8. NBA/EPL players get a career timeline of their teams, with per-team splits for traded seasons
  * 
  * The component fetches player data based on the ID from the URL
  * and adapts its display based on the player's sport.
@@ -20,16 +24,23 @@
 import { useEffect, useState } from 'react';
 import { useParams, Link, useNavigate, useLocation } from 'react-router-dom';
 import { getPlayerDetails, getLastUpdateTime } from '../api';
-import { useSports } from '../context/SportsContext';
+import { useSports, MODE_LABELS } from '../context/SportsContext';
 import NBAScatterChart from './NBAScatterChart';
 import SportsBarChart from './SportsBarChart';
+import OutliersPanel from './OutliersPanel';
+import GameLogTable from './GameLogTable';
+import SeasonTrendChart from './SeasonTrendChart';
+import CareerTimeline from './CareerTimeline';
+import AddToCompareButton from './AddToCompareButton';
 import { getFullTeamName } from '../utils/teamUtils'; // Utility function to convert team abbreviations to full names
 import './PlayerPage.css';
 
 function PlayerPage() {
   const { id } = useParams();
   const location = useLocation();
-  const { selectedSeasons, setSeason } = useSports();
+  const { selectedSeasons, setSeason, getStatMode } = useSports();
+  // Stat mode for this player's league (the league comes from the ID prefix)
+  const statMode = getStatMode(id.split('_')[0].toUpperCase());
   const [player, setPlayer] = useState(null);
   const [loading, setLoading] = useState(true);
   const [availableSeasons, setAvailableSeasons] = useState([]);
@@ -87,7 +98,7 @@ function PlayerPage() {
         );
 
         // Pass selected season to API for season-specific data
-        const data = await getPlayerDetails(id, seasonToUse); // Fetches all the player's detailed data
+        const data = await getPlayerDetails(id, seasonToUse, statMode); // Fetches all the player's detailed data
         setPlayer(data);
 
         // Extract available seasons from the response
@@ -141,7 +152,7 @@ function PlayerPage() {
     };
 
     fetchPlayerDetails();
-  }, [id, selectedSeason, selectedSeasons]); // Re-fetch when selected season changes
+  }, [id, selectedSeason, selectedSeasons, statMode]); // Re-fetch when selected season or stat mode changes
 
   /**
    * Creates season selector dropdown for player page
@@ -209,6 +220,7 @@ function PlayerPage() {
         <h1>{player.name}</h1>
         {renderSeasonSelector()}
         {renderLastUpdate()}
+        <AddToCompareButton player={{ id, name: player.name }} />
         
         {player.team && (
           <div className="player-team">
@@ -247,7 +259,7 @@ function PlayerPage() {
       {player.league === 'NBA' && (
         <>
           <div className="nba-stats">
-          <h3>NBA Stats (Season {selectedSeason || 'Current'})</h3>
+          <h3>NBA Stats (Season {selectedSeason || 'Current'}{player.mode ? `, ${MODE_LABELS[player.mode]}` : ''})</h3>
             <p><strong>Points:</strong> {player.stats?.sportStats?.points || "0"}</p>
             <p><strong>Assists:</strong> {player.stats?.sportStats?.assists || "0"}</p>
             <p><strong>Rebounds:</strong> {player.stats?.sportStats?.rebounds || "0"}</p>
@@ -269,7 +281,22 @@ function PlayerPage() {
               compact={true} 
               season={selectedSeason}
             />
+
+            <OutliersPanel
+              league="NBA"
+              playerId={id}
+              season={selectedSeason}
+            />
           </div>
+
+          <SeasonTrendChart player={player} sport="NBA" season={selectedSeason} />
+
+          <CareerTimeline playerId={id} league="NBA" />
+
+          <GameLogTable
+            playerId={player.nbaStatsRef || id.replace('nba_', '')}
+            season={selectedSeason}
+          />
         </>
       )}
 
@@ -286,7 +313,7 @@ function PlayerPage() {
       {player.league === 'EPL' && (
         <>
           <div className="epl-stats">
-            <h3>Premier League Stats</h3>
+            <h3>Premier League Stats{player.mode && player.mode !== 'totals' ? ` (${MODE_LABELS[player.mode]})` : ''}</h3>
             <p><strong>Position:</strong> {player.position || "N/A"}</p>
           
             {/* Common stats for all players */}
@@ -332,7 +359,17 @@ function PlayerPage() {
               season={selectedSeason}
               compact={true} 
             />
+
+            <OutliersPanel
+              league="EPL"
+              playerId={id}
+              season={selectedSeason}
+            />
           </div>
+
+          <SeasonTrendChart player={player} sport="EPL" season={selectedSeason} />
+
+          <CareerTimeline playerId={id} league="EPL" />
         </>
       )}
 
@@ -0,0 +1,224 @@
+/**
+ * Season Trend Chart Component
+ *
+ * Plots a player's stored seasons as a line chart for one selectable metric:
+ * - NBA: per-game stats, TS%, PER, usage and win shares from regularSeasons,
+ *   with the playoff series overlaid when the player has playoff data
+ * - EPL: goals, assists, rating, pass accuracy and more from seasons
+ *
+ * Seasons where the player's team changed are marked with a dashed line,
+ * and every x-axis tick shows the team the player finished that season with
+ */
+
+import { useState } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid,
+  Tooltip, Legend, ReferenceLine, ResponsiveContainer
+} from 'recharts';
+import './SeasonTrendChart.css';
+
+/**
+ * Divides a total by games, returning null when there are no games
+ */
+const perGame = (total, games) => (games && typeof total === 'number' ? total / games : null);
+
+/**
+ * Selectable metrics per sport
+ * - value: extracts the metric from a season entry
+ * - percent: shown with a % sign (NBA percentages are stored 0-1 and converted here)
+ * - rate: EPL only - averaged by appearances (instead of summed) when a season has several team entries
+ */
+const TREND_METRICS = {
+  NBA: {
+    points: { label: 'Points Per Game', value: s => perGame(s.totals?.points, s.totals?.games) },
+    rebounds: { label: 'Rebounds Per Game', value: s => perGame(s.totals?.totalRb, s.totals?.games) },
+    assists: { label: 'Assists Per Game', value: s => perGame(s.totals?.assists, s.totals?.games) },
+    tsPercent: { label: 'True Shooting %', percent: true, value: s => (typeof s.advanced?.tsPercent === 'number' ? s.advanced.tsPercent * 100 : null) },
+    per: { label: 'Player Efficiency Rating', value: s => s.advanced?.per },
+    usagePercent: { label: 'Usage %', percent: true, value: s => s.advanced?.usagePercent },
+    winShares: { label: 'Win Shares', value: s => s.advanced?.winShares },
+    minutes: { label: 'Minutes Per Game', value: s => s.totals?.minutesPg }
+  },
+  EPL: {
+    goals: { label: 'Goals', value: s => s.goals?.total },
+    assists: { label: 'Assists', value: s => s.goals?.assists },
+    rating: { label: 'Average Rating', rate: true, value: s => (s.rating ? Number(s.rating) : null) },
+    passAccuracy: { label: 'Pass Accuracy', percent: true, rate: true, value: s => s.passes?.accuracy },
+    keyPasses: { label: 'Key Passes', value: s => s.passes?.key },
+    tackles: { label: 'Tackles', value: s => s.tackles?.total },
+    appearances: { label: 'Appearances', value: s => s.appearances }
+  }
+};
+
+const REGULAR_COLOR = '#1f77b4';
+const PLAYOFF_COLOR = '#ff7f0e';
+
+/**
+ * Reduces a season's entries (one per team the player appeared for) to a single value
+ * Counting stats are summed, rate stats are averaged weighted by appearances
+ */
+const combineEntries = (metric, entries) => {
+  const valued = entries
+    .map(entry => ({ value: metric.value(entry), weight: entry.appearances || 1 }))
+    .filter(v => typeof v.value === 'number' && Number.isFinite(v.value));
+  if (valued.length === 0) return null;
+
+  if (metric.rate) {
+    const totalWeight = valued.reduce((sum, v) => sum + v.weight, 0);
+    return valued.reduce((sum, v) => sum + v.value * v.weight, 0) / totalWeight;
+  }
+  return valued.reduce((sum, v) => sum + v.value, 0);
+};
+
+/**
+ * Groups season entries by season year
+ * @param {Array} seasons - Season entries
+ * @returns {Map<number, Array>} Entries per season
+ */
+const groupBySeason = (seasons = []) => {
+  const grouped = new Map();
+  for (const entry of seasons) {
+    if (!grouped.has(entry.season)) grouped.set(entry.season, []);
+    grouped.get(entry.season).push(entry);
+  }
+  return grouped;
+};
+
+const SeasonTrendChart = ({ player, sport = 'NBA', season = null }) => {
+  const metrics = TREND_METRICS[sport];
+  const [selectedMetric, setSelectedMetric] = useState(Object.keys(metrics)[0]);
+  // Fall back to the first metric if the sport changed under a previous selection
+  const metricKey = metrics[selectedMetric] ? selectedMetric : Object.keys(metrics)[0];
+  const metric = metrics[metricKey];
+
+  const regular = groupBySeason(sport === 'NBA' ? player?.regularSeasons : player?.seasons);
+  const playoffs = groupBySeason(sport === 'NBA' ? player?.playoffs : []);
+  const hasPlayoffs = playoffs.size > 0;
+
+  // One point per season, oldest first, with the team(s) the player played for
+  const seasonYears = [...new Set([...regular.keys(), ...playoffs.keys()])].sort((a, b) => a - b);
+  const formatSeason = (year) => (sport === 'EPL' ? `${year}-${String(year + 1).slice(-2)}` : String(year));
+
+  let previousTeam = null;
+  const data = seasonYears.map(year => {
+    const entries = regular.get(year) || playoffs.get(year);
+    const team = [...new Set(entries.map(e => e.team).filter(Boolean))].join(' / ');
+    const teamChanged = previousTeam !== null && team !== '' && team !== previousTeam;
+    if (team) previousTeam = team;
+
+    return {
+      season: formatSeason(year),
+      year,
+      team,
+      teamChanged,
+      regular: regular.has(year) ? combineEntries(metric, regular.get(year)) : null,
+      playoff: playoffs.has(year) ? combineEntries(metric, playoffs.get(year)) : null
+    };
+  });
+
+  const formatValue = (value) => {
+    if (value === null || value === undefined) return 'N/A';
+    const rounded = Number.isInteger(value) ? value : value.toFixed(1);
+    return metric.percent ? `${rounded}%` : rounded;
+  };
+
+  /**
+   * X-axis tick: season on the first line, team on the second (highlighted when it changed)
+   */
+  const renderTick = ({ x, y, payload }) => {
+    const point = data.find(d => d.season === payload.value);
+    return (
+      <g transform={`translate(${x},${y})`}>
+        <text x={0} y={0} dy={14} textAnchor="middle" fill="#333" fontSize={12}>
+          {payload.value}
+        </text>
+        <text
+          x={0}
+          y={0}
+          dy={30}
+          textAnchor="middle"
+          fill={point?.teamChanged ? '#d62728' : '#888'}
+          fontSize={11}
+          fontWeight={point?.teamChanged ? 'bold' : 'normal'}
+        >
+          {point?.team}
+        </text>
+      </g>
+    );
+  };
+
+  const renderTooltip = ({ active, payload, label }) => {
+    if (!active || !payload || !payload.length) return null;
+    const point = payload[0].payload;
+    return (
+      <div className="custom-tooltip">
+        <p><strong>{label}</strong> {point.team && `(${point.team})`}</p>
+        <p>Regular season: {formatValue(point.regular)}</p>
+        {hasPlayoffs && <p>Playoffs: {formatValue(point.playoff)}</p>}
+        {point.teamChanged && <p className="trend-team-change">New team</p>}
+      </div>
+    );
+  };
+
+  if (data.length === 0) return null;
+
+  return (
+    <div className="season-trend-chart">
+      <h2>Season Trends</h2>
+      <div className="trend-metric-selector">
+        <label htmlFor="trend-metric">Metric: </label>
+        <select id="trend-metric" value={metricKey} onChange={(e) => setSelectedMetric(e.target.value)}>
+          {Object.entries(metrics).map(([key, m]) => (
+            <option key={key} value={key}>{m.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {data.length === 1 && (
+        <p className="trend-note">Only one season is stored for this player so far.</p>
+      )}
+
+      <ResponsiveContainer width="100%" height={340}>
+        <LineChart data={data} margin={{ top: 20, right: 30, left: 10, bottom: 30 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="season" tick={renderTick} interval={0} height={50} />
+          <YAxis tickFormatter={(v) => (metric.percent ? `${v}%` : v)} />
+          <Tooltip content={renderTooltip} />
+          <Legend verticalAlign="top" />
+
+          {/* Team changes */}
+          {data.filter(d => d.teamChanged).map(d => (
+            <ReferenceLine key={`team-${d.season}`} x={d.season} stroke="#d62728" strokeDasharray="4 4" />
+          ))}
+
+          {/* Currently selected season */}
+          {season && data.some(d => d.year === season) && (
+            <ReferenceLine x={formatSeason(season)} stroke="#999" strokeWidth={6} strokeOpacity={0.15} />
+          )}
+
+          <Line
+            type="monotone"
+            dataKey="regular"
+            name={sport === 'NBA' ? 'Regular Season' : metric.label}
+            stroke={REGULAR_COLOR}
+            strokeWidth={2}
+            connectNulls
+          />
+          {hasPlayoffs && (
+            <Line
+              type="monotone"
+              dataKey="playoff"
+              name="Playoffs"
+              stroke={PLAYOFF_COLOR}
+              strokeWidth={2}
+              strokeDasharray="6 3"
+              connectNulls
+            />
+          )}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default SeasonTrendChart;
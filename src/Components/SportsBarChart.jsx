@@ -4,6 +4,10 @@
  * Shows shooting/performance statistics as a bar chart:
  * - NBA: FG, 2PT, 3PT, FT made vs attempted with percentages
  * - EPL: Shots, dribbles, duels, passes with sport-specific labels and colors
+ *
+ * With the mirrored prop the bars run horizontally, growing left ('left') or right ('right'),
+ * so two charts placed side by side form a head-to-head comparison (see ComparePage)
+ * maxValue gives both charts the same scale
  */
 
 import { useState, useEffect } from 'react';
@@ -17,7 +21,9 @@ const SportsBarChart = ({
   player,
   sport = 'NBA',
   season = null,
-  compact = false 
+  compact = false,
+  mirrored = null,
+  maxValue = null
 }) => {
   const [data, setData] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
@@ -297,6 +303,44 @@ const SportsBarChart = ({
   if (error) return <div className="error-container">{error}</div>;
   if (!data.length) return <div className="no-data-container">No data available for this player.</div>;
 
+  // Mirrored charts: horizontal bars on a shared scale, category labels on the inner edge
+  if (mirrored) {
+    const isLeft = mirrored === 'left';
+    return (
+      <div className={`bar-chart-container mirrored-chart mirrored-${mirrored}`}>
+        <h2>{player.name}</h2>
+        <div className="chart-area">
+          <ResponsiveContainer width="100%" height={320}>
+            <BarChart
+              data={data}
+              layout="vertical"
+              margin={{ top: 10, right: isLeft ? 0 : 40, left: isLeft ? 40 : 0, bottom: 10 }}
+            >
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis type="number" reversed={isLeft} domain={[0, maxValue || 'auto']} />
+              <YAxis type="category" dataKey="name" orientation={isLeft ? 'right' : 'left'} width={90} />
+              <Tooltip content={renderCustomTooltip} />
+
+              <Bar dataKey="made">
+                {data.map((entry, index) => (
+                  <Cell key={`made-${index}`} fill={getBarFill(entry, 'made')} />
+                ))}
+                <LabelList dataKey="made" position={isLeft ? 'left' : 'right'} />
+              </Bar>
+
+              <Bar dataKey="attempted">
+                {data.map((entry, index) => (
+                  <Cell key={`attempted-${index}`} fill={getBarFill(entry, 'attempted')} />
+                ))}
+                <LabelList dataKey="attempted" position={isLeft ? 'left' : 'right'} />
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className={`bar-chart-container ${compact ? 'compact-chart' : ''}`}>
       <h2>{sport === 'NBA' ? 'Shooting Statistics' : 'Performance Statistics'}</h2>
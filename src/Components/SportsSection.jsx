@@ -4,8 +4,10 @@
  * This is the main component displayed on the homepage of the application.
  * It shows three sport categories (NBA, NFL, EPL) with:
  *  - Sport logo and name
- *  - Top 5 players in that sport
+ *  - Top 5 trending players in that sport, with the reason each one is trending
+ *    (recent form vs season average, over a selectable 7/14/30 day window)
  *  - Link to view all teams in that sport
+ *  - Link to the stat leaderboards (NBA and Premier League)
  * 
  * The component fetches data when mounted and displays loading states during data retrieval
  * Each sport card has the same structure but displays different data
@@ -21,6 +23,13 @@ import nbaLogo from "../assets/nba-logo.png";
 import premLogo from "../assets/prem-logo.png";
 import axios from "axios";
 
+// Trend windows offered on the homepage (must match sportsConfig.trending.windows on the backend)
+const TREND_WINDOWS = [
+  { value: "7d", label: "7 days" },
+  { value: "14d", label: "14 days" },
+  { value: "30d", label: "30 days" }
+];
+
 function SportsSection() {
   // State for storing top players from each league
   const { selectedSeasons, setSeason } = useSports();
@@ -31,6 +40,7 @@ function SportsSection() {
   const [loading, setLoading] = useState(true);
   const [availableNbaSeasons, setAvailableNbaSeasons] = useState([]);
   const [availableEplSeasons, setAvailableEplSeasons] = useState([]);
+  const [trendWindow, setTrendWindow] = useState("14d");
 
   /**
    * Effect to fetch top players data when component mounts or seasons change
@@ -43,15 +53,15 @@ function SportsSection() {
         
         // Fetch in parallel to improve speed
         const [nbaPlayersRes, nflPlayersRes, eplPlayersRes, updateTimeRes] = await Promise.all([
-          getNbaPlayers(selectedSeasons.NBA).catch(err => {
+          getNbaPlayers(selectedSeasons.NBA, trendWindow).catch(err => {
             console.error("NBA fetch failed:", err);
             return []; // Return empty array on error
           }),
-          getNflPlayers().catch(err => {
+          getNflPlayers(null, trendWindow).catch(err => {
             console.error("NFL fetch failed:", err);
             return []; // Return empty array on error
           }),
-          getEplPlayers(selectedSeasons.EPL).catch(err => {
+          getEplPlayers(selectedSeasons.EPL, trendWindow).catch(err => {
             console.error("EPL fetch failed:", err);
             return []; // Return empty array on error
           }),
@@ -73,7 +83,7 @@ function SportsSection() {
     };
 
     fetchData();
-  }, [selectedSeasons.NBA, selectedSeasons.EPL]); // Re-fetch data when selected seasons change
+  }, [selectedSeasons.NBA, selectedSeasons.EPL, trendWindow]); // Re-fetch data when selected seasons or trend window change
 
   useEffect(() => {
     async function fetchSeasons() {
@@ -143,6 +153,17 @@ function SportsSection() {
     );
   };
 
+  /**
+   * Builds a tooltip listing every component of a trending player's score
+   * e.g., "PTS: 31.2 recent vs 26.4 season (+0.42)"
+   */
+  const buildComponentTooltip = (player) => {
+    if (!player.components) return undefined;
+    return player.components
+      .map(c => `${c.label}: ${c.recent} recent vs ${c.baseline} season (${c.score > 0 ? '+' : ''}${c.score})`)
+      .join("\n");
+  };
+
   // Sports categories with their logos and dynamic player data
   const sports = [
     { 
@@ -173,6 +194,19 @@ function SportsSection() {
       {/* Last Update Banner */}
       {/* Removed last update info block to remove the sentence and white box */}
 
+      <div className="trend-window-selector">
+        <label htmlFor="trend-window">Trending over the last </label>
+        <select
+          id="trend-window"
+          value={trendWindow}
+          onChange={(e) => setTrendWindow(e.target.value)}
+        >
+          {TREND_WINDOWS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
       <div className="sports-section">
         {sports.map((sport, index) => (
           <div key={index} className="sport-category">
@@ -192,6 +226,14 @@ function SportsSection() {
                     >
                       {player.name}
                     </Link>
+                    {player.reason && (
+                      <div
+                        className={`trending-reason ${player.trending ? "" : "trending-fallback"}`}
+                        title={buildComponentTooltip(player)}
+                      >
+                        {player.reason}
+                      </div>
+                    )}
                   </li>
                 ))
               ) : (
@@ -201,6 +243,19 @@ function SportsSection() {
             <div className="teams-section">
               <h3>
                 <Link to={`/standings/${sport.name}`} className="teams-link">Teams</Link>
+                {sport.name !== "NFL" && (
+                  <Link
+                    to={`/leaders/${sport.name === "Premier League" ? "EPL" : sport.name}`}
+                    className="teams-link leaders-link"
+                  >
+                    Leaders
+                  </Link>
+                )}
+                {sport.name === "Premier League" && (
+                  <Link to="/fixtures/EPL" className="teams-link leaders-link">
+                    Fixtures
+                  </Link>
+                )}
               </h3>
             </div>
           </div>
@@ -2,12 +2,16 @@
  * StandingsPage Component
  * 
  * This component displays all teams for a specific sports league:
- * - NBA: Teams displayed in alphabetical order
+ * - NBA: East and West conference tables (record, games behind, home/away/conference records, streak)
+ *   with the playoff and play-in cut lines; an alphabetical list until standings have been fetched
  * - NFL: Teams displayed in order of win percentage
- * - Premier League: Teams displayed in rank order with position numbers
+ * - Premier League: Full league table in rank order (goals for/against, goal difference, last-5 form),
+ *   with Champions League, Europa League, Conference League and relegation zones coloured
  * 
  * The component fetches data from sport-specific API endpoints and
  * provides navigation links to individual team pages.
+ * NBA and Premier League standings also show a team x stat heat map (TeamHeatMap)
+ * whose cells link to the same team pages.
  * 
  * Attemped to update to integrate with SportsContext, providing consistent season selection across app.
  * However, did not have the correct data in the database to implement and test this.
@@ -18,10 +22,47 @@
 import { useEffect, useState } from "react";
 import { useParams, Link } from "react-router-dom";
 import { getNbaTeams, getNflTeams, getEplTeams } from "../api";
+import TeamHeatMap from "./TeamHeatMap";
 import { useSports } from "../context/SportsContext";
 import axios from "axios";
 import "./StandingsPage.css";
 
+// NBA seeds 1-6 go straight to the playoffs, seeds 7-10 to the play-in tournament
+const PLAYOFF_SEEDS = 6;
+const PLAY_IN_SEEDS = 10;
+
+const formatRecord = (record) => (record ? `${record.wins}-${record.losses}` : "-");
+const formatWinPct = (pct) => (typeof pct === "number" ? pct.toFixed(3).replace(/^0/, "") : "-");
+const formatGamesBehind = (gb) => (typeof gb === "number" && gb > 0 ? gb.toFixed(1) : "-");
+
+// Premier League zones, matched against the API's standings description (e.g. "Promotion - Champions League (League phase: )")
+const EPL_ZONES = [
+  { key: "ucl", label: "Champions League", pattern: /champions league/i },
+  { key: "uel", label: "Europa League", pattern: /europa league/i },
+  { key: "uecl", label: "Conference League", pattern: /conference league/i },
+  { key: "relegation", label: "Relegation", pattern: /relegation/i }
+];
+
+const getEplZoneClass = (description) => {
+  const zone = EPL_ZONES.find((z) => z.pattern.test(description || ""));
+  return zone ? `zone-${zone.key}` : "";
+};
+
+const FORM_LABELS = { W: "Win", D: "Draw", L: "Loss" };
+
+// Last five results as pills, oldest first (the order the API sends them)
+const renderForm = (form) => (
+  <span className="form-guide">
+    {(form || "").slice(-5).split("").map((result, index) => (
+      <span key={index} className={`form-pill form-${result.toLowerCase()}`} title={FORM_LABELS[result] || result}>
+        {result}
+      </span>
+    ))}
+  </span>
+);
+
+const formatGoalDifference = (gd) => (typeof gd === "number" ? (gd > 0 ? `+${gd}` : gd) : "-");
+
 function StandingsPage() {
   // Extract league parameter from URL
   const { league } = useParams();
@@ -142,6 +183,71 @@ function StandingsPage() {
   //   );
   // };
 
+  // Teams of one NBA conference in seed order
+  const getConferenceTeams = (conference) =>
+    teams
+      .filter((team) => team.conference === conference)
+      .sort((a, b) => (a.standings?.rank ?? 99) - (b.standings?.rank ?? 99) || a.name.localeCompare(b.name));
+
+  const getSeedClass = (rank) => {
+    const classes = [];
+    if (rank <= PLAYOFF_SEEDS) classes.push("playoff-seed");
+    else if (rank <= PLAY_IN_SEEDS) classes.push("play-in-seed");
+    if (rank === PLAYOFF_SEEDS || rank === PLAY_IN_SEEDS) classes.push("cut-line");
+    return classes.join(" ");
+  };
+
+  const renderNbaConference = (conference) => (
+    <div className="standings-table-container" key={conference}>
+      <h2 className="conference-title">{conference === "East" ? "Eastern" : "Western"} Conference</h2>
+      <table className="standings-table">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th className="team-column">Team</th>
+            <th>W</th>
+            <th>L</th>
+            <th>PCT</th>
+            <th>GB</th>
+            <th>Home</th>
+            <th>Away</th>
+            <th>Conf</th>
+            <th>L10</th>
+            <th>Strk</th>
+          </tr>
+        </thead>
+        <tbody>
+          {getConferenceTeams(conference).map((team) => (
+            <tr key={team.name} className={getSeedClass(team.standings?.rank)}>
+              <td className="position">{team.standings?.rank ?? "-"}</td>
+              <td className="team-column">
+                {team.logo && (
+                  <img
+                    src={team.logo}
+                    alt={team.name}
+                    className="team-logo"
+                  />
+                )}
+                <Link to={`/team/${league}/${encodeURIComponent(team.name)}`}>
+                  {team.name}
+                </Link>
+              </td>
+              <td>{team.standings?.wins ?? "-"}</td>
+              <td>{team.standings?.losses ?? "-"}</td>
+              <td>{formatWinPct(team.standings?.winPercentage)}</td>
+              <td>{formatGamesBehind(team.standings?.gamesBehind)}</td>
+              <td>{formatRecord(team.standings?.homeRecord)}</td>
+              <td>{formatRecord(team.standings?.awayRecord)}</td>
+              <td>{formatRecord(team.standings?.conferenceRecord)}</td>
+              <td>{formatRecord(team.standings?.lastTen)}</td>
+              <td>{team.standings?.streak || "-"}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
   if (loading) return <p>Loading teams...</p>;
 
   return (
@@ -161,12 +267,16 @@ function StandingsPage() {
                 <th>W</th>
                 <th>D</th>
                 <th>L</th>
+                <th>GF</th>
+                <th>GA</th>
+                <th>GD</th>
                 <th>Pts</th>
+                <th>Form</th>
               </tr>
             </thead>
             <tbody>
               {teams.map((team, index) => (
-                <tr key={team.name}>
+                <tr key={team.name} className={getEplZoneClass(team.standings?.description)} title={team.standings?.description || undefined}>
                   <td className="position">{index + 1}</td>
                   <td className="team-column">
                     {team.logo && (
@@ -184,12 +294,31 @@ function StandingsPage() {
                   <td>{team.standings?.wins || 0}</td>
                   <td>{team.standings?.draws || 0}</td>
                   <td>{team.standings?.losses || 0}</td>
+                  <td>{team.standings?.goalsFor ?? "-"}</td>
+                  <td>{team.standings?.goalsAgainst ?? "-"}</td>
+                  <td>{formatGoalDifference(team.standings?.goalDifference)}</td>
                   <td className="points">{team.standings?.points || 0}</td>
+                  <td>{renderForm(team.standings?.form)}</td>
                 </tr>
               ))}
             </tbody>
           </table>
+          <p className="standings-legend">
+            {EPL_ZONES.map((zone) => (
+              <span key={zone.key}>
+                <span className={`legend-swatch zone-${zone.key}`} /> {zone.label}
+              </span>
+            ))}
+          </p>
         </div>
+      ) : league === "NBA" && teams.some((team) => team.conference) ? (
+        <>
+          {["East", "West"].map(renderNbaConference)}
+          <p className="standings-legend">
+            <span className="legend-swatch playoff-seed" /> Playoffs (1-{PLAYOFF_SEEDS})
+            <span className="legend-swatch play-in-seed" /> Play-In ({PLAYOFF_SEEDS + 1}-{PLAY_IN_SEEDS})
+          </p>
+        </>
       ) : (
         <ul className="standings-list">
           {teams.map((team, index) => (
@@ -208,6 +337,14 @@ function StandingsPage() {
           ))}
         </ul>
       )}
+      {(league === "NBA" || league === "Premier League") && (
+        <TeamHeatMap
+          league={league === "NBA" ? "NBA" : "EPL"}
+          sport={league}
+          season={selectedSeason}
+          teams={teams}
+        />
+      )}
       <Link to="/">← Back to Home</Link>
     </div>
   );
@@ -0,0 +1,27 @@
+/**
+ * StatModeToggle Component
+ *
+ * Global stat mode selector shown in the header
+ * The choice is kept in SportsContext (and localStorage), and pages that show
+ * counting stats (player, team, compare, heat map and leaders pages) request it from the API
+ */
+
+import { useSports, STAT_MODE_OPTIONS } from '../context/SportsContext';
+import './StatModeToggle.css';
+
+function StatModeToggle() {
+  const { statMode, setStatMode } = useSports();
+
+  return (
+    <label className="stat-mode-toggle">
+      <span>Stats:</span>
+      <select value={statMode} onChange={(e) => setStatMode(e.target.value)}>
+        {STAT_MODE_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default StatModeToggle;
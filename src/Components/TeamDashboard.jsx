@@ -0,0 +1,214 @@
+/**
+ * Team Dashboard Component
+ *
+ * Team-level aggregates for an NBA or EPL team page, built by the backend from the
+ * season stats of everyone who played for the team:
+ * - Points/goals for and against (against is an estimate, explained under the cards)
+ * - Shooting splits and, for NBA, where the points come from (2PT/3PT/FT)
+ * - Each player's share of the team's points or goals
+ * - How the team's minutes are spread across the roster
+ * - Age profile: average and minutes-weighted age, and minutes by age bracket
+ *
+ * Points/goals for and against follow the global stat mode; shares and percentages don't change with it
+ */
+
+import { useState, useEffect } from 'react';
+import {
+  BarChart, Bar, PieChart, Pie, Cell, XAxis, YAxis, CartesianGrid,
+  Tooltip, ResponsiveContainer
+} from 'recharts';
+import { getTeamStats } from '../api';
+import { MODE_LABELS } from '../context/SportsContext';
+import './TeamDashboard.css';
+
+const CHART_COLORS = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf'];
+
+// Players shown individually in the scoring share pie and minutes chart; the rest are grouped
+const SHARE_PLAYERS = 7;
+const MINUTES_PLAYERS = 12;
+
+const formatNumber = (value, digits = 1) => (typeof value === 'number' ? value.toFixed(digits) : '-');
+const formatPercent = (value) => (typeof value === 'number' ? `${value.toFixed(1)}%` : '-');
+
+/**
+ * Keeps the top players of a share list and groups everyone else as "Others"
+ */
+const groupShares = (entries, limit) => {
+  const top = entries.slice(0, limit);
+  const rest = entries.slice(limit);
+  if (rest.length === 0) return top;
+  return [
+    ...top,
+    {
+      playerId: 'others',
+      name: `Others (${rest.length})`,
+      value: rest.reduce((sum, e) => sum + e.value, 0),
+      share: rest.reduce((sum, e) => sum + (e.share || 0), 0)
+    }
+  ];
+};
+
+function TeamDashboard({ league, teamId, season, mode }) {
+  const [type, setType] = useState('regular');
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchStats = async () => {
+      setLoading(true);
+      setStats(await getTeamStats(teamId, season, league === 'NBA' ? type : 'regular', mode));
+      setLoading(false);
+    };
+
+    if (teamId) fetchStats();
+  }, [teamId, season, type, mode, league]);
+
+  if (!teamId) return null;
+
+  const renderSummary = () => {
+    const { summary } = stats;
+    const unit = summary.label.toLowerCase();
+    const modeLabel = MODE_LABELS[stats.mode] || stats.mode;
+
+    return (
+      <>
+        <div className="dashboard-cards">
+          <div className="dashboard-card">
+            <span className="dashboard-card-label">{summary.label} For</span>
+            <span className="dashboard-card-value">{formatNumber(summary.for)}</span>
+          </div>
+          <div className="dashboard-card">
+            <span className="dashboard-card-label">{summary.label} Against*</span>
+            <span className="dashboard-card-value">{formatNumber(summary.against)}</span>
+          </div>
+          <div className="dashboard-card">
+            <span className="dashboard-card-label">Margin</span>
+            <span className={`dashboard-card-value ${summary.margin > 0 ? 'positive' : summary.margin < 0 ? 'negative' : ''}`}>
+              {summary.margin > 0 ? '+' : ''}{formatNumber(summary.margin)}
+            </span>
+          </div>
+          {league === 'NBA' && (
+            <div className="dashboard-card">
+              <span className="dashboard-card-label">Net Rating*</span>
+              <span className="dashboard-card-value">{formatNumber(summary.netRating)}</span>
+            </div>
+          )}
+        </div>
+        <p className="dashboard-note">
+          {modeLabel} over {stats.games} games from {stats.playerCount} players.
+          {' '}*No opponent {unit} are stored, so {unit} against is a proxy ({summary.againstSource}).
+        </p>
+      </>
+    );
+  };
+
+  const renderShooting = () => (
+    <div className="dashboard-panel">
+      <h3>Shooting</h3>
+      <ResponsiveContainer width="100%" height={220}>
+        <BarChart data={stats.shooting} margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="label" interval={0} tick={{ fontSize: 11 }} />
+          <YAxis domain={[0, 100]} unit="%" />
+          <Tooltip formatter={(value) => formatPercent(value)} />
+          <Bar dataKey="value" name="Percentage" fill={CHART_COLORS[0]} />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+
+  const renderPie = (title, data, nameKey, valueKey) => (
+    <div className="dashboard-panel">
+      <h3>{title}</h3>
+      {data.length === 0 ? (
+        <p className="dashboard-note">No data for this season.</p>
+      ) : (
+        <ResponsiveContainer width="100%" height={240}>
+          <PieChart>
+            <Pie data={data} dataKey={valueKey} nameKey={nameKey} outerRadius={80} label={({ share }) => formatPercent(share)}>
+              {data.map((entry, index) => (
+                <Cell key={entry.key || entry.playerId} fill={CHART_COLORS[index % CHART_COLORS.length]} />
+              ))}
+            </Pie>
+            <Tooltip formatter={(value, name, item) => [`${value} (${formatPercent(item.payload.share)})`, name]} />
+          </PieChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+
+  const renderMinutes = () => {
+    const data = stats.minutes.slice(0, MINUTES_PLAYERS);
+
+    return (
+      <div className="dashboard-panel dashboard-panel-wide">
+        <h3>Minutes Distribution</h3>
+        <ResponsiveContainer width="100%" height={Math.max(160, data.length * 26)}>
+          <BarChart data={data} layout="vertical" margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" unit="%" />
+            <YAxis type="category" dataKey="name" width={130} tick={{ fontSize: 11 }} />
+            <Tooltip formatter={(value, name, item) => [`${formatPercent(value)} (${Math.round(item.payload.minutes)} min)`, 'Share of minutes']} />
+            <Bar dataKey="share" fill={CHART_COLORS[2]} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    );
+  };
+
+  const renderAges = () => {
+    const { ageProfile } = stats;
+
+    return (
+      <div className="dashboard-panel">
+        <h3>Age Profile</h3>
+        <p className="dashboard-note">
+          Average age {formatNumber(ageProfile.average)}, weighted by minutes {formatNumber(ageProfile.weightedAverage)}
+        </p>
+        <ResponsiveContainer width="100%" height={200}>
+          <BarChart data={ageProfile.brackets} margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" interval={0} tick={{ fontSize: 11 }} />
+            <YAxis unit="%" />
+            <Tooltip formatter={(value, name, item) => [`${formatPercent(value)} (${item.payload.players} players)`, 'Share of minutes']} />
+            <Bar dataKey="minutesShare" fill={CHART_COLORS[4]} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    );
+  };
+
+  return (
+    <div className="team-dashboard">
+      <div className="dashboard-header">
+        <h2>Team Dashboard</h2>
+        {league === 'NBA' && (
+          <select value={type} onChange={(e) => setType(e.target.value)}>
+            <option value="regular">Regular Season</option>
+            <option value="playoff">Playoffs</option>
+          </select>
+        )}
+      </div>
+
+      {loading && <p className="dashboard-note">Loading team stats...</p>}
+      {!loading && (!stats || stats.playerCount === 0) && (
+        <p className="dashboard-note">No team stats for this season.</p>
+      )}
+
+      {!loading && stats?.playerCount > 0 && (
+        <>
+          {renderSummary()}
+          <div className="dashboard-grid">
+            {renderShooting()}
+            {league === 'NBA' && renderPie('Point Sources', stats.pointSources, 'label', 'points')}
+            {renderPie(league === 'NBA' ? 'Scoring Share' : 'Goal Share', groupShares(stats.scoringShare, SHARE_PLAYERS), 'name', 'value')}
+            {renderAges()}
+            {renderMinutes()}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TeamDashboard;
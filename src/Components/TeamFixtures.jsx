@@ -0,0 +1,124 @@
+/**
+ * Team Fixtures Component
+ *
+ * Match widgets for a Premier League team page:
+ * - Next match: opponent, home/away, kick-off date and venue
+ * - Last 5 results: score and W/D/L from the team's point of view, most recent last
+ *
+ * Matches link to their match page; the widget links to the fixtures calendar filtered to the team
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getFixtures } from '../api';
+import './TeamFixtures.css';
+
+const RESULTS_SHOWN = 5;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+
+const formatKickOff = (date) =>
+  `${formatDate(date)}, ${new Date(date).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}`;
+
+/**
+ * Describes a fixture from one team's side: opponent, home/away and result
+ */
+const fromTeamView = (fixture, teamId) => {
+  const isHome = fixture.homeTeam?.teamId === teamId;
+  const goalsFor = isHome ? fixture.score?.home : fixture.score?.away;
+  const goalsAgainst = isHome ? fixture.score?.away : fixture.score?.home;
+
+  let result = null;
+  if (fixture.winner === 'draw') result = 'D';
+  else if (fixture.winner) result = fixture.winner === (isHome ? 'home' : 'away') ? 'W' : 'L';
+
+  return {
+    opponent: isHome ? fixture.awayTeam : fixture.homeTeam,
+    venueLabel: isHome ? 'H' : 'A',
+    goalsFor,
+    goalsAgainst,
+    result
+  };
+};
+
+function TeamFixtures({ teamId, season }) {
+  const [fixtures, setFixtures] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchFixtures = async () => {
+      setLoading(true);
+      const data = await getFixtures('EPL', { season, team: teamId });
+      setFixtures(data?.fixtures || []);
+      setLoading(false);
+    };
+
+    if (teamId) fetchFixtures();
+  }, [teamId, season]);
+
+  if (!teamId || loading || fixtures.length === 0) return null;
+
+  const nextMatch = fixtures.find(f => f.status?.state === 'scheduled' || f.status?.state === 'live');
+  const lastResults = fixtures.filter(f => f.status?.state === 'finished').slice(-RESULTS_SHOWN);
+
+  const renderNextMatch = () => {
+    if (!nextMatch) return <p className="team-fixtures-note">No upcoming matches this season.</p>;
+
+    const view = fromTeamView(nextMatch, teamId);
+    return (
+      <div className="next-match">
+        {view.opponent?.logo && <img src={view.opponent.logo} alt="" className="team-fixtures-logo" />}
+        <div>
+          <Link to={`/match/${nextMatch.fixtureId}`} className="next-match-opponent">
+            {view.venueLabel === 'H' ? 'vs' : '@'} {view.opponent?.name}
+          </Link>
+          <div className="next-match-details">
+            {nextMatch.status?.state === 'live' ? 'Live now' : formatKickOff(nextMatch.date)}
+            {nextMatch.venue?.name ? ` · ${nextMatch.venue.name}` : ''}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="team-fixtures">
+      <div className="team-fixtures-widget">
+        <h3>Next Match</h3>
+        {renderNextMatch()}
+      </div>
+
+      <div className="team-fixtures-widget">
+        <h3>Last {RESULTS_SHOWN} Results</h3>
+        {lastResults.length === 0 ? (
+          <p className="team-fixtures-note">No results yet.</p>
+        ) : (
+          <ul className="last-results">
+            {lastResults.map(fixture => {
+              const view = fromTeamView(fixture, teamId);
+              return (
+                <li key={fixture.fixtureId}>
+                  <span className={`result-pill result-${(view.result || '').toLowerCase()}`}>{view.result || '-'}</span>
+                  <Link to={`/match/${fixture.fixtureId}`} className="last-result-score">
+                    {view.goalsFor}-{view.goalsAgainst}
+                  </Link>
+                  <span className="last-result-opponent">
+                    {view.venueLabel === 'H' ? 'vs' : '@'} {view.opponent?.name}
+                  </span>
+                  <span className="last-result-date">{formatDate(fixture.date)}</span>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+
+      <Link to={`/fixtures/EPL?team=${teamId}${season ? `&season=${season}` : ''}`} className="team-fixtures-link">
+        All fixtures →
+      </Link>
+    </div>
+  );
+}
+
+export default TeamFixtures;
@@ -0,0 +1,135 @@
+/**
+ * Team Heat Map Component
+ *
+ * League-wide team x stat grid for a season:
+ * - NBA: per-game scoring, shooting percentages, rebounds, assists and other team aggregates
+ * - EPL: goals, assists, key passes, tackles, duels and other season totals
+ * Counting stats follow the global stat mode when one is set (e.g., per 100 possessions)
+ *
+ * Each column is colored by its normalized value (red = worst team, green = best team),
+ * so teams can be compared within a stat regardless of its scale
+ * Clicking a column header sorts by that stat; clicking a cell opens the team's roster
+ */
+
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getTeamHeatmap } from '../api';
+import { getFullTeamName } from '../utils/teamUtils';
+import { useSports, MODE_LABELS } from '../context/SportsContext';
+import './TeamHeatMap.css';
+
+/**
+ * Maps a normalized value (0-1) to a red-yellow-green background color
+ * @param {number|null} normalized - Normalized value, 1 being the best team
+ * @returns {string} CSS color
+ */
+const getCellColor = (normalized) => {
+  if (normalized === null || normalized === undefined) return '#eee';
+  return `hsl(${Math.round(normalized * 120)}, 70%, 75%)`;
+};
+
+/**
+ * @param {Object} props - Component props
+ * @param {string} props.league - 'NBA' or 'EPL'
+ * @param {string} props.sport - Sport name used in team page URLs ('NBA' or 'Premier League')
+ * @param {number} props.season - Season year
+ * @param {Array} props.teams - Teams from the standings, used to link cells to team pages
+ */
+const TeamHeatMap = ({ league, sport, season = null, teams = [] }) => {
+  const navigate = useNavigate();
+  const [heatmap, setHeatmap] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [sortKey, setSortKey] = useState(null);
+  const { getStatMode } = useSports();
+  const statMode = getStatMode(league);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      setIsLoading(true);
+      setHeatmap(await getTeamHeatmap(league, season, 'regular', statMode));
+      setIsLoading(false);
+    };
+
+    fetchData();
+  }, [league, season, statMode]);
+
+  // NBA stats store team abbreviations; EPL stats store the same team names as the standings
+  const getTeamLabel = (team) => (league === 'NBA' ? getFullTeamName(team) : team);
+
+  /**
+   * Finds the standings team for a heat map row, so the link matches the standings page links
+   */
+  const getTeamPath = (team) => {
+    const label = getTeamLabel(team);
+    const match = teams.find(t => t.name === label || t.displayName === label || t.name === team)
+      || teams.find(t => label.includes(t.name));
+    return `/team/${sport}/${encodeURIComponent(match ? match.name : label)}`;
+  };
+
+  const formatValue = (column, value) => {
+    if (value === null || value === undefined) return 'N/A';
+    if (column.percent) return `${value.toFixed(1)}%`;
+    return Number.isInteger(value) ? value : value.toFixed(1);
+  };
+
+  if (isLoading) return <div className="loading-container">Loading heat map...</div>;
+  if (!heatmap) return <div className="error-container">Failed to load heat map.</div>;
+  if (heatmap.teams.length === 0) return null;
+
+  // Best team first for the selected stat, alphabetical otherwise
+  const rows = sortKey
+    ? [...heatmap.teams].sort((a, b) => (b.normalized[sortKey] ?? -1) - (a.normalized[sortKey] ?? -1))
+    : heatmap.teams;
+
+  return (
+    <div className="team-heatmap">
+      <h2>Team Heat Map</h2>
+      <p className="heatmap-subtitle">
+        Team {heatmap?.mode ? MODE_LABELS[heatmap.mode].toLowerCase() : 'totals'} from player stats.
+        Green is the league&apos;s best team in a column, red the worst. Click a column to sort, or a cell to open the roster.
+      </p>
+
+      <div className="heatmap-table-container">
+        <table className="heatmap-table">
+          <thead>
+            <tr>
+              <th className="heatmap-team" onClick={() => setSortKey(null)}>Team</th>
+              {heatmap.columns.map(column => (
+                <th
+                  key={column.key}
+                  className={sortKey === column.key ? 'sorted' : ''}
+                  onClick={() => setSortKey(column.key)}
+                  title={column.lowerIsBetter ? `${column.label} (lower is better)` : column.label}
+                >
+                  {column.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.team}>
+                <td className="heatmap-team" onClick={() => navigate(getTeamPath(row.team))}>
+                  {getTeamLabel(row.team)}
+                </td>
+                {heatmap.columns.map(column => (
+                  <td
+                    key={column.key}
+                    className="heatmap-cell"
+                    style={{ backgroundColor: getCellColor(row.normalized[column.key]) }}
+                    onClick={() => navigate(getTeamPath(row.team))}
+                    title={`${getTeamLabel(row.team)} - ${column.label}: ${formatValue(column, row.values[column.key])} (${row.players} players)`}
+                  >
+                    {formatValue(column, row.values[column.key])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default TeamHeatMap;
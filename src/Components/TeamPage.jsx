@@ -11,11 +11,16 @@
  * the data in a consistent format regardless of sport type.
  * 
  * Updated to integrate with SportsContext, providing consistent season selection across app.
+ * NBA and EPL roster stats follow the global stat mode (per game, totals, per 36/90 minutes...).
+ * NBA and EPL teams also get a dashboard of team aggregates (see TeamDashboard) next to the roster,
+ * and EPL teams get next match and last 5 results widgets (see TeamFixtures).
  */
 import { useEffect, useState } from "react";
 import { useParams, Link, useLocation } from "react-router-dom";
 import { getNbaPlayersByTeam, getEplPlayersByTeam, getNflPlayersByTeam, getNbaTeams, getEplTeams, getNflTeams } from "../api";
-import { useSports } from "../context/SportsContext";
+import { useSports, MODE_LABELS } from "../context/SportsContext";
+import TeamDashboard from "./TeamDashboard";
+import TeamFixtures from "./TeamFixtures";
 import "./TeamPage.css";
 import nflLogo from "../assets/nfl-logo.png";
 import nbaLogo from "../assets/nba-logo.png";
@@ -26,11 +31,13 @@ function TeamPage() {
   const { sport, teamName: encodedTeamName } = useParams();
   const teamName = decodeURIComponent(encodedTeamName);
   const location = useLocation(); // Detects navigation change
-  const { selectedSeasons, setSeason } = useSports(); // Get selected seasons from context
+  const { selectedSeasons, setSeason, getStatMode } = useSports(); // Get selected seasons from context
+  const statMode = getStatMode(sport === "Premier League" ? "EPL" : sport); // null keeps the API default
 
   // ✅ State for players and team logo
   const [players, setPlayers] = useState([]);
   const [teamLogo, setTeamLogo] = useState(null);
+  const [teamId, setTeamId] = useState(null);
   const [loading, setLoading] = useState(true);
   const [availableSeasons, setAvailableSeasons] = useState([]);
   const [selectedSeason, setSelectedSeason] = useState(null);
@@ -68,7 +75,7 @@ function TeamPage() {
             season = selectedSeasons.NBA || (availableSeasons.length > 0 ? availableSeasons[0] : 2025);
             
             // Fetch players for this team and season
-            fetchedPlayers = await getNbaPlayersByTeam(teamName, season);
+            fetchedPlayers = await getNbaPlayersByTeam(teamName, season, statMode);
             fetchedTeams = await getNbaTeams();
           } catch (error) {
             console.error("Error fetching NBA seasons:", error);
@@ -76,7 +83,7 @@ function TeamPage() {
 
             // Still attempt to fetch players with default season
             season = selectedSeasons.NBA || 2025;
-            fetchedPlayers = await getNbaPlayersByTeam(teamName, season);
+            fetchedPlayers = await getNbaPlayersByTeam(teamName, season, statMode);
             fetchedTeams = await getNbaTeams();
           }
         } else if (sport === "Premier League") {
@@ -93,7 +100,7 @@ function TeamPage() {
             season = selectedSeasons.EPL || (availableSeasons.length > 0 ? availableSeasons[0] : 2024);
             
             // Fetch players for this team and season
-            fetchedPlayers = await getEplPlayersByTeam(teamName, season);
+            fetchedPlayers = await getEplPlayersByTeam(teamName, season, statMode);
             fetchedTeams = await getEplTeams();
           } catch (error) {
             console.error("Error fetching EPL seasons:", error);
@@ -101,7 +108,7 @@ function TeamPage() {
 
             // Still attempt to fetch players with default season
             season = selectedSeasons.EPL || 2024;
-            fetchedPlayers = await getEplPlayersByTeam(teamName, season);
+            fetchedPlayers = await getEplPlayersByTeam(teamName, season, statMode);
             fetchedTeams = await getEplTeams();
           }
         } else if (sport === "NFL") {
@@ -126,6 +133,8 @@ function TeamPage() {
                   searchName.replace(' fc', '').includes(displayName);
           });
 
+          setTeamId(teamData?.id || null);
+
           if (teamData && teamData.logo) {
             setTeamLogo(teamData.logo);
           } else {
@@ -139,7 +148,7 @@ function TeamPage() {
     };
 
     fetchPlayers();
-  }, [sport, teamName, location.pathname, selectedSeasons]); // ✅ Re-fetch when navigating back
+  }, [sport, teamName, location.pathname, selectedSeasons, statMode]); // ✅ Re-fetch when navigating back or the stat mode changes
 
   // Season selector component
   const renderSeasonSelector = () => {
@@ -173,7 +182,7 @@ function TeamPage() {
     // Update global context based on sport
     if (sport === "NBA") {
       setSeason('NBA', newSeason);
-      getNbaPlayersByTeam(teamName, newSeason)
+      getNbaPlayersByTeam(teamName, newSeason, statMode)
       .then(players => {
         console.log(`Got ${players.length} NBA players for season ${newSeason}`);
         setPlayers(players);
@@ -186,7 +195,7 @@ function TeamPage() {
     } else if (sport === "Premier League") {
       setSeason('EPL', newSeason);
       // Force refetch players with new season
-      getEplPlayersByTeam(teamName, newSeason)
+      getEplPlayersByTeam(teamName, newSeason, statMode)
       .then(players => {
         console.log(`Got ${players.length} EPL players for season ${newSeason}`);
         setPlayers(players);
@@ -199,6 +208,10 @@ function TeamPage() {
     }
   };
 
+  // Stat labels for the roster: the classic PPG for per game (the NBA default), otherwise the mode name
+  const pointsLabel = !statMode || statMode === "perGame" ? "PPG" : `pts (${MODE_LABELS[statMode]})`;
+  const goalsLabel = !statMode || statMode === "totals" ? "goals" : `goals (${MODE_LABELS[statMode]})`;
+
   if (loading) return <div>Loading players...</div>;
 
   if (!players.length) return <div>No players found for this team.</div>;
@@ -220,6 +233,8 @@ function TeamPage() {
         </div>
 
         <Link to="/" className="back-link">← Back to Home</Link>
+
+        {sport === "Premier League" && <TeamFixtures teamId={teamId} season={selectedSeason} />}
         
         <div className="player-list">
         {players.map(player => (
@@ -234,7 +249,7 @@ function TeamPage() {
                 <p>
                   {player.name} - {player.position || "N/A"} 
                   {player.number && player.number !== "N/A" ? ` - #${player.number}` : ""}
-                  {player.stats?.sportStats?.points ? ` - ${player.stats.sportStats.points} PPG` : ""}
+                  {player.stats?.sportStats?.points ? ` - ${player.stats.sportStats.points} ${pointsLabel}` : ""}
                   {player.stats?.gamesPlayed ? ` - ${player.stats.gamesPlayed} games` : ""}
                 </p>
               </div>
@@ -245,7 +260,7 @@ function TeamPage() {
                   {player.name} - {player.position || "N/A"}
                   {player.position && player.position.toLowerCase().includes('goalkeeper') 
                     ? ` - ${player.stats?.sportStats?.goalsSaved || 0} saves`
-                    : ` - ${player.stats?.sportStats?.goals || 0} goals`}
+                    : ` - ${player.stats?.sportStats?.goals || 0} ${goalsLabel}`}
                   {player.stats?.gamesPlayed ? ` - ${player.stats.gamesPlayed} appearances` : ''}
                 </p>
               </div>
@@ -259,6 +274,15 @@ function TeamPage() {
         ))}
         </div>
       </div>
+
+      {(sport === "NBA" || sport === "Premier League") && (
+        <TeamDashboard
+          league={sport === "Premier League" ? "EPL" : sport}
+          teamId={teamId}
+          season={selectedSeason}
+          mode={statMode}
+        />
+      )}
     </div>
   );
 }
@@ -7,36 +7,175 @@
  * 2. View the update process status and results
  * 3. Track successful/failed updates for each sport
  * 4. See detailed timing information for the update process
+ * 5. Follow a live progress log while the update runs as a background job on the server
+ * 
+ * Updates require an admin account, so the page shows a login form until an admin logs in
  */
-import { useState } from 'react';
-import { updateSportsData } from '../api';
+import { useState, useEffect, useRef } from 'react';
+import { updateSportsData, getUpdateJob, subscribeToUpdateJob, login, logout, getCurrentUser } from '../api';
+
+// How often to poll the job status if the live stream disconnects
+const POLL_INTERVAL_MS = 3000;
 
 function UpdatePage() {
   // State for managing update process
   const [updating, setUpdating] = useState(false); // Update in progress flag
   const [result, setResult] = useState(null); // Stores update results
   const [error, setError] = useState(null); // Tracks errors
+  const [phases, setPhases] = useState({}); // Latest progress for each league phase
+  const [log, setLog] = useState([]); // Progress log entries
+  const closeStreamRef = useRef(null); // Closes the live progress stream
+  const pollRef = useRef(null); // Fallback polling timer
+  const [user, setUser] = useState(null); // Logged-in user { username, role }
+  const [checkingAuth, setCheckingAuth] = useState(true); // Verifying a stored login
+  const [credentials, setCredentials] = useState({ username: '', password: '' });
+  const [loginError, setLoginError] = useState(null);
+
+  // Check whether a stored login is still valid
+  useEffect(() => {
+    getCurrentUser()
+      .then(setUser)
+      .finally(() => setCheckingAuth(false));
+  }, []);
+
+  /**
+   * Submits the login form
+   */
+  const handleLogin = async (e) => {
+    e.preventDefault();
+    setLoginError(null);
+    const session = await login(credentials.username, credentials.password);
+    if (session.success) {
+      setUser(session.user);
+      setCredentials({ username: '', password: '' });
+    } else {
+      setLoginError(session.message);
+    }
+  };
+
+  const handleLogout = async () => {
+    await logout();
+    setUser(null);
+  };
+
+  // Close the stream and stop polling when leaving the page
+  useEffect(() => () => {
+    closeStreamRef.current?.();
+    clearInterval(pollRef.current);
+  }, []);
+
+  /**
+   * Handles a finished job from either the stream or polling
+   */
+  const finishJob = (job) => {
+    clearInterval(pollRef.current);
+    setPhases(job.phases || {});
+    setLog(job.log || []);
+    if (job.status === 'completed') {
+      setResult(job.result);
+    } else {
+      setError(job.error || 'Update failed');
+    }
+    setUpdating(false);
+  };
+
+  /**
+   * Polls the job status instead of streaming (used if the stream disconnects)
+   */
+  const pollJob = (jobId) => {
+    clearInterval(pollRef.current);
+    pollRef.current = setInterval(async () => {
+      const job = await getUpdateJob(jobId);
+      if (!job) return;
+      if (job.status === 'running') {
+        setPhases(job.phases || {});
+        setLog(job.log || []);
+      } else {
+        finishJob(job);
+      }
+    }, POLL_INTERVAL_MS);
+  };
 
   /**
    * Initiates the data update process
-   * Calls the backend API to refresh data from external sources
+   * Starts a background update job on the backend and follows its progress
    */
   const handleUpdate = async () => {
     // Reset states at the start of the update
     setUpdating(true);
     setResult(null);
     setError(null);
+    setPhases({});
+    setLog([]);
     
-    try {
-      // Call API functino to trigger backend update
-      const updateResult = await updateSportsData();
-      setResult(updateResult);
-    } catch (err) {
-      setError(err.message || 'Failed to update data');
-    } finally {
-      // Always disable updating state when finished
+    // Call API function to start the backend update job
+    const started = await updateSportsData();
+    if (!started.success) {
+      setError(started.message || 'Failed to update data');
       setUpdating(false);
+      return;
+    }
+
+    closeStreamRef.current = subscribeToUpdateJob(started.jobId, started.eventsToken, {
+      onSnapshot: (job) => {
+        setPhases(job.phases || {});
+        setLog(job.log || []);
+      },
+      onProgress: ({ entry, phase }) => {
+        setPhases(prev => ({ ...prev, [`${phase.league}:${phase.phase}`]: phase }));
+        setLog(prev => [...prev, entry]);
+      },
+      onDone: finishJob,
+      onError: () => pollJob(started.jobId)
+    });
+  };
+
+  /**
+   * Formats a phase's progress, e.g. "12 / 40"
+   */
+  const formatPhaseProgress = (phase) => (
+    phase.total ? `${phase.current} / ${phase.total}` : phase.status
+  );
+
+  /**
+   * Renders the login form, or a notice for non-admin users
+   */
+  const renderAuth = () => {
+    if (checkingAuth) return <p>Checking login...</p>;
+
+    if (!user) {
+      return (
+        <form className="login-form" onSubmit={handleLogin}>
+          <h3>Admin Login</h3>
+          <input
+            type="text"
+            placeholder="Username"
+            autoComplete="username"
+            value={credentials.username}
+            onChange={(e) => setCredentials({ ...credentials, username: e.target.value })}
+          />
+          <input
+            type="password"
+            placeholder="Password"
+            autoComplete="current-password"
+            value={credentials.password}
+            onChange={(e) => setCredentials({ ...credentials, password: e.target.value })}
+          />
+          <button type="submit" className="update-button">Log In</button>
+          {loginError && <p className="login-error">{loginError}</p>}
+        </form>
+      );
     }
+
+    return (
+      <div className="auth-status">
+        Logged in as <strong>{user.username}</strong> ({user.role})
+        {' '}<button className="logout-button" onClick={handleLogout}>Log out</button>
+        {user.role !== 'admin' && (
+          <p className="login-error">Only admins can update data.</p>
+        )}
+      </div>
+    );
   };
 
   return (
@@ -46,16 +185,51 @@ function UpdatePage() {
         Use this page to manually trigger a data update from external APIs to the database.
         This process may take several minutes depending on the API rate limits.
       </p>
+
+      {renderAuth()}
       
-      {/* Update button - disabled during active updates */}
-      <button 
-        onClick={handleUpdate} 
-        disabled={updating}
-        className="update-button"
-      >
-        {updating ? 'Updating...' : 'Update Data Now'}
-      </button>
+      {/* Update button - only for admins, disabled during active updates */}
+      {user?.role === 'admin' && (
+        <button 
+          onClick={handleUpdate} 
+          disabled={updating}
+          className="update-button"
+        >
+          {updating ? 'Updating...' : 'Update Data Now'}
+        </button>
+      )}
       
+      {/* Live progress: one row per league phase plus the running log */}
+      {Object.keys(phases).length > 0 && (
+        <div className="progress-container">
+          <h3>Progress</h3>
+          <table className="phase-table">
+            <tbody>
+              {Object.values(phases).map(phase => (
+                <tr key={`${phase.league}:${phase.phase}`} className={`phase-${phase.status}`}>
+                  <td>{phase.league}</td>
+                  <td>{phase.phase}</td>
+                  <td>
+                    {phase.total ? (
+                      <progress value={phase.current} max={phase.total} />
+                    ) : null}
+                    {' '}{formatPhaseProgress(phase)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="progress-log">
+            {log.map((entry, index) => (
+              <div key={index} className={`log-entry log-${entry.status}`}>
+                [{new Date(entry.time).toLocaleTimeString()}] {entry.league} {entry.phase}: {entry.message}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Error message display */}
       {error && (
         <div className="error-message">
@@ -75,7 +249,14 @@ function UpdatePage() {
           <ul>
             <li>NBA: {result.nba ? 'Success' : 'Failed'}</li>
             <li>NFL: {result.nfl ? 'Success' : 'Failed'}</li>
-            <li>EPL: {result.epl ? 'Success' : 'Failed'}</li>
+            <li>
+              EPL: {result.epl ? 'Success' : 'Failed'}
+              {result.datasets?.epl?.status === 'partial' && (
+                ` (partial data: ${result.datasets.epl.lastPage} of ${result.datasets.epl.totalPages ?? '?'} player pages saved` +
+                (result.datasets.epl.failedPlayerIds?.length > 0 ? `, players that failed to save: ${result.datasets.epl.failedPlayerIds.length}` : '') +
+                '; the next update picks up where this one stopped)'
+              )}
+            </li>
           </ul>
         </div>
 
@@ -106,6 +287,35 @@ function UpdatePage() {
           margin: 20px 0;
         }
         
+        .login-form {
+          display: flex;
+          flex-direction: column;
+          gap: 10px;
+          max-width: 300px;
+        }
+
+        .login-form input {
+          padding: 8px;
+          border: 1px solid #ccc;
+          border-radius: 4px;
+        }
+
+        .login-error {
+          color: #c62828;
+        }
+
+        .auth-status {
+          margin: 10px 0;
+        }
+
+        .logout-button {
+          background: none;
+          border: none;
+          color: #646cff;
+          cursor: pointer;
+          text-decoration: underline;
+        }
+
         .update-button:disabled {
           background-color: #cccccc;
           cursor: not-allowed;
@@ -119,6 +329,46 @@ function UpdatePage() {
           margin: 20px 0;
         }
         
+        .progress-container {
+          background-color: #f5f5f5;
+          padding: 15px;
+          border-radius: 4px;
+          margin: 20px 0;
+        }
+
+        .phase-table {
+          width: 100%;
+          border-collapse: collapse;
+          margin-bottom: 15px;
+        }
+
+        .phase-table td {
+          padding: 6px 8px;
+          border-bottom: 1px solid #ddd;
+        }
+
+        .phase-completed td {
+          color: #2e7d32;
+        }
+
+        .phase-failed td {
+          color: #c62828;
+        }
+
+        .progress-log {
+          max-height: 250px;
+          overflow-y: auto;
+          font-family: monospace;
+          font-size: 13px;
+          background-color: #fff;
+          border: 1px solid #ddd;
+          padding: 10px;
+        }
+
+        .log-failed {
+          color: #c62828;
+        }
+
         .result-container {
           background-color: #e8f5e9;
           padding: 15px;
@@ -18,17 +18,22 @@ const BACKEND_API_URL = import.meta.env.VITE_BACKEND_API_URL || (window.location
 
 // ---------------- NBA ---------------- //
 /**
- * Fetches top NBA players for display on the homepage
- * Gets players from the specialized top-players endpoint that processes and formats players with their team names and stats
- * @returns {Promise<Array>} Array of top NBA players
+ * Fetches trending NBA players for display on the homepage
+ * Gets players from the top-players endpoint, which ranks them by recent form against their season baseline
+ * @param {number} season - Optional season parameter
+ * @param {string} window - Optional trend window ('7d', '14d' or '30d')
+ * @returns {Promise<Array>} Array of top NBA players with the reason each one is trending
  */
-export const getNbaPlayers = async (season = null) => {
+export const getNbaPlayers = async (season = null, window = null) => {
     try {
       console.log(`Fetching NBA players for season: ${season || 'latest'}`); 
 
-      // Add season parameter to the API request if provided
-      const endpoint = season ? 
-        `${BACKEND_API_URL}/top-players/NBA?season=${season}` : 
+      // Add season and window parameters to the API request if provided
+      const params = new URLSearchParams();
+      if (season) params.set('season', season);
+      if (window) params.set('window', window);
+      const endpoint = params.toString() ?
+        `${BACKEND_API_URL}/top-players/NBA?${params}` :
         `${BACKEND_API_URL}/top-players/NBA`;
       // Get players from backend database
       const res = await axios.get(endpoint);
@@ -59,6 +64,9 @@ export const getNbaTeams = async (season = null) => {
           id: team.teamId,
           name: team.displayName,
           logo: team.logo,
+          conference: team.conference,
+          division: team.division,
+          standings: team.standings
         }))
         .sort((a, b) => a.name.localeCompare(b.name)); // Sort alphabetically
     } catch (error) {
@@ -70,9 +78,11 @@ export const getNbaTeams = async (season = null) => {
 /**
  * Fetches players for a specific NBA team
  * @param {*} teamName - Name of the team
+ * @param {number} season - Optional season parameter
+ * @param {string} mode - Optional stat mode for the players' season stats ('totals', 'perGame', 'per36', 'per100')
  * @returns {Promise<Array>} Array of players for the team
  */
-export const getNbaPlayersByTeam = async (teamName, season = null) => {
+export const getNbaPlayersByTeam = async (teamName, season = null, mode = null) => {
     try {
       // Find the team ID first
       const teamsRes = await axios.get(`${BACKEND_API_URL}/teams/NBA`);
@@ -90,9 +100,12 @@ export const getNbaPlayersByTeam = async (teamName, season = null) => {
       
       if (!team) return [];
 
-      // Add season parameter to URL if provided
-      const endpoint = season ? 
-        `${BACKEND_API_URL}/team/${team.teamId}?season=${season}` :
+      // Add season and mode parameters to URL if provided
+      const params = new URLSearchParams();
+      if (season) params.set('season', season);
+      if (mode) params.set('mode', mode);
+      const endpoint = params.toString() ?
+        `${BACKEND_API_URL}/team/${team.teamId}?${params}` :
         `${BACKEND_API_URL}/team/${team.teamId}`;
       
       // Get the team with its players
@@ -110,83 +123,99 @@ export const getNbaPlayersByTeam = async (teamName, season = null) => {
     }
 };
 
-// ---------------- NFL (Mock Data) ---------------- //
+// ---------------- NFL ---------------- //
+/**
+ * Fetches trending NFL players for display on the homepage
+ * @param {number} season - Optional season parameter
+ * @param {string} window - Optional trend window ('7d', '14d' or '30d')
+ * @returns {Promise<Array>} Array of top NFL players with the reason each one is trending
+ */
+export const getNflPlayers = async (season = null, window = null) => {
+    try {
+      const params = new URLSearchParams();
+      if (season) params.set('season', season);
+      if (window) params.set('window', window);
+      const endpoint = params.toString() ?
+        `${BACKEND_API_URL}/top-players/NFL?${params}` :
+        `${BACKEND_API_URL}/top-players/NFL`;
+      const res = await axios.get(endpoint);
+      return res.data;
+    } catch (error) {
+      console.error('NFL Players Error:', error);
+      return [];
+    }
+};
+
+/**
+ * Fetches all NFL teams
+ * @returns {Promise<Array>} Array of NFL teams (the backend sorts them by win percentage)
+ */
+export const getNflTeams = async () => {
+    try {
+      const res = await axios.get(`${BACKEND_API_URL}/teams/NFL`);
+      return res.data.map(team => ({
+        id: team.teamId,
+        name: team.displayName,
+        logo: team.logo,
+        standings: {
+          gamesPlayed: team.standings?.gamesPlayed || 0,
+          wins: team.standings?.wins || 0,
+          losses: team.standings?.losses || 0,
+          ties: team.standings?.draws || 0,
+          winPercentage: team.standings?.winPercentage || 0
+        }
+      }));
+    } catch (error) {
+      console.error('NFL Teams Error:', error);
+      return [];
+    }
+};
+
 /**
  * Fetches players for a specific NFL team
  * @param {string} teamName - Name of the team
  * @returns {Promise<Array>} Array of players for the team
  */
 export const getNflPlayersByTeam = async (teamName) => {
-    // For now, return mock NFL players data based on team name
-    const mockPlayers = [
-      { id: `nfl_${Math.floor(Math.random() * 1000)}`, name: `QB ${teamName} #1`, position: "QB", number: "1" },
-      { id: `nfl_${Math.floor(Math.random() * 1000)}`, name: `RB ${teamName} #2`, position: "RB", number: "22" },
-      { id: `nfl_${Math.floor(Math.random() * 1000)}`, name: `WR ${teamName} #3`, position: "WR", number: "88" },
-      { id: `nfl_${Math.floor(Math.random() * 1000)}`, name: `TE ${teamName} #4`, position: "TE", number: "87" },
-      { id: `nfl_${Math.floor(Math.random() * 1000)}`, name: `OL ${teamName} #5`, position: "OL", number: "76" },
-    ];
-    
-    return mockPlayers;
-  };
+    try {
+      // Find the team ID first
+      const teamsRes = await axios.get(`${BACKEND_API_URL}/teams/NFL`);
+      const team = teamsRes.data.find(t =>
+        t.displayName.toLowerCase() === teamName.toLowerCase()
+      );
 
-export const getNflPlayers = async () => {
-    return [
-        { name: 'Patrick Mahomes' },
-        { name: 'Josh Allen' },
-        { name: 'Tyreek Hill' },
-        { name: 'Justin Jefferson' },
-        { name: 'Travis Kelce' },
-    ];
-};
+      if (!team) return [];
 
-export const getNflTeams = async () => {
-    return [
-        { name: 'Arizona Cardinals' },
-        { name: 'Atlanta Falcons' },
-        { name: 'Baltimore Ravens' },
-        { name: 'Buffalo Bills' },
-        { name: 'Carolina Panthers' },
-        { name: 'Chicago Bears' },
-        { name: 'Cincinnati Bengals' },
-        { name: 'Cleveland Browns' },
-        { name: 'Dallas Cowboys' },
-        { name: 'Denver Broncos' },
-        { name: 'Detroit Lions' },
-        { name: 'Green Bay Packers' },
-        { name: 'Houston Texans' },
-        { name: 'Indianapolis Colts' },
-        { name: 'Jacksonville Jaguars' },
-        { name: 'Kansas City Chiefs' },
-        { name: 'Las Vegas Raiders' },
-        { name: 'Los Angeles Chargers' },
-        { name: 'Los Angeles Rams' },
-        { name: 'Miami Dolphins' },
-        { name: 'Minnesota Vikings' },
-        { name: 'New England Patriots' },
-        { name: 'New Orleans Saints' },
-        { name: 'New York Giants' },
-        { name: 'New York Jets' },
-        { name: 'Philadelphia Eagles' },
-        { name: 'Pittsburgh Steelers' },
-        { name: 'San Francisco 49ers' },
-        { name: 'Seattle Seahawks' },
-        { name: 'Tampa Bay Buccaneers' },
-        { name: 'Tennessee Titans' },
-        { name: 'Washington Commanders' },
-    ];
+      const res = await axios.get(`${BACKEND_API_URL}/team/${team.teamId}`);
+      return res.data.players.map(player => ({
+        id: player.playerId,
+        name: player.name,
+        position: player.position || "N/A",
+        number: player.number || "N/A",
+        stats: player.stats
+      }));
+    } catch (error) {
+      console.error(`NFL Team Players Error (${teamName}):`, error);
+      return [];
+    }
 };
 
 // ---------------- EPL (Premier League) ---------------- //
 
 /**
- * Fetches top EPL players based on goals scored
- * @returns {Promise<Array>} Array of top goal-scoring EPL players
+ * Fetches trending EPL players for display on the homepage
+ * @param {number} season - Optional season parameter
+ * @param {string} window - Optional trend window ('7d', '14d' or '30d')
+ * @returns {Promise<Array>} Array of top EPL players with the reason each one is trending
  */
-export const getEplPlayers = async (season = null) => {
+export const getEplPlayers = async (season = null, window = null) => {
     try {
-      // Add season parameter to the API request if provided
-      const endpoint = season ? 
-        `${BACKEND_API_URL}/top-players/EPL?season=${season}` : 
+      // Add season and window parameters to the API request if provided
+      const params = new URLSearchParams();
+      if (season) params.set('season', season);
+      if (window) params.set('window', window);
+      const endpoint = params.toString() ?
+        `${BACKEND_API_URL}/top-players/EPL?${params}` :
         `${BACKEND_API_URL}/top-players/EPL`;
       // Get players from backend database
       const res = await axios.get(endpoint);
@@ -220,7 +249,12 @@ export const getEplTeams = async (season = null) => {
           wins: team.standings?.wins || 0,
           draws: team.standings?.draws || 0,
           losses: team.standings?.losses || 0,
-          points: team.standings?.points || 0
+          points: team.standings?.points || 0,
+          goalsFor: team.standings?.goalsFor,
+          goalsAgainst: team.standings?.goalsAgainst,
+          goalDifference: team.standings?.goalDifference,
+          form: team.standings?.form || '',
+          description: team.standings?.description || ''
         }
       }));
     } catch (error) {
@@ -232,9 +266,11 @@ export const getEplTeams = async (season = null) => {
 /**
  * Fetches players for a specific EPL team
  * @param {string} teamName - Name of the team
+ * @param {number} season - Optional season parameter
+ * @param {string} mode - Optional stat mode for the players' season stats ('totals', 'perGame', 'per90')
  * @returns {Promise<Array>} Array of players for the team
  */
-export const getEplPlayersByTeam = async (teamName, season = null) => {
+export const getEplPlayersByTeam = async (teamName, season = null, mode = null) => {
   try {
     console.log(`Fetching players for team: ${teamName}`); // Debug log
 
@@ -277,8 +313,11 @@ export const getEplPlayersByTeam = async (teamName, season = null) => {
     const teamId = team.teamId;
     console.log(`Fetching players for team ID: ${teamId} and season: ${season}`); 
     
-    const endpoint = season ?
-      `${BACKEND_API_URL}/team/${teamId}?season=${season}` : 
+    const params = new URLSearchParams();
+    if (season) params.set('season', season);
+    if (mode) params.set('mode', mode);
+    const endpoint = params.toString() ?
+      `${BACKEND_API_URL}/team/${teamId}?${params}` : 
       `${BACKEND_API_URL}/team/${teamId}`;
     
     const res = await axios.get(endpoint);
@@ -311,14 +350,19 @@ function isEplGoalkeeper(position) {
 /**
  * Fetches detailed player statistics for any player
  * @param {string} playerId - Player's unique ID
+ * @param {number} season - Optional season parameter
+ * @param {string} mode - Optional stat mode for NBA/EPL counting stats (e.g., 'perGame', 'per36', 'per90')
  * @returns {Promise<Object>} Player details with sport-specific stats
  */
-export const getPlayerDetails = async (playerId, season = null) => {
+export const getPlayerDetails = async (playerId, season = null, mode = null) => {
     try {
       console.log(`Fetching player details for ${playerId} with season: ${season || 'default'}`);
-      // Add season parameter to the API request if provided
-      const endpoint = season ? 
-        `${BACKEND_API_URL}/player/${playerId}?season=${season}` : 
+      // Add season and mode parameters to the API request if provided
+      const params = new URLSearchParams();
+      if (season) params.set('season', season);
+      if (mode) params.set('mode', mode);
+      const endpoint = params.toString() ? 
+        `${BACKEND_API_URL}/player/${playerId}?${params}` : 
         `${BACKEND_API_URL}/player/${playerId}`;
 
       // Get player details from backend database
@@ -347,13 +391,20 @@ export const getPlayerDetails = async (playerId, season = null) => {
         regularSeasons, 
         playoffs,
         seasons,
-        nbaStatsRef: player.nbaStatsRef
+        nbaStatsRef: player.nbaStatsRef,
+        // Stat mode the backend used for the counting stats below (null for NFL)
+        mode: player.mode || null
       };
+
+      // Counting stats in the requested mode, rounded for display
+      const modeStat = (value) => Math.round((value || 0) * 100) / 100;
       
       // Add sport-specific stats based on league
       if (player.league === 'EPL') {
         const isKeeper = isEplGoalkeeper(player.seasons?.[0]?.position || player.position);
         const currentSeason = player.seasons?.[0] || {};
+        // Selected season with counting stats in the requested mode (the backend defaults to totals)
+        const counts = player.normalizedStats || currentSeason;
         
         // Get the season-specific age
         const currentAge = player.age || 0;
@@ -369,29 +420,29 @@ export const getPlayerDetails = async (playerId, season = null) => {
           weight: player.weight || "N/A",
           appearances: currentSeason.appearances || playerDetails.appearances || 0,
           position: currentSeason.position || player.position || "N/A",
-          yellowCards: currentSeason.cards?.yellow || 0,
-          redCards: currentSeason.cards?.red || 0,
+          yellowCards: modeStat(counts.cards?.yellow),
+          redCards: modeStat(counts.cards?.red),
           isGoalkeeper: isKeeper,
           
           // Goalkeeper stats
           cleanSheets: isKeeper ? (currentSeason.cleanSheets || 0) : undefined,
-          goalsSaved: isKeeper ? currentSeason.goals?.saves || 0 : undefined,
-          goalsConceded: isKeeper ? currentSeason.goals?.conceded || 0 : undefined,
-          penaltySaved: isKeeper ? currentSeason.penalty?.saved || 0 : undefined,
+          goalsSaved: isKeeper ? modeStat(counts.goals?.saves) : undefined,
+          goalsConceded: isKeeper ? modeStat(counts.goals?.conceded) : undefined,
+          penaltySaved: isKeeper ? modeStat(counts.penalty?.saved) : undefined,
           
           // Outfield player stats
-          goals: !isKeeper ? currentSeason.goals?.total || 0 : undefined,
-          assists: !isKeeper ? currentSeason.goals?.assists || 0 : undefined,
-          keyPasses: !isKeeper ? currentSeason.passes?.key || 0 : undefined,
-          totalPasses: !isKeeper ? currentSeason.passes?.total || 0 : undefined,
-          tackles: !isKeeper ? currentSeason.tackles?.total || 0 : undefined,
-          interceptions: !isKeeper ? currentSeason.tackles?.interceptions || 0 : undefined,
-          duelsTotal: !isKeeper ? currentSeason.duels?.total || 0 : undefined,
-          duelsWon: !isKeeper ? currentSeason.duels?.won || 0 : undefined,
-          dribblesAttempted: !isKeeper ? currentSeason.dribbles?.attempts || 0 : undefined,
-          dribblesSuccessful: !isKeeper ? currentSeason.dribbles?.success || 0 : undefined,
-          penaltyScored: !isKeeper ? currentSeason.penalty?.scored || 0 : undefined,
-          penaltyMissed: !isKeeper ? currentSeason.penalty?.missed || 0 : undefined
+          goals: !isKeeper ? modeStat(counts.goals?.total) : undefined,
+          assists: !isKeeper ? modeStat(counts.goals?.assists) : undefined,
+          keyPasses: !isKeeper ? modeStat(counts.passes?.key) : undefined,
+          totalPasses: !isKeeper ? modeStat(counts.passes?.total) : undefined,
+          tackles: !isKeeper ? modeStat(counts.tackles?.total) : undefined,
+          interceptions: !isKeeper ? modeStat(counts.tackles?.interceptions) : undefined,
+          duelsTotal: !isKeeper ? modeStat(counts.duels?.total) : undefined,
+          duelsWon: !isKeeper ? modeStat(counts.duels?.won) : undefined,
+          dribblesAttempted: !isKeeper ? modeStat(counts.dribbles?.attempts) : undefined,
+          dribblesSuccessful: !isKeeper ? modeStat(counts.dribbles?.success) : undefined,
+          penaltyScored: !isKeeper ? modeStat(counts.penalty?.scored) : undefined,
+          penaltyMissed: !isKeeper ? modeStat(counts.penalty?.missed) : undefined
         };
       } else if (player.league === 'NBA') {
         // Find the season-specific stats instead of using the default stats
@@ -402,8 +453,17 @@ export const getPlayerDetails = async (playerId, season = null) => {
           // Find the current season data
           currentSeason = regularSeasons.find(s => s.season === season) || regularSeasons[0];
           
-          // Calculate per-game stats from the season totals
-          if (currentSeason.totals && currentSeason.totals.games > 0) {
+          // Use the backend's stats in the requested mode, or calculate per-game stats from the season totals
+          const modeTotals = mode && currentSeason.season === player.normalizedStats?.season ? player.normalizedStats.totals : null;
+          if (modeTotals && currentSeason.totals?.games > 0) {
+            seasonStats = {
+              points: modeStat(modeTotals.points).toFixed(1),
+              rebounds: modeStat(modeTotals.totalRb).toFixed(1),
+              assists: modeStat(modeTotals.assists).toFixed(1),
+              blocks: modeStat(modeTotals.blocks).toFixed(1),
+              steals: modeStat(modeTotals.steals).toFixed(1)
+            };
+          } else if (currentSeason.totals && currentSeason.totals.games > 0) {
             seasonStats = {
               points: (currentSeason.totals.points / currentSeason.totals.games).toFixed(1),
               rebounds: (currentSeason.totals.totalRb / currentSeason.totals.games).toFixed(1),
@@ -440,8 +500,11 @@ export const getPlayerDetails = async (playerId, season = null) => {
         // NFL stats
         return {
           ...playerDetails,
+          position: player.seasons?.[0]?.position || player.position || "N/A",
           touchdowns: player.stats?.sportStats?.touchdowns || 0,
           yards: player.stats?.sportStats?.yards || 0,
+          interceptions: player.stats?.sportStats?.interceptions || 0,
+          tackles: player.stats?.sportStats?.tackles || 0,
         };
       }
     } catch (error) {
@@ -467,6 +530,28 @@ export const getNbaPlayerStats = async (playerId) => {
   }
 };
 
+/**
+ * Fetches per-game box scores for an NBA player, newest first
+ * @param {string} playerId - Player ID (with or without nba_ prefix)
+ * @param {number} season - Season year
+ * @param {number} last - Optional number of most recent games
+ * @param {string} type - 'regular' or 'playoff'
+ * @returns {Promise<Object|null>} Games and averages over those games
+ */
+export const getNbaGameLog = async (playerId, season, last = null, type = 'regular') => {
+  try {
+    const id = playerId.startsWith('nba_') ? playerId.substring(4) : playerId;
+    const params = new URLSearchParams({ type });
+    if (season) params.set('season', season);
+    if (last) params.set('last', last);
+    const response = await axios.get(`${BACKEND_API_URL}/nba-stats/player/${id}/games?${params}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching NBA game log:', error);
+    return null;
+  }
+};
+
 /**
  * Fetches visualization data for efficiency-usage scatter plot
  * 
@@ -494,21 +579,344 @@ export const getEfficiencyUsageData = async (season = 2025, type = 'regular', mi
 };
 
 /**
- * Triggers a manual update of the sports data in the database
- * Makes API calls to fetch fresh data from external sources
- * @returns {Promise<Object>} Update results
+ * Fetches how a player's season numbers progressed across data updates
+ * Each point has season-to-date totals (stats) and per-game values (perGame)
+ * @param {string} playerId - Player ID with league prefix (e.g., "epl_276")
+ * @param {number} season - Optional season year
+ * @param {string} interval - 'update' for every snapshot or 'week' for one point per week
+ * @param {string} type - NBA only: 'regular' or 'playoff'
+ * @returns {Promise<Object|null>} History with a points array, oldest first
+ */
+export const getPlayerHistory = async (playerId, season = null, interval = 'week', type = 'regular') => {
+  try {
+    const params = new URLSearchParams({ interval, type });
+    if (season) params.set('season', season);
+    const res = await axios.get(`${BACKEND_API_URL}/player/${playerId}/history?${params}`);
+    return res.data;
+  } catch (error) {
+    console.error('Error fetching player stat history:', error);
+    return null;
+  }
+};
+
+/**
+ * Fetches a player's career as per-team stints (NBA and EPL)
+ * @param {string} playerId - Player ID with league prefix (e.g., "nba_hardeja01")
+ * @returns {Promise<Object|null>} { seasons: [{ season, seasonType, traded, stints }] }, oldest season first
+ */
+export const getPlayerStints = async (playerId) => {
+  try {
+    const res = await axios.get(`${BACKEND_API_URL}/player/${playerId}/stints`);
+    return res.data;
+  } catch (error) {
+    console.error('Error fetching player stints:', error);
+    return null;
+  }
+};
+
+/**
+ * Fetches league-wide z-score analysis for a player's season
+ * Returns the league mean/standard deviation per metric plus the player's own z-scores
+ * @param {string} league - 'NBA' or 'EPL'
+ * @param {string} playerId - Player ID with league prefix (e.g., "nba_jamesle01")
+ * @param {number} season - Season year
+ * @param {string} type - NBA only: 'regular' or 'playoff'
+ * @returns {Promise<Object|null>} Analysis with metrics and a single-entry players array
+ */
+export const getPlayerZScores = async (league, playerId, season, type = 'regular') => {
+  try {
+    const params = new URLSearchParams({ playerId, type });
+    if (season) params.set('season', season);
+    const res = await axios.get(`${BACKEND_API_URL}/analytics/zscores/${league}?${params}`);
+    return res.data;
+  } catch (error) {
+    console.error('Error fetching z-score analysis:', error);
+    return null;
+  }
+};
+
+/**
+ * Fetches the team x stat heat map matrix for a league season
+ * @param {string} league - 'NBA' or 'EPL'
+ * @param {number} season - Optional season year
+ * @param {string} type - NBA only: 'regular' or 'playoff'
+ * @param {string} mode - Optional stat mode for counting stats (defaults to per game for NBA, totals for EPL)
+ * @returns {Promise<Object|null>} Columns (with min/max) and teams with raw and normalized (0-1) values
+ */
+export const getTeamHeatmap = async (league, season = null, type = 'regular', mode = null) => {
+  try {
+    const params = new URLSearchParams({ type });
+    if (season) params.set('season', season);
+    if (mode) params.set('mode', mode);
+    const res = await axios.get(`${BACKEND_API_URL}/analytics/heatmap/${league}?${params}`);
+    return res.data;
+  } catch (error) {
+    console.error('Error fetching team heat map:', error);
+    return null;
+  }
+};
+
+/**
+ * Fetches a team's aggregate stats for a season
+ * @param {string} teamId - Team ID (e.g., "nba_14")
+ * @param {number} season - Optional season year
+ * @param {string} type - NBA only: 'regular' or 'playoff'
+ * @param {string} mode - Optional stat mode for points/goals for and against (defaults to per game for NBA, totals for EPL)
+ * @returns {Promise<Object|null>} Scoring summary, shooting splits, scoring share, minutes distribution and age profile
+ */
+export const getTeamStats = async (teamId, season = null, type = 'regular', mode = null) => {
+  try {
+    const params = new URLSearchParams({ type });
+    if (season) params.set('season', season);
+    if (mode) params.set('mode', mode);
+    const res = await axios.get(`${BACKEND_API_URL}/team/${teamId}/stats?${params}`);
+    return res.data;
+  } catch (error) {
+    console.error('Error fetching team stats:', error);
+    return null;
+  }
+};
+
+/**
+ * Fetches a league's fixtures and results for a season
+ * @param {string} league - League code (currently 'EPL')
+ * @param {Object} options - { season, team (teamId or name), from, to (YYYY-MM-DD) }, all optional
+ * @returns {Promise<Object|null>} { league, season, count, fixtures } with fixtures in kick-off order
+ */
+export const getFixtures = async (league, options = {}) => {
+  try {
+    const params = new URLSearchParams();
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== '' && value !== null && value !== undefined) params.set(key, value);
+    });
+    const res = await axios.get(`${BACKEND_API_URL}/fixtures/${league}?${params}`);
+    return res.data;
+  } catch (error) {
+    console.error('Error fetching fixtures:', error);
+    return null;
+  }
+};
+
+/**
+ * Fetches one match with its event timeline and lineups
+ * @param {string} fixtureId - Fixture ID (e.g., "epl_1208021")
+ * @returns {Promise<Object|null>} { fixture, timeline, lineups: { home, away } }
+ */
+export const getFixtureDetails = async (fixtureId) => {
+  try {
+    const res = await axios.get(`${BACKEND_API_URL}/fixtures/${fixtureId}`);
+    return res.data;
+  } catch (error) {
+    console.error('Error fetching fixture details:', error);
+    return null;
+  }
+};
+
+/**
+ * Fetches the stats a league's leaderboards can be ranked by
+ * @param {string} league - 'NBA' or 'EPL'
+ * @returns {Promise<Object|null>} { modes, defaultColumns, metrics: [{ key, label, group, normalizable, format }] }
+ */
+export const getLeaderboardMetrics = async (league) => {
+  try {
+    const res = await axios.get(`${BACKEND_API_URL}/leaderboards/${league}/metrics`);
+    return res.data;
+  } catch (error) {
+    console.error('Error fetching leaderboard metrics:', error);
+    return null;
+  }
+};
+
+/**
+ * Fetches one page of a stat leaderboard
+ * @param {string} league - 'NBA' or 'EPL'
+ * @param {Object} options - { metric, season, type, mode, position, team, minGames, limit, page, order }
+ *                           (empty values are left out so the backend defaults apply)
+ * @returns {Promise<Object>} Leaderboard page, or { error } with the server's message if it failed
+ */
+export const getLeaderboard = async (league, options = {}) => {
+  try {
+    const params = new URLSearchParams();
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== null && value !== undefined && value !== '') params.set(key, value);
+    });
+    const res = await axios.get(`${BACKEND_API_URL}/leaderboards/${league}?${params}`);
+    return res.data;
+  } catch (error) {
+    console.error('Error fetching leaderboard:', error);
+    return { error: error.response?.data?.message || 'Failed to load leaderboard' };
+  }
+};
+
+/**
+ * Fetches the seasons with stored stats for a league
+ * @param {string} league - 'NBA' or 'EPL'
+ * @returns {Promise<Array<number>>} Season years, newest first (empty on error)
+ */
+export const getAvailableSeasons = async (league) => {
+  try {
+    const res = await axios.get(`${BACKEND_API_URL}/available-seasons/${league}`);
+    return res.data;
+  } catch (error) {
+    console.error('Error fetching available seasons:', error);
+    return [];
+  }
+};
+
+/**
+ * Fetches a side-by-side comparison of players from the same league
+ * @param {Array<string>} playerIds - Player IDs with league prefix (e.g., ["nba_jamesle01", "nba_curryst01"])
+ * @param {number} season - Optional season year
+ * @param {string} type - NBA only: 'regular' or 'playoff'
+ * @param {string} mode - Optional stat mode for the counting stats section (defaults to per game)
+ * @returns {Promise<Object>} Comparison with players, metric sections and radar percentiles,
+ *                            or { error } with the server's message if it failed
+ */
+export const comparePlayers = async (playerIds, season = null, type = 'regular', mode = null) => {
+  try {
+    const params = new URLSearchParams({ players: playerIds.join(','), type });
+    if (season) params.set('season', season);
+    if (mode) params.set('mode', mode);
+    const res = await axios.get(`${BACKEND_API_URL}/compare?${params}`);
+    return res.data;
+  } catch (error) {
+    console.error('Error fetching player comparison:', error);
+    return { error: error.response?.data?.message || 'Failed to load comparison' };
+  }
+};
+
+// ---------------- Auth ---------------- //
+// The API key issued at login is kept in localStorage and sent as a Bearer token on protected requests
+const AUTH_STORAGE_KEY = 'sportsStatsAuth';
+
+/**
+ * Gets the stored login session
+ * @returns {Object|null} { apiKey, user: { username, role } } or null if not logged in
+ */
+export const getStoredAuth = () => {
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Builds the Authorization header for protected requests
+ * @returns {Object} Headers object (empty when not logged in)
+ */
+const authHeaders = () => {
+  const auth = getStoredAuth();
+  return auth?.apiKey ? { Authorization: `Bearer ${auth.apiKey}` } : {};
+};
+
+/**
+ * Logs in and stores the issued API key
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Promise<Object>} { success, user } or { success: false, message }
+ */
+export const login = async (username, password) => {
+  try {
+    const res = await axios.post(`${BACKEND_API_URL}/auth/login`, { username, password });
+    localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(res.data));
+    return { success: true, user: res.data.user };
+  } catch (error) {
+    console.error('Login failed:', error);
+    return { success: false, message: error.response?.data?.message || 'Login failed' };
+  }
+};
+
+/**
+ * Logs out by revoking the API key on the backend and clearing it locally
+ */
+export const logout = async () => {
+  try {
+    await axios.post(`${BACKEND_API_URL}/auth/logout`, {}, { headers: authHeaders() });
+  } catch (error) {
+    // The key may already be revoked; clearing it locally is what matters
+    console.error('Logout failed:', error);
+  } finally {
+    localStorage.removeItem(AUTH_STORAGE_KEY);
+  }
+};
+
+/**
+ * Checks the stored API key with the backend
+ * Clears the stored session if the key is no longer valid
+ * @returns {Promise<Object|null>} Current user { username, role } or null
+ */
+export const getCurrentUser = async () => {
+  if (!getStoredAuth()) return null;
+  try {
+    const res = await axios.get(`${BACKEND_API_URL}/auth/me`, { headers: authHeaders() });
+    return res.data;
+  } catch (error) {
+    if (error.response?.status === 401) {
+      localStorage.removeItem(AUTH_STORAGE_KEY);
+    }
+    return null;
+  }
+};
+
+/**
+ * Starts a background update of the sports data in the database
+ * The backend responds immediately with a job ID while it fetches from external sources
+ * Requires an admin login
+ * @returns {Promise<Object>} { success, jobId, eventsToken } or { success: false, message } (e.g., an update is already running)
  */
 export const updateSportsData = async () => {
   try {
-    const res = await axios.post(`${BACKEND_API_URL}/update`);
-    // Extract the nested result object
-    return res.data.result;
+    const res = await axios.post(`${BACKEND_API_URL}/update`, {}, { headers: authHeaders() });
+    return res.data;
   } catch (error) {
-    console.error('Failed to update sports data:', error);
-    return { success: false, message: 'Failed to update data' };
+    console.error('Failed to start sports data update:', error);
+    return { success: false, message: error.response?.data?.message || 'Failed to update data' };
   }
 };
 
+/**
+ * Fetches the current status of an update job
+ * Requires a login (viewer or above)
+ * @param {string} jobId - Job ID returned by updateSportsData
+ * @returns {Promise<Object|null>} Job with status, phases, log and result
+ */
+export const getUpdateJob = async (jobId) => {
+  try {
+    const res = await axios.get(`${BACKEND_API_URL}/update/${jobId}`, { headers: authHeaders() });
+    return res.data;
+  } catch (error) {
+    console.error('Failed to fetch update job:', error);
+    return null;
+  }
+};
+
+/**
+ * Opens a Server-Sent Events stream for an update job's progress
+ * EventSource can't send the API key, so the stream is opened with the short-lived events token
+ * updateSportsData returned for the job
+ * @param {string} jobId - Job ID returned by updateSportsData
+ * @param {string} eventsToken - Events token returned by updateSportsData
+ * @param {Object} handlers - { onSnapshot(job), onProgress({ entry, phase }), onDone(job), onError() }
+ * @returns {Function} Function that closes the stream
+ */
+export const subscribeToUpdateJob = (jobId, eventsToken, { onSnapshot, onProgress, onDone, onError }) => {
+  const source = new EventSource(`${BACKEND_API_URL}/update/${jobId}/events?token=${encodeURIComponent(eventsToken)}`);
+
+  source.addEventListener('snapshot', (e) => onSnapshot?.(JSON.parse(e.data)));
+  source.addEventListener('progress', (e) => onProgress?.(JSON.parse(e.data)));
+  source.addEventListener('done', (e) => {
+    source.close();
+    onDone?.(JSON.parse(e.data));
+  });
+  source.onerror = () => {
+    source.close();
+    onError?.();
+  };
+
+  return () => source.close();
+};
+
 /**
  * Fetches the last update time for the sports data
  * @returns {Promise<Object|null>} Last update time object or null on error
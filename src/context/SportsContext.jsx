@@ -4,6 +4,7 @@
 // 2. Uses React Context API to avoid prop drilling through component hierarchy
 // 3. Provides season setters and getters for different sports leagues
 // 4. Includes reset functionality to return to default seasons
+// 5. Holds the global stat mode (totals, per game, per 36/90 minutes, per 100 possessions) sent as ?mode= to the API
 
 import { createContext, useState, useContext, useEffect } from 'react';
 
@@ -13,6 +14,25 @@ const DEFAULT_SEASONS = {
   EPL: 2024
 };
 
+// Options for the global stat mode toggle
+// 'default' keeps each endpoint's own default (NBA per game, EPL totals); 'perMinutes' is per 36 for NBA and per 90 for EPL
+export const STAT_MODE_OPTIONS = [
+  { value: 'default', label: 'Default' },
+  { value: 'totals', label: 'Totals' },
+  { value: 'perGame', label: 'Per Game' },
+  { value: 'perMinutes', label: 'Per 36 (NBA) / Per 90 (EPL)' },
+  { value: 'per100', label: 'Per 100 Possessions (NBA)' }
+];
+
+// Labels for the API stat modes (?mode=)
+export const MODE_LABELS = {
+  totals: 'Totals',
+  perGame: 'Per Game',
+  per36: 'Per 36 Min',
+  per100: 'Per 100 Poss',
+  per90: 'Per 90 Min'
+};
+
 // Create context to share season data across components
 const SportsContext = createContext();
 
@@ -24,10 +44,17 @@ export function SportsProvider({ children }) {
     return savedSeasons ? JSON.parse(savedSeasons) : DEFAULT_SEASONS;
   });
   
+  // Global stat mode, also persisted between sessions
+  const [statMode, setStatMode] = useState(() => localStorage.getItem('statMode') || 'default');
+
   // Update localStorage when seasons change
   useEffect(() => {
     localStorage.setItem('selectedSeasons', JSON.stringify(selectedSeasons));
   }, [selectedSeasons]);
+
+  useEffect(() => {
+    localStorage.setItem('statMode', statMode);
+  }, [statMode]);
   
   // Function to update the selected season for a specific league
   // Components call this to change the global season state
@@ -43,6 +70,16 @@ export function SportsProvider({ children }) {
     return selectedSeasons[league] || DEFAULT_SEASONS[league];
   };
   
+  // Resolves the global stat mode to the API mode for a league
+  // Returns null for 'default' (and for NFL) so the API uses its own default
+  // Per 100 possessions only exists for NBA, so EPL falls back to per 90 minutes
+  const getStatMode = (league) => {
+    if (statMode === 'default' || (league !== 'NBA' && league !== 'EPL')) return null;
+    if (statMode === 'perMinutes') return league === 'NBA' ? 'per36' : 'per90';
+    if (statMode === 'per100') return league === 'NBA' ? 'per100' : 'per90';
+    return statMode;
+  };
+  
   // Reset all seasons to default
   const resetSeasons = () => {
     setSelectedSeasons(DEFAULT_SEASONS);
@@ -54,7 +91,10 @@ export function SportsProvider({ children }) {
       selectedSeasons, // Current seasons selections for all leagues
       setSeason, // Function to update a league's season
       getCurrentSeason, // Function to get a league's current season
-      resetSeasons 
+      resetSeasons,
+      statMode, // Global stat mode (see STAT_MODE_OPTIONS)
+      setStatMode,
+      getStatMode // Function to get the API mode for a league
     }}>
       {children}
     </SportsContext.Provider>
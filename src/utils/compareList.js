@@ -0,0 +1,76 @@
+/**
+ * Compare list helpers
+ *
+ * Keeps the players picked with "Add to compare" in localStorage so the list
+ * survives navigation between player, team and search pages:
+ * - All players in the list are from one league; adding a player from another league starts a new list
+ * - The list holds at most MAX_COMPARE_PLAYERS players; adding another drops the oldest
+ */
+
+const COMPARE_STORAGE_KEY = 'compareList';
+
+// Matches sportsConfig.compare.maxPlayers on the backend
+export const MAX_COMPARE_PLAYERS = 4;
+
+/**
+ * Gets the players currently in the compare list
+ * @returns {Array<Object>} Array of { id, name }
+ */
+export const getCompareList = () => {
+  try {
+    return JSON.parse(localStorage.getItem(COMPARE_STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Saves the compare list
+ * @param {Array<Object>} list - Array of { id, name }
+ */
+const saveCompareList = (list) => {
+  localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(list));
+};
+
+/**
+ * Adds a player to the compare list
+ * @param {Object} player - { id, name } with a league-prefixed id (e.g., "nba_jamesle01")
+ * @returns {Array<Object>} The updated list
+ */
+export const addToCompare = (player) => {
+  const league = player.id.split('_')[0];
+  let list = getCompareList().filter(p => p.id.split('_')[0] === league && p.id !== player.id);
+
+  list.push({ id: player.id, name: player.name });
+  if (list.length > MAX_COMPARE_PLAYERS) {
+    list = list.slice(list.length - MAX_COMPARE_PLAYERS);
+  }
+
+  saveCompareList(list);
+  return list;
+};
+
+/**
+ * Removes a player from the compare list
+ * @param {string} playerId - Player ID
+ * @returns {Array<Object>} The updated list
+ */
+export const removeFromCompare = (playerId) => {
+  const list = getCompareList().filter(p => p.id !== playerId);
+  saveCompareList(list);
+  return list;
+};
+
+/**
+ * Checks whether a player can be compared (only NBA and EPL players have comparable stats)
+ * @param {string} playerId - Player ID with league prefix
+ * @returns {boolean} Whether the player can be added
+ */
+export const isComparable = (playerId) => /^(nba|epl)_/.test(playerId || '');
+
+/**
+ * Builds the /compare page URL for a list of players
+ * @param {Array<Object>} list - Array of { id }
+ * @returns {string} URL path with a players query parameter
+ */
+export const getCompareUrl = (list) => `/compare?players=${list.map(p => p.id).join(',')}`;